@@ -0,0 +1,47 @@
+/**
+ * FIDE Rating List Import
+ * Command-line import for rating list files too large to upload
+ *
+ * Usage: node prisma/import-ratings.js <file.txt|file.xml> <YYYY-MM-DD> [STANDARD|RAPID|BLITZ]
+ */
+
+const path = require("path");
+const RatingService = require("../src/modules/ratings/rating.service");
+const { disconnectDatabase } = require("../src/config/database");
+const { RATING_TYPES } = require("../src/config/constants");
+
+async function main() {
+  const [filePath, listDate, ratingType = RATING_TYPES.STANDARD] =
+    process.argv.slice(2);
+
+  if (!filePath || !listDate || Number.isNaN(Date.parse(listDate))) {
+    console.error(
+      "Usage: node prisma/import-ratings.js <file.txt|file.xml> <YYYY-MM-DD> [STANDARD|RAPID|BLITZ]"
+    );
+    process.exit(1);
+  }
+
+  if (!Object.values(RATING_TYPES).includes(ratingType)) {
+    console.error("Rating type must be STANDARD, RAPID, or BLITZ");
+    process.exit(1);
+  }
+
+  console.log(`Importing ${filePath} as rating list ${listDate}...`);
+
+  const list = await RatingService.importRatingList(filePath, {
+    listDate,
+    ratingType,
+    fileName: path.basename(filePath),
+  });
+
+  console.log(`Imported ${list.playerCount} players`);
+}
+
+main()
+  .catch((error) => {
+    console.error("Import failed:", error.message);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await disconnectDatabase();
+  });
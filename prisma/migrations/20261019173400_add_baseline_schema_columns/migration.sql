@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `participants` ADD COLUMN `event_rated` ENUM('FIDE_RATED', 'STATE_LEVEL', 'DISTRICT_LEVEL', 'INTER_SCHOOL_LEVEL', 'COLLEGE_LEVEL') NULL,
+    ADD COLUMN `is_govt_student` BOOLEAN NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `is_online` BOOLEAN NULL DEFAULT false,
+    ADD COLUMN `is_featured` BOOLEAN NULL DEFAULT false,
+    ADD COLUMN `govt_concession_type` ENUM('rupees', 'percentage') NULL,
+    ADD COLUMN `govt_concession_value` DECIMAL(10, 2) NULL;
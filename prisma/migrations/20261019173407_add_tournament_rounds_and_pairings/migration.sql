@@ -0,0 +1,55 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `total_rounds` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `booking_participants` ADD COLUMN `pairing_number` INTEGER NULL,
+    ADD COLUMN `rating` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `tournament_rounds` (
+    `round_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `round_number` INTEGER NOT NULL,
+    `round_status` ENUM('draft', 'published') NULL DEFAULT 'draft',
+    `published_at` TIMESTAMP(0) NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_event`(`event_id`),
+    UNIQUE INDEX `uq_event_round`(`event_id`, `round_number`),
+    PRIMARY KEY (`round_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `pairings` (
+    `pairing_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `round_id` INTEGER NOT NULL,
+    `event_id` INTEGER NOT NULL,
+    `board_number` INTEGER NOT NULL,
+    `white_id` INTEGER NOT NULL,
+    `black_id` INTEGER NULL,
+    `result` ENUM('white_win', 'black_win', 'draw', 'white_forfeit_win', 'black_forfeit_win', 'double_forfeit', 'bye') NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_event`(`event_id`),
+    INDEX `idx_white`(`white_id`),
+    INDEX `idx_black`(`black_id`),
+    UNIQUE INDEX `uq_round_board`(`round_id`, `board_number`),
+    PRIMARY KEY (`pairing_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `tournament_rounds` ADD CONSTRAINT `fk_round_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `pairings` ADD CONSTRAINT `fk_pairing_round` FOREIGN KEY (`round_id`) REFERENCES `tournament_rounds`(`round_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `pairings` ADD CONSTRAINT `fk_pairing_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `pairings` ADD CONSTRAINT `fk_pairing_white` FOREIGN KEY (`white_id`) REFERENCES `booking_participants`(`id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `pairings` ADD CONSTRAINT `fk_pairing_black` FOREIGN KEY (`black_id`) REFERENCES `booking_participants`(`id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `tie_breaks` VARCHAR(255) NULL;
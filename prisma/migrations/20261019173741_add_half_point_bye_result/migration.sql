@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `pairings` MODIFY `result` ENUM('white_win', 'black_win', 'draw', 'white_forfeit_win', 'black_forfeit_win', 'double_forfeit', 'bye', 'half_point_bye') NULL;
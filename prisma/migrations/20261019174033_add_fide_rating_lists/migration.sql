@@ -0,0 +1,45 @@
+-- AlterTable
+ALTER TABLE `participants` ADD COLUMN `fide_title` VARCHAR(10) NULL,
+    ADD COLUMN `standard_rating` INTEGER NULL,
+    ADD COLUMN `rapid_rating` INTEGER NULL,
+    ADD COLUMN `blitz_rating` INTEGER NULL,
+    ADD COLUMN `fide_verified` BOOLEAN NULL DEFAULT false,
+    ADD COLUMN `fide_mismatches` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `rating_lists` (
+    `list_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `list_date` DATE NOT NULL,
+    `file_name` VARCHAR(255) NULL,
+    `player_count` INTEGER NULL DEFAULT 0,
+    `imported_by` INTEGER NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_list_date`(`list_date`),
+    PRIMARY KEY (`list_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `fide_ratings` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `list_id` INTEGER NOT NULL,
+    `fide_id` VARCHAR(20) NOT NULL,
+    `name` VARCHAR(255) NOT NULL,
+    `federation` VARCHAR(3) NULL,
+    `sex` VARCHAR(1) NULL,
+    `title` VARCHAR(10) NULL,
+    `birth_year` INTEGER NULL,
+    `standard_rating` INTEGER NULL,
+    `rapid_rating` INTEGER NULL,
+    `blitz_rating` INTEGER NULL,
+
+    INDEX `idx_fide_id`(`fide_id`),
+    UNIQUE INDEX `uq_list_fide_id`(`list_id`, `fide_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `idx_participant_fide_id` ON `participants`(`fide_id`);
+
+-- AddForeignKey
+ALTER TABLE `fide_ratings` ADD CONSTRAINT `fk_rating_list` FOREIGN KEY (`list_id`) REFERENCES `rating_lists`(`list_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `rating_list_id` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `event_categories` ADD COLUMN `rating_type` ENUM('standard', 'rapid', 'blitz') NULL,
+    ADD COLUMN `min_rating` INTEGER NULL,
+    ADD COLUMN `max_rating` INTEGER NULL,
+    ADD COLUMN `enforce_rating_limit` BOOLEAN NULL DEFAULT true;
+
+-- AddForeignKey
+ALTER TABLE `events` ADD CONSTRAINT `fk_event_rating_list` FOREIGN KEY (`rating_list_id`) REFERENCES `rating_lists`(`list_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
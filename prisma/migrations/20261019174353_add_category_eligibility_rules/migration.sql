@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `age_cutoff_date` DATE NULL;
+
+-- AlterTable
+ALTER TABLE `event_categories` ADD COLUMN `min_age` INTEGER NULL,
+    ADD COLUMN `min_birth_year` INTEGER NULL,
+    ADD COLUMN `max_birth_year` INTEGER NULL,
+    ADD COLUMN `gender` ENUM('male', 'female', 'others') NULL;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `tournament_format` ENUM('swiss', 'round_robin', 'double_round_robin', 'knockout') NULL DEFAULT 'swiss',
+    ADD COLUMN `match_games` INTEGER NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE `pairings` ADD COLUMN `match_number` INTEGER NULL,
+    ADD COLUMN `game_type` ENUM('regular', 'tiebreak', 'armageddon') NULL DEFAULT 'regular';
@@ -0,0 +1,95 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `is_team_event` BOOLEAN NULL DEFAULT false,
+    ADD COLUMN `team_size` INTEGER NULL,
+    ADD COLUMN `max_reserves` INTEGER NULL DEFAULT 1,
+    ADD COLUMN `fee_type` ENUM('per_player', 'per_team') NULL DEFAULT 'per_player',
+    ADD COLUMN `team_scoring` ENUM('match_points', 'game_points') NULL DEFAULT 'match_points';
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `team_id` INTEGER NULL,
+    ADD COLUMN `pairing_number` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `booking_participants` ADD COLUMN `board_number` INTEGER NULL;
+
+-- AlterTable
+ALTER TABLE `pairings` ADD COLUMN `team_match_id` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `teams` (
+    `team_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `user_id` INTEGER NOT NULL,
+    `team_name` VARCHAR(100) NOT NULL,
+    `institution` VARCHAR(255) NULL,
+    `captain_id` INTEGER NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_user`(`user_id`),
+    PRIMARY KEY (`team_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `team_members` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `team_id` INTEGER NOT NULL,
+    `participant_id` INTEGER NOT NULL,
+    `board_number` INTEGER NOT NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_participant`(`participant_id`),
+    UNIQUE INDEX `uq_team_participant`(`team_id`, `participant_id`),
+    UNIQUE INDEX `uq_team_board`(`team_id`, `board_number`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `team_matches` (
+    `team_match_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `round_id` INTEGER NOT NULL,
+    `event_id` INTEGER NOT NULL,
+    `table_number` INTEGER NOT NULL,
+    `home_team_id` INTEGER NOT NULL,
+    `away_team_id` INTEGER NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_event`(`event_id`),
+    UNIQUE INDEX `uq_round_table`(`round_id`, `table_number`),
+    PRIMARY KEY (`team_match_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateIndex
+CREATE INDEX `idx_team` ON `bookings`(`team_id`);
+
+-- CreateIndex
+CREATE INDEX `idx_team_match` ON `pairings`(`team_match_id`);
+
+-- AddForeignKey
+ALTER TABLE `bookings` ADD CONSTRAINT `fk_booking_team` FOREIGN KEY (`team_id`) REFERENCES `teams`(`team_id`) ON DELETE RESTRICT ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `pairings` ADD CONSTRAINT `fk_pairing_team_match` FOREIGN KEY (`team_match_id`) REFERENCES `team_matches`(`team_match_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `teams` ADD CONSTRAINT `fk_team_captain` FOREIGN KEY (`captain_id`) REFERENCES `participants`(`participant_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `teams` ADD CONSTRAINT `fk_team_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`user_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_members` ADD CONSTRAINT `fk_team_member_team` FOREIGN KEY (`team_id`) REFERENCES `teams`(`team_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_members` ADD CONSTRAINT `fk_team_member_participant` FOREIGN KEY (`participant_id`) REFERENCES `participants`(`participant_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_matches` ADD CONSTRAINT `fk_team_match_round` FOREIGN KEY (`round_id`) REFERENCES `tournament_rounds`(`round_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_matches` ADD CONSTRAINT `fk_team_match_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_matches` ADD CONSTRAINT `fk_team_match_home` FOREIGN KEY (`home_team_id`) REFERENCES `teams`(`team_id`) ON DELETE RESTRICT ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `team_matches` ADD CONSTRAINT `fk_team_match_away` FOREIGN KEY (`away_team_id`) REFERENCES `teams`(`team_id`) ON DELETE RESTRICT ON UPDATE RESTRICT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `booking_participants` ADD COLUMN `checked_in_at` TIMESTAMP(0) NULL,
+    ADD COLUMN `checked_in_by` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `idx_checked_in_by` ON `booking_participants`(`checked_in_by`);
+
+-- AddForeignKey
+ALTER TABLE `booking_participants` ADD CONSTRAINT `fk_booking_participant_checked_in_by` FOREIGN KEY (`checked_in_by`) REFERENCES `users`(`user_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
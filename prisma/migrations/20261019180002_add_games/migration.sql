@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE `games` (
+    `game_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `pairing_id` INTEGER NOT NULL,
+    `headers` TEXT NOT NULL,
+    `movetext` MEDIUMTEXT NOT NULL,
+    `result` VARCHAR(7) NOT NULL,
+    `move_count` INTEGER NOT NULL DEFAULT 0,
+    `uploaded_by` INTEGER NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_game_pairing`(`pairing_id`),
+    INDEX `idx_event`(`event_id`),
+    INDEX `idx_uploaded_by`(`uploaded_by`),
+    PRIMARY KEY (`game_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `games` ADD CONSTRAINT `fk_game_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `games` ADD CONSTRAINT `fk_game_pairing` FOREIGN KEY (`pairing_id`) REFERENCES `pairings`(`pairing_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `games` ADD CONSTRAINT `fk_game_uploader` FOREIGN KEY (`uploaded_by`) REFERENCES `users`(`user_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
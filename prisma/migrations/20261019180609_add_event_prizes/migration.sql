@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `prize_tie_rule` ENUM('tie_break', 'equal_share', 'hort') NULL DEFAULT 'tie_break',
+    ADD COLUMN `one_prize_per_player` BOOLEAN NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE `event_prizes` (
+    `prize_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `category` ENUM('overall', 'female', 'age', 'unrated', 'govt_student') NOT NULL DEFAULT 'overall',
+    `age_limit` INTEGER NULL,
+    `place` INTEGER NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+    `label` VARCHAR(100) NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_event`(`event_id`),
+    PRIMARY KEY (`prize_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `event_prizes` ADD CONSTRAINT `fk_event_prize_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE `certificate_templates` (
+    `template_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `certificate_type` ENUM('participation', 'merit') NOT NULL,
+    `background_image` VARCHAR(255) NULL,
+    `orientation` ENUM('landscape', 'portrait') NOT NULL DEFAULT 'landscape',
+    `fields` TEXT NOT NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_event_certificate_type`(`event_id`, `certificate_type`),
+    PRIMARY KEY (`template_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `certificates` (
+    `certificate_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `player_id` INTEGER NOT NULL,
+    `certificate_type` ENUM('participation', 'merit') NOT NULL,
+    `verification_code` VARCHAR(20) NOT NULL,
+    `full_name` VARCHAR(255) NOT NULL,
+    `rank` INTEGER NULL,
+    `category` VARCHAR(255) NULL,
+    `issued_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `verification_code`(`verification_code`),
+    INDEX `idx_event`(`event_id`),
+    UNIQUE INDEX `uq_player_certificate_type`(`player_id`, `certificate_type`),
+    PRIMARY KEY (`certificate_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `certificate_templates` ADD CONSTRAINT `fk_certificate_template_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `certificates` ADD CONSTRAINT `fk_certificate_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `certificates` ADD CONSTRAINT `fk_certificate_player` FOREIGN KEY (`player_id`) REFERENCES `booking_participants`(`id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `users` MODIFY `user_type` ENUM('player', 'organizer', 'admin', 'arbiter') NULL DEFAULT 'player';
+
+-- CreateTable
+CREATE TABLE `event_arbiters` (
+    `id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `user_id` INTEGER NOT NULL,
+    `arbiter_role` ENUM('chief', 'deputy') NOT NULL DEFAULT 'deputy',
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_user`(`user_id`),
+    UNIQUE INDEX `uq_event_arbiter`(`event_id`, `user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `event_arbiters` ADD CONSTRAINT `fk_event_arbiter_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `event_arbiters` ADD CONSTRAINT `fk_event_arbiter_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`user_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE `waitlist_entries` (
+    `entry_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `event_id` INTEGER NOT NULL,
+    `user_id` INTEGER NOT NULL,
+    `booking_data` TEXT NOT NULL,
+    `participant_count` INTEGER NOT NULL,
+    `position` INTEGER NOT NULL,
+    `waitlist_status` ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled') NOT NULL DEFAULT 'waiting',
+    `offered_at` TIMESTAMP(0) NULL,
+    `hold_expires_at` TIMESTAMP(0) NULL,
+    `booking_id` INTEGER NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `booking_id`(`booking_id`),
+    INDEX `idx_event_status`(`event_id`, `waitlist_status`),
+    INDEX `idx_user`(`user_id`),
+    PRIMARY KEY (`entry_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `waitlist_entries` ADD CONSTRAINT `fk_waitlist_event` FOREIGN KEY (`event_id`) REFERENCES `events`(`event_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `waitlist_entries` ADD CONSTRAINT `fk_waitlist_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`user_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `waitlist_entries` ADD CONSTRAINT `fk_waitlist_booking` FOREIGN KEY (`booking_id`) REFERENCES `bookings`(`booking_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
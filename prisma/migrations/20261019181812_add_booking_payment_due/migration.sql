@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `payment_due_at` TIMESTAMP(0) NULL;
+
+-- AlterTable
+ALTER TABLE `payments` MODIFY `payment_status` ENUM('pending', 'completed', 'failed', 'refunded', 'expired') NULL DEFAULT 'pending';
+
+-- CreateIndex
+CREATE INDEX `idx_payment_due` ON `bookings`(`booking_status`, `payment_due_at`);
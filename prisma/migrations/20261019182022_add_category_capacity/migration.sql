@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `event_category_mapping` ADD COLUMN `max_capacity` INTEGER NULL,
+    ADD COLUMN `current_bookings` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `booking_participants` ADD COLUMN `category_id` INTEGER NULL;
+
+-- CreateIndex
+CREATE INDEX `idx_category` ON `booking_participants`(`category_id`);
+
+-- AddForeignKey
+ALTER TABLE `booking_participants` ADD CONSTRAINT `fk_booking_participant_category` FOREIGN KEY (`category_id`) REFERENCES `event_categories`(`category_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `refund_policy` TEXT NULL;
+
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `cancelled_at` TIMESTAMP(0) NULL,
+    ADD COLUMN `refund_amount` DECIMAL(10, 2) NULL,
+    ADD COLUMN `refund_policy` TEXT NULL;
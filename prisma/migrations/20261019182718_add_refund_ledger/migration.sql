@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE `refunds` (
+    `refund_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `payment_id` INTEGER NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `reason` VARCHAR(500) NULL,
+    `initiated_by` INTEGER NULL,
+    `gateway_refund_id` VARCHAR(100) NULL,
+    `refund_status` ENUM('pending', 'processed', 'failed') NOT NULL DEFAULT 'pending',
+    `gateway_response` TEXT NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `updated_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    UNIQUE INDEX `uq_gateway_refund_id`(`gateway_refund_id`),
+    INDEX `idx_payment`(`payment_id`),
+    INDEX `idx_refund_status`(`refund_status`),
+    INDEX `idx_initiated_by`(`initiated_by`),
+    PRIMARY KEY (`refund_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `fk_refund_payment` FOREIGN KEY (`payment_id`) REFERENCES `payments`(`payment_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `refunds` ADD CONSTRAINT `fk_refund_initiated_by` FOREIGN KEY (`initiated_by`) REFERENCES `users`(`user_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE `payment_reconciliations` (
+    `reconciliation_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `status` ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+    `window_start` TIMESTAMP(0) NOT NULL,
+    `window_end` TIMESTAMP(0) NOT NULL,
+    `checked_count` INTEGER NOT NULL DEFAULT 0,
+    `fixed_count` INTEGER NOT NULL DEFAULT 0,
+    `ambiguous_count` INTEGER NOT NULL DEFAULT 0,
+    `orphaned_count` INTEGER NOT NULL DEFAULT 0,
+    `error` TEXT NULL,
+    `started_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+    `completed_at` TIMESTAMP(0) NULL,
+
+    INDEX `idx_started_at`(`started_at`),
+    PRIMARY KEY (`reconciliation_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `payment_reconciliation_items` (
+    `item_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `reconciliation_id` INTEGER NOT NULL,
+    `payment_id` INTEGER NULL,
+    `gateway_order_id` VARCHAR(100) NOT NULL,
+    `gateway_payment_id` VARCHAR(100) NULL,
+    `outcome` ENUM('fixed', 'ambiguous', 'orphaned') NOT NULL,
+    `action` VARCHAR(50) NOT NULL,
+    `details` VARCHAR(500) NULL,
+    `amount` DECIMAL(10, 2) NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_reconciliation_outcome`(`reconciliation_id`, `outcome`),
+    INDEX `idx_payment`(`payment_id`),
+    PRIMARY KEY (`item_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `payment_reconciliation_items` ADD CONSTRAINT `fk_reconciliation_item_run` FOREIGN KEY (`reconciliation_id`) REFERENCES `payment_reconciliations`(`reconciliation_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
+
+-- AddForeignKey
+ALTER TABLE `payment_reconciliation_items` ADD CONSTRAINT `fk_reconciliation_item_payment` FOREIGN KEY (`payment_id`) REFERENCES `payments`(`payment_id`) ON DELETE SET NULL ON UPDATE RESTRICT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE `events` ADD COLUMN `currency` VARCHAR(3) NOT NULL DEFAULT 'INR',
+    ADD COLUMN `payment_gateway` ENUM('stripe', 'paypal', 'razorpay') NULL;
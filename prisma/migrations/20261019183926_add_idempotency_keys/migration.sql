@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `idempotency_keys` (
+    `idempotency_key_id` INTEGER NOT NULL AUTO_INCREMENT,
+    `user_id` INTEGER NOT NULL,
+    `key` VARCHAR(255) NOT NULL,
+    `method` VARCHAR(10) NOT NULL,
+    `path` VARCHAR(255) NOT NULL,
+    `request_hash` CHAR(64) NOT NULL,
+    `status_code` INTEGER NULL,
+    `response_body` JSON NULL,
+    `expires_at` TIMESTAMP(0) NOT NULL,
+    `created_at` TIMESTAMP(0) NOT NULL DEFAULT CURRENT_TIMESTAMP(0),
+
+    INDEX `idx_idempotency_expires`(`expires_at`),
+    UNIQUE INDEX `uq_idempotency_user_key`(`user_id`, `key`),
+    PRIMARY KEY (`idempotency_key_id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `idempotency_keys` ADD CONSTRAINT `fk_idempotency_key_user` FOREIGN KEY (`user_id`) REFERENCES `users`(`user_id`) ON DELETE CASCADE ON UPDATE RESTRICT;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `bookings` ADD COLUMN `refund_status` ENUM('pending', 'processed', 'failed') NULL,
+    ADD COLUMN `refund_due` DECIMAL(10, 2) NOT NULL DEFAULT 0.00;
+
+-- Bookings refunded before refund tracking
+UPDATE `bookings` SET `refund_status` = 'processed' WHERE `payment_status` = 'refunded';
+
+-- CreateIndex
+CREATE INDEX `idx_refund_status` ON `bookings`(`refund_status`);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `payments` ADD COLUMN `gateway_payment_id` VARCHAR(100) NULL;
+
+-- Captured payments stored their gateway payment ID in the gateway response
+UPDATE `payments`
+SET `gateway_payment_id` = JSON_UNQUOTE(JSON_EXTRACT(`gateway_response`, '$.paymentId'))
+WHERE `payment_status` IN ('completed', 'refunded')
+    AND JSON_VALID(`gateway_response`)
+    AND JSON_EXTRACT(`gateway_response`, '$.paymentId') IS NOT NULL;
@@ -109,6 +109,49 @@ async function main() {
       description: "Open category for all ages",
       isActive: true,
     },
+    {
+      categoryName: "Women",
+      categoryCode: "WOMEN",
+      ageLimit: null,
+      gender: "FEMALE",
+      description: "Open category for women players",
+      isActive: true,
+    },
+    {
+      categoryName: "Seniors 50+",
+      categoryCode: "S50",
+      ageLimit: null,
+      minAge: 50,
+      description: "Players aged 50 years and above",
+      isActive: true,
+    },
+    {
+      categoryName: "Below 1400",
+      categoryCode: "B1400",
+      ageLimit: null,
+      ratingType: "STANDARD",
+      maxRating: 1399,
+      description: "Players rated below 1400 (standard)",
+      isActive: true,
+    },
+    {
+      categoryName: "Below 1600",
+      categoryCode: "B1600",
+      ageLimit: null,
+      ratingType: "STANDARD",
+      maxRating: 1599,
+      description: "Players rated below 1600 (standard)",
+      isActive: true,
+    },
+    {
+      categoryName: "Below 1800",
+      categoryCode: "B1800",
+      ageLimit: null,
+      ratingType: "STANDARD",
+      maxRating: 1799,
+      description: "Players rated below 1800 (standard)",
+      isActive: true,
+    },
   ];
 
   for (const category of categories) {
@@ -25,6 +25,10 @@ const adminRoutes = require("./modules/admin/admin.routes");
 const enrollmentRoutes = require("./modules/enrollments/enrollment.routes");
 const notificationRoutes = require("./modules/notifications/notification.routes");
 const settingsRoutes = require("./modules/settings/settings.routes");
+const tournamentRoutes = require("./modules/tournaments/tournament.routes");
+const ratingRoutes = require("./modules/ratings/rating.routes");
+const teamRoutes = require("./modules/teams/team.routes");
+const certificateRoutes = require("./modules/certificates/certificate.routes");
 
 // Create Express app
 const app = express();
@@ -78,12 +82,21 @@ app.use(
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+    exposedHeaders: ["Idempotent-Replayed"],
   })
 );
 
 // Body parsers
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes("/webhook/")) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Serve static files (uploaded files)
@@ -130,12 +143,16 @@ const API_PREFIX = `/api/${config.apiVersion}`;
 app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/users`, userRoutes);
 app.use(`${API_PREFIX}/participants`, participantRoutes);
+app.use(`${API_PREFIX}/teams`, teamRoutes);
 app.use(`${API_PREFIX}/events`, eventRoutes);
+app.use(`${API_PREFIX}/events/:eventId`, tournamentRoutes);
 app.use(`${API_PREFIX}/bookings`, bookingRoutes);
 app.use(`${API_PREFIX}/payments`, paymentRoutes);
 app.use(`${API_PREFIX}/admin`, adminRoutes);
 app.use(`${API_PREFIX}/enrollments`, enrollmentRoutes);
 app.use(`${API_PREFIX}/notifications`, notificationRoutes);
+app.use(`${API_PREFIX}/ratings`, ratingRoutes);
+app.use(`${API_PREFIX}/certificates`, certificateRoutes);
 app.use(`${API_PREFIX}/settings`, settingsRoutes);
 
 // 404 handler - must be after all routes
@@ -9,6 +9,13 @@ module.exports = {
     PLAYER: "PLAYER",
     ORGANIZER: "ORGANIZER",
     ADMIN: "ADMIN",
+    ARBITER: "ARBITER",
+  },
+
+  // Arbiter roles within an event
+  ARBITER_ROLES: {
+    CHIEF: "CHIEF",
+    DEPUTY: "DEPUTY",
   },
 
   // User Status
@@ -50,6 +57,152 @@ module.exports = {
     COMPLETED: "COMPLETED",
   },
 
+  // Waitlist Entry Status
+  WAITLIST_STATUS: {
+    WAITING: "WAITING",
+    OFFERED: "OFFERED",
+    BOOKED: "BOOKED",
+    EXPIRED: "EXPIRED",
+    CANCELLED: "CANCELLED",
+  },
+
+  // Hours a waitlisted user has to book a slot offered to them
+  WAITLIST_HOLD_HOURS: 24,
+
+  // Minutes a pending booking holds its slots before it must be paid
+  // (default for the bookingPaymentHoldMinutes setting)
+  BOOKING_PAYMENT_HOLD_MINUTES: 30,
+
+  // Tournament Formats
+  TOURNAMENT_FORMATS: {
+    SWISS: "SWISS",
+    ROUND_ROBIN: "ROUND_ROBIN",
+    DOUBLE_ROUND_ROBIN: "DOUBLE_ROUND_ROBIN",
+    KNOCKOUT: "KNOCKOUT",
+  },
+
+  // Knockout Game Types (per match)
+  GAME_TYPES: {
+    REGULAR: "REGULAR",
+    TIEBREAK: "TIEBREAK",
+    ARMAGEDDON: "ARMAGEDDON",
+  },
+
+  // Team Event Entry Fee (per player or per team)
+  FEE_TYPES: {
+    PER_PLAYER: "PER_PLAYER",
+    PER_TEAM: "PER_TEAM",
+  },
+
+  // Team Standings Primary Score
+  TEAM_SCORING: {
+    MATCH_POINTS: "MATCH_POINTS",
+    GAME_POINTS: "GAME_POINTS",
+  },
+
+  // Match points for a team match won, drawn or lost
+  TEAM_MATCH_POINTS: {
+    WIN: 2,
+    DRAW: 1,
+    LOSS: 0,
+  },
+
+  // Prize Categories (overall places or best-in-category prizes)
+  PRIZE_CATEGORIES: {
+    OVERALL: "OVERALL",
+    FEMALE: "FEMALE",
+    AGE: "AGE",
+    UNRATED: "UNRATED",
+    GOVT_STUDENT: "GOVT_STUDENT",
+  },
+
+  // How prizes are split between players tied on points
+  PRIZE_TIE_RULES: {
+    TIE_BREAK: "TIE_BREAK",
+    EQUAL_SHARE: "EQUAL_SHARE",
+    HORT: "HORT",
+  },
+
+  // Certificate Types
+  CERTIFICATE_TYPES: {
+    PARTICIPATION: "PARTICIPATION",
+    MERIT: "MERIT",
+  },
+
+  // Certificate page orientation (A4)
+  PAGE_ORIENTATIONS: {
+    LANDSCAPE: "LANDSCAPE",
+    PORTRAIT: "PORTRAIT",
+  },
+
+  // Values that can be placed on a certificate template
+  CERTIFICATE_FIELDS: [
+    "name",
+    "rank",
+    "category",
+    "eventName",
+    "date",
+    "verificationCode",
+  ],
+
+  // Tournament Round Status
+  ROUND_STATUS: {
+    DRAFT: "DRAFT",
+    PUBLISHED: "PUBLISHED",
+  },
+
+  // Game Results (per board)
+  GAME_RESULTS: {
+    WHITE_WIN: "WHITE_WIN",
+    BLACK_WIN: "BLACK_WIN",
+    DRAW: "DRAW",
+    WHITE_FORFEIT_WIN: "WHITE_FORFEIT_WIN",
+    BLACK_FORFEIT_WIN: "BLACK_FORFEIT_WIN",
+    DOUBLE_FORFEIT: "DOUBLE_FORFEIT",
+    BYE: "BYE",
+    HALF_POINT_BYE: "HALF_POINT_BYE",
+  },
+
+  // Standings Tie-Breaks (applied in the configured order)
+  TIE_BREAKS: {
+    BUCHHOLZ: "BUCHHOLZ",
+    BUCHHOLZ_CUT_1: "BUCHHOLZ_CUT_1",
+    SONNEBORN_BERGER: "SONNEBORN_BERGER",
+    PROGRESSIVE: "PROGRESSIVE",
+    DIRECT_ENCOUNTER: "DIRECT_ENCOUNTER",
+    WINS: "WINS",
+  },
+
+  DEFAULT_TIE_BREAKS: [
+    "BUCHHOLZ_CUT_1",
+    "BUCHHOLZ",
+    "SONNEBORN_BERGER",
+    "DIRECT_ENCOUNTER",
+  ],
+
+  // Refund on cancellation: a cancellation at least hoursBefore the event
+  // start gets refundPercent of the amount paid; later ones get no refund
+  DEFAULT_REFUND_POLICY: {
+    rules: [
+      { hoursBefore: 168, refundPercent: 100 },
+      { hoursBefore: 48, refundPercent: 50 },
+    ],
+    refundPlatformFee: false,
+  },
+
+  // FIDE Rating Types
+  RATING_TYPES: {
+    STANDARD: "STANDARD",
+    RAPID: "RAPID",
+    BLITZ: "BLITZ",
+  },
+
+  // Piece Colours
+  COLOURS: {
+    WHITE: "WHITE",
+    BLACK: "BLACK",
+  },
+
   // Payment Status (Prisma enum names - uppercase, maps to lowercase in DB)
   PAYMENT_STATUS: {
     PENDING: "PENDING",
@@ -59,6 +212,46 @@ module.exports = {
     FAILED: "FAILED",
   },
 
+  // Status of a gateway payment record (Prisma enum names, Payment table)
+  PAYMENT_RECORD_STATUS: {
+    PENDING: "pending",
+    COMPLETED: "completed",
+    FAILED: "failed",
+    REFUNDED: "refunded",
+    EXPIRED: "expired",
+  },
+
+  // Refund Status (refund records of a payment)
+  REFUND_STATUS: {
+    PENDING: "PENDING",
+    PROCESSED: "PROCESSED",
+    FAILED: "FAILED",
+  },
+
+  // Payment Reconciliation Run Status
+  RECONCILIATION_STATUS: {
+    RUNNING: "RUNNING",
+    COMPLETED: "COMPLETED",
+    FAILED: "FAILED",
+  },
+
+  // Outcome of a reconciled gateway transaction
+  RECONCILIATION_OUTCOMES: {
+    FIXED: "FIXED",
+    AMBIGUOUS: "AMBIGUOUS",
+    ORPHANED: "ORPHANED",
+  },
+
+  // Hours of gateway orders checked by each reconciliation run
+  PAYMENT_RECONCILIATION_WINDOW_HOURS: 48,
+
+  // Pending payments younger than this may still be in checkout
+  PAYMENT_RECONCILIATION_GRACE_MINUTES: 30,
+
+  // Pending payments older than this are no longer checked; one still
+  // unresolved by then has been reported on every earlier run
+  PAYMENT_RECONCILIATION_LOOKBACK_DAYS: 7,
+
   // Payment Gateways (Prisma enum names)
   PAYMENT_GATEWAYS: {
     RAZORPAY: "razorpay",
@@ -66,6 +259,27 @@ module.exports = {
     PAYPAL: "paypal",
   },
 
+  // Currency of events that do not set one
+  DEFAULT_CURRENCY: "INR",
+
+  // Gateway webhook events, as normalized by the gateway adapters
+  PAYMENT_WEBHOOK_EVENTS: {
+    PAYMENT_CAPTURED: "payment.captured",
+    PAYMENT_FAILED: "payment.failed",
+    REFUND_PROCESSED: "refund.processed",
+    REFUND_FAILED: "refund.failed",
+  },
+
+  // Hours a stored Idempotency-Key response is replayed for retries
+  IDEMPOTENCY_KEY_TTL_HOURS: 24,
+
+  // Minutes a key stays locked while its first request runs; a request that
+  // never answers (e.g. the server restarted) frees the key after this
+  IDEMPOTENCY_KEY_LOCK_MINUTES: 5,
+
+  // Longest Idempotency-Key accepted
+  IDEMPOTENCY_KEY_MAX_LENGTH: 255,
+
   // Enrollment Status
   ENROLLMENT_STATUS: {
     PENDING: "PENDING",
@@ -124,6 +338,9 @@ module.exports = {
     DOCUMENTS: "uploads/documents",
     EVENTS: "uploads/events",
     RULES: "uploads/rules",
+    RATINGS: "uploads/ratings",
+    PGN: "uploads/pgn",
+    CERTIFICATES: "uploads/certificates",
   },
 
   // Tournament Category Gender Rules
@@ -134,9 +351,11 @@ module.exports = {
     MALE_CAN_JOIN_FEMALE: false,
   },
 
-  // Booking Reference Generation
+  // Booking Reference Generation (random Crockford base32 symbols after the
+  // prefix, followed by a check symbol)
   BOOKING_REFERENCE_PREFIX: "CC",
-  BOOKING_REFERENCE_LENGTH: 10,
+  BOOKING_REFERENCE_LENGTH: 8,
+  BOOKING_REFERENCE_MAX_ATTEMPTS: 5,
 
   // Pagination
   DEFAULT_PAGE_SIZE: 10,
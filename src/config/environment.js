@@ -29,6 +29,12 @@ const config = {
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
   },
 
+  // Check-in passes (QR codes in booking confirmations)
+  checkIn: {
+    secret:
+      process.env.CHECKIN_SECRET || process.env.JWT_SECRET || "your-checkin-secret",
+  },
+
   // Email Configuration
   email: {
     host: process.env.EMAIL_HOST || "smtp.gmail.com",
@@ -43,6 +49,22 @@ const config = {
   razorpay: {
     keyId: process.env.RAZORPAY_KEY_ID,
     keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+  },
+
+  // Stripe Configuration
+  stripe: {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  },
+
+  // PayPal Configuration
+  paypal: {
+    clientId: process.env.PAYPAL_CLIENT_ID,
+    clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+    webhookId: process.env.PAYPAL_WEBHOOK_ID,
+    environment: process.env.PAYPAL_ENVIRONMENT || "sandbox", // or "live"
   },
 
   // Google OAuth Configuration
@@ -64,6 +86,10 @@ const config = {
       "image/jpg",
       "application/pdf",
     ],
+    // FIDE rating lists are large plain text / XML files
+    ratingListMaxSize:
+      parseInt(process.env.RATING_LIST_MAX_FILE_SIZE, 10) || 314572800, // 300MB
+    pgnMaxSize: parseInt(process.env.PGN_MAX_FILE_SIZE, 10) || 10485760, // 10MB
   },
 
   // Admin Configuration
@@ -73,11 +99,26 @@ const config = {
 
   // Platform Fee Configuration
   fees: {
-    offlinePlatformFee: parseFloat(process.env.OFFLINE_PLATFORM_FEE) || 10,
+    offlinePlatformFee: parseFloat(process.env.OFFLINE_PLATFORM_FEE) || 10, // INR
+    // Fee per player in other currencies, as JSON (e.g. {"USD":0.15,"EUR":0.1});
+    // events in a currency not listed are charged no platform fee
+    offlinePlatformFeesByCurrency: JSON.parse(
+      process.env.OFFLINE_PLATFORM_FEES_BY_CURRENCY || "{}"
+    ),
     adminCommissionPercentage:
       parseFloat(process.env.ADMIN_COMMISSION_PERCENTAGE) || 0,
   },
 
+  // Background Jobs
+  jobs: {
+    bookingExpiryIntervalMs:
+      parseInt(process.env.BOOKING_EXPIRY_INTERVAL_MS, 10) || 60000, // 1 minute
+    // Hour of the day (server time) payments are reconciled with the gateway
+    paymentReconciliationHour: process.env.PAYMENT_RECONCILIATION_HOUR
+      ? parseInt(process.env.PAYMENT_RECONCILIATION_HOUR, 10)
+      : 2,
+  },
+
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000, // 15 minutes
@@ -0,0 +1,64 @@
+/**
+ * Booking Expiry Job
+ * Periodically cancel pending bookings whose payment window has passed
+ */
+
+const config = require("../config/environment");
+const BookingService = require("../modules/bookings/booking.service");
+
+class BookingExpiryJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start running the job on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(
+      () => this.run(),
+      config.jobs.bookingExpiryIntervalMs
+    );
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Expire unpaid bookings once
+   * Skipped if the previous run is still in progress.
+   * @returns {Promise<number>} Number of expired bookings
+   */
+  async run() {
+    if (this.running) return 0;
+
+    this.running = true;
+    try {
+      const expired = await BookingService.expireUnpaidBookings();
+
+      if (expired > 0) {
+        console.log(`⏰ Expired ${expired} unpaid booking(s)`);
+      }
+
+      return expired;
+    } catch (error) {
+      console.error("❌ Booking expiry job failed:", error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new BookingExpiryJob();
@@ -0,0 +1,59 @@
+/**
+ * Idempotency Key Cleanup Job
+ * Periodically delete idempotency keys whose replay window has passed
+ */
+
+const {
+  purgeExpiredIdempotencyKeys,
+} = require("../middleware/idempotency.middleware");
+
+// Expired keys are already ignored on lookup, so hourly is often enough
+const INTERVAL_MS = 60 * 60 * 1000;
+
+class IdempotencyKeyCleanupJob {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start running the job on an interval
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.run(), INTERVAL_MS);
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete expired keys once
+   * Skipped if the previous run is still in progress.
+   * @returns {Promise<number>} Number of deleted keys
+   */
+  async run() {
+    if (this.running) return 0;
+
+    this.running = true;
+    try {
+      return await purgeExpiredIdempotencyKeys();
+    } catch (error) {
+      console.error("❌ Idempotency key cleanup job failed:", error);
+      return 0;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new IdempotencyKeyCleanupJob();
@@ -0,0 +1,77 @@
+/**
+ * Payment Reconciliation Job
+ * Reconcile payments with the gateway every night
+ */
+
+const config = require("../config/environment");
+const ReconciliationService = require("../modules/payments/reconciliation.service");
+const RazorpayGateway = require("../modules/payments/razorpay.gateway");
+
+class PaymentReconciliationJob {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Schedule the job for the configured hour every day
+   * Only Razorpay payments are reconciled, so nothing is scheduled without
+   * Razorpay credentials.
+   */
+  start() {
+    if (this.timer || !RazorpayGateway.isConfigured()) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run().finally(() => this.start());
+    }, this.getDelayUntilNextRun());
+
+    // Do not keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the job
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Get the time until the next run
+   * @param {Date} now - Current time
+   * @returns {number} Milliseconds until the configured hour
+   */
+  getDelayUntilNextRun(now = new Date()) {
+    const next = new Date(now);
+    next.setHours(config.jobs.paymentReconciliationHour, 0, 0, 0);
+
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    return next.getTime() - now.getTime();
+  }
+
+  /**
+   * Reconcile payments once
+   * @returns {Promise<object|null>} Reconciliation report, or null on failure
+   */
+  async run() {
+    try {
+      const report = await ReconciliationService.runReconciliation();
+
+      console.log(
+        `🧾 Payment reconciliation: ${report.fixedCount} fixed, ` +
+          `${report.ambiguousCount} ambiguous, ${report.orphanedCount} orphaned`
+      );
+
+      return report;
+    } catch (error) {
+      console.error("❌ Payment reconciliation job failed:", error);
+      return null;
+    }
+  }
+}
+
+module.exports = new PaymentReconciliationJob();
@@ -0,0 +1,48 @@
+/**
+ * Audit Middleware
+ * Record actions performed by arbiters in the audit log
+ */
+
+const AdminService = require("../modules/admin/admin.service");
+const { USER_TYPES, ENTITY_TYPES } = require("../config/constants");
+
+/**
+ * Audit an arbiter action on an event
+ * The entry is written once the response has been sent, and only when the
+ * request succeeded. Organizer requests on the same routes are not logged.
+ * @param {string} action - Action name (e.g. RECORD_RESULTS)
+ */
+const auditArbiterAction = (action) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.userType !== USER_TYPES.ARBITER) {
+      return next();
+    }
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        await AdminService.createAuditLog(
+          req.user.userId,
+          action,
+          ENTITY_TYPES.EVENT,
+          parseInt(req.params.eventId),
+          null,
+          {
+            params: req.params,
+            body: req.body,
+            file: req.file?.originalname,
+          }
+        );
+      } catch (error) {
+        console.error("Failed to log arbiter action:", error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditArbiterAction,
+};
@@ -164,6 +164,36 @@ const isOrganizerOrAdmin = (req, res, next) => {
   return ResponseUtil.forbidden(res, "Access restricted");
 };
 
+/**
+ * Check if user is an arbiter
+ * Middleware to restrict access to arbiter users only
+ */
+const isArbiter = (req, res, next) => {
+  if (req.user.userType !== USER_TYPES.ARBITER) {
+    return ResponseUtil.forbidden(res, "Access restricted to arbiters only");
+  }
+  next();
+};
+
+/**
+ * Check if user is organizer or arbiter
+ * Middleware for event operations that assigned arbiters may also perform.
+ * Whether the arbiter is assigned to the event is checked by the service.
+ */
+const isOrganizerOrArbiter = (req, res, next) => {
+  const { userType, organizerApproved } = req.user;
+
+  if (userType === USER_TYPES.ARBITER) {
+    return next();
+  }
+
+  if (userType === USER_TYPES.ORGANIZER && organizerApproved) {
+    return next();
+  }
+
+  return ResponseUtil.forbidden(res, "Access restricted");
+};
+
 /**
  * Check if user can access resource
  * Middleware to check if user owns the resource or is admin
@@ -198,5 +228,7 @@ module.exports = {
   isOrganizer,
   isAdmin,
   isOrganizerOrAdmin,
+  isArbiter,
+  isOrganizerOrArbiter,
   canAccessResource,
 };
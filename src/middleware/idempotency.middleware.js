@@ -0,0 +1,207 @@
+/**
+ * Idempotency Middleware
+ * Replay the first response of a request retried with the same
+ * Idempotency-Key header instead of running it again
+ */
+
+const crypto = require("crypto");
+const { prisma } = require("../config/database");
+const ResponseUtil = require("../utils/response.util");
+const {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_KEY_LOCK_MINUTES,
+  IDEMPOTENCY_KEY_MAX_LENGTH,
+  STATUS_CODES,
+} = require("../config/constants");
+
+/**
+ * Serialize a value with object keys sorted, so that the same body always
+ * hashes the same whatever order the client sent its fields in
+ * @param {*} value - Value to serialize
+ * @returns {string} JSON string
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Claim an idempotency key for a request
+ * The key is stored before the request runs, so a retry that arrives while
+ * the first request is still running finds it. An expired key is replaced.
+ * @param {object} request - { userId, key, method, path, requestHash }
+ * @returns {Promise<object>} { record, claimed } - claimed is false if the
+ *   key is already in use
+ */
+const claimKey = async (request) => {
+  const now = new Date();
+
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        ...request,
+        expiresAt: new Date(
+          now.getTime() + IDEMPOTENCY_KEY_LOCK_MINUTES * 60 * 1000
+        ),
+      },
+    });
+
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== "P2002") throw error;
+  }
+
+  const record = await prisma.idempotencyKey.findUnique({
+    where: { userId_key: { userId: request.userId, key: request.key } },
+  });
+
+  if (!record) {
+    return claimKey(request);
+  }
+
+  if (record.expiresAt <= now) {
+    await prisma.idempotencyKey.deleteMany({
+      where: {
+        idempotencyKeyId: record.idempotencyKeyId,
+        expiresAt: { lte: now },
+      },
+    });
+
+    return claimKey(request);
+  }
+
+  return { record, claimed: false };
+};
+
+/**
+ * Store the response of a request for replay
+ * Server errors are not stored; the key is released so the retry runs again.
+ * @param {number} idempotencyKeyId - Claimed key ID
+ * @param {number} statusCode - Response status code
+ * @param {object} body - Response body
+ */
+const saveResponse = async (idempotencyKeyId, statusCode, body) => {
+  try {
+    if (statusCode >= STATUS_CODES.SERVER_ERROR) {
+      await prisma.idempotencyKey.deleteMany({ where: { idempotencyKeyId } });
+      return;
+    }
+
+    await prisma.idempotencyKey.updateMany({
+      where: { idempotencyKeyId },
+      data: {
+        statusCode,
+        responseBody: JSON.parse(JSON.stringify(body)),
+        expiresAt: new Date(
+          Date.now() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Failed to store idempotent response:", error);
+  }
+};
+
+/**
+ * Make a request safe to retry
+ * Requests without an Idempotency-Key header run as usual. The first request
+ * with a key runs and its response is stored; a retry with the same key and
+ * body gets that response again (with an Idempotent-Replayed header). Reusing
+ * a key for a different request, or while the first one is still running,
+ * is a conflict. Keys are scoped to the user, so use after authenticate.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+    return ResponseUtil.badRequest(
+      res,
+      `Idempotency-Key must be 1 to ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`
+    );
+  }
+
+  try {
+    const request = {
+      userId: req.user.userId,
+      key,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash: crypto
+        .createHash("sha256")
+        .update(canonicalJson(req.body || {}))
+        .digest("hex"),
+    };
+
+    const { record, claimed } = await claimKey(request);
+
+    if (!claimed) {
+      if (
+        record.method !== request.method ||
+        record.path !== request.path ||
+        record.requestHash !== request.requestHash
+      ) {
+        return ResponseUtil.conflict(
+          res,
+          "Idempotency-Key has already been used for a different request"
+        );
+      }
+
+      if (record.statusCode === null) {
+        return ResponseUtil.conflict(
+          res,
+          "A request with this Idempotency-Key is still being processed"
+        );
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.statusCode).json(record.responseBody);
+    }
+
+    // Every response (including errors from the error handler) goes
+    // through res.json, so the first one sent is the one stored
+    const json = res.json.bind(res);
+    let saved = false;
+    res.json = (body) => {
+      if (!saved) {
+        saved = true;
+        saveResponse(record.idempotencyKeyId, res.statusCode, body);
+      }
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete idempotency keys past their replay window
+ * @returns {Promise<number>} Number of deleted keys
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return count;
+};
+
+module.exports = {
+  idempotent,
+  purgeExpiredIdempotencyKeys,
+};
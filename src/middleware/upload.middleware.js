@@ -16,6 +16,16 @@ Object.values(UPLOAD_PATHS).forEach((dir) => {
   }
 });
 
+/**
+ * Generate unique filename: timestamp-randomstring-originalname
+ */
+const generateFilename = (req, file, cb) => {
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const ext = path.extname(file.originalname);
+  const name = path.basename(file.originalname, ext).replace(/\s+/g, "-");
+  cb(null, `${name}-${uniqueSuffix}${ext}`);
+};
+
 /**
  * Configure multer storage
  */
@@ -30,17 +40,13 @@ const storage = multer.diskStorage({
       uploadPath = UPLOAD_PATHS.EVENTS;
     } else if (file.fieldname === "rulesPdf") {
       uploadPath = UPLOAD_PATHS.RULES;
+    } else if (file.fieldname === "certificateBackground") {
+      uploadPath = UPLOAD_PATHS.CERTIFICATES;
     }
 
     cb(null, uploadPath);
   },
-  filename: (req, file, cb) => {
-    // Generate unique filename: timestamp-randomstring-originalname
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const name = path.basename(file.originalname, ext).replace(/\s+/g, "-");
-    cb(null, `${name}-${uniqueSuffix}${ext}`);
-  },
+  filename: generateFilename,
 });
 
 /**
@@ -73,6 +79,54 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+/**
+ * Rating list upload configuration (FIDE TXT/XML downloads)
+ */
+const ratingListUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, UPLOAD_PATHS.RATINGS),
+    filename: generateFilename,
+  }),
+  limits: {
+    fileSize: config.upload.ratingListMaxSize,
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if ([".txt", ".xml"].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Allowed types: .txt, .xml"), false);
+    }
+  },
+});
+
+/**
+ * PGN upload configuration (chess game files)
+ * Browsers often send .pgn files as text/plain or application/octet-stream,
+ * so the extension is accepted as well as the PGN MIME types.
+ */
+const pgnUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, UPLOAD_PATHS.PGN),
+    filename: generateFilename,
+  }),
+  limits: {
+    fileSize: config.upload.pgnMaxSize,
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const pgnTypes = ["application/x-chess-pgn", "application/vnd.chess-pgn"];
+    if (ext === ".pgn" || pgnTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error("Invalid file type. Allowed types: application/x-chess-pgn (.pgn)"),
+        false
+      );
+    }
+  },
+});
+
 /**
  * Single file upload middleware
  * @param {string} fieldName - Name of the file input field
@@ -97,6 +151,22 @@ const uploadFields = (fields) => {
   return upload.fields(fields);
 };
 
+/**
+ * Rating list upload middleware
+ * @param {string} fieldName - Name of the file input field
+ */
+const uploadRatingList = (fieldName) => {
+  return ratingListUpload.single(fieldName);
+};
+
+/**
+ * PGN upload middleware
+ * @param {string} fieldName - Name of the file input field
+ */
+const uploadPgn = (fieldName) => {
+  return pgnUpload.single(fieldName);
+};
+
 /**
  * Delete file from filesystem
  * @param {string} filePath - Path to file
@@ -111,5 +181,7 @@ module.exports = {
   uploadSingle,
   uploadMultiple,
   uploadFields,
+  uploadRatingList,
+  uploadPgn,
   deleteFile,
 };
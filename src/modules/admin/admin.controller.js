@@ -4,6 +4,7 @@
  */
 
 const AdminService = require("./admin.service");
+const BookingService = require("../bookings/booking.service");
 const ResponseUtil = require("../../utils/response.util");
 const { asyncHandler } = require("../../middleware/errorHandler.middleware");
 
@@ -155,6 +156,43 @@ class AdminController {
     ResponseUtil.success(res, null, "Event deleted successfully");
   });
 
+  /**
+   * Set event rating list snapshot
+   * PUT /api/v1/admin/events/:id/rating-list
+   */
+  updateEventRatingList = asyncHandler(async (req, res) => {
+    const event = await AdminService.updateEventRatingList(
+      parseInt(req.params.id),
+      req.body.ratingListId,
+      req.user.userId,
+    );
+
+    ResponseUtil.success(res, event, "Event rating list updated successfully");
+  });
+
+  /**
+   * Create event category
+   * POST /api/v1/admin/categories
+   */
+  createCategory = asyncHandler(async (req, res) => {
+    const category = await AdminService.createCategory(req.body);
+
+    ResponseUtil.created(res, category, "Category created successfully");
+  });
+
+  /**
+   * Update event category
+   * PUT /api/v1/admin/categories/:id
+   */
+  updateCategory = asyncHandler(async (req, res) => {
+    const category = await AdminService.updateCategory(
+      parseInt(req.params.id),
+      req.body,
+    );
+
+    ResponseUtil.success(res, category, "Category updated successfully");
+  });
+
   /**
    * Admin update event
    * PUT /api/v1/admin/events/:id
@@ -273,6 +311,19 @@ class AdminController {
     ResponseUtil.success(res, booking, "Booking status updated successfully");
   });
 
+  /**
+   * Retry the failed refund of a booking
+   * POST /api/v1/admin/bookings/:id/retry-refund
+   */
+  retryBookingRefund = asyncHandler(async (req, res) => {
+    const booking = await BookingService.retryRefund(
+      parseInt(req.params.id),
+      req.user.userId,
+    );
+
+    ResponseUtil.success(res, booking, "Refund initiated successfully");
+  });
+
   /**
    * Export bookings as CSV
    * GET /api/v1/admin/bookings/export
@@ -15,6 +15,9 @@ const {
   updateUserSchema,
   handleEditRequestSchema,
   updateFeaturedStatusSchema,
+  updateEventRatingListSchema,
+  createCategorySchema,
+  updateCategorySchema,
   createUserSchema,
   getByIdSchema,
 } = require("./admin.validation");
@@ -117,6 +120,41 @@ router.put(
   AdminController.updateEventFeaturedStatus,
 );
 
+/**
+ * @route   PUT /api/v1/admin/events/:id/rating-list
+ * @desc    Set authoritative rating list snapshot for an event
+ * @access  Private (Admin)
+ */
+router.put(
+  "/events/:id/rating-list",
+  validate(getByIdSchema, "params"),
+  validate(updateEventRatingListSchema),
+  AdminController.updateEventRatingList,
+);
+
+/**
+ * @route   POST /api/v1/admin/categories
+ * @desc    Create event category (age/rating section)
+ * @access  Private (Admin)
+ */
+router.post(
+  "/categories",
+  validate(createCategorySchema),
+  AdminController.createCategory,
+);
+
+/**
+ * @route   PUT /api/v1/admin/categories/:id
+ * @desc    Update event category
+ * @access  Private (Admin)
+ */
+router.put(
+  "/categories/:id",
+  validate(getByIdSchema, "params"),
+  validate(updateCategorySchema),
+  AdminController.updateCategory,
+);
+
 /**
  * @route   PUT /api/v1/admin/events/:id
  * @desc    Admin update event (can edit any event)
@@ -213,4 +251,15 @@ router.put(
   AdminController.updateBookingStatus,
 );
 
+/**
+ * @route   POST /api/v1/admin/bookings/:id/retry-refund
+ * @desc    Retry the failed refund of a booking
+ * @access  Private (Admin)
+ */
+router.post(
+  "/bookings/:id/retry-refund",
+  validate(getByIdSchema, "params"),
+  AdminController.retryBookingRefund,
+);
+
 module.exports = router;
@@ -549,6 +549,56 @@ class AdminService {
     return updatedEvent;
   }
 
+  /**
+   * Set the authoritative rating list snapshot for an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} ratingListId - Rating list ID (null to use latest ratings)
+   * @param {number} adminId - Admin user ID
+   * @returns {Promise<object>} Updated event
+   */
+  async updateEventRatingList(eventId, ratingListId, adminId) {
+    const event = await prisma.event.findUnique({ where: { eventId } });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    if (ratingListId) {
+      const list = await prisma.ratingList.findUnique({
+        where: { listId: ratingListId },
+      });
+
+      if (!list) {
+        throw new Error("Rating list not found");
+      }
+    }
+
+    const updatedEvent = await prisma.event.update({
+      where: { eventId },
+      data: { ratingListId },
+      select: {
+        eventId: true,
+        eventName: true,
+        ratingListId: true,
+        ratingList: {
+          select: { listId: true, listDate: true },
+        },
+      },
+    });
+
+    // Create audit log
+    await this.createAuditLog(
+      adminId,
+      "UPDATE_RATING_LIST",
+      ENTITY_TYPES.EVENT,
+      eventId,
+      { ratingListId: event.ratingListId },
+      { ratingListId },
+    );
+
+    return updatedEvent;
+  }
+
   /**
    * Delete event
    * @param {number} eventId - Event ID
@@ -784,6 +834,88 @@ class AdminService {
     return updatedEvent;
   }
 
+  /**
+   * Create event category
+   * @param {object} categoryData - Category data
+   * @returns {Promise<object>} Created category
+   */
+  async createCategory(categoryData) {
+    const existing = await prisma.eventCategory.findUnique({
+      where: { categoryCode: categoryData.categoryCode },
+    });
+
+    if (existing) {
+      throw new Error("Category code already exists");
+    }
+
+    return prisma.eventCategory.create({ data: categoryData });
+  }
+
+  /**
+   * Update event category (age, birth year, gender and rating limits)
+   * @param {number} categoryId - Category ID
+   * @param {object} updateData - Data to update
+   * @returns {Promise<object>} Updated category
+   */
+  async updateCategory(categoryId, updateData) {
+    const category = await prisma.eventCategory.findUnique({
+      where: { categoryId },
+    });
+
+    if (!category) {
+      throw new Error("Category not found");
+    }
+
+    const minRating =
+      updateData.minRating !== undefined ? updateData.minRating : category.minRating;
+    const maxRating =
+      updateData.maxRating !== undefined ? updateData.maxRating : category.maxRating;
+
+    if (minRating && maxRating && maxRating < minRating) {
+      throw new Error("Maximum rating must not be below minimum rating");
+    }
+
+    const ageLimit =
+      updateData.ageLimit !== undefined ? updateData.ageLimit : category.ageLimit;
+    const minAge =
+      updateData.minAge !== undefined ? updateData.minAge : category.minAge;
+
+    if (ageLimit && minAge && minAge > ageLimit) {
+      throw new Error("Minimum age must not be above the age limit");
+    }
+
+    const minBirthYear =
+      updateData.minBirthYear !== undefined
+        ? updateData.minBirthYear
+        : category.minBirthYear;
+    const maxBirthYear =
+      updateData.maxBirthYear !== undefined
+        ? updateData.maxBirthYear
+        : category.maxBirthYear;
+
+    if (minBirthYear && maxBirthYear && maxBirthYear < minBirthYear) {
+      throw new Error("Latest birth year must not be before earliest birth year");
+    }
+
+    if (
+      updateData.categoryCode &&
+      updateData.categoryCode !== category.categoryCode
+    ) {
+      const existing = await prisma.eventCategory.findUnique({
+        where: { categoryCode: updateData.categoryCode },
+      });
+
+      if (existing) {
+        throw new Error("Category code already exists");
+      }
+    }
+
+    return prisma.eventCategory.update({
+      where: { categoryId },
+      data: updateData,
+    });
+  }
+
   /**
    * Get participant with user details (admin can view any participant)
    * @param {number} participantId - Participant ID
@@ -823,6 +955,7 @@ class AdminService {
       limit = DEFAULT_PAGE_SIZE,
       bookingStatus,
       paymentStatus,
+      refundStatus,
       search,
       startDate,
       endDate,
@@ -833,6 +966,7 @@ class AdminService {
     if (eventId) where.eventId = parseInt(eventId);
     if (bookingStatus) where.bookingStatus = bookingStatus;
     if (paymentStatus) where.paymentStatus = paymentStatus;
+    if (refundStatus) where.refundStatus = refundStatus;
 
     // Date range filter
     if (startDate || endDate) {
@@ -8,6 +8,9 @@ const {
   USER_TYPES,
   USER_STATUS,
   REQUEST_STATUS,
+  RATING_TYPES,
+  GENDER,
+  REFUND_STATUS,
 } = require("../../config/constants");
 
 /**
@@ -28,6 +31,9 @@ const listUsersQuerySchema = Joi.object({
   eventType: Joi.string().optional().allow(""), // ✅ ADD: For events filtering
   //isFeatured: Joi.boolean().optional(),
   status: Joi.string().optional().allow(""), // ✅ ADD: For edit requests
+  refundStatus: Joi.string()
+    .valid(...Object.values(REFUND_STATUS))
+    .optional(), // For bookings with a failed refund
 });
 
 /**
@@ -97,6 +103,95 @@ const updateFeaturedStatusSchema = Joi.object({
   }),
 });
 
+/**
+ * Update event rating list schema
+ */
+const updateEventRatingListSchema = Joi.object({
+  ratingListId: Joi.number().integer().positive().allow(null).required().messages({
+    "number.base": "Rating list ID must be a number",
+    "any.required": "Rating list ID is required (null to use latest ratings)",
+  }),
+});
+
+/**
+ * Event category fields (shared by create and update)
+ */
+const categoryFields = {
+  categoryName: Joi.string().min(2).max(50),
+  categoryCode: Joi.string().max(10).uppercase(),
+  ageLimit: Joi.number().integer().positive().allow(null),
+  minAge: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .when("ageLimit", {
+      is: Joi.number().required(),
+      then: Joi.number().max(Joi.ref("ageLimit")),
+    })
+    .messages({
+      "number.max": "Minimum age must not be above the age limit",
+    }),
+  minBirthYear: Joi.number().integer().min(1900).max(2100).allow(null),
+  maxBirthYear: Joi.number()
+    .integer()
+    .min(1900)
+    .max(2100)
+    .allow(null)
+    .when("minBirthYear", {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref("minBirthYear")),
+    })
+    .messages({
+      "number.min": "Latest birth year must not be before earliest birth year",
+    }),
+  gender: Joi.string()
+    .valid(GENDER.MALE, GENDER.FEMALE)
+    .allow(null)
+    .messages({
+      "any.only": "Category gender must be MALE or FEMALE",
+    }),
+  ratingType: Joi.string()
+    .valid(...Object.values(RATING_TYPES))
+    .allow(null)
+    .messages({
+      "any.only": "Rating type must be STANDARD, RAPID, or BLITZ",
+    }),
+  minRating: Joi.number().integer().min(0).max(3500).allow(null),
+  maxRating: Joi.number()
+    .integer()
+    .min(0)
+    .max(3500)
+    .allow(null)
+    .when("minRating", {
+      is: Joi.number().required(),
+      then: Joi.number().min(Joi.ref("minRating")),
+    })
+    .messages({
+      "number.min": "Maximum rating must not be below minimum rating",
+    }),
+  enforceRatingLimit: Joi.boolean(),
+  description: Joi.string().allow(""),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Create event category schema
+ */
+const createCategorySchema = Joi.object({
+  ...categoryFields,
+  categoryName: categoryFields.categoryName.required().messages({
+    "any.required": "Category name is required",
+  }),
+  categoryCode: categoryFields.categoryCode.required().messages({
+    "any.required": "Category code is required",
+  }),
+});
+
+/**
+ * Update event category schema
+ */
+const updateCategorySchema = Joi.object(categoryFields).min(1);
+
 /**
  * Create user (admin) schema
  */
@@ -147,6 +242,9 @@ module.exports = {
   updateUserSchema,
   handleEditRequestSchema,
   updateFeaturedStatusSchema,
+  updateEventRatingListSchema,
+  createCategorySchema,
+  updateCategorySchema,
   createUserSchema,
   getByIdSchema,
 };
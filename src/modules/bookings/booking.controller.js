@@ -4,6 +4,7 @@
  */
 
 const BookingService = require("./booking.service");
+const WaitlistService = require("./waitlist.service");
 const ResponseUtil = require("../../utils/response.util");
 const { asyncHandler } = require("../../middleware/errorHandler.middleware");
 
@@ -18,6 +19,14 @@ class BookingController {
       req.body
     );
 
+    if (booking.waitlistStatus) {
+      return ResponseUtil.created(
+        res,
+        booking,
+        "Event is full. You have been added to the waitlist."
+      );
+    }
+
     ResponseUtil.created(
       res,
       booking,
@@ -58,6 +67,19 @@ class BookingController {
     ResponseUtil.success(res, booking, "Booking retrieved successfully");
   });
 
+  /**
+   * Get booking by reference
+   * GET /api/v1/bookings/reference/:bookingReference
+   */
+  getBookingByReference = asyncHandler(async (req, res) => {
+    const booking = await BookingService.getBookingByReference(
+      req.params.bookingReference,
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, booking, "Booking retrieved successfully");
+  });
+
   /**
    * Cancel booking
    * POST /api/v1/bookings/:bookingId/cancel
@@ -72,6 +94,20 @@ class BookingController {
     ResponseUtil.success(res, booking, "Booking cancelled successfully");
   });
 
+  /**
+   * Remove one player from a booking
+   * DELETE /api/v1/bookings/:bookingId/participants/:bookingParticipantId
+   */
+  removeParticipant = asyncHandler(async (req, res) => {
+    const booking = await BookingService.removeParticipant(
+      parseInt(req.params.bookingId),
+      parseInt(req.params.bookingParticipantId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, booking, "Participant removed from booking");
+  });
+
   /**
    * Confirm payment (demo/simulation)
    * POST /api/v1/bookings/:bookingId/confirm-payment
@@ -85,6 +121,46 @@ class BookingController {
 
     ResponseUtil.success(res, booking, "Payment confirmed successfully");
   });
+
+  /**
+   * Get user's waitlist entries
+   * GET /api/v1/bookings/waitlist
+   */
+  getWaitlist = asyncHandler(async (req, res) => {
+    const entries = await WaitlistService.getUserWaitlist(req.user.userId);
+
+    ResponseUtil.success(res, entries, "Waitlist retrieved successfully");
+  });
+
+  /**
+   * Book a slot offered from the waitlist
+   * POST /api/v1/bookings/waitlist/:entryId/accept
+   */
+  acceptWaitlistOffer = asyncHandler(async (req, res) => {
+    const booking = await BookingService.acceptWaitlistOffer(
+      parseInt(req.params.entryId),
+      req.user.userId
+    );
+
+    ResponseUtil.created(
+      res,
+      booking,
+      "Booking created successfully. Please complete payment."
+    );
+  });
+
+  /**
+   * Leave the waitlist
+   * DELETE /api/v1/bookings/waitlist/:entryId
+   */
+  leaveWaitlist = asyncHandler(async (req, res) => {
+    await WaitlistService.leaveWaitlist(
+      parseInt(req.params.entryId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, null, "You have left the waitlist");
+  });
 }
 
 module.exports = new BookingController();
@@ -8,6 +8,7 @@ const router = express.Router();
 const BookingController = require("./booking.controller");
 const { validate } = require("../../middleware/validation.middleware");
 const { authenticate } = require("../../middleware/auth.middleware");
+const { idempotent } = require("../../middleware/idempotency.middleware");
 const {
   checkBookingsAllowed,
   checkCancellationAllowed,
@@ -16,6 +17,9 @@ const {
 const {
   createBookingSchema,
   getBookingByIdSchema,
+  bookingParticipantParamsSchema,
+  bookingReferenceSchema,
+  waitlistEntryIdSchema,
   listBookingsQuerySchema,
   cancelBookingSchema,
 } = require("./booking.validation");
@@ -31,6 +35,7 @@ router.post(
   checkBookingsAllowed,
   getPlatformFeeSettings,
   validate(createBookingSchema),
+  idempotent,
   BookingController.createBooking
 );
 
@@ -46,6 +51,51 @@ router.get(
   BookingController.getUserBookings
 );
 
+/**
+ * @route   GET /api/v1/bookings/waitlist
+ * @desc    Get user's waitlist entries
+ * @access  Private
+ */
+router.get("/waitlist", authenticate, BookingController.getWaitlist);
+
+/**
+ * @route   POST /api/v1/bookings/waitlist/:entryId/accept
+ * @desc    Book a slot offered from the waitlist
+ * @access  Private
+ */
+router.post(
+  "/waitlist/:entryId/accept",
+  authenticate,
+  checkBookingsAllowed,
+  getPlatformFeeSettings,
+  validate(waitlistEntryIdSchema, "params"),
+  BookingController.acceptWaitlistOffer
+);
+
+/**
+ * @route   DELETE /api/v1/bookings/waitlist/:entryId
+ * @desc    Leave the waitlist
+ * @access  Private
+ */
+router.delete(
+  "/waitlist/:entryId",
+  authenticate,
+  validate(waitlistEntryIdSchema, "params"),
+  BookingController.leaveWaitlist
+);
+
+/**
+ * @route   GET /api/v1/bookings/reference/:bookingReference
+ * @desc    Get booking by reference
+ * @access  Private
+ */
+router.get(
+  "/reference/:bookingReference",
+  authenticate,
+  validate(bookingReferenceSchema, "params"),
+  BookingController.getBookingByReference
+);
+
 /**
  * @route   GET /api/v1/bookings/:bookingId
  * @desc    Get booking by ID
@@ -72,6 +122,19 @@ router.post(
   BookingController.cancelBooking
 );
 
+/**
+ * @route   DELETE /api/v1/bookings/:bookingId/participants/:bookingParticipantId
+ * @desc    Remove one player from a booking (refunds the difference if paid)
+ * @access  Private
+ */
+router.delete(
+  "/:bookingId/participants/:bookingParticipantId",
+  authenticate,
+  checkCancellationAllowed,
+  validate(bookingParticipantParamsSchema, "params"),
+  BookingController.removeParticipant
+);
+
 /**
  * @route   POST /api/v1/bookings/:bookingId/confirm-payment
  * @desc    Confirm payment (demo/simulation)
@@ -5,26 +5,60 @@
 
 const { prisma } = require("../../config/database");
 const DateUtil = require("../../utils/date.util");
+const ReferenceUtil = require("../../utils/reference.util");
 const config = require("../../config/environment");
+const RatingService = require("../ratings/rating.service");
+const ParticipantService = require("../participants/participant.service");
+const TeamService = require("../teams/team.service");
+const WaitlistService = require("./waitlist.service");
+const CapacityService = require("./capacity.service");
+const RefundPolicyService = require("./refundpolicy.service");
+const SettingsService = require("../settings/settings.service");
+const PaymentService = require("../payments/payment.service");
+const AdminService = require("../admin/admin.service");
 const {
   BOOKING_STATUS,
   PAYMENT_STATUS,
   GENDER,
   DEFAULT_PAGE_SIZE,
-  BOOKING_REFERENCE_PREFIX,
-  MESSAGES,
+  BOOKING_REFERENCE_MAX_ATTEMPTS,
+  RATING_TYPES,
+  FEE_TYPES,
+  WAITLIST_STATUS,
+  BOOKING_PAYMENT_HOLD_MINUTES,
+  PAYMENT_RECORD_STATUS,
+  REFUND_STATUS,
+  ENTITY_TYPES,
+  DEFAULT_CURRENCY,
 } = require("../../config/constants");
 
 class BookingService {
   /**
-   * Generate unique booking reference
-   * Format: CC-YYYYMMDD-XXXX (e.g., CC-20250615-1234)
+   * Create a booking with a new unique reference
+   * A reference that collides with an existing one is regenerated; the failed
+   * insert is rolled back on its own, so the transaction continues.
+   * @param {object} tx - Prisma transaction client
+   * @param {object} data - Booking data without reference
+   * @returns {Promise<object>} Created booking
    */
-  async generateBookingReference() {
-    const today = new Date();
-    const dateStr = today.toISOString().split("T")[0].replace(/-/g, "");
-    const randomNum = Math.floor(1000 + Math.random() * 9000);
-    return `${BOOKING_REFERENCE_PREFIX}-${dateStr}-${randomNum}`;
+  async createWithReference(tx, data) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await tx.booking.create({
+          data: {
+            ...data,
+            bookingReference: ReferenceUtil.generateBookingReference(),
+          },
+        });
+      } catch (error) {
+        if (
+          attempt >= BOOKING_REFERENCE_MAX_ATTEMPTS ||
+          !ReferenceUtil.isBookingReferenceCollision(error)
+        ) {
+          throw error;
+        }
+      }
+    }
   }
 
   /**
@@ -34,16 +68,22 @@ class BookingService {
    * @param {boolean} isOnline - Whether event is online
    * @param {string} govtConcessionType - Type of concession (RUPEES or PERCENTAGE)
    * @param {number} govtConcessionValue - Value of concession
+   * @param {string} feeType - PER_PLAYER, or PER_TEAM to charge the entry fee once for a team
+   * @param {string} currency - Event currency (sets the platform fee)
    * @returns {object} Amount breakdown
    */
-  calculateBookingAmount(entryFee, participantDetails, isOnline, govtConcessionType, govtConcessionValue) {
+  calculateBookingAmount(entryFee, participantDetails, isOnline, govtConcessionType, govtConcessionValue, feeType = FEE_TYPES.PER_PLAYER, currency = DEFAULT_CURRENCY) {
     const fee = Number(entryFee);
     let totalEventFee = 0;
     let totalConcession = 0;
     let govtStudentCount = 0;
 
+    // Team entry fee is charged once per team (no per-student concession)
+    const feePayers =
+      feeType === FEE_TYPES.PER_TEAM ? [{ isGovtStudent: false }] : participantDetails;
+
     // Calculate fees for each participant
-    for (const participant of participantDetails) {
+    for (const participant of feePayers) {
       let participantFee = fee;
 
       // Apply government student concession if applicable
@@ -64,9 +104,11 @@ class BookingService {
       totalEventFee += participantFee;
     }
 
-    // Add platform fee only for offline events (₹10 per participant)
-    const platformFeePerParticipant = config.fees?.offlinePlatformFee || 10;
-    const platformFee = isOnline ? 0 : platformFeePerParticipant * participantDetails.length;
+    // Add platform fee only for offline events (per participant)
+    const platformFeePerParticipant = this.getPlatformFeePerPlayer(currency);
+    const platformFee = isOnline
+      ? 0
+      : Math.round(platformFeePerParticipant * participantDetails.length * 100) / 100;
 
     const totalAmount = totalEventFee + platformFee;
 
@@ -77,40 +119,150 @@ class BookingService {
       concessionApplied: totalConcession,
       govtStudentCount,
       participantCount: participantDetails.length,
+      feeType,
     };
   }
 
+  /**
+   * Get participant rating used for an event
+   * Uses the event's authoritative rating list snapshot when one is set,
+   * otherwise the rating stored on the participant.
+   * @param {object} participant - Participant object
+   * @param {object} event - Event object
+   * @param {string} ratingType - Rating type (STANDARD, RAPID, BLITZ)
+   * @returns {Promise<number|null>} Rating (null if unrated)
+   */
+  async getParticipantRating(participant, event, ratingType) {
+    const field = RatingService.getRatingField(ratingType);
+
+    if (event.ratingListId) {
+      if (!participant.fideId) return null;
+
+      const rating = await RatingService.findRating(
+        participant.fideId,
+        event.ratingListId
+      );
+      return rating?.[field] ?? null;
+    }
+
+    return participant[field] ?? null;
+  }
+
+  /**
+   * Get the date participant ages are evaluated on for an event
+   * Uses the event's age cutoff date, otherwise January 1st of the year
+   * of the first event date (FIDE/AICF convention).
+   * @param {object} event - Event object
+   * @returns {Date} Cutoff date
+   */
+  getAgeCutoffDate(event) {
+    if (event.ageCutoffDate) {
+      return new Date(event.ageCutoffDate);
+    }
+
+    const [firstDate] = DateUtil.parseEventDates(event.eventDates)
+      .map((date) => new Date(date))
+      .filter((date) => !Number.isNaN(date.getTime()))
+      .sort((a, b) => a - b);
+
+    return new Date((firstDate || new Date()).getFullYear(), 0, 1);
+  }
+
   /**
    * Validate participant eligibility for category
    * @param {object} participant - Participant object
    * @param {object} category - Category object
+   * @param {object} options - { rating, cutoffDate }
+   * @param {number|null} options.rating - Participant rating for the category's rating type
+   * @param {Date} options.cutoffDate - Date the participant's age is evaluated on
    * @returns {object} Validation result
    */
-  validateParticipantForCategory(participant, category) {
-    const age = DateUtil.calculateAge(participant.dateOfBirth);
+  validateParticipantForCategory(
+    participant,
+    category,
+    { rating = null, cutoffDate = new Date() } = {}
+  ) {
+    const age = DateUtil.calculateAge(participant.dateOfBirth, cutoffDate);
+    const birthYear = new Date(participant.dateOfBirth).getFullYear();
+    const cutoffLabel = DateUtil.formatDateDDMMYYYY(cutoffDate);
 
-    // Check age limit if category has one
+    // Check gender restriction if category has one
+    if (
+      !ParticipantService.canParticipantRegisterForCategory(
+        participant.gender,
+        category.gender
+      )
+    ) {
+      return {
+        isValid: false,
+        message: `${participant.fullName} is not eligible for ${category.categoryName} (${category.gender.toLowerCase()} only)`,
+      };
+    }
+
+    // Check age limits on the cutoff date
     if (category.ageLimit && age > category.ageLimit) {
       return {
         isValid: false,
-        message: `${participant.fullName} is ${age} years old, which exceeds the age limit of ${category.ageLimit} for ${category.categoryName}`,
+        message: `${participant.fullName} is ${age} years old on ${cutoffLabel}, which exceeds the age limit of ${category.ageLimit} for ${category.categoryName}`,
       };
     }
 
-    // Note: Gender restrictions removed as EventCategory doesn't have a gender field
-    // This can be added back if the schema is updated to include gender in categories
+    if (category.minAge && age < category.minAge) {
+      return {
+        isValid: false,
+        message: `${participant.fullName} is ${age} years old on ${cutoffLabel}, below the minimum age of ${category.minAge} for ${category.categoryName}`,
+      };
+    }
+
+    // Check birth year range
+    if (category.minBirthYear && birthYear < category.minBirthYear) {
+      return {
+        isValid: false,
+        message: `${participant.fullName} was born in ${birthYear}; ${category.categoryName} is for players born in ${category.minBirthYear} or later`,
+      };
+    }
+
+    if (category.maxBirthYear && birthYear > category.maxBirthYear) {
+      return {
+        isValid: false,
+        message: `${participant.fullName} was born in ${birthYear}; ${category.categoryName} is for players born in ${category.maxBirthYear} or earlier`,
+      };
+    }
+
+    // Check rating limits (unrated players may enter sections without a floor)
+    const ratingLabel = (category.ratingType || RATING_TYPES.STANDARD).toLowerCase();
+    let ratingMessage = null;
+
+    if (category.maxRating && rating && rating > category.maxRating) {
+      ratingMessage = `${participant.fullName} has a ${ratingLabel} rating of ${rating}, which exceeds the limit of ${category.maxRating} for ${category.categoryName}`;
+    } else if (category.minRating && (!rating || rating < category.minRating)) {
+      ratingMessage = `${participant.fullName} needs a ${ratingLabel} rating of at least ${category.minRating} for ${category.categoryName}`;
+    }
+
+    if (ratingMessage) {
+      // Sections that don't enforce limits accept the booking with a warning
+      return category.enforceRatingLimit === false
+        ? { isValid: true, warning: ratingMessage }
+        : { isValid: false, message: ratingMessage };
+    }
 
     return { isValid: true };
   }
 
   /**
    * Create new booking
+   * When the event is full (or others are already waiting) the booking is
+   * added to the waitlist instead and the waitlist entry is returned.
    * @param {number} userId - User ID
    * @param {object} bookingData - Booking data
-   * @returns {Promise<object>} Created booking
+   * @returns {Promise<object>} Created booking, or waitlist entry
    */
   async createBooking(userId, bookingData) {
-    const { eventId, participants } = bookingData;
+    const { eventId } = bookingData;
+    let { participants } = bookingData;
+
+    // Release lapsed waitlist holds before counting free slots
+    await WaitlistService.refreshWaitlist(eventId);
 
     // Get event details
     const event = await prisma.event.findUnique({
@@ -133,16 +285,29 @@ class BookingService {
       throw new Error("Bookings are only available for upcoming events");
     }
 
-    // Check if slots are available
-    if (event.maxCapacity) {
-      const availableSlots = event.maxCapacity - event.currentBookings;
-      if (availableSlots < participants.length) {
-        throw new Error(MESSAGES.INSUFFICIENT_SLOTS);
+    // Team events are booked as a unit: the team roster in board order
+    let team = null;
+    if (event.isTeamEvent) {
+      if (!bookingData.teamId) {
+        throw new Error("This is a team event. Please register a team");
       }
+
+      team = await TeamService.getTeamForBooking(bookingData.teamId, userId, event);
+      participants = team.members.map((member) => ({
+        participantId: member.participantId,
+        categoryCode: bookingData.categoryCode,
+        boardNumber: member.boardNumber,
+      }));
+    } else if (bookingData.teamId) {
+      throw new Error("Teams can only be registered for team events");
     }
 
     // Validate all participants and categories, collect participant details
+    const cutoffDate = this.getAgeCutoffDate(event);
     const participantDetails = [];
+    const participantRatings = new Map();
+    const participantCategories = new Map();
+    const warnings = [];
     for (const participantData of participants) {
       // Get participant details
       const participant = await prisma.participant.findFirst({
@@ -165,6 +330,7 @@ class BookingService {
       });
 
       // Category validation is optional - only validate if categoryCode is provided
+      let category = null;
       if (participantData.categoryCode && event.categories?.length > 0) {
         // Find category
         const categoryMapping = event.categories.find(
@@ -177,15 +343,53 @@ class BookingService {
           );
         }
 
+        category = categoryMapping.category;
+      }
+      participantCategories.set(participant.participantId, category);
+
+      // Rating snapshot at booking time (used for rating limits and seeding)
+      const rating = await this.getParticipantRating(
+        participant,
+        event,
+        category?.ratingType || RATING_TYPES.STANDARD
+      );
+      participantRatings.set(participant.participantId, rating);
+
+      if (category) {
         // Validate participant for category
         const validation = this.validateParticipantForCategory(
           participant,
-          categoryMapping.category
+          category,
+          { rating, cutoffDate }
         );
 
         if (!validation.isValid) {
           throw new Error(validation.message);
         }
+        if (validation.warning) {
+          warnings.push(validation.warning);
+        }
+      }
+    }
+
+    // Check if slots are available (reserved atomically below); a slot
+    // offered from the waitlist is already held for this user
+    const offer = await WaitlistService.getActiveOffer(eventId, userId);
+    if (event.maxCapacity) {
+      const availableSlots =
+        event.maxCapacity -
+        event.currentBookings +
+        (offer?.participantCount || 0);
+      const isQueued =
+        !offer && (await WaitlistService.hasWaitingEntries(eventId));
+
+      if (availableSlots < participants.length || isQueued) {
+        return WaitlistService.joinWaitlist(
+          eventId,
+          userId,
+          bookingData,
+          participants.length
+        );
       }
     }
 
@@ -195,24 +399,41 @@ class BookingService {
       participantDetails,
       event.isOnline,
       event.govtConcessionType,
-      event.govtConcessionValue
+      event.govtConcessionValue,
+      event.isTeamEvent ? event.feeType : FEE_TYPES.PER_PLAYER,
+      event.currency || DEFAULT_CURRENCY
     );
 
-    // Generate booking reference
-    const bookingReference = await this.generateBookingReference();
+    // Unpaid bookings hold their slots only for the payment window
+    const holdMinutes = await this.getPaymentHoldMinutes();
+    const paymentDueAt =
+      amounts.totalAmount > 0
+        ? new Date(Date.now() + holdMinutes * 60 * 1000)
+        : null;
 
     // Create booking in transaction
-    const booking = await prisma.$transaction(async (tx) => {
+    const { booking, heldSlots } = await prisma.$transaction(async (tx) => {
+      // Reserve slots first
+      const { reserved, heldSlots } = await CapacityService.reserveBookingSlots(
+        tx,
+        eventId,
+        participants.map((p) => participantCategories.get(p.participantId)),
+        offer
+      );
+
+      if (!reserved) {
+        return { booking: null, heldSlots };
+      }
+
       // Create booking
-      const newBooking = await tx.booking.create({
-        data: {
-          eventId,
-          userId,
-          bookingReference,
-          bookingStatus: BOOKING_STATUS.PENDING,
-          paymentStatus: PAYMENT_STATUS.PENDING,
-          amountPaid: amounts.totalAmount,
-        },
+      const newBooking = await this.createWithReference(tx, {
+        eventId,
+        userId,
+        bookingStatus: BOOKING_STATUS.PENDING,
+        paymentStatus: PAYMENT_STATUS.PENDING,
+        amountPaid: amounts.totalAmount,
+        teamId: team?.teamId ?? null,
+        paymentDueAt,
       });
 
       // Create booking participants
@@ -221,23 +442,64 @@ class BookingService {
           bookingId: newBooking.bookingId,
           participantId: p.participantId,
           eventId,
+          categoryId:
+            participantCategories.get(p.participantId)?.categoryId ?? null,
+          rating: participantRatings.get(p.participantId) ?? null,
+          boardNumber: p.boardNumber ?? null,
         })),
       });
 
-      // Update event current bookings count
-      await tx.event.update({
-        where: { eventId },
-        data: {
-          currentBookings: {
-            increment: participants.length,
-          },
-        },
-      });
+      if (heldSlots > 0) {
+        await tx.waitlistEntry.update({
+          where: { entryId: offer.entryId },
+          data: { bookingId: newBooking.bookingId },
+        });
+      }
 
-      return newBooking;
+      return { booking: newBooking, heldSlots };
     });
 
+    // The last slots were taken by a concurrent booking
+    if (!booking) {
+      return WaitlistService.joinWaitlist(
+        eventId,
+        userId,
+        bookingData,
+        participants.length
+      );
+    }
+
+    // Booking fewer players than offered frees the rest of the hold
+    if (heldSlots > participants.length) {
+      await WaitlistService.offerSlots(eventId);
+    }
+
     // Get full booking details
+    const fullBooking = await this.getBookingById(booking.bookingId, userId);
+
+    if (warnings.length > 0) {
+      fullBooking.warnings = warnings;
+    }
+
+    return fullBooking;
+  }
+
+  /**
+   * Get booking by reference
+   * @param {string} bookingReference - Canonical booking reference
+   * @param {number} userId - User ID (for ownership check)
+   * @returns {Promise<object>} Booking details
+   */
+  async getBookingByReference(bookingReference, userId) {
+    const booking = await prisma.booking.findFirst({
+      where: { bookingReference, userId },
+      select: { bookingId: true },
+    });
+
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+
     return this.getBookingById(booking.bookingId, userId);
   }
 
@@ -271,6 +533,13 @@ class BookingService {
             govtConcessionValue: true,
           },
         },
+        team: {
+          select: {
+            teamId: true,
+            teamName: true,
+            institution: true,
+          },
+        },
         participants: {
           include: {
             participant: {
@@ -362,6 +631,9 @@ class BookingService {
 
   /**
    * Cancel booking
+   * A paid booking is refunded under the event's refund policy, and the
+   * policy applied is recorded on the booking. The booking is only marked
+   * refunded once the refund is initiated.
    * @param {number} bookingId - Booking ID
    * @param {number} userId - User ID
    * @param {string} reason - Cancellation reason
@@ -393,40 +665,325 @@ class BookingService {
       throw new Error("Cannot cancel completed booking");
     }
 
+    // Refund under the event's refund policy if payment was made
+    const isPaid = booking.paymentStatus === PAYMENT_STATUS.PAID;
+    const cancelledAt = new Date();
+    const refund = isPaid
+      ? await RefundPolicyService.calculateRefund(booking.event, {
+          amount: Number(booking.amountPaid),
+          platformFee: this.getPlatformFee(
+            booking.event,
+            booking.participants
+          ),
+          cancelledAt,
+        })
+      : null;
+    const refundAmount = refund?.refundAmount || 0;
+
     // Update booking in transaction
-    const updatedBooking = await prisma.$transaction(async (tx) => {
-      // Update booking status
-      const updated = await tx.booking.update({
-        where: { bookingId },
+    await prisma.$transaction(async (tx) => {
+      // Update booking status (unless cancelled concurrently)
+      const { count } = await tx.booking.updateMany({
+        where: {
+          bookingId,
+          bookingStatus: { not: BOOKING_STATUS.CANCELLED },
+        },
         data: {
           bookingStatus: BOOKING_STATUS.CANCELLED,
+          cancelledAt,
+          // Record the policy applied to the refund
+          ...(refund && { refundPolicy: JSON.stringify(refund) }),
+          ...(refundAmount > 0 && {
+            refundStatus: REFUND_STATUS.PENDING,
+            refundDue: { increment: refundAmount },
+          }),
         },
       });
 
-      // Decrease event current bookings
-      await tx.event.update({
-        where: { eventId: booking.eventId },
-        data: {
-          currentBookings: {
-            decrement: booking.participants.length,
-          },
-        },
+      if (count === 0) {
+        throw new Error("Booking is already cancelled");
+      }
+
+      // Release event and category slots
+      await CapacityService.releaseBookingSlots(
+        tx,
+        booking.eventId,
+        booking.participants
+      );
+    });
+
+    // Offer the freed slots to the waitlist
+    await WaitlistService.refreshWaitlist(booking.eventId);
+
+    if (refundAmount > 0) {
+      await this.refundBooking(bookingId, refundAmount, {
+        reason: reason || "Booking cancelled",
+        initiatedBy: userId,
       });
+    }
+
+    return this.getBookingById(bookingId, userId);
+  }
+
+  /**
+   * Refund an amount due on a booking
+   * The amount is only moved from refundDue to refundAmount (and a cancelled
+   * booking marked refunded) once the refund is initiated. If it cannot be
+   * initiated, the booking's refund is marked failed so an admin can retry
+   * it, and the error is thrown; the booking change that made the refund due
+   * is kept.
+   * @param {number} bookingId - Booking ID
+   * @param {number} amount - Amount to refund
+   * @param {object} refundData - { reason, initiatedBy }
+   */
+  async refundBooking(bookingId, amount, { reason, initiatedBy }) {
+    try {
+      await PaymentService.refundBookingAmount(bookingId, {
+        amount,
+        reason,
+        initiatedBy,
+      });
+    } catch (error) {
+      await prisma.booking.update({
+        where: { bookingId },
+        data: { refundStatus: REFUND_STATUS.FAILED },
+      });
+
+      throw new Error(
+        `The booking was updated, but the refund could not be initiated (${error.message}). An admin can retry it`
+      );
+    }
+
+    const value = amount.toFixed(2);
+
+    // Assignments apply in order, so refund_status sees the new refund_due;
+    // anything still due is from a refund that failed earlier
+    await prisma.$executeRaw`
+      UPDATE bookings
+      SET refund_due = GREATEST(refund_due - ${value}, 0),
+        refund_amount = COALESCE(refund_amount, 0) + ${value},
+        refund_status = IF(refund_due = 0, 'processed', 'failed'),
+        payment_status = IF(booking_status = 'cancelled', 'refunded', payment_status)
+      WHERE booking_id = ${bookingId}`;
+  }
+
+  /**
+   * Retry the failed refund of a booking (admin)
+   * @param {number} bookingId - Booking ID
+   * @param {number} adminId - Admin user ID
+   * @returns {Promise<object>} Updated booking
+   */
+  async retryRefund(bookingId, adminId) {
+    // Claim the refund so concurrent retries do not refund it twice
+    const { count } = await prisma.booking.updateMany({
+      where: { bookingId, refundStatus: REFUND_STATUS.FAILED },
+      data: { refundStatus: REFUND_STATUS.PENDING },
+    });
+
+    if (count === 0) {
+      throw new Error("Booking has no failed refund to retry");
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { bookingId },
+    });
+    const amount = Number(booking.refundDue);
+
+    await this.refundBooking(bookingId, amount, {
+      reason: "Refund retried",
+      initiatedBy: adminId,
+    });
+
+    const updatedBooking = await prisma.booking.findUnique({
+      where: { bookingId },
+    });
+
+    await AdminService.createAuditLog(
+      adminId,
+      "RETRY_BOOKING_REFUND",
+      ENTITY_TYPES.BOOKING,
+      bookingId,
+      { refundStatus: REFUND_STATUS.FAILED },
+      { refundStatus: updatedBooking.refundStatus, amount }
+    );
+
+    return updatedBooking;
+  }
+
+  /**
+   * Remove one player from a booking
+   * The booking amount is recalculated for the remaining players; the removed
+   * player's share is refunded under the event's refund policy if the booking
+   * was paid, and the player's slot is released to the waitlist.
+   * @param {number} bookingId - Booking ID
+   * @param {number} bookingParticipantId - Booking participant ID
+   * @param {number} userId - User ID
+   * @returns {Promise<object>} Updated booking with the refunded amount
+   */
+  async removeParticipant(bookingId, bookingParticipantId, userId) {
+    const { eventId, player, refund } = await prisma.$transaction(
+      async (tx) => {
+        // Lock the booking, so concurrent removals run one after the other
+        // and each sees the players and amount the previous one left
+        const { count } = await tx.booking.updateMany({
+          where: { bookingId, userId },
+          data: { updatedAt: new Date() },
+        });
+
+        if (count === 0) {
+          throw new Error("Booking not found");
+        }
+
+        const booking = await tx.booking.findUnique({
+          where: { bookingId },
+          include: {
+            event: true,
+            participants: {
+              include: {
+                participant: true,
+              },
+            },
+          },
+        });
+
+        if (booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+          throw new Error("Booking is already cancelled");
+        }
+
+        if (booking.bookingStatus === BOOKING_STATUS.COMPLETED) {
+          throw new Error("Cannot change completed booking");
+        }
+
+        if (booking.teamId) {
+          throw new Error("Players cannot be removed from a team booking");
+        }
+
+        if (booking.event.eventStatus !== "UPCOMING") {
+          throw new Error(
+            "Players can only be removed before the event starts"
+          );
+        }
+
+        const player = booking.participants.find(
+          (bp) => bp.id === bookingParticipantId
+        );
+
+        if (!player) {
+          throw new Error("Participant not found in this booking");
+        }
+
+        const remaining = booking.participants.filter(
+          (bp) => bp.id !== bookingParticipantId
+        );
+
+        if (remaining.length === 0) {
+          throw new Error(
+            "This is the only participant in the booking. Cancel the booking instead"
+          );
+        }
+
+        const { event } = booking;
+        const calculate = (participants) =>
+          this.calculateBookingAmount(
+            event.entryFee,
+            participants.map((bp) => ({
+              participantId: bp.participantId,
+              isGovtStudent: bp.participant.isGovtStudent || false,
+            })),
+            event.isOnline,
+            event.govtConcessionType,
+            event.govtConcessionValue,
+            FEE_TYPES.PER_PLAYER,
+            event.currency || DEFAULT_CURRENCY
+          );
+        const current = calculate(booking.participants);
+        const amounts = calculate(remaining);
+
+        // The removed player's share is refunded under the refund policy
+        const isPaid = booking.paymentStatus === PAYMENT_STATUS.PAID;
+        const amountPaid = Number(booking.amountPaid);
+        const refund = isPaid
+          ? await RefundPolicyService.calculateRefund(event, {
+              amount: Math.min(
+                amountPaid,
+                current.totalAmount - amounts.totalAmount
+              ),
+              platformFee: current.platformFee - amounts.platformFee,
+            })
+          : null;
+        const refundAmount = refund?.refundAmount || 0;
+
+        await tx.bookingParticipant.delete({
+          where: { id: bookingParticipantId },
+        });
 
-      // If payment was made, mark for refund
-      if (booking.paymentStatus === PAYMENT_STATUS.PAID) {
         await tx.booking.update({
           where: { bookingId },
           data: {
-            paymentStatus: PAYMENT_STATUS.REFUNDED,
+            // A paid booking keeps what was paid less the refund; an unpaid
+            // one is due the price of the remaining players
+            amountPaid: isPaid
+              ? (amountPaid - refundAmount).toFixed(2)
+              : amounts.totalAmount,
+            ...(refundAmount > 0 && {
+              refundStatus: REFUND_STATUS.PENDING,
+              refundDue: { increment: refundAmount },
+            }),
           },
         });
+
+        await CapacityService.releaseBookingSlots(tx, booking.eventId, [
+          player,
+        ]);
+
+        // An open order is for the old amount
+        if (!isPaid) {
+          await tx.payment.updateMany({
+            where: { bookingId, paymentStatus: PAYMENT_RECORD_STATUS.PENDING },
+            data: { paymentStatus: PAYMENT_RECORD_STATUS.EXPIRED },
+          });
+        }
+
+        return { eventId: booking.eventId, player, refund };
       }
+    );
 
-      return updated;
-    });
+    // Offer the freed slot to the waitlist
+    await WaitlistService.refreshWaitlist(eventId);
 
-    return this.getBookingById(bookingId, userId);
+    const refundAmount = refund?.refundAmount || 0;
+    if (refundAmount > 0) {
+      await this.refundBooking(bookingId, refundAmount, {
+        reason: `${player.participant.fullName} removed from booking`,
+        initiatedBy: userId,
+      });
+    }
+
+    const updatedBooking = await this.getBookingById(bookingId, userId);
+    updatedBooking.refundAmount = refundAmount;
+    updatedBooking.appliedRefundPolicy = refund;
+
+    return updatedBooking;
+  }
+
+  /**
+   * Book a slot offered from the waitlist
+   * Uses the participants (or team) of the original booking attempt.
+   * @param {number} entryId - Waitlist entry ID
+   * @param {number} userId - User ID
+   * @returns {Promise<object>} Created booking
+   */
+  async acceptWaitlistOffer(entryId, userId) {
+    const entry = await WaitlistService.getUserEntry(entryId, userId);
+
+    if (
+      entry.waitlistStatus !== WAITLIST_STATUS.OFFERED ||
+      entry.holdExpiresAt <= new Date()
+    ) {
+      throw new Error("No slot is currently offered for this waitlist entry");
+    }
+
+    return this.createBooking(userId, JSON.parse(entry.bookingData));
   }
 
   /**
@@ -458,6 +1015,10 @@ class BookingService {
       throw new Error("Payment already completed");
     }
 
+    if (this.isPaymentHoldExpired(booking)) {
+      throw new Error("Payment window has expired. Please book again");
+    }
+
     // Update booking status
     await prisma.booking.update({
       where: { bookingId },
@@ -470,6 +1031,124 @@ class BookingService {
     return this.getBookingById(bookingId, userId);
   }
 
+  /**
+   * Get the platform fee per player of an offline event
+   * The configured fee is in rupees; other currencies have their own fees.
+   * @param {string} currency - Event currency
+   * @returns {number} Platform fee per player
+   */
+  getPlatformFeePerPlayer(currency) {
+    if (currency === DEFAULT_CURRENCY) {
+      return config.fees?.offlinePlatformFee || 10;
+    }
+
+    return Number(config.fees?.offlinePlatformFeesByCurrency?.[currency]) || 0;
+  }
+
+  /**
+   * Get the platform fee charged for a number of players
+   * @param {object} event - Event object
+   * @param {array} participants - Booked players
+   * @returns {number} Platform fee
+   */
+  getPlatformFee(event, participants) {
+    const { platformFee } = this.calculateBookingAmount(
+      0,
+      participants,
+      event.isOnline,
+      null,
+      null,
+      FEE_TYPES.PER_PLAYER,
+      event.currency || DEFAULT_CURRENCY
+    );
+
+    return platformFee;
+  }
+
+  /**
+   * Get the payment window for new bookings
+   * @returns {Promise<number>} Minutes a pending booking holds its slots
+   */
+  async getPaymentHoldMinutes() {
+    const minutes = await SettingsService.getSetting("bookingPaymentHoldMinutes");
+    return Number(minutes) > 0 ? Number(minutes) : BOOKING_PAYMENT_HOLD_MINUTES;
+  }
+
+  /**
+   * Check if the payment window of a booking has passed
+   * @param {object} booking - Booking object
+   * @returns {boolean} True if expired
+   */
+  isPaymentHoldExpired(booking) {
+    return !!booking.paymentDueAt && booking.paymentDueAt <= new Date();
+  }
+
+  /**
+   * Cancel pending bookings whose payment window has passed
+   * Releases their slots (offered to the waitlist) and marks any open
+   * gateway order as expired. Run periodically by the booking expiry job.
+   * @returns {Promise<number>} Number of expired bookings
+   */
+  async expireUnpaidBookings() {
+    const lapsed = await prisma.booking.findMany({
+      where: {
+        bookingStatus: BOOKING_STATUS.PENDING,
+        paymentStatus: PAYMENT_STATUS.PENDING,
+        paymentDueAt: { lte: new Date() },
+      },
+      include: { participants: { select: { categoryId: true } } },
+    });
+
+    const eventIds = new Set();
+    let expiredCount = 0;
+
+    for (const booking of lapsed) {
+      const expired = await prisma.$transaction(async (tx) => {
+        // Skip bookings paid since they were read
+        const { count } = await tx.booking.updateMany({
+          where: {
+            bookingId: booking.bookingId,
+            bookingStatus: BOOKING_STATUS.PENDING,
+            paymentStatus: PAYMENT_STATUS.PENDING,
+          },
+          data: {
+            bookingStatus: BOOKING_STATUS.CANCELLED,
+            paymentStatus: PAYMENT_STATUS.FAILED,
+          },
+        });
+
+        if (count === 0) return false;
+
+        await CapacityService.releaseBookingSlots(
+          tx,
+          booking.eventId,
+          booking.participants
+        );
+
+        await tx.payment.updateMany({
+          where: {
+            bookingId: booking.bookingId,
+            paymentStatus: PAYMENT_RECORD_STATUS.PENDING,
+          },
+          data: { paymentStatus: PAYMENT_RECORD_STATUS.EXPIRED },
+        });
+
+        return true;
+      });
+
+      if (expired) {
+        eventIds.add(booking.eventId);
+        expiredCount++;
+      }
+    }
+
+    for (const eventId of eventIds) {
+      await WaitlistService.refreshWaitlist(eventId);
+    }
+
+    return expiredCount;
+  }
+
   /**
    * Format booking response
    * @param {object} booking - Booking object from database
@@ -484,8 +1163,23 @@ class BookingService {
       eventStartTime: booking.event
         ? DateUtil.formatTime(booking.event.eventStartTime)
         : null,
+      refundPolicy: booking.refundPolicy
+        ? JSON.parse(booking.refundPolicy)
+        : null,
     };
 
+    // Seconds left to pay before an unpaid booking expires
+    if (
+      booking.paymentDueAt &&
+      booking.bookingStatus === BOOKING_STATUS.PENDING &&
+      booking.paymentStatus === PAYMENT_STATUS.PENDING
+    ) {
+      formatted.paymentHoldSeconds = Math.max(
+        0,
+        Math.floor((booking.paymentDueAt.getTime() - Date.now()) / 1000)
+      );
+    }
+
     // Format participants
     if (booking.participants) {
       formatted.participants = booking.participants.map((bp) => ({
@@ -498,6 +1192,7 @@ class BookingService {
         contactNumber: bp.participant.contactNumber,
         email: bp.participant.email,
         isGovtStudent: bp.participant.isGovtStudent || false,
+        boardNumber: bp.boardNumber,
       }));
     }
 
@@ -4,6 +4,7 @@
  */
 
 const Joi = require("joi");
+const ReferenceUtil = require("../../utils/reference.util");
 const { BOOKING_STATUS, PAYMENT_STATUS } = require("../../config/constants");
 
 /**
@@ -29,12 +30,25 @@ const createBookingSchema = Joi.object({
       })
     )
     .min(1)
-    .required()
     .messages({
       "array.min": "At least one participant is required",
-      "any.required": "Participants are required",
     }),
-});
+  // Team events are booked with a team instead of individual participants
+  teamId: Joi.number().integer().positive().messages({
+    "number.base": "Team ID must be a number",
+    "number.positive": "Team ID must be positive",
+  }),
+  categoryCode: Joi.string().max(10).when("teamId", {
+    is: Joi.exist(),
+    then: Joi.optional(),
+    otherwise: Joi.forbidden(),
+  }),
+})
+  .xor("participants", "teamId")
+  .messages({
+    "object.missing": "Participants or a team are required",
+    "object.xor": "Book either participants or a team, not both",
+  });
 
 /**
  * Get booking by ID schema (params)
@@ -47,6 +61,60 @@ const getBookingByIdSchema = Joi.object({
   }),
 });
 
+/**
+ * Booking participant params schema
+ */
+const bookingParticipantParamsSchema = getBookingByIdSchema.keys({
+  bookingParticipantId: Joi.number().integer().positive().required().messages({
+    "number.base": "Booking participant ID must be a number",
+    "number.positive": "Booking participant ID must be positive",
+    "any.required": "Booking participant ID is required",
+  }),
+});
+
+/**
+ * Booking reference schema (params)
+ * Normalizes the reference and rejects typos caught by its check symbol
+ * (legacy CC-YYYYMMDD-NNNN references are accepted without one)
+ */
+const bookingReferenceSchema = Joi.object({
+  bookingReference: Joi.string()
+    .required()
+    .custom((value, helpers) => {
+      const reference = ReferenceUtil.normalizeBookingReference(value);
+      return reference || helpers.error("any.invalid");
+    })
+    .messages({
+      "any.invalid": "Booking reference is not valid. Please check for typos",
+      "any.required": "Booking reference is required",
+    }),
+});
+
+/**
+ * Waitlist entry ID schema (params)
+ */
+const waitlistEntryIdSchema = Joi.object({
+  entryId: Joi.number().integer().positive().required().messages({
+    "number.base": "Waitlist entry ID must be a number",
+    "number.positive": "Waitlist entry ID must be positive",
+    "any.required": "Waitlist entry ID is required",
+  }),
+});
+
+/**
+ * Reorder waitlist schema
+ */
+const reorderWaitlistSchema = Joi.object({
+  entryIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .unique()
+    .required()
+    .messages({
+      "array.unique": "Each waitlist entry can only be listed once",
+      "any.required": "Waitlist entry order is required",
+    }),
+});
+
 /**
  * List bookings query schema
  */
@@ -75,6 +143,10 @@ const cancelBookingSchema = Joi.object({
 module.exports = {
   createBookingSchema,
   getBookingByIdSchema,
+  bookingParticipantParamsSchema,
+  bookingReferenceSchema,
+  waitlistEntryIdSchema,
+  reorderWaitlistSchema,
   listBookingsQuerySchema,
   cancelBookingSchema,
 };
@@ -0,0 +1,159 @@
+/**
+ * Capacity Service
+ * Atomic reservation and release of event and category slots
+ */
+
+const { WAITLIST_STATUS } = require("../../config/constants");
+
+class CapacityService {
+  /**
+   * Reserve the event and category slots of a new booking
+   * A waitlist offer is taken in the same transaction; its slots only count
+   * if it is still held (not taken by a parallel booking or released by the
+   * hold expiry).
+   * @param {object} tx - Prisma transaction client
+   * @param {number} eventId - Event ID
+   * @param {array} categories - Category of each booked player (null if none)
+   * @param {object|null} offer - The user's waitlist offer
+   * @returns {Promise<object>} { reserved, heldSlots }
+   */
+  async reserveBookingSlots(tx, eventId, categories, offer) {
+    let heldSlots = 0;
+    if (offer) {
+      const { count } = await tx.waitlistEntry.updateMany({
+        where: {
+          entryId: offer.entryId,
+          waitlistStatus: WAITLIST_STATUS.OFFERED,
+          holdExpiresAt: { gt: new Date() },
+        },
+        data: { waitlistStatus: WAITLIST_STATUS.BOOKED },
+      });
+
+      if (count === 1) heldSlots = offer.participantCount;
+    }
+
+    // Held slots are counted already
+    const reserved = await this.reserveEventSlots(
+      tx,
+      eventId,
+      categories.length - heldSlots
+    );
+
+    if (!reserved) {
+      // Roll back taking the offer
+      if (heldSlots > 0) {
+        throw new Error("Not enough slots left for this booking");
+      }
+      return { reserved: false, heldSlots };
+    }
+
+    const booked = categories.map((category) => ({
+      categoryId: category?.categoryId ?? null,
+    }));
+    for (const [categoryId, count] of this.countByCategory(booked)) {
+      if (!(await this.reserveCategorySlots(tx, eventId, categoryId, count))) {
+        const category = categories.find((c) => c?.categoryId === categoryId);
+        throw new Error(
+          `Not enough slots left in ${category.categoryName} for this booking`
+        );
+      }
+    }
+
+    return { reserved: true, heldSlots };
+  }
+
+  /**
+   * Reserve event slots if they are available
+   * Capacity is checked and reserved in a single conditional UPDATE, so two
+   * concurrent bookings cannot both take the last slot.
+   * @param {object} tx - Prisma transaction client
+   * @param {number} eventId - Event ID
+   * @param {number} count - Number of slots to reserve
+   * @returns {Promise<boolean>} True if the slots were reserved
+   */
+  async reserveEventSlots(tx, eventId, count) {
+    if (count <= 0) {
+      // Returning held slots never exceeds capacity
+      if (count < 0) await this.releaseEventSlots(tx, eventId, -count);
+      return true;
+    }
+
+    const updated = await tx.$executeRaw`
+      UPDATE events
+      SET current_bookings = COALESCE(current_bookings, 0) + ${count}
+      WHERE event_id = ${eventId}
+        AND (max_capacity IS NULL
+          OR COALESCE(current_bookings, 0) + ${count} <= max_capacity)`;
+
+    return updated === 1;
+  }
+
+  /**
+   * Reserve category slots if they are available
+   * @param {object} tx - Prisma transaction client
+   * @param {number} eventId - Event ID
+   * @param {number} categoryId - Category ID
+   * @param {number} count - Number of slots to reserve
+   * @returns {Promise<boolean>} True if the slots were reserved
+   */
+  async reserveCategorySlots(tx, eventId, categoryId, count) {
+    const updated = await tx.$executeRaw`
+      UPDATE event_category_mapping
+      SET current_bookings = current_bookings + ${count}
+      WHERE event_id = ${eventId}
+        AND category_id = ${categoryId}
+        AND (max_capacity IS NULL
+          OR current_bookings + ${count} <= max_capacity)`;
+
+    return updated === 1;
+  }
+
+  /**
+   * Release event slots
+   * @param {object} tx - Prisma transaction client
+   * @param {number} eventId - Event ID
+   * @param {number} count - Number of slots to release
+   */
+  async releaseEventSlots(tx, eventId, count) {
+    await tx.event.update({
+      where: { eventId },
+      data: { currentBookings: { decrement: count } },
+    });
+  }
+
+  /**
+   * Release the event and category slots of booked players
+   * @param {object} tx - Prisma transaction client
+   * @param {number} eventId - Event ID
+   * @param {array} participants - Booking participants ({ categoryId })
+   */
+  async releaseBookingSlots(tx, eventId, participants) {
+    if (participants.length === 0) return;
+
+    await this.releaseEventSlots(tx, eventId, participants.length);
+
+    for (const [categoryId, count] of this.countByCategory(participants)) {
+      await tx.eventCategoryMapping.updateMany({
+        where: { eventId, categoryId },
+        data: { currentBookings: { decrement: count } },
+      });
+    }
+  }
+
+  /**
+   * Count players per category
+   * @param {array} participants - Objects with a categoryId (null if none)
+   * @returns {Map<number, number>} Player count by category ID
+   */
+  countByCategory(participants) {
+    const counts = new Map();
+
+    for (const { categoryId } of participants) {
+      if (categoryId) counts.set(categoryId, (counts.get(categoryId) || 0) + 1);
+    }
+
+    return counts;
+  }
+}
+
+module.exports = new CapacityService();
@@ -0,0 +1,76 @@
+/**
+ * Refund Policy Service
+ * Refundable amounts on cancellation under an event's refund policy
+ */
+
+const DateUtil = require("../../utils/date.util");
+const SettingsService = require("../settings/settings.service");
+const { DEFAULT_REFUND_POLICY } = require("../../config/constants");
+
+class RefundPolicyService {
+  /**
+   * Get the refund policy of an event
+   * @param {object} event - Event object
+   * @returns {object} { rules, refundPlatformFee }
+   */
+  getPolicy(event) {
+    return event.refundPolicy
+      ? JSON.parse(event.refundPolicy)
+      : DEFAULT_REFUND_POLICY;
+  }
+
+  /**
+   * Calculate the refund for money returned on a cancellation
+   * The rule with the longest notice that the cancellation still meets
+   * applies. The platform fee is kept unless the policy refunds it.
+   * @param {object} event - Event object
+   * @param {object} options - { amount, platformFee, cancelledAt }
+   * @param {number} options.amount - Amount paid for what is cancelled
+   * @param {number} options.platformFee - Platform fee included in amount
+   * @param {Date} options.cancelledAt - Time of cancellation
+   * @returns {Promise<object>} Refund amount and the policy applied
+   */
+  async calculateRefund(
+    event,
+    { amount, platformFee = 0, cancelledAt = new Date() }
+  ) {
+    if (!(await SettingsService.isEnabled("allowRefunds"))) {
+      return { refundAmount: 0, refundsEnabled: false };
+    }
+
+    const policy = this.getPolicy(event);
+    const eventStart = DateUtil.getEventStart(
+      event.eventDates,
+      event.eventStartTime
+    );
+    const hoursBeforeStart = eventStart
+      ? (eventStart.getTime() - cancelledAt.getTime()) / (60 * 60 * 1000)
+      : Infinity;
+
+    const rule = [...policy.rules]
+      .sort((a, b) => b.hoursBefore - a.hoursBefore)
+      .find((r) => hoursBeforeStart >= r.hoursBefore);
+    const refundPercent = rule?.refundPercent || 0;
+
+    const refundable = policy.refundPlatformFee
+      ? amount
+      : Math.max(0, amount - platformFee);
+    const refundAmount = Math.round(refundable * refundPercent) / 100;
+
+    return {
+      refundAmount,
+      refundsEnabled: true,
+      refundPercent,
+      rule: rule || null,
+      hoursBeforeStart: Number.isFinite(hoursBeforeStart)
+        ? Math.round(hoursBeforeStart * 10) / 10
+        : null,
+      amount,
+      platformFee,
+      refundPlatformFee: policy.refundPlatformFee,
+      rules: policy.rules,
+    };
+  }
+}
+
+module.exports = new RefundPolicyService();
@@ -0,0 +1,479 @@
+/**
+ * Waitlist Service
+ * Business logic for the waitlist of full events
+ */
+
+const { prisma } = require("../../config/database");
+const EmailService = require("../notifications/email.service");
+const CapacityService = require("./capacity.service");
+const DateUtil = require("../../utils/date.util");
+const {
+  WAITLIST_STATUS,
+  WAITLIST_HOLD_HOURS,
+} = require("../../config/constants");
+
+// Entries still in the queue (an offered entry holds its slots)
+const ACTIVE_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+class WaitlistService {
+  /**
+   * Add a booking attempt to the waitlist of a full event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - User ID
+   * @param {object} bookingData - Booking request (participants or team)
+   * @param {number} participantCount - Number of players in the booking
+   * @returns {Promise<object>} Waitlist entry
+   */
+  async joinWaitlist(eventId, userId, bookingData, participantCount) {
+    const existing = await prisma.waitlistEntry.findFirst({
+      where: { eventId, userId, waitlistStatus: { in: ACTIVE_STATUSES } },
+    });
+
+    if (existing) {
+      throw new Error("You are already on the waitlist for this event");
+    }
+
+    const last = await prisma.waitlistEntry.findFirst({
+      where: { eventId },
+      orderBy: { position: "desc" },
+      select: { position: true },
+    });
+
+    const entry = await prisma.waitlistEntry.create({
+      data: {
+        eventId,
+        userId,
+        bookingData: JSON.stringify(bookingData),
+        participantCount,
+        position: (last?.position || 0) + 1,
+      },
+    });
+
+    return this.formatEntry({
+      ...entry,
+      aheadCount: await this.countAhead(entry),
+    });
+  }
+
+  /**
+   * Check if anyone is waiting for a slot in an event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<boolean>} True if the waitlist has waiting entries
+   */
+  async hasWaitingEntries(eventId) {
+    const count = await prisma.waitlistEntry.count({
+      where: { eventId, waitlistStatus: WAITLIST_STATUS.WAITING },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Get a user's unexpired slot offer for an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - User ID
+   * @returns {Promise<object|null>} Offered entry
+   */
+  async getActiveOffer(eventId, userId) {
+    return prisma.waitlistEntry.findFirst({
+      where: {
+        eventId,
+        userId,
+        waitlistStatus: WAITLIST_STATUS.OFFERED,
+        holdExpiresAt: { gt: new Date() },
+      },
+    });
+  }
+
+  /**
+   * Get a user's waitlist entry
+   * @param {number} entryId - Waitlist entry ID
+   * @param {number} userId - User ID (for ownership check)
+   * @returns {Promise<object>} Waitlist entry
+   */
+  async getUserEntry(entryId, userId) {
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: { entryId, userId },
+    });
+
+    if (!entry) {
+      throw new Error("Waitlist entry not found");
+    }
+
+    return entry;
+  }
+
+  /**
+   * Expire lapsed holds and offer free slots to the next waiting users
+   * @param {number} eventId - Event ID
+   */
+  async refreshWaitlist(eventId) {
+    await this.expireHolds(eventId);
+    await this.offerSlots(eventId);
+  }
+
+  /**
+   * Release the slots of offers that were not booked in time
+   * @param {number} eventId - Event ID
+   * @returns {Promise<number>} Number of expired offers
+   */
+  async expireHolds(eventId) {
+    const lapsed = await prisma.waitlistEntry.findMany({
+      where: {
+        eventId,
+        waitlistStatus: WAITLIST_STATUS.OFFERED,
+        holdExpiresAt: { lte: new Date() },
+      },
+    });
+
+    let expired = 0;
+
+    for (const entry of lapsed) {
+      await prisma.$transaction(async (tx) => {
+        // Skip offers booked or expired since they were read
+        const { count } = await tx.waitlistEntry.updateMany({
+          where: {
+            entryId: entry.entryId,
+            waitlistStatus: WAITLIST_STATUS.OFFERED,
+          },
+          data: { waitlistStatus: WAITLIST_STATUS.EXPIRED },
+        });
+
+        if (count === 0) return;
+
+        await CapacityService.releaseEventSlots(
+          tx,
+          eventId,
+          entry.participantCount
+        );
+        expired++;
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Offer free slots to waiting users in waitlist order
+   * Offered slots are held (counted in currentBookings) until the hold
+   * expires. The queue is strict: a booking that does not fit blocks the
+   * entries behind it. Slots are reserved atomically, so concurrent runs
+   * cannot offer the same slot twice.
+   * @param {number} eventId - Event ID
+   * @returns {Promise<number>} Number of new offers
+   */
+  async offerSlots(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventName: true,
+        location: true,
+        maxCapacity: true,
+        currentBookings: true,
+      },
+    });
+
+    if (!event?.maxCapacity) return 0;
+
+    const waiting = await prisma.waitlistEntry.findMany({
+      where: { eventId, waitlistStatus: WAITLIST_STATUS.WAITING },
+      include: { user: { select: { fullName: true, email: true } } },
+      orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+    });
+
+    let availableSlots = event.maxCapacity - event.currentBookings;
+    let offered = 0;
+
+    for (const entry of waiting) {
+      if (entry.participantCount > availableSlots) break;
+
+      const now = new Date();
+      const holdExpiresAt = new Date(
+        now.getTime() + WAITLIST_HOLD_HOURS * 60 * 60 * 1000
+      );
+
+      const isOffered = await prisma.$transaction(async (tx) => {
+        const reserved = await CapacityService.reserveEventSlots(
+          tx,
+          eventId,
+          entry.participantCount
+        );
+
+        if (!reserved) return false;
+
+        const { count } = await tx.waitlistEntry.updateMany({
+          where: {
+            entryId: entry.entryId,
+            waitlistStatus: WAITLIST_STATUS.WAITING,
+          },
+          data: {
+            waitlistStatus: WAITLIST_STATUS.OFFERED,
+            offeredAt: now,
+            holdExpiresAt,
+          },
+        });
+
+        // Offered by a concurrent run, which continues with the queue
+        if (count === 0) {
+          await CapacityService.releaseEventSlots(
+            tx,
+            eventId,
+            entry.participantCount
+          );
+          return false;
+        }
+
+        return true;
+      });
+
+      if (!isOffered) break;
+
+      availableSlots -= entry.participantCount;
+      offered++;
+
+      try {
+        await EmailService.sendWaitlistOfferEmail({
+          ...entry,
+          event,
+          holdExpiresAt,
+        });
+      } catch (error) {
+        console.error("Failed to send waitlist offer email:", error);
+      }
+    }
+
+    return offered;
+  }
+
+  /**
+   * Get a user's active waitlist entries
+   * @param {number} userId - User ID
+   * @returns {Promise<array>} Waitlist entries with event details
+   */
+  async getUserWaitlist(userId) {
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { userId, waitlistStatus: { in: ACTIVE_STATUSES } },
+      include: {
+        event: {
+          select: {
+            eventId: true,
+            eventName: true,
+            eventDates: true,
+            location: true,
+            eventStatus: true,
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return Promise.all(
+      entries.map(async (entry) =>
+        this.formatEntry({ ...entry, aheadCount: await this.countAhead(entry) })
+      )
+    );
+  }
+
+  /**
+   * Leave the waitlist (releases a held slot)
+   * @param {number} entryId - Waitlist entry ID
+   * @param {number} userId - User ID
+   */
+  async leaveWaitlist(entryId, userId) {
+    const entry = await this.getUserEntry(entryId, userId);
+
+    if (!ACTIVE_STATUSES.includes(entry.waitlistStatus)) {
+      throw new Error("You are no longer on the waitlist");
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.waitlistEntry.updateMany({
+        where: { entryId, waitlistStatus: entry.waitlistStatus },
+        data: { waitlistStatus: WAITLIST_STATUS.CANCELLED },
+      });
+
+      if (count === 0) {
+        throw new Error("Your waitlist entry has changed. Please try again");
+      }
+
+      if (entry.waitlistStatus === WAITLIST_STATUS.OFFERED) {
+        await CapacityService.releaseEventSlots(
+          tx,
+          entry.eventId,
+          entry.participantCount
+        );
+      }
+    });
+
+    if (entry.waitlistStatus === WAITLIST_STATUS.OFFERED) {
+      await this.offerSlots(entry.eventId);
+    }
+  }
+
+  /**
+   * Get the waitlist of an event (organizer only)
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<object>} Waitlist in queue order
+   */
+  async getEventWaitlist(eventId, organizerId) {
+    const event = await prisma.event.findFirst({
+      where: { eventId, organizerId },
+    });
+
+    if (!event) {
+      throw new Error("Event not found or you do not have permission");
+    }
+
+    await this.refreshWaitlist(eventId);
+
+    const entries = await prisma.waitlistEntry.findMany({
+      where: { eventId, waitlistStatus: { in: ACTIVE_STATUSES } },
+      include: {
+        user: {
+          select: {
+            userId: true,
+            fullName: true,
+            email: true,
+            phone: true,
+          },
+        },
+      },
+      orderBy: [{ position: "asc" }, { createdAt: "asc" }],
+    });
+
+    const bookings = entries.map((entry) => JSON.parse(entry.bookingData));
+    const participantIds = bookings.flatMap((booking) =>
+      (booking.participants || []).map((p) => p.participantId)
+    );
+    const teamIds = bookings.map((booking) => booking.teamId).filter(Boolean);
+
+    const [participants, teams] = await Promise.all([
+      prisma.participant.findMany({
+        where: { participantId: { in: participantIds } },
+        select: { participantId: true, fullName: true },
+      }),
+      prisma.team.findMany({
+        where: { teamId: { in: teamIds } },
+        select: { teamId: true, teamName: true },
+      }),
+    ]);
+
+    const names = new Map(
+      participants.map((p) => [p.participantId, p.fullName])
+    );
+    const teamNames = new Map(teams.map((t) => [t.teamId, t.teamName]));
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      totalEntries: entries.length,
+      entries: entries.map((entry, index) => ({
+        ...this.formatEntry(entry),
+        user: entry.user,
+        teamName: teamNames.get(bookings[index].teamId) || null,
+        participants: (bookings[index].participants || []).map((p) => ({
+          participantId: p.participantId,
+          fullName: names.get(p.participantId) || null,
+          categoryCode: p.categoryCode || null,
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Reorder the waiting entries of an event (organizer only)
+   * Entries already offered a slot keep their offer.
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {array} entryIds - All waiting entry IDs in the new order
+   * @returns {Promise<object>} Updated waitlist
+   */
+  async reorderWaitlist(eventId, organizerId, entryIds) {
+    const event = await prisma.event.findFirst({
+      where: { eventId, organizerId },
+    });
+
+    if (!event) {
+      throw new Error("Event not found or you do not have permission");
+    }
+
+    const waiting = await prisma.waitlistEntry.findMany({
+      where: { eventId, waitlistStatus: WAITLIST_STATUS.WAITING },
+      select: { entryId: true },
+    });
+
+    const waitingIds = new Set(waiting.map((entry) => entry.entryId));
+    if (
+      entryIds.length !== waitingIds.size ||
+      !entryIds.every((entryId) => waitingIds.has(entryId))
+    ) {
+      throw new Error(
+        "The new order must list every waiting entry exactly once"
+      );
+    }
+
+    await prisma.$transaction(
+      entryIds.map((entryId, index) =>
+        prisma.waitlistEntry.update({
+          where: { entryId },
+          data: { position: index + 1 },
+        })
+      )
+    );
+
+    // The new head of the queue may fit in slots the old one did not
+    await this.offerSlots(eventId);
+
+    return this.getEventWaitlist(eventId, organizerId);
+  }
+
+  /**
+   * Count waiting entries ahead of an entry
+   * @param {object} entry - Waitlist entry
+   * @returns {Promise<number|null>} Entries ahead (null once offered)
+   */
+  async countAhead(entry) {
+    if (entry.waitlistStatus !== WAITLIST_STATUS.WAITING) return null;
+
+    return prisma.waitlistEntry.count({
+      where: {
+        eventId: entry.eventId,
+        waitlistStatus: WAITLIST_STATUS.WAITING,
+        position: { lt: entry.position },
+      },
+    });
+  }
+
+  /**
+   * Format waitlist entry response
+   * @param {object} entry - Waitlist entry from database
+   * @returns {object} Formatted entry
+   */
+  formatEntry(entry) {
+    const formatted = {
+      entryId: entry.entryId,
+      eventId: entry.eventId,
+      waitlistStatus: entry.waitlistStatus,
+      position: entry.position,
+      participantCount: entry.participantCount,
+      offeredAt: entry.offeredAt,
+      holdExpiresAt: entry.holdExpiresAt,
+      createdAt: entry.createdAt,
+    };
+
+    if (entry.aheadCount !== undefined) {
+      formatted.aheadCount = entry.aheadCount;
+    }
+    if (entry.event) {
+      formatted.event = {
+        ...entry.event,
+        eventDates: DateUtil.parseEventDates(entry.event.eventDates),
+      };
+    }
+
+    return formatted;
+  }
+}
+
+module.exports = new WaitlistService();
@@ -0,0 +1,103 @@
+/**
+ * Certificate Controller
+ * Handles HTTP requests for certificate endpoints
+ */
+
+const CertificateService = require("./certificate.service");
+const ResponseUtil = require("../../utils/response.util");
+const { asyncHandler } = require("../../middleware/errorHandler.middleware");
+
+class CertificateController {
+  /**
+   * Get certificate templates of an event (organizer only)
+   * GET /api/v1/certificates/events/:eventId/templates
+   */
+  getTemplates = asyncHandler(async (req, res) => {
+    const templates = await CertificateService.getTemplates(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, templates, "Templates retrieved successfully");
+  });
+
+  /**
+   * Create or update a certificate template (organizer only)
+   * PUT /api/v1/certificates/events/:eventId/templates/:certificateType
+   */
+  saveTemplate = asyncHandler(async (req, res) => {
+    const template = await CertificateService.saveTemplate(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.params.certificateType,
+      req.body
+    );
+
+    ResponseUtil.success(res, template, "Template saved successfully");
+  });
+
+  /**
+   * Upload certificate background image (organizer only)
+   * POST /api/v1/certificates/events/:eventId/templates/:certificateType/background
+   */
+  uploadBackground = asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return ResponseUtil.badRequest(res, "No file uploaded");
+    }
+
+    const template = await CertificateService.uploadBackground(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.params.certificateType,
+      req.file.path
+    );
+
+    ResponseUtil.success(res, template, "Background uploaded successfully");
+  });
+
+  /**
+   * Download all certificates of an event as ZIP (organizer only)
+   * GET /api/v1/certificates/events/:eventId
+   */
+  downloadEventCertificates = asyncHandler(async (req, res) => {
+    const { filename, archive } = await CertificateService.getEventCertificates(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.query.type
+    );
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    archive.pipe(res);
+  });
+
+  /**
+   * Download a player's certificate (booking owner or organizer)
+   * GET /api/v1/certificates/players/:playerId
+   */
+  downloadPlayerCertificate = asyncHandler(async (req, res) => {
+    const { filename, content } = await CertificateService.getPlayerCertificate(
+      parseInt(req.params.playerId),
+      req.query.type,
+      req.user.userId
+    );
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  /**
+   * Verify a certificate
+   * GET /api/v1/certificates/verify/:code
+   */
+  verifyCertificate = asyncHandler(async (req, res) => {
+    const certificate = await CertificateService.verifyCertificate(
+      req.params.code
+    );
+
+    ResponseUtil.success(res, certificate, "Certificate is valid");
+  });
+}
+
+module.exports = new CertificateController();
@@ -0,0 +1,77 @@
+/**
+ * Certificate Renderer
+ * Draws a certificate PDF from a template (A4 background plus text fields)
+ */
+
+const fs = require("fs");
+const PDFDocument = require("pdfkit");
+const { PAGE_ORIENTATIONS } = require("../../config/constants");
+
+// Field style defaults (positions are in PDF points from the top-left corner)
+const FIELD_DEFAULTS = {
+  fontSize: 24,
+  align: "center",
+  color: "#000000",
+  bold: false,
+};
+
+class CertificateRenderer {
+  /**
+   * Render a certificate
+   * Fields without a value (e.g. rank on a participation certificate of an
+   * unranked player) are left blank.
+   * @param {object} template - { backgroundImage, orientation, fields }
+   * @param {object} values - Text per field (name, rank, category, ...)
+   * @returns {Promise<Buffer>} PDF content
+   */
+  render(template, values) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        layout:
+          template.orientation === PAGE_ORIENTATIONS.PORTRAIT
+            ? "portrait"
+            : "landscape",
+        margin: 0,
+      });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      try {
+        if (template.backgroundImage && fs.existsSync(template.backgroundImage)) {
+          doc.image(template.backgroundImage, 0, 0, {
+            width: doc.page.width,
+            height: doc.page.height,
+          });
+        }
+
+        for (const [field, position] of Object.entries(template.fields)) {
+          const value = values[field];
+          if (value === null || value === undefined || value === "") continue;
+
+          const style = { ...FIELD_DEFAULTS, ...position };
+          const width = style.width ?? doc.page.width - style.x;
+
+          doc
+            .font(style.bold ? "Helvetica-Bold" : "Helvetica")
+            .fontSize(style.fontSize)
+            .fillColor(style.color)
+            .text(String(value), style.x, style.y, {
+              width,
+              align: style.align,
+              lineBreak: false,
+            });
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+}
+
+module.exports = new CertificateRenderer();
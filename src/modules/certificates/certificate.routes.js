@@ -0,0 +1,103 @@
+/**
+ * Certificate Routes
+ * Define all certificate-related routes
+ */
+
+const express = require("express");
+const router = express.Router();
+const CertificateController = require("./certificate.controller");
+const { validate } = require("../../middleware/validation.middleware");
+const {
+  authenticate,
+  isOrganizer,
+} = require("../../middleware/auth.middleware");
+const { uploadSingle } = require("../../middleware/upload.middleware");
+const {
+  eventParamsSchema,
+  templateParamsSchema,
+  saveTemplateSchema,
+  playerParamsSchema,
+  certificateQuerySchema,
+  verifyParamsSchema,
+} = require("./certificate.validation");
+
+/**
+ * @route   GET /api/v1/certificates/verify/:code
+ * @desc    Verify a certificate by its verification code
+ * @access  Public
+ */
+router.get(
+  "/verify/:code",
+  validate(verifyParamsSchema, "params"),
+  CertificateController.verifyCertificate
+);
+
+/**
+ * @route   GET /api/v1/certificates/players/:playerId
+ * @desc    Download a player's certificate PDF (?type=PARTICIPATION|MERIT)
+ * @access  Private (Booking owner or organizer)
+ */
+router.get(
+  "/players/:playerId",
+  authenticate,
+  validate(playerParamsSchema, "params"),
+  validate(certificateQuerySchema, "query"),
+  CertificateController.downloadPlayerCertificate
+);
+
+/**
+ * @route   GET /api/v1/certificates/events/:eventId
+ * @desc    Download all certificates of an event as ZIP (?type=PARTICIPATION|MERIT)
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/events/:eventId",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  validate(certificateQuerySchema, "query"),
+  CertificateController.downloadEventCertificates
+);
+
+/**
+ * @route   GET /api/v1/certificates/events/:eventId/templates
+ * @desc    Get certificate templates of an event
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/events/:eventId/templates",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  CertificateController.getTemplates
+);
+
+/**
+ * @route   PUT /api/v1/certificates/events/:eventId/templates/:certificateType
+ * @desc    Create or update template field positions
+ * @access  Private (Organizer)
+ */
+router.put(
+  "/events/:eventId/templates/:certificateType",
+  authenticate,
+  isOrganizer,
+  validate(templateParamsSchema, "params"),
+  validate(saveTemplateSchema),
+  CertificateController.saveTemplate
+);
+
+/**
+ * @route   POST /api/v1/certificates/events/:eventId/templates/:certificateType/background
+ * @desc    Upload template background image (JPEG or PNG)
+ * @access  Private (Organizer)
+ */
+router.post(
+  "/events/:eventId/templates/:certificateType/background",
+  authenticate,
+  isOrganizer,
+  validate(templateParamsSchema, "params"),
+  uploadSingle("certificateBackground"),
+  CertificateController.uploadBackground
+);
+
+module.exports = router;
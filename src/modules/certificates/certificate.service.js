@@ -0,0 +1,436 @@
+/**
+ * Certificate Service
+ * Participation and merit certificates with public verification codes
+ */
+
+const archiver = require("archiver");
+const { prisma } = require("../../config/database");
+const CertificateRenderer = require("./certificate.renderer");
+const RoundService = require("../tournaments/round.service");
+const StandingsService = require("../tournaments/standings.service");
+const PrizeService = require("../tournaments/prize.service");
+const DateUtil = require("../../utils/date.util");
+const FileUtil = require("../../utils/file.util");
+const TokenUtil = require("../../utils/token.util");
+const {
+  BOOKING_STATUS,
+  CERTIFICATE_TYPES,
+  EVENT_STATUS,
+  PAGE_ORIENTATIONS,
+  TOURNAMENT_FORMATS,
+} = require("../../config/constants");
+
+// Background image types the PDF renderer can embed
+const BACKGROUND_EXTENSIONS = [".jpg", ".jpeg", ".png"];
+
+class CertificateService {
+  /**
+   * Get certificate templates of an event (organizer only)
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<array>} Templates
+   */
+  async getTemplates(eventId, organizerId) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const templates = await prisma.certificateTemplate.findMany({
+      where: { eventId },
+      orderBy: { certificateType: "asc" },
+    });
+
+    return templates.map((template) => this.formatTemplate(template));
+  }
+
+  /**
+   * Create or update the field layout of a certificate template
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @param {object} templateData - { orientation, fields }
+   * @returns {Promise<object>} Template
+   */
+  async saveTemplate(eventId, organizerId, certificateType, templateData) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const data = {
+      orientation: templateData.orientation || PAGE_ORIENTATIONS.LANDSCAPE,
+      fields: JSON.stringify(templateData.fields),
+    };
+
+    const template = await prisma.certificateTemplate.upsert({
+      where: {
+        uq_event_certificate_type: { eventId, certificateType },
+      },
+      create: { eventId, certificateType, ...data },
+      update: data,
+    });
+
+    return this.formatTemplate(template);
+  }
+
+  /**
+   * Upload the background image of a certificate template
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @param {string} filePath - Uploaded file path
+   * @returns {Promise<object>} Template
+   */
+  async uploadBackground(eventId, organizerId, certificateType, filePath) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const existing = await prisma.certificateTemplate.findUnique({
+      where: { uq_event_certificate_type: { eventId, certificateType } },
+    });
+
+    if (!existing) {
+      FileUtil.deleteFile(filePath);
+      throw new Error("Save the template fields before uploading a background");
+    }
+
+    if (!BACKGROUND_EXTENSIONS.includes(FileUtil.getFileExtension(filePath))) {
+      FileUtil.deleteFile(filePath);
+      throw new Error("Certificate background must be a JPEG or PNG image");
+    }
+
+    if (existing.backgroundImage) {
+      FileUtil.deleteFile(existing.backgroundImage);
+    }
+
+    const template = await prisma.certificateTemplate.update({
+      where: { templateId: existing.templateId },
+      data: { backgroundImage: filePath },
+    });
+
+    return this.formatTemplate(template);
+  }
+
+  /**
+   * Get a completed event with its template for a certificate type
+   * @param {number} eventId - Event ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @returns {Promise<object>} { event, template }
+   */
+  async getCertificateSetup(eventId, certificateType) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      include: { categories: { include: { category: true } } },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    if (event.eventStatus !== EVENT_STATUS.COMPLETED) {
+      throw new Error("Certificates are available once the event is completed");
+    }
+
+    const template = await prisma.certificateTemplate.findUnique({
+      where: { uq_event_certificate_type: { eventId, certificateType } },
+    });
+
+    if (!template) {
+      throw new Error(
+        `No ${certificateType.toLowerCase()} certificate template for this event`
+      );
+    }
+
+    return { event, template: this.formatTemplate(template) };
+  }
+
+  /**
+   * Get what each eligible player's certificate shows
+   * Participation certificates go to every confirmed player (with their
+   * final rank where the event has a standings table); merit certificates
+   * go to prize winners and show the prizes won.
+   * @param {object} event - Event with categories
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @returns {Promise<Map>} Player ID => { fullName, rank, category }
+   */
+  async getRecipients(event, certificateType) {
+    if (certificateType === CERTIFICATE_TYPES.MERIT) {
+      const prizeList = await PrizeService.getPrizeList(event.eventId);
+
+      return new Map(
+        prizeList.payouts.map((payout) => [
+          payout.playerId,
+          {
+            fullName: payout.fullName,
+            rank: payout.rank,
+            category: payout.prizes.join(", "),
+          },
+        ])
+      );
+    }
+
+    const players = await prisma.bookingParticipant.findMany({
+      where: {
+        eventId: event.eventId,
+        booking: { bookingStatus: BOOKING_STATUS.CONFIRMED },
+      },
+      include: { participant: { select: { fullName: true } } },
+      orderBy: { id: "asc" },
+    });
+
+    // Team and knockout events have no individual ranking
+    const ranks = new Map();
+    if (
+      !event.isTeamEvent &&
+      event.tournamentFormat !== TOURNAMENT_FORMATS.KNOCKOUT
+    ) {
+      const { standings } = await StandingsService.getStandings(event.eventId);
+      standings.forEach((row) => ranks.set(row.playerId, row.rank));
+    }
+
+    const category = event.categories
+      .map((mapping) => mapping.category.categoryName)
+      .join(", ");
+
+    return new Map(
+      players.map((player) => [
+        player.id,
+        {
+          fullName: player.participant.fullName,
+          rank: ranks.get(player.id) ?? null,
+          category: category || null,
+        },
+      ])
+    );
+  }
+
+  /**
+   * Get or issue the certificate record of a player
+   * The printed name, rank and category are stored at first issue so the
+   * verification code keeps matching the document.
+   * @param {number} eventId - Event ID
+   * @param {number} playerId - Booking participant ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @param {object} recipient - { fullName, rank, category }
+   * @returns {Promise<object>} Certificate
+   */
+  async issueCertificate(eventId, playerId, certificateType, recipient) {
+    const existing = await prisma.certificate.findUnique({
+      where: { uq_player_certificate_type: { playerId, certificateType } },
+    });
+
+    if (existing) return existing;
+
+    return prisma.certificate.create({
+      data: {
+        eventId,
+        playerId,
+        certificateType,
+        verificationCode: TokenUtil.generateVerificationCode(),
+        fullName: recipient.fullName,
+        rank: recipient.rank,
+        category: recipient.category,
+      },
+    });
+  }
+
+  /**
+   * Render a certificate PDF
+   * @param {object} event - Event
+   * @param {object} template - Formatted template
+   * @param {object} certificate - Certificate record
+   * @returns {Promise<Buffer>} PDF content
+   */
+  async renderCertificate(event, template, certificate) {
+    const dates = DateUtil.parseEventDates(event.eventDates)
+      .map((date) => DateUtil.formatDateDDMMYYYY(date))
+      .filter(Boolean);
+
+    return CertificateRenderer.render(template, {
+      name: certificate.fullName,
+      rank: certificate.rank,
+      category: certificate.category,
+      eventName: event.eventName,
+      date:
+        dates.length > 1 ? `${dates[0]} - ${dates[dates.length - 1]}` : dates[0],
+      verificationCode: certificate.verificationCode,
+    });
+  }
+
+  /**
+   * Download a player's certificate
+   * Available to the booking owner and the event organizer.
+   * @param {number} playerId - Booking participant ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @param {number} userId - Requesting user ID
+   * @returns {Promise<object>} { filename, content }
+   */
+  async getPlayerCertificate(playerId, certificateType, userId) {
+    const player = await prisma.bookingParticipant.findUnique({
+      where: { id: playerId },
+      include: {
+        booking: { select: { userId: true } },
+        event: { select: { organizerId: true } },
+      },
+    });
+
+    if (
+      !player ||
+      (player.booking.userId !== userId && player.event.organizerId !== userId)
+    ) {
+      throw new Error("Player not found");
+    }
+
+    const { event, template } = await this.getCertificateSetup(
+      player.eventId,
+      certificateType
+    );
+    const recipient = (await this.getRecipients(event, certificateType)).get(
+      playerId
+    );
+
+    if (!recipient) {
+      throw new Error(
+        certificateType === CERTIFICATE_TYPES.MERIT
+          ? "Merit certificates are issued to prize winners only"
+          : "Certificates are issued to confirmed players only"
+      );
+    }
+
+    const certificate = await this.issueCertificate(
+      event.eventId,
+      playerId,
+      certificateType,
+      recipient
+    );
+
+    return {
+      filename: this.getFilename(certificate),
+      content: await this.renderCertificate(event, template, certificate),
+    };
+  }
+
+  /**
+   * Build a ZIP of all certificates of an event (organizer only)
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {string} certificateType - PARTICIPATION or MERIT
+   * @returns {Promise<object>} { filename, archive } (archive is a readable stream)
+   */
+  async getEventCertificates(eventId, organizerId, certificateType) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const { event, template } = await this.getCertificateSetup(
+      eventId,
+      certificateType
+    );
+    const recipients = await this.getRecipients(event, certificateType);
+
+    if (recipients.size === 0) {
+      throw new Error("No players are eligible for these certificates");
+    }
+
+    const files = [];
+    for (const [playerId, recipient] of recipients) {
+      const certificate = await this.issueCertificate(
+        eventId,
+        playerId,
+        certificateType,
+        recipient
+      );
+
+      files.push({
+        name: this.getFilename(certificate),
+        content: await this.renderCertificate(event, template, certificate),
+      });
+    }
+
+    const archive = archiver("zip");
+    files.forEach((file) => archive.append(file.content, { name: file.name }));
+    archive.finalize();
+
+    const slug = event.eventName.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+    return {
+      filename: `${slug}-${certificateType.toLowerCase()}-certificates.zip`,
+      archive,
+    };
+  }
+
+  /**
+   * Verify a certificate by its code
+   * @param {string} code - Verification code (case and dashes ignored)
+   * @returns {Promise<object>} Certificate details
+   */
+  async verifyCertificate(code) {
+    const normalized = code
+      .toUpperCase()
+      .replace(/[^A-Z0-9]/g, "")
+      .match(/.{1,4}/g)
+      ?.join("-");
+
+    const certificate = normalized
+      ? await prisma.certificate.findUnique({
+          where: { verificationCode: normalized },
+          include: {
+            event: {
+              select: {
+                eventId: true,
+                eventName: true,
+                eventDates: true,
+                location: true,
+              },
+            },
+          },
+        })
+      : null;
+
+    if (!certificate) {
+      throw new Error("Certificate not found");
+    }
+
+    return {
+      verificationCode: certificate.verificationCode,
+      certificateType: certificate.certificateType,
+      fullName: certificate.fullName,
+      rank: certificate.rank,
+      category: certificate.category,
+      issuedAt: certificate.issuedAt,
+      event: {
+        eventId: certificate.event.eventId,
+        eventName: certificate.event.eventName,
+        eventDates: DateUtil.parseEventDates(certificate.event.eventDates),
+        location: certificate.event.location,
+      },
+    };
+  }
+
+  /**
+   * Get file name of a certificate PDF
+   * @param {object} certificate - Certificate record
+   * @returns {string} File name
+   */
+  getFilename(certificate) {
+    const name = certificate.fullName
+      .replace(/[^A-Za-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+    return `${name}-${certificate.certificateType.toLowerCase()}-${certificate.verificationCode}.pdf`;
+  }
+
+  /**
+   * Format template response
+   * @param {object} template - Template from database
+   * @returns {object} Formatted template
+   */
+  formatTemplate(template) {
+    return {
+      templateId: template.templateId,
+      eventId: template.eventId,
+      certificateType: template.certificateType,
+      orientation: template.orientation,
+      fields: JSON.parse(template.fields),
+      backgroundImage: template.backgroundImage,
+      backgroundImageUrl: template.backgroundImage
+        ? FileUtil.getFileUrl(template.backgroundImage)
+        : null,
+      updatedAt: template.updatedAt,
+    };
+  }
+}
+
+module.exports = new CertificateService();
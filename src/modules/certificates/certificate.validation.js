@@ -0,0 +1,117 @@
+/**
+ * Certificate Validation Schemas
+ * Joi validation schemas for certificate template, download and verification endpoints
+ */
+
+const Joi = require("joi");
+const {
+  CERTIFICATE_TYPES,
+  CERTIFICATE_FIELDS,
+  PAGE_ORIENTATIONS,
+} = require("../../config/constants");
+
+const certificateTypeSchema = Joi.string()
+  .valid(...Object.values(CERTIFICATE_TYPES))
+  .messages({
+    "any.only": "Certificate type must be PARTICIPATION or MERIT",
+  });
+
+// Position and style of a text field, in PDF points from the top-left corner
+// (A4 landscape is 842 x 595)
+const fieldSchema = Joi.object({
+  x: Joi.number().min(0).max(842).required(),
+  y: Joi.number().min(0).max(842).required(),
+  width: Joi.number().positive().max(842).optional(),
+  fontSize: Joi.number().min(6).max(96).optional(),
+  align: Joi.string().valid("left", "center", "right").optional(),
+  color: Joi.string()
+    .pattern(/^#[0-9A-Fa-f]{6}$/)
+    .optional()
+    .messages({
+      "string.pattern.base": "Color must be a hex color such as #1A2B3C",
+    }),
+  bold: Joi.boolean().optional(),
+});
+
+/**
+ * Event params schema
+ */
+const eventParamsSchema = Joi.object({
+  eventId: Joi.number().integer().positive().required().messages({
+    "number.base": "Event ID must be a number",
+    "number.positive": "Event ID must be positive",
+    "any.required": "Event ID is required",
+  }),
+});
+
+/**
+ * Template params schema
+ */
+const templateParamsSchema = eventParamsSchema.keys({
+  certificateType: certificateTypeSchema.required().messages({
+    "any.required": "Certificate type is required",
+  }),
+});
+
+/**
+ * Save template schema
+ * The name field is required; other fields are optional
+ */
+const saveTemplateSchema = Joi.object({
+  orientation: Joi.string()
+    .valid(...Object.values(PAGE_ORIENTATIONS))
+    .optional()
+    .messages({
+      "any.only": "Orientation must be LANDSCAPE or PORTRAIT",
+    }),
+  fields: Joi.object(
+    Object.fromEntries(
+      CERTIFICATE_FIELDS.map((field) => [
+        field,
+        field === "name" ? fieldSchema.required() : fieldSchema.optional(),
+      ])
+    )
+  )
+    .required()
+    .messages({
+      "any.required": "Template fields are required",
+      "object.unknown": `Fields must be one of: ${CERTIFICATE_FIELDS.join(", ")}`,
+    }),
+});
+
+/**
+ * Player certificate params schema
+ */
+const playerParamsSchema = Joi.object({
+  playerId: Joi.number().integer().positive().required().messages({
+    "number.base": "Player ID must be a number",
+    "number.positive": "Player ID must be positive",
+    "any.required": "Player ID is required",
+  }),
+});
+
+/**
+ * Certificate type query schema
+ */
+const certificateQuerySchema = Joi.object({
+  type: certificateTypeSchema.optional().default(CERTIFICATE_TYPES.PARTICIPATION),
+});
+
+/**
+ * Verify certificate params schema
+ */
+const verifyParamsSchema = Joi.object({
+  code: Joi.string().min(12).max(20).required().messages({
+    "string.min": "Verification code is too short",
+    "any.required": "Verification code is required",
+  }),
+});
+
+module.exports = {
+  eventParamsSchema,
+  templateParamsSchema,
+  saveTemplateSchema,
+  playerParamsSchema,
+  certificateQuerySchema,
+  verifyParamsSchema,
+};
@@ -4,6 +4,7 @@
  */
 
 const EventService = require("./event.service");
+const WaitlistService = require("../bookings/waitlist.service");
 const ResponseUtil = require("../../utils/response.util");
 const { asyncHandler } = require("../../middleware/errorHandler.middleware");
 
@@ -56,6 +57,16 @@ class EventController {
     ResponseUtil.success(res, categories, "Categories retrieved successfully");
   });
 
+  /**
+   * Get events the arbiter is assigned to
+   * GET /api/v1/events/arbiter-events
+   */
+  getArbiterEvents = asyncHandler(async (req, res) => {
+    const events = await EventService.getArbiterEvents(req.user.userId);
+
+    ResponseUtil.success(res, events, "Events retrieved successfully");
+  });
+
   /**
    * Get organizer's events
    * GET /api/v1/events/my-events
@@ -185,6 +196,33 @@ class EventController {
 
     ResponseUtil.success(res, result, "Participants retrieved successfully");
   });
+
+  /**
+   * Get event waitlist (organizer only)
+   * GET /api/v1/events/:eventId/waitlist
+   */
+  getEventWaitlist = asyncHandler(async (req, res) => {
+    const result = await WaitlistService.getEventWaitlist(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, result, "Waitlist retrieved successfully");
+  });
+
+  /**
+   * Reorder event waitlist (organizer only)
+   * PUT /api/v1/events/:eventId/waitlist
+   */
+  reorderWaitlist = asyncHandler(async (req, res) => {
+    const result = await WaitlistService.reorderWaitlist(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.body.entryIds
+    );
+
+    ResponseUtil.success(res, result, "Waitlist reordered successfully");
+  });
 }
 
 module.exports = new EventController();
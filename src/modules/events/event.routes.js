@@ -10,6 +10,7 @@ const { validate } = require("../../middleware/validation.middleware");
 const {
   authenticate,
   isOrganizer,
+  isArbiter,
   optionalAuth,
 } = require("../../middleware/auth.middleware");
 const { uploadSingle } = require("../../middleware/upload.middleware");
@@ -20,6 +21,7 @@ const {
   listEventsQuerySchema,
   createEditRequestSchema,
 } = require("./event.validation");
+const { reorderWaitlistSchema } = require("../bookings/booking.validation");
 
 /**
  * @route   POST /api/v1/events
@@ -72,6 +74,18 @@ router.get(
   EventController.getOrganizerEvents,
 );
 
+/**
+ * @route   GET /api/v1/events/arbiter-events
+ * @desc    Get events the arbiter is assigned to
+ * @access  Private (Arbiter)
+ */
+router.get(
+  "/arbiter-events",
+  authenticate,
+  isArbiter,
+  EventController.getArbiterEvents,
+);
+
 /**
  * @route   GET /api/v1/events/organizer-stats
  * @desc    Get organizer statistics (events, bookings, revenue)
@@ -176,4 +190,31 @@ router.get(
   EventController.getEventParticipants,
 );
 
+/**
+ * @route   GET /api/v1/events/:eventId/waitlist
+ * @desc    Get event waitlist in queue order (organizer only)
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/:eventId/waitlist",
+  authenticate,
+  isOrganizer,
+  validate(getEventByIdSchema, "params"),
+  EventController.getEventWaitlist,
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/waitlist
+ * @desc    Reorder waiting entries (organizer only)
+ * @access  Private (Organizer)
+ */
+router.put(
+  "/:eventId/waitlist",
+  authenticate,
+  isOrganizer,
+  validate(getEventByIdSchema, "params"),
+  validate(reorderWaitlistSchema),
+  EventController.reorderWaitlist,
+);
+
 module.exports = router;
@@ -6,7 +6,16 @@
 const { prisma } = require("../../config/database");
 const DateUtil = require("../../utils/date.util");
 const FileUtil = require("../../utils/file.util");
-const { EVENT_STATUS, DEFAULT_PAGE_SIZE } = require("../../config/constants");
+const {
+  EVENT_STATUS,
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_TIE_BREAKS,
+  DEFAULT_REFUND_POLICY,
+  DEFAULT_CURRENCY,
+  TOURNAMENT_FORMATS,
+  FEE_TYPES,
+  TEAM_SCORING,
+} = require("../../config/constants");
 
 class EventService {
   /**
@@ -34,6 +43,19 @@ class EventService {
       categories,
       govtConcessionType,
       govtConcessionValue,
+      totalRounds,
+      tieBreaks,
+      ageCutoffDate,
+      tournamentFormat,
+      matchGames,
+      isTeamEvent,
+      teamSize,
+      maxReserves,
+      feeType,
+      teamScoring,
+      refundPolicy,
+      currency,
+      paymentGateway,
     } = eventData;
 
     // Convert event dates array to JSON string
@@ -54,6 +76,8 @@ class EventService {
         venueAddress: venueAddress || null,
         googleMapLink: googleMapLink || null,
         entryFee,
+        currency: currency || DEFAULT_CURRENCY,
+        paymentGateway: paymentGateway || null,
         prize: prize || null,
         maxCapacity: maxCapacity || null,
         rulesText: rulesText || null,
@@ -63,15 +87,26 @@ class EventService {
         isFeatured: false,
         govtConcessionType: govtConcessionType || null,
         govtConcessionValue: govtConcessionValue || null,
+        totalRounds: totalRounds || null,
+        tieBreaks: tieBreaks ? JSON.stringify(tieBreaks) : null,
+        ageCutoffDate: ageCutoffDate ? new Date(ageCutoffDate) : null,
+        tournamentFormat: tournamentFormat || TOURNAMENT_FORMATS.SWISS,
+        matchGames: matchGames || 1,
+        isTeamEvent: isTeamEvent || false,
+        teamSize: isTeamEvent ? teamSize : null,
+        maxReserves: maxReserves ?? 1,
+        feeType: feeType || FEE_TYPES.PER_PLAYER,
+        teamScoring: teamScoring || TEAM_SCORING.MATCH_POINTS,
+        refundPolicy: refundPolicy ? JSON.stringify(refundPolicy) : null,
       },
     });
 
     // Add event categories if provided
     if (categories && categories.length > 0) {
       await prisma.eventCategoryMapping.createMany({
-        data: categories.map((categoryId) => ({
+        data: this.normalizeCategories(categories).map((category) => ({
           eventId: event.eventId,
-          categoryId,
+          ...category,
         })),
       });
     }
@@ -335,6 +370,64 @@ class EventService {
       dataToUpdate.govtConcessionType = updateData.govtConcessionType || null;
     if (updateData.govtConcessionValue !== undefined)
       dataToUpdate.govtConcessionValue = updateData.govtConcessionValue || null;
+    if (updateData.totalRounds !== undefined)
+      dataToUpdate.totalRounds = updateData.totalRounds || null;
+    if (updateData.tieBreaks !== undefined)
+      dataToUpdate.tieBreaks = updateData.tieBreaks
+        ? JSON.stringify(updateData.tieBreaks)
+        : null;
+    if (updateData.ageCutoffDate !== undefined)
+      dataToUpdate.ageCutoffDate = updateData.ageCutoffDate
+        ? new Date(updateData.ageCutoffDate)
+        : null;
+    if (updateData.matchGames !== undefined)
+      dataToUpdate.matchGames = updateData.matchGames;
+    if (
+      updateData.tournamentFormat &&
+      updateData.tournamentFormat !== existingEvent.tournamentFormat
+    ) {
+      const roundCount = await prisma.tournamentRound.count({
+        where: { eventId },
+      });
+
+      if (roundCount > 0) {
+        throw new Error(
+          "Tournament format cannot be changed once rounds have been paired"
+        );
+      }
+
+      dataToUpdate.tournamentFormat = updateData.tournamentFormat;
+    }
+    if (
+      updateData.isTeamEvent !== undefined &&
+      updateData.isTeamEvent !== existingEvent.isTeamEvent
+    ) {
+      if (existingEvent.currentBookings > 0) {
+        throw new Error(
+          "Team event setting cannot be changed once bookings have been made"
+        );
+      }
+
+      dataToUpdate.isTeamEvent = updateData.isTeamEvent;
+    }
+    const isTeamEvent = updateData.isTeamEvent ?? existingEvent.isTeamEvent;
+    if (updateData.teamSize !== undefined)
+      dataToUpdate.teamSize = updateData.teamSize;
+    if (isTeamEvent && !(updateData.teamSize ?? existingEvent.teamSize)) {
+      throw new Error("Number of boards per team is required for team events");
+    }
+    if (updateData.maxReserves !== undefined)
+      dataToUpdate.maxReserves = updateData.maxReserves;
+    if (updateData.feeType) dataToUpdate.feeType = updateData.feeType;
+    if (updateData.teamScoring)
+      dataToUpdate.teamScoring = updateData.teamScoring;
+    if (updateData.refundPolicy !== undefined)
+      dataToUpdate.refundPolicy = updateData.refundPolicy
+        ? JSON.stringify(updateData.refundPolicy)
+        : null;
+    if (updateData.currency) dataToUpdate.currency = updateData.currency;
+    if (updateData.paymentGateway !== undefined)
+      dataToUpdate.paymentGateway = updateData.paymentGateway;
 
     // Update event
     const event = await prisma.event.update({
@@ -351,18 +444,22 @@ class EventService {
 
     // Update categories if provided
     if (updateData.categories) {
-      // Delete existing mappings
+      const categories = this.normalizeCategories(updateData.categories);
+
+      // Delete removed mappings
       await prisma.eventCategoryMapping.deleteMany({
-        where: { eventId },
+        where: {
+          eventId,
+          categoryId: { notIn: categories.map((c) => c.categoryId) },
+        },
       });
 
-      // Create new mappings
-      if (updateData.categories.length > 0) {
-        await prisma.eventCategoryMapping.createMany({
-          data: updateData.categories.map((categoryId) => ({
-            eventId,
-            categoryId,
-          })),
+      // Create or update the rest (keeps their booked player counts)
+      for (const { categoryId, maxCapacity } of categories) {
+        await prisma.eventCategoryMapping.upsert({
+          where: { unique_event_category: { eventId, categoryId } },
+          create: { eventId, categoryId, maxCapacity },
+          update: { maxCapacity },
         });
       }
     }
@@ -370,6 +467,22 @@ class EventService {
     return this.formatEventResponse(event);
   }
 
+  /**
+   * Normalize event categories from the request
+   * @param {array} categories - Category IDs or { categoryId, maxCapacity }
+   * @returns {array} Categories as { categoryId, maxCapacity }
+   */
+  normalizeCategories(categories) {
+    return categories.map((category) =>
+      typeof category === "number"
+        ? { categoryId: category, maxCapacity: null }
+        : {
+            categoryId: category.categoryId,
+            maxCapacity: category.maxCapacity ?? null,
+          }
+    );
+  }
+
   /**
    * Upload event image
    * @param {number} eventId - Event ID
@@ -609,6 +722,34 @@ class EventService {
     return categories;
   }
 
+  /**
+   * Get events an arbiter is assigned to
+   * @param {number} userId - Arbiter user ID
+   * @returns {Promise<array>} Events with the arbiter's role, latest first
+   */
+  async getArbiterEvents(userId) {
+    const assignments = await prisma.eventArbiter.findMany({
+      where: { userId },
+      include: {
+        event: {
+          include: {
+            categories: {
+              include: {
+                category: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return assignments.map((assignment) => ({
+      ...this.formatEventResponse(assignment.event),
+      arbiterRole: assignment.arbiterRole,
+    }));
+  }
+
   /**
    * Get event participants (bookings)
    * @param {number} eventId - Event ID
@@ -724,6 +865,12 @@ class EventService {
       availableSlots: event.maxCapacity
         ? event.maxCapacity - event.currentBookings
         : null,
+      tieBreaks: event.tieBreaks
+        ? JSON.parse(event.tieBreaks)
+        : DEFAULT_TIE_BREAKS,
+      refundPolicy: event.refundPolicy
+        ? JSON.parse(event.refundPolicy)
+        : DEFAULT_REFUND_POLICY,
     };
 
     // Format image URLs
@@ -736,9 +883,13 @@ class EventService {
 
     // Format categories
     if (event.categories) {
-      formatted.categories = event.categories.map(
-        (mapping) => mapping.category
-      );
+      formatted.categories = event.categories.map((mapping) => ({
+        ...mapping.category,
+        maxCapacity: mapping.maxCapacity,
+        availableSlots: mapping.maxCapacity
+          ? mapping.maxCapacity - mapping.currentBookings
+          : null,
+      }));
     }
 
     return formatted;
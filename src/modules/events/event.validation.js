@@ -4,7 +4,56 @@
  */
 
 const Joi = require("joi");
-const { EVENT_TYPES, EVENT_STATUS } = require("../../config/constants");
+const {
+  EVENT_TYPES,
+  EVENT_STATUS,
+  TIE_BREAKS,
+  TOURNAMENT_FORMATS,
+  FEE_TYPES,
+  TEAM_SCORING,
+  PAYMENT_GATEWAYS,
+} = require("../../config/constants");
+
+// A category ID, or a category with its own player limit
+const eventCategorySchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.object({
+    categoryId: Joi.number().integer().positive().required(),
+    maxCapacity: Joi.number().integer().positive().optional().allow(null),
+  })
+);
+
+// ISO 4217 currency code of the entry fee (e.g. INR, USD, EUR)
+const currencySchema = Joi.string()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    "string.pattern.base": "Currency must be a 3-letter ISO currency code",
+  });
+
+// Gateway taking the event's payments (null: chosen by currency)
+const paymentGatewaySchema = Joi.string()
+  .valid(...Object.values(PAYMENT_GATEWAYS))
+  .allow(null);
+
+// Cancellations at least hoursBefore the event start are refunded
+// refundPercent of the amount paid; later cancellations are not refunded
+const refundPolicySchema = Joi.object({
+  rules: Joi.array()
+    .items(
+      Joi.object({
+        hoursBefore: Joi.number().integer().min(0).max(8760).required(),
+        refundPercent: Joi.number().min(0).max(100).required(),
+      })
+    )
+    .unique("hoursBefore")
+    .max(10)
+    .required()
+    .messages({
+      "array.unique": "Each refund rule must have a different hoursBefore",
+    }),
+  refundPlatformFee: Joi.boolean().default(false),
+});
 
 /**
  * Create event schema
@@ -46,6 +95,8 @@ const createEventSchema = Joi.object({
     "number.min": "Entry fee cannot be negative",
     "any.required": "Entry fee is required",
   }),
+  currency: currencySchema.optional(),
+  paymentGateway: paymentGatewaySchema.optional(),
   prize: Joi.string().allow("").optional(),
   maxCapacity: Joi.number()
     .integer()
@@ -61,8 +112,71 @@ const createEventSchema = Joi.object({
     .optional()
     .allow(null),
   isOnline: Joi.boolean().optional().default(false),
+  totalRounds: Joi.number()
+    .integer()
+    .min(1)
+    .max(30)
+    .optional()
+    .allow(null)
+    .messages({
+      "number.min": "Total rounds must be at least 1",
+      "number.max": "Total rounds must not exceed 30",
+    }),
+  tieBreaks: Joi.array()
+    .items(Joi.string().valid(...Object.values(TIE_BREAKS)))
+    .unique()
+    .optional()
+    .allow(null)
+    .messages({
+      "any.only": "Invalid tie-break",
+      "array.unique": "Each tie-break can only be used once",
+    }),
+  ageCutoffDate: Joi.date().optional().allow(null).messages({
+    "date.base": "Age cutoff date must be a valid date",
+  }),
+  tournamentFormat: Joi.string()
+    .valid(...Object.values(TOURNAMENT_FORMATS))
+    .optional()
+    .messages({
+      "any.only": "Invalid tournament format",
+    }),
+  matchGames: Joi.number().integer().min(1).max(8).optional().messages({
+    "number.min": "A knockout match needs at least one game",
+    "number.max": "A knockout match must not exceed 8 games",
+  }),
+  isTeamEvent: Joi.boolean().optional().default(false),
+  teamSize: Joi.number()
+    .integer()
+    .min(1)
+    .max(10)
+    .when("isTeamEvent", {
+      is: true,
+      then: Joi.required(),
+      otherwise: Joi.optional().allow(null),
+    })
+    .messages({
+      "number.min": "A team needs at least one board",
+      "number.max": "A team must not exceed 10 boards",
+      "any.required": "Number of boards per team is required for team events",
+    }),
+  maxReserves: Joi.number().integer().min(0).max(10).optional().messages({
+    "number.max": "A team must not exceed 10 reserves",
+  }),
+  feeType: Joi.string()
+    .valid(...Object.values(FEE_TYPES))
+    .optional()
+    .messages({
+      "any.only": "Fee type must be PER_PLAYER or PER_TEAM",
+    }),
+  teamScoring: Joi.string()
+    .valid(...Object.values(TEAM_SCORING))
+    .optional()
+    .messages({
+      "any.only": "Team scoring must be MATCH_POINTS or GAME_POINTS",
+    }),
+  refundPolicy: refundPolicySchema.optional().allow(null),
   categories: Joi.array()
-    .items(Joi.number().integer().positive())
+    .items(eventCategorySchema)
     .optional()
     .messages({
       "number.positive": "Category ID must be positive",
@@ -87,6 +201,8 @@ const updateEventSchema = Joi.object({
   venueAddress: Joi.string().allow("").optional(),
   googleMapLink: Joi.string().uri().allow("").optional(),
   entryFee: Joi.number().min(0).optional(),
+  currency: currencySchema.optional(),
+  paymentGateway: paymentGatewaySchema.optional(),
   prize: Joi.string().allow("").optional(),
   maxCapacity: Joi.number().integer().positive().optional().allow(null),
   rulesText: Joi.string().allow("").optional(),
@@ -98,7 +214,28 @@ const updateEventSchema = Joi.object({
     .valid(...Object.values(EVENT_STATUS))
     .optional(),
   isOnline: Joi.boolean().optional(),
-  categories: Joi.array().items(Joi.number().integer().positive()).optional(),
+  totalRounds: Joi.number().integer().min(1).max(30).optional().allow(null),
+  tieBreaks: Joi.array()
+    .items(Joi.string().valid(...Object.values(TIE_BREAKS)))
+    .unique()
+    .optional()
+    .allow(null),
+  ageCutoffDate: Joi.date().optional().allow(null),
+  tournamentFormat: Joi.string()
+    .valid(...Object.values(TOURNAMENT_FORMATS))
+    .optional(),
+  matchGames: Joi.number().integer().min(1).max(8).optional(),
+  isTeamEvent: Joi.boolean().optional(),
+  teamSize: Joi.number().integer().min(1).max(10).optional().allow(null),
+  maxReserves: Joi.number().integer().min(0).max(10).optional(),
+  feeType: Joi.string()
+    .valid(...Object.values(FEE_TYPES))
+    .optional(),
+  teamScoring: Joi.string()
+    .valid(...Object.values(TEAM_SCORING))
+    .optional(),
+  refundPolicy: refundPolicySchema.optional().allow(null),
+  categories: Joi.array().items(eventCategorySchema).optional(),
 });
 
 /**
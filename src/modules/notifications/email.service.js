@@ -4,8 +4,10 @@
  */
 
 const nodemailer = require("nodemailer");
+const QRCode = require("qrcode");
 const config = require("../../config/environment");
 const { prisma } = require("../../config/database");
+const TokenUtil = require("../../utils/token.util");
 
 class EmailService {
   constructor() {
@@ -27,9 +29,10 @@ class EmailService {
    * @param {string} subject - Email subject
    * @param {string} html - Email HTML content
    * @param {string} text - Email plain text content (optional)
+   * @param {array} attachments - Nodemailer attachments (optional)
    * @returns {Promise<object>} Email send result
    */
-  async sendEmail(to, subject, html, text = "") {
+  async sendEmail(to, subject, html, text = "", attachments = []) {
     try {
       const mailOptions = {
         from: config.email.from,
@@ -37,6 +40,7 @@ class EmailService {
         subject,
         html,
         text: text || this.htmlToText(html),
+        attachments,
       };
 
       const result = await this.transporter.sendMail(mailOptions);
@@ -234,11 +238,50 @@ class EmailService {
     await this.sendEmail(user.email, "Organizer Application Status", html);
   }
 
+  /**
+   * Build QR check-in passes for the players of a booking
+   * Each pass is an inline image referenced by its content ID.
+   * @param {object} booking - Booking with participants
+   * @returns {Promise<object>} { html, attachments }
+   */
+  async buildCheckInPasses(booking) {
+    const passes = await Promise.all(
+      booking.participants.map(async (player) => ({
+        player,
+        cid: `checkin-${player.id}@crystalchess`,
+        image: await QRCode.toBuffer(TokenUtil.generateCheckInToken(player), {
+          width: 200,
+          margin: 1,
+        }),
+      }))
+    );
+
+    return {
+      html: passes
+        .map(
+          ({ player, cid }) => `
+              <div class="pass">
+                <p><strong>${player.participant.fullName}</strong></p>
+                <img src="cid:${cid}" alt="Check-in pass" width="200" height="200" />
+              </div>`
+        )
+        .join(""),
+      attachments: passes.map(({ player, cid, image }) => ({
+        filename: `checkin-pass-${player.id}.png`,
+        content: image,
+        cid,
+      })),
+    };
+  }
+
   /**
    * Send booking confirmation email
+   * Includes a QR check-in pass per player to show at the venue.
    * @param {object} booking - Booking object with event and participant details
    */
   async sendBookingConfirmationEmail(booking) {
+    const passes = await this.buildCheckInPasses(booking);
+
     const html = `
       <!DOCTYPE html>
       <html>
@@ -249,6 +292,7 @@ class EmailService {
           .header { background: #4299e1; color: white; padding: 20px; text-align: center; }
           .content { padding: 20px; background: #f7fafc; }
           .booking-details { background: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4299e1; }
+          .pass { display: inline-block; background: white; padding: 10px; margin: 5px; text-align: center; }
           .footer { text-align: center; padding: 20px; font-size: 12px; color: #718096; }
         </style>
       </head>
@@ -272,6 +316,9 @@ class EmailService {
                 booking.participants.length
               }</p>
             </div>
+            <h3>Check-in Passes</h3>
+            <p>Please show each player's pass at the venue to check in before round 1.</p>
+            ${passes.html}
             <p>We look forward to seeing you at the tournament!</p>
           </div>
           <div class="footer">
@@ -285,6 +332,61 @@ class EmailService {
     await this.sendEmail(
       booking.user.email,
       "Tournament Booking Confirmed",
+      html,
+      "",
+      passes.attachments
+    );
+  }
+
+  /**
+   * Send waitlist offer email
+   * @param {object} entry - Waitlist entry with user and event details
+   */
+  async sendWaitlistOfferEmail(entry) {
+    const bookingsUrl = `${config.frontend.url}/bookings/waitlist`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4299e1; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f7fafc; }
+          .booking-details { background: white; padding: 15px; margin: 15px 0; border-left: 4px solid #4299e1; }
+          .button { display: inline-block; padding: 12px 24px; background: #4299e1; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #718096; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>A Slot Is Available!</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${entry.user.fullName},</h2>
+            <p>A slot has opened up in a tournament you are waitlisted for, and we are holding it for you.</p>
+            <div class="booking-details">
+              <p><strong>Tournament:</strong> ${entry.event.eventName}</p>
+              <p><strong>Location:</strong> ${entry.event.location}</p>
+              <p><strong>Participants:</strong> ${entry.participantCount}</p>
+              <p><strong>Hold expires:</strong> ${entry.holdExpiresAt.toLocaleString("en-IN")}</p>
+            </div>
+            <a href="${bookingsUrl}" class="button">Complete Your Booking</a>
+            <p>If you do not book before the hold expires, the slot will be offered to the next person on the waitlist.</p>
+          </div>
+          <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} CrystalChess. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    await this.sendEmail(
+      entry.user.email,
+      "A Tournament Slot Is Waiting for You",
       html
     );
   }
@@ -6,7 +6,13 @@
 const { prisma } = require("../../config/database");
 const DateUtil = require("../../utils/date.util");
 const FileUtil = require("../../utils/file.util");
-const { GENDER, CATEGORY_GENDER_RULES } = require("../../config/constants");
+const RatingService = require("../ratings/rating.service");
+const RatingReportService = require("../tournaments/ratingreport.service");
+const {
+  GENDER,
+  CATEGORY_GENDER_RULES,
+  EVENT_STATUS,
+} = require("../../config/constants");
 
 class ParticipantService {
   /**
@@ -22,11 +28,21 @@ class ParticipantService {
     // Calculate age from date of birth
     const age = DateUtil.calculateAge(dateOfBirth);
 
+    // Verify FIDE ID against the local rating list and fill in ratings
+    const fideData = fideId
+      ? await RatingService.verifyFideId(fideId, { fullName, dateOfBirth, gender })
+      : null;
+    const { fullName: fideName, ...fideFields } = fideData || {};
+
+    if (!fullName && !fideName) {
+      throw new Error("Full name is required");
+    }
+
     // Create participant
     const participant = await prisma.participant.create({
       data: {
         userId,
-        fullName,
+        fullName: fullName || fideName,
         dateOfBirth: new Date(dateOfBirth),
         gender,
         eventRated: eventRated || null,
@@ -34,11 +50,13 @@ class ParticipantService {
         email: email || null,
         fideId: fideId || null,
         isGovtStudent: isGovtStudent || false,
+        ...fideFields,
       },
     });
 
     // Add calculated age to response
     participant.age = age;
+    this.parseFideMismatches(participant);
 
     // Format file URLs
     if (participant.passportPhoto) {
@@ -64,6 +82,7 @@ class ParticipantService {
     // Add calculated age and format URLs
     return participants.map((participant) => {
       participant.age = DateUtil.calculateAge(participant.dateOfBirth);
+      this.parseFideMismatches(participant);
 
       if (participant.passportPhoto) {
         participant.passportPhotoUrl = FileUtil.getFileUrl(
@@ -103,6 +122,7 @@ class ParticipantService {
 
     // Add calculated age
     participant.age = DateUtil.calculateAge(participant.dateOfBirth);
+    this.parseFideMismatches(participant);
 
     // Format file URLs
     if (participant.passportPhoto) {
@@ -159,6 +179,37 @@ class ParticipantService {
     if (updateData.isGovtStudent !== undefined)
       dataToUpdate.isGovtStudent = updateData.isGovtStudent;
 
+    // Re-verify FIDE details when the FIDE ID or identity fields change
+    const fideId =
+      updateData.fideId !== undefined
+        ? updateData.fideId || null
+        : existingParticipant.fideId;
+    const identityChanged = ["fideId", "fullName", "dateOfBirth", "gender"].some(
+      (field) => updateData[field] !== undefined
+    );
+
+    if (fideId && identityChanged) {
+      const fideData = await RatingService.verifyFideId(fideId, {
+        fullName: updateData.fullName || existingParticipant.fullName,
+        dateOfBirth: updateData.dateOfBirth || existingParticipant.dateOfBirth,
+        gender: updateData.gender || existingParticipant.gender,
+      });
+
+      if (fideData) {
+        const { fullName, ...fideFields } = fideData;
+        Object.assign(dataToUpdate, fideFields);
+      }
+    } else if (!fideId) {
+      Object.assign(dataToUpdate, {
+        fideTitle: null,
+        standardRating: null,
+        rapidRating: null,
+        blitzRating: null,
+        fideVerified: false,
+        fideMismatches: null,
+      });
+    }
+
     // Update participant
     const participant = await prisma.participant.update({
       where: { participantId },
@@ -167,6 +218,7 @@ class ParticipantService {
 
     // Add calculated age
     participant.age = DateUtil.calculateAge(participant.dateOfBirth);
+    this.parseFideMismatches(participant);
 
     // Format file URLs
     if (participant.passportPhoto) {
@@ -178,6 +230,16 @@ class ParticipantService {
     return participant;
   }
 
+  /**
+   * Parse stored FIDE mismatch messages for response
+   * @param {object} participant - Participant object from database
+   */
+  parseFideMismatches(participant) {
+    participant.fideMismatches = participant.fideMismatches
+      ? JSON.parse(participant.fideMismatches)
+      : [];
+  }
+
   /**
    * Delete participant
    * @param {number} participantId - Participant ID
@@ -296,32 +358,33 @@ class ParticipantService {
    * Check if participant can register for a category based on gender rules
    * Female participants can register for both male and female categories
    * Male participants can only register for male categories
+   * (see CATEGORY_GENDER_RULES)
    * @param {string} participantGender - Participant gender (MALE/FEMALE/OTHERS)
    * @param {string} categoryGender - Category gender (MALE/FEMALE/null for open)
    * @returns {boolean} True if participant can register
    */
   canParticipantRegisterForCategory(participantGender, categoryGender) {
     // If category is open (null gender), anyone can register
-    if (!categoryGender) {
+    if (!categoryGender || participantGender === categoryGender) {
       return true;
     }
 
-    // If participant is FEMALE, they can register for any category
+    // Female participant in a male category
     if (participantGender === GENDER.FEMALE) {
-      return true;
+      return CATEGORY_GENDER_RULES.FEMALE_CAN_JOIN_MALE;
     }
 
-    // If participant is MALE, they can only register for MALE categories
-    if (participantGender === GENDER.MALE) {
-      return categoryGender === GENDER.MALE;
+    // Male (and OTHERS, same rules as MALE) participant in a female category
+    if (categoryGender === GENDER.FEMALE) {
+      return CATEGORY_GENDER_RULES.MALE_CAN_JOIN_FEMALE;
     }
 
-    // For OTHERS gender, same rules as MALE
     return categoryGender === GENDER.MALE;
   }
 
   /**
    * Get participant booking history
+   * Completed events include the expected rating change and performance.
    * @param {number} participantId - Participant ID
    * @param {number} userId - User ID (for ownership check)
    * @returns {Promise<array>} Booking history
@@ -369,6 +432,17 @@ class ParticipantService {
       },
     });
 
+    const ratingResults = new Map();
+    for (const booking of bookings) {
+      if (booking.event.eventStatus !== EVENT_STATUS.COMPLETED) continue;
+
+      const result = await RatingReportService.getPlayerRating(
+        booking.event.eventId,
+        booking.id
+      );
+      ratingResults.set(booking.id, result);
+    }
+
     return bookings.map((booking) => ({
       bookingParticipantId: booking.id,
       bookingId: booking.booking.bookingId,
@@ -383,8 +457,29 @@ class ParticipantService {
       location: booking.event.location,
       eventStartTime: DateUtil.formatTime(booking.event.eventStartTime),
       eventStatus: booking.event.eventStatus,
+      ratingResult: this.formatRatingResult(ratingResults.get(booking.id)),
     }));
   }
+
+  /**
+   * Format a player's rating result for booking history
+   * @param {object|undefined} result - Player rating result
+   * @returns {object|null} Rating result (null if event is not completed)
+   */
+  formatRatingResult(result) {
+    if (!result) return null;
+
+    return {
+      rating: result.rating,
+      kFactor: result.kFactor,
+      ratedGames: result.ratedGames,
+      score: result.score,
+      ratingChange: result.ratingChange,
+      newRating: result.newRating,
+      performanceRating: result.performanceRating,
+      isProvisional: result.isProvisional,
+    };
+  }
 }
 
 module.exports = new ParticipantService();
@@ -10,11 +10,20 @@ const { GENDER, EVENT_TYPES } = require("../../config/constants");
  * Create participant schema
  */
 const createParticipantSchema = Joi.object({
-  fullName: Joi.string().min(2).max(100).required().messages({
-    "string.min": "Full name must be at least 2 characters long",
-    "string.max": "Full name must not exceed 100 characters",
-    "any.required": "Full name is required",
-  }),
+  // Full name can be filled from the FIDE rating list when a FIDE ID is given
+  fullName: Joi.string()
+    .min(2)
+    .max(100)
+    .when("fideId", {
+      is: Joi.string().min(1).required(),
+      then: Joi.optional(),
+      otherwise: Joi.required(),
+    })
+    .messages({
+      "string.min": "Full name must be at least 2 characters long",
+      "string.max": "Full name must not exceed 100 characters",
+      "any.required": "Full name is required",
+    }),
   dateOfBirth: Joi.date().max("now").required().messages({
     "date.base": "Please provide a valid date of birth",
     "date.max": "Date of birth cannot be in the future",
@@ -44,9 +53,13 @@ const createParticipantSchema = Joi.object({
   email: Joi.string().email().optional().allow("").messages({
     "string.email": "Please provide a valid email address",
   }),
-  fideId: Joi.string().max(50).optional().allow("").messages({
-    "string.max": "FIDE ID must not exceed 50 characters",
-  }),
+  fideId: Joi.string()
+    .pattern(/^[0-9]{4,12}$/)
+    .optional()
+    .allow("")
+    .messages({
+      "string.pattern.base": "FIDE ID must contain 4 to 12 digits",
+    }),
 });
 
 /**
@@ -84,9 +97,13 @@ const updateParticipantSchema = Joi.object({
   email: Joi.string().email().optional().allow("").messages({
     "string.email": "Please provide a valid email address",
   }),
-  fideId: Joi.string().max(50).optional().allow("").messages({
-    "string.max": "FIDE ID must not exceed 50 characters",
-  }),
+  fideId: Joi.string()
+    .pattern(/^[0-9]{4,12}$/)
+    .optional()
+    .allow("")
+    .messages({
+      "string.pattern.base": "FIDE ID must contain 4 to 12 digits",
+    }),
 });
 
 /**
@@ -0,0 +1,88 @@
+/**
+ * Gateway Service
+ * Choose the payment gateway for an event and look up gateway adapters
+ *
+ * Every adapter provides:
+ *   name                                  - PAYMENT_GATEWAYS value
+ *   isConfigured()                        - credentials are set
+ *   createOrder({ amount, currency, receipt, notes })
+ *     -> { orderId, amount (minor units), currency, checkout, response }
+ *   verifyPayment(order, data)            - gateway payment ID, or null
+ *   capturePayment(order, paymentId)
+ *     -> { paymentId, status: captured | pending | failed, response }
+ *   refundPayment({ paymentId, amount, currency, refundId, reason })
+ *     -> { gatewayRefundId, status: REFUND_STATUS, response }
+ *   parseWebhook(rawBody, headers)        - normalized event, or null if the
+ *                                           signature is invalid
+ * where order is { orderId, amount, currency } of the payment record.
+ */
+
+const SettingsService = require("../settings/settings.service");
+const RazorpayGateway = require("./razorpay.gateway");
+const StripeGateway = require("./stripe.gateway");
+const PayPalGateway = require("./paypal.gateway");
+const {
+  PAYMENT_GATEWAYS,
+  DEFAULT_CURRENCY,
+} = require("../../config/constants");
+
+const GATEWAYS = {
+  [PAYMENT_GATEWAYS.RAZORPAY]: RazorpayGateway,
+  [PAYMENT_GATEWAYS.STRIPE]: StripeGateway,
+  [PAYMENT_GATEWAYS.PAYPAL]: PayPalGateway,
+};
+
+class GatewayService {
+  /**
+   * Get a gateway adapter by name
+   * @param {string} name - Gateway name (PAYMENT_GATEWAYS value)
+   * @returns {object|null} Gateway adapter, or null for offline payments
+   */
+  findGateway(name) {
+    return GATEWAYS[name] || null;
+  }
+
+  /**
+   * Get a gateway adapter by name
+   * @param {string} name - Gateway name (PAYMENT_GATEWAYS value)
+   * @returns {object} Gateway adapter
+   */
+  getGateway(name) {
+    const gateway = this.findGateway(name);
+
+    if (!gateway) {
+      throw new Error(`Unsupported payment gateway: ${name}`);
+    }
+
+    return gateway;
+  }
+
+  /**
+   * Choose the gateway that takes payments for an event
+   * The event's own gateway wins, then the gateway set for its currency in
+   * the paymentGatewaysByCurrency setting, then defaultPaymentGateway.
+   * @param {object} event - Event ({ currency, paymentGateway })
+   * @returns {Promise<object>} Gateway adapter
+   */
+  async selectGateway(event) {
+    const currency = event.currency || DEFAULT_CURRENCY;
+    const byCurrency =
+      (await SettingsService.getSetting("paymentGatewaysByCurrency")) || {};
+    const defaultGateway =
+      (await SettingsService.getSetting("defaultPaymentGateway")) ||
+      PAYMENT_GATEWAYS.RAZORPAY;
+
+    const name = event.paymentGateway || byCurrency[currency] || defaultGateway;
+    const gateway = this.getGateway(name);
+
+    if (!gateway.isConfigured()) {
+      throw new Error(
+        `Online payments in ${currency} are not available at the moment`
+      );
+    }
+
+    return gateway;
+  }
+}
+
+module.exports = new GatewayService();
@@ -4,18 +4,19 @@
  */
 
 const PaymentService = require("./payment.service");
+const ReconciliationService = require("./reconciliation.service");
 const ResponseUtil = require("../../utils/response.util");
 const { asyncHandler } = require("../../middleware/errorHandler.middleware");
 
 class PaymentController {
   /**
-   * Create Razorpay order for booking
+   * Create gateway order for booking
    * POST /api/v1/payments/create-order
    */
   createOrder = asyncHandler(async (req, res) => {
     const { bookingId } = req.body;
 
-    const order = await PaymentService.createRazorpayOrder(
+    const order = await PaymentService.createOrder(
       parseInt(bookingId),
       req.user.userId
     );
@@ -24,7 +25,7 @@ class PaymentController {
   });
 
   /**
-   * Verify and complete Razorpay payment
+   * Verify and complete gateway payment
    * POST /api/v1/payments/verify
    */
   verifyPayment = asyncHandler(async (req, res) => {
@@ -37,6 +38,29 @@ class PaymentController {
     );
   });
 
+  /**
+   * Handle gateway webhook
+   * POST /api/v1/payments/webhook/:gateway
+   */
+  handleWebhook = asyncHandler(async (req, res) => {
+    const webhook = await PaymentService.parseWebhook(
+      req.params.gateway,
+      req.rawBody,
+      req.headers
+    );
+
+    if (!webhook) {
+      return ResponseUtil.badRequest(res, "Invalid webhook signature");
+    }
+
+    const result = await PaymentService.handleWebhook(
+      req.params.gateway,
+      webhook
+    );
+
+    ResponseUtil.success(res, result, "Webhook processed successfully");
+  });
+
   /**
    * Record offline payment
    * POST /api/v1/payments/offline
@@ -69,6 +93,90 @@ class PaymentController {
       "Payment details retrieved successfully"
     );
   });
+
+  /**
+   * Get refunds (organizer: own events, admin: all)
+   * GET /api/v1/payments/refunds
+   */
+  getRefunds = asyncHandler(async (req, res) => {
+    const result = await PaymentService.getRefunds(req.user, req.query);
+
+    ResponseUtil.paginated(
+      res,
+      result.refunds,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      "Refunds retrieved successfully"
+    );
+  });
+
+  /**
+   * Get refunds of a payment
+   * GET /api/v1/payments/:paymentId/refunds
+   */
+  getPaymentRefunds = asyncHandler(async (req, res) => {
+    const refunds = await PaymentService.getPaymentRefunds(
+      parseInt(req.params.paymentId),
+      req.user
+    );
+
+    ResponseUtil.success(res, refunds, "Refunds retrieved successfully");
+  });
+
+  /**
+   * Refund a payment
+   * POST /api/v1/payments/:paymentId/refunds
+   */
+  refundPayment = asyncHandler(async (req, res) => {
+    const refund = await PaymentService.refundPayment(
+      parseInt(req.params.paymentId),
+      req.user,
+      req.body
+    );
+
+    ResponseUtil.created(res, refund, "Refund initiated successfully");
+  });
+
+  /**
+   * Get payment reconciliation runs
+   * GET /api/v1/payments/reconciliations
+   */
+  getReconciliations = asyncHandler(async (req, res) => {
+    const result = await ReconciliationService.getReconciliations(req.query);
+
+    ResponseUtil.paginated(
+      res,
+      result.reconciliations,
+      result.pagination.page,
+      result.pagination.limit,
+      result.pagination.total,
+      "Reconciliations retrieved successfully"
+    );
+  });
+
+  /**
+   * Get a payment reconciliation report
+   * GET /api/v1/payments/reconciliations/:reconciliationId
+   */
+  getReconciliation = asyncHandler(async (req, res) => {
+    const report = await ReconciliationService.getReconciliation(
+      parseInt(req.params.reconciliationId),
+      req.query
+    );
+
+    ResponseUtil.success(res, report, "Reconciliation retrieved successfully");
+  });
+
+  /**
+   * Run payment reconciliation now
+   * POST /api/v1/payments/reconciliations
+   */
+  runReconciliation = asyncHandler(async (req, res) => {
+    const report = await ReconciliationService.runReconciliation();
+
+    ResponseUtil.created(res, report, "Payment reconciliation completed");
+  });
 }
 
 module.exports = new PaymentController();
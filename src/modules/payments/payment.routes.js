@@ -6,28 +6,64 @@
 const express = require("express");
 const router = express.Router();
 const PaymentController = require("./payment.controller");
-const { authenticate } = require("../../middleware/auth.middleware");
+const { validate } = require("../../middleware/validation.middleware");
+const {
+  authenticate,
+  isAdmin,
+  isOrganizerOrAdmin,
+} = require("../../middleware/auth.middleware");
+const { idempotent } = require("../../middleware/idempotency.middleware");
+const {
+  paymentIdSchema,
+  webhookParamsSchema,
+  refundPaymentSchema,
+  listRefundsQuerySchema,
+  reconciliationIdSchema,
+  listReconciliationsQuerySchema,
+  reconciliationQuerySchema,
+} = require("./payment.validation");
 
 /**
  * @route   POST /api/v1/payments/create-order
- * @desc    Create Razorpay order for booking
+ * @desc    Create payment gateway order for booking
  * @access  Private
  */
-router.post("/create-order", authenticate, PaymentController.createOrder);
+router.post(
+  "/create-order",
+  authenticate,
+  idempotent,
+  PaymentController.createOrder
+);
 
 /**
  * @route   POST /api/v1/payments/verify
- * @desc    Verify Razorpay payment and complete booking
+ * @desc    Verify gateway payment and complete booking
  * @access  Private
  */
 router.post("/verify", authenticate, PaymentController.verifyPayment);
 
+/**
+ * @route   POST /api/v1/payments/webhook/:gateway
+ * @desc    Gateway webhook (payment and refund events)
+ * @access  Public (signed by the gateway)
+ */
+router.post(
+  "/webhook/:gateway",
+  validate(webhookParamsSchema, "params"),
+  PaymentController.handleWebhook
+);
+
 /**
  * @route   POST /api/v1/payments/offline
  * @desc    Record offline payment
  * @access  Private
  */
-router.post("/offline", authenticate, PaymentController.recordOfflinePayment);
+router.post(
+  "/offline",
+  authenticate,
+  idempotent,
+  PaymentController.recordOfflinePayment
+);
 
 /**
  * @route   GET /api/v1/payments/booking/:bookingId
@@ -40,4 +76,84 @@ router.get(
   PaymentController.getPaymentDetails
 );
 
+/**
+ * @route   GET /api/v1/payments/refunds
+ * @desc    List refunds (organizers see their own events)
+ * @access  Private (Organizer/Admin)
+ */
+router.get(
+  "/refunds",
+  authenticate,
+  isOrganizerOrAdmin,
+  validate(listRefundsQuerySchema, "query"),
+  PaymentController.getRefunds
+);
+
+/**
+ * @route   GET /api/v1/payments/reconciliations
+ * @desc    List payment reconciliation runs
+ * @access  Private (Admin)
+ */
+router.get(
+  "/reconciliations",
+  authenticate,
+  isAdmin,
+  validate(listReconciliationsQuerySchema, "query"),
+  PaymentController.getReconciliations
+);
+
+/**
+ * @route   POST /api/v1/payments/reconciliations
+ * @desc    Reconcile payments with the gateway now
+ * @access  Private (Admin)
+ */
+router.post(
+  "/reconciliations",
+  authenticate,
+  isAdmin,
+  PaymentController.runReconciliation
+);
+
+/**
+ * @route   GET /api/v1/payments/reconciliations/:reconciliationId
+ * @desc    Get a reconciliation report (fixed, ambiguous, orphaned)
+ * @access  Private (Admin)
+ */
+router.get(
+  "/reconciliations/:reconciliationId",
+  authenticate,
+  isAdmin,
+  validate(reconciliationIdSchema, "params"),
+  validate(reconciliationQuerySchema, "query"),
+  PaymentController.getReconciliation
+);
+
+/**
+ * @route   GET /api/v1/payments/:paymentId/refunds
+ * @desc    Get refunds of a payment
+ * @access  Private (Organizer/Admin)
+ */
+router.get(
+  "/:paymentId/refunds",
+  authenticate,
+  isOrganizerOrAdmin,
+  validate(paymentIdSchema, "params"),
+  PaymentController.getPaymentRefunds
+);
+
+/**
+ * @route   POST /api/v1/payments/:paymentId/refunds
+ * @desc    Refund a payment in full or in part
+ * @access  Private (Organizer/Admin)
+ */
+router.post(
+  "/:paymentId/refunds",
+  authenticate,
+  isOrganizerOrAdmin,
+  validate(paymentIdSchema, "params"),
+  validate(refundPaymentSchema),
+  idempotent,
+  PaymentController.refundPayment
+);
+
 module.exports = router;
@@ -1,35 +1,34 @@
 /**
  * Payment Service
- * Business logic for payment operations with Razorpay
+ * Business logic for payment operations through the payment gateways
  */
 
-const Razorpay = require("razorpay");
-const crypto = require("crypto");
 const { prisma } = require("../../config/database");
-const config = require("../../config/environment");
 const EmailService = require("../notifications/email.service");
+const AdminService = require("../admin/admin.service");
+const GatewayService = require("./gateway.service");
 const {
   PAYMENT_STATUS,
+  PAYMENT_RECORD_STATUS,
+  REFUND_STATUS,
   BOOKING_STATUS,
   PAYMENT_GATEWAYS,
+  PAYMENT_WEBHOOK_EVENTS,
+  DEFAULT_CURRENCY,
+  USER_TYPES,
+  ENTITY_TYPES,
+  DEFAULT_PAGE_SIZE,
 } = require("../../config/constants");
 
 class PaymentService {
-  constructor() {
-    // Initialize Razorpay instance
-    this.razorpay = new Razorpay({
-      key_id: config.razorpay.keyId,
-      key_secret: config.razorpay.keySecret,
-    });
-  }
-
   /**
-   * Create Razorpay order for booking
+   * Create a gateway order for booking
+   * The gateway is chosen per event or per currency (see GatewayService).
    * @param {number} bookingId - Booking ID
    * @param {number} userId - User ID
-   * @returns {Promise<object>} Razorpay order details
+   * @returns {Promise<object>} Order details and gateway checkout details
    */
-  async createRazorpayOrder(bookingId, userId) {
+  async createOrder(bookingId, userId) {
     // Get booking details
     const booking = await prisma.booking.findFirst({
       where: {
@@ -40,6 +39,8 @@ class PaymentService {
         event: {
           select: {
             eventName: true,
+            currency: true,
+            paymentGateway: true,
           },
         },
       },
@@ -59,12 +60,17 @@ class PaymentService {
       throw new Error("Cannot pay for cancelled booking");
     }
 
-    // Create Razorpay order
-    const amount = Math.round(Number(booking.amountPaid) * 100); // Convert to paise
+    // Check if the payment window has passed (the expiry job will cancel it)
+    if (booking.paymentDueAt && booking.paymentDueAt <= new Date()) {
+      throw new Error("Payment window has expired. Please book again");
+    }
+
+    const gateway = await GatewayService.selectGateway(booking.event);
+    const currency = booking.event.currency || DEFAULT_CURRENCY;
 
-    const razorpayOrder = await this.razorpay.orders.create({
-      amount,
-      currency: "INR",
+    const order = await gateway.createOrder({
+      amount: booking.amountPaid,
+      currency,
       receipt: booking.bookingReference,
       notes: {
         bookingId: booking.bookingId,
@@ -76,65 +82,40 @@ class PaymentService {
     await prisma.payment.create({
       data: {
         bookingId: booking.bookingId,
-        transactionId: razorpayOrder.id,
-        paymentGateway: PAYMENT_GATEWAYS.RAZORPAY,
+        transactionId: order.orderId,
+        paymentGateway: gateway.name,
         amount: booking.amountPaid,
-        currency: "INR",
-        paymentStatus: PAYMENT_STATUS.PENDING,
-        gatewayResponse: JSON.stringify(razorpayOrder),
+        currency,
+        paymentStatus: PAYMENT_RECORD_STATUS.PENDING,
+        gatewayResponse: JSON.stringify(order.response),
       },
     });
 
     return {
-      orderId: razorpayOrder.id,
-      amount: razorpayOrder.amount,
-      currency: razorpayOrder.currency,
+      orderId: order.orderId,
+      amount: order.amount,
+      currency: order.currency,
       bookingReference: booking.bookingReference,
-      razorpayKeyId: config.razorpay.keyId,
+      gateway: gateway.name,
+      ...order.checkout,
     };
   }
 
   /**
-   * Verify Razorpay payment signature
-   * @param {string} orderId - Razorpay order ID
-   * @param {string} paymentId - Razorpay payment ID
-   * @param {string} signature - Razorpay signature
-   * @returns {boolean} Verification result
-   */
-  verifyRazorpaySignature(orderId, paymentId, signature) {
-    const body = orderId + "|" + paymentId;
-    const expectedSignature = crypto
-      .createHmac("sha256", config.razorpay.keySecret)
-      .update(body)
-      .digest("hex");
-
-    return expectedSignature === signature;
-  }
-
-  /**
-   * Complete payment after Razorpay verification
+   * Complete payment after the player returns from the gateway checkout
+   * The gateway confirms the payment (Razorpay by signature, Stripe and
+   * PayPal through their APIs) and it is captured if still only authorized.
    * @param {object} paymentData - Payment verification data
+   * @param {string} paymentData.orderId - Gateway order ID
    * @returns {Promise<object>} Updated booking
    */
   async completePayment(paymentData) {
-    const { razorpayOrderId, razorpayPaymentId, razorpaySignature } =
-      paymentData;
-
-    // Verify signature
-    const isValid = this.verifyRazorpaySignature(
-      razorpayOrderId,
-      razorpayPaymentId,
-      razorpaySignature
-    );
-
-    if (!isValid) {
-      throw new Error("Invalid payment signature");
-    }
+    const orderId = paymentData.orderId || paymentData.razorpayOrderId;
 
     // Get payment record
     const payment = await prisma.payment.findFirst({
       where: {
-        transactionId: razorpayOrderId,
+        transactionId: orderId,
       },
       include: {
         booking: {
@@ -155,27 +136,142 @@ class PaymentService {
       throw new Error("Payment record not found");
     }
 
-    // Update payment and booking in transaction
+    const gateway = GatewayService.getGateway(payment.paymentGateway);
+    const order = this.getGatewayOrder(payment);
+
+    const gatewayPaymentId = await gateway.verifyPayment(order, paymentData);
+
+    if (!gatewayPaymentId) {
+      throw new Error("Invalid payment signature");
+    }
+
+    // Expired bookings have released their slots
+    if (payment.booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+      throw new Error("Booking has been cancelled and can no longer be paid");
+    }
+
+    // Orders are expired when the booking amount changes
+    if (payment.paymentStatus === PAYMENT_RECORD_STATUS.EXPIRED) {
+      throw new Error(
+        "This payment order has expired. Please create a new order"
+      );
+    }
+
+    // The webhook may have confirmed the booking already
+    if (payment.paymentStatus === PAYMENT_RECORD_STATUS.COMPLETED) {
+      return payment.booking;
+    }
+
+    const capture = await gateway.capturePayment(order, gatewayPaymentId);
+
+    if (capture.status === "failed") {
+      throw new Error("Payment was not completed. Please try again");
+    }
+
+    // The webhook confirms the booking once the gateway settles the payment
+    if (capture.status === "pending") {
+      throw new Error(
+        "Payment is still being processed. Your booking will be confirmed once it completes"
+      );
+    }
+
+    const captured = await this.captureOrderPayment(payment, capture.paymentId);
+    if (captured) {
+      return captured;
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { bookingId: payment.bookingId },
+      include: {
+        event: true,
+        user: true,
+        participants: {
+          include: {
+            participant: true,
+          },
+        },
+      },
+    });
+
+    if (booking.paymentStatus !== PAYMENT_STATUS.PAID) {
+      throw new Error(
+        "Booking has been cancelled and can no longer be paid. The payment will be refunded"
+      );
+    }
+
+    return booking;
+  }
+
+  /**
+   * Get the gateway order of a payment record
+   * @param {object} payment - Payment record
+   * @returns {object} { orderId, amount, currency }
+   */
+  getGatewayOrder(payment) {
+    return {
+      orderId: payment.transactionId,
+      amount: Number(payment.amount),
+      currency: payment.currency || DEFAULT_CURRENCY,
+    };
+  }
+
+  /**
+   * Mark a gateway order paid and confirm its booking
+   * Both payment verification and the webhook call this; only the first call
+   * for an order updates the records and sends the confirmation email. If
+   * the booking was cancelled or the order expired in the meantime, the
+   * payment is recorded and refunded in full instead.
+   * @param {object} payment - Payment record of the order
+   * @param {string} gatewayPaymentId - Gateway payment ID
+   * @returns {Promise<object|null>} Confirmed booking, or null if nothing
+   *   was confirmed
+   */
+  async captureOrderPayment(payment, gatewayPaymentId) {
+    // The gateway response of the order is kept
+    const capturedData = {
+      paymentStatus: PAYMENT_RECORD_STATUS.COMPLETED,
+      gatewayPaymentId,
+    };
+
     const result = await prisma.$transaction(async (tx) => {
-      // Update payment status
-      await tx.payment.update({
-        where: { paymentId: payment.paymentId },
-        data: {
-          paymentStatus: PAYMENT_STATUS.PAID,
-          gatewayResponse: JSON.stringify({
-            orderId: razorpayOrderId,
-            paymentId: razorpayPaymentId,
-          }),
+      const live = await tx.payment.updateMany({
+        where: {
+          paymentId: payment.paymentId,
+          paymentStatus: {
+            in: [PAYMENT_RECORD_STATUS.PENDING, PAYMENT_RECORD_STATUS.FAILED],
+          },
         },
+        data: capturedData,
       });
 
-      // Update booking status
-      const updatedBooking = await tx.booking.update({
-        where: { bookingId: payment.bookingId },
+      if (live.count === 0) {
+        // Expired orders no longer pay for their booking
+        const expired = await tx.payment.updateMany({
+          where: {
+            paymentId: payment.paymentId,
+            paymentStatus: PAYMENT_RECORD_STATUS.EXPIRED,
+          },
+          data: capturedData,
+        });
+
+        return expired.count === 0 ? null : { booking: null };
+      }
+
+      const { count } = await tx.booking.updateMany({
+        where: {
+          bookingId: payment.bookingId,
+          bookingStatus: { not: BOOKING_STATUS.CANCELLED },
+        },
         data: {
           bookingStatus: BOOKING_STATUS.CONFIRMED,
           paymentStatus: PAYMENT_STATUS.PAID,
         },
+      });
+
+      if (count === 0) return { booking: null };
+
+      const booking = await tx.booking.findUnique({
+        where: { bookingId: payment.bookingId },
         include: {
           event: true,
           user: true,
@@ -187,17 +283,32 @@ class PaymentService {
         },
       });
 
-      return updatedBooking;
+      return { booking };
     });
 
+    // Already captured
+    if (!result) return null;
+
+    if (!result.booking) {
+      try {
+        await this.initiateRefund(payment.paymentId, {
+          reason: "Payment received after the booking was cancelled",
+        });
+      } catch (error) {
+        console.error("Failed to refund payment for cancelled booking:", error);
+      }
+
+      return null;
+    }
+
     // Send confirmation email
     try {
-      await EmailService.sendBookingConfirmationEmail(result);
+      await EmailService.sendBookingConfirmationEmail(result.booking);
     } catch (error) {
       console.error("Failed to send confirmation email:", error);
     }
 
-    return result;
+    return result.booking;
   }
 
   /**
@@ -233,6 +344,10 @@ class PaymentService {
       throw new Error("Booking is already paid");
     }
 
+    if (booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+      throw new Error("Cannot pay for cancelled booking");
+    }
+
     // Record offline payment
     const result = await prisma.$transaction(async (tx) => {
       // Create payment record
@@ -242,8 +357,8 @@ class PaymentService {
           transactionId: `OFFLINE-${booking.bookingReference}`,
           paymentGateway: PAYMENT_GATEWAYS.OFFLINE,
           amount: booking.amountPaid,
-          currency: "INR",
-          paymentStatus: PAYMENT_STATUS.PAID,
+          currency: booking.event.currency || DEFAULT_CURRENCY,
+          paymentStatus: PAYMENT_RECORD_STATUS.COMPLETED,
           gatewayResponse: JSON.stringify(paymentData),
         },
       });
@@ -307,66 +422,556 @@ class PaymentService {
     return payments;
   }
 
+  /**
+   * Refund part of the payment of a booking
+   * @param {number} bookingId - Booking ID
+   * @param {object} refundData - { amount, reason, initiatedBy }
+   * @returns {Promise<object>} Refund record
+   */
+  async refundBookingAmount(bookingId, refundData) {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        bookingId,
+        paymentStatus: PAYMENT_RECORD_STATUS.COMPLETED,
+      },
+      orderBy: { paymentDate: "desc" },
+    });
+
+    if (!payment) {
+      throw new Error("No completed payment found for this booking");
+    }
+
+    return this.initiateRefund(payment.paymentId, refundData);
+  }
+
   /**
    * Initiate refund
+   * Refunds the rest of the payment, or part of it when an amount is given.
+   * Each refund is recorded separately; the amount is reserved on the payment
+   * first, so refunds never exceed the captured amount. The payment and its
+   * booking are marked refunded once nothing is left to refund.
    * @param {number} paymentId - Payment ID
-   * @returns {Promise<object>} Refund details
+   * @param {object} refundData - Refund details
+   * @param {number|null} refundData.amount - Amount (default: all refundable)
+   * @param {string|null} refundData.reason - Refund reason
+   * @param {number|null} refundData.initiatedBy - User who initiated it
+   * @returns {Promise<object>} Refund record
    */
-  async initiateRefund(paymentId) {
+  async initiateRefund(
+    paymentId,
+    { amount = null, reason = null, initiatedBy = null } = {}
+  ) {
     const payment = await prisma.payment.findUnique({
       where: { paymentId },
-      include: {
-        booking: true,
-      },
     });
 
     if (!payment) {
       throw new Error("Payment not found");
     }
 
-    if (payment.paymentStatus !== PAYMENT_STATUS.PAID) {
+    if (payment.paymentStatus === PAYMENT_RECORD_STATUS.REFUNDED) {
+      throw new Error("Payment is already fully refunded");
+    }
+
+    if (payment.paymentStatus !== PAYMENT_RECORD_STATUS.COMPLETED) {
       throw new Error("Cannot refund unpaid payment");
     }
 
-    // For Razorpay payments, initiate refund through API
-    if (payment.paymentGateway === PAYMENT_GATEWAYS.RAZORPAY) {
-      const gatewayResponse = JSON.parse(payment.gatewayResponse);
-      const paymentId = gatewayResponse.paymentId;
+    const refundAmount =
+      amount === null ? this.getRefundableAmount(payment) : Number(amount);
 
-      try {
-        const refund = await this.razorpay.payments.refund(paymentId, {
-          amount: Math.round(Number(payment.amount) * 100), // Full refund in paise
-          speed: "normal",
-        });
+    if (refundAmount <= 0) {
+      throw new Error("Refund amount must be greater than zero");
+    }
+
+    const value = refundAmount.toFixed(2);
+
+    const refund = await prisma.$transaction(async (tx) => {
+      // Reserve the amount (concurrent refunds cannot exceed the payment)
+      const reserved = await tx.$executeRaw`
+        UPDATE payments
+        SET refund_amount = COALESCE(refund_amount, 0) + ${value}
+        WHERE payment_id = ${paymentId}
+          AND payment_status = 'completed'
+          AND COALESCE(refund_amount, 0) + ${value} <= amount`;
+
+      if (reserved === 0) {
+        throw new Error("Refund amount exceeds the refundable amount");
+      }
+
+      return tx.refund.create({
+        data: { paymentId, amount: value, reason, initiatedBy },
+      });
+    });
+
+    let gatewayRefund;
+    try {
+      gatewayRefund = await this.processGatewayRefund(payment, refund);
+    } catch (error) {
+      await this.markRefundFailed(refund.refundId, { error: error.message });
+      throw new Error(`Refund failed: ${error.message}`);
+    }
+
+    const updatedRefund = await prisma.$transaction(async (tx) => {
+      // A refund webhook may already have settled the refund
+      await tx.refund.updateMany({
+        where: { refundId: refund.refundId, refundStatus: REFUND_STATUS.PENDING },
+        data: gatewayRefund,
+      });
+
+      const refundedPayment = await tx.payment.findUnique({
+        where: { paymentId },
+      });
 
-        // Update payment record
-        await prisma.payment.update({
-          where: { paymentId: payment.paymentId },
-          data: {
-            paymentStatus: PAYMENT_STATUS.REFUNDED,
-            refundDate: new Date(),
-            refundAmount: payment.amount,
-            gatewayResponse: JSON.stringify(refund),
+      const isFullyRefunded = this.getRefundableAmount(refundedPayment) === 0;
+
+      await tx.payment.update({
+        where: { paymentId },
+        data: {
+          refundDate: new Date(),
+          ...(isFullyRefunded && {
+            paymentStatus: PAYMENT_RECORD_STATUS.REFUNDED,
+          }),
+        },
+      });
+
+      // Partial refunds that add up to the full amount refund the booking
+      if (isFullyRefunded) {
+        await tx.booking.updateMany({
+          where: {
+            bookingId: payment.bookingId,
+            paymentStatus: PAYMENT_STATUS.PAID,
           },
+          data: { paymentStatus: PAYMENT_STATUS.REFUNDED },
         });
-
-        return refund;
-      } catch (error) {
-        throw new Error(`Refund failed: ${error.message}`);
       }
+
+      return tx.refund.findUnique({ where: { refundId: refund.refundId } });
+    });
+
+    return this.formatRefund(updatedRefund);
+  }
+
+  /**
+   * Send a refund to the payment gateway
+   * Offline payments are refunded outside the platform and only recorded.
+   * @param {object} payment - Payment record
+   * @param {object} refund - Refund record
+   * @returns {Promise<object>} Refund fields to update
+   */
+  async processGatewayRefund(payment, refund) {
+    const gateway = GatewayService.findGateway(payment.paymentGateway);
+
+    if (!gateway) {
+      return { refundStatus: REFUND_STATUS.PROCESSED };
     }
 
-    // For offline payments, just mark as refunded
-    await prisma.payment.update({
-      where: { paymentId: payment.paymentId },
+    const gatewayRefund = await gateway.refundPayment({
+      paymentId: payment.gatewayPaymentId,
+      amount: Number(refund.amount),
+      currency: payment.currency || DEFAULT_CURRENCY,
+      refundId: refund.refundId,
+      reason: refund.reason,
+    });
+
+    return {
+      gatewayRefundId: gatewayRefund.gatewayRefundId,
+      refundStatus: gatewayRefund.status,
+      gatewayResponse: JSON.stringify(gatewayRefund.response),
+    };
+  }
+
+  /**
+   * Mark a refund failed and release its amount on the payment
+   * A booking marked refunded is marked paid again: a cancelled booking once
+   * none of its payment remains refunded, any other booking as soon as its
+   * payment is no longer refunded in full.
+   * @param {number} refundId - Refund ID
+   * @param {object} response - Gateway response or error details
+   * @param {object} gatewayData - Extra refund fields (e.g. gatewayRefundId)
+   * @returns {Promise<boolean>} True if the refund was marked failed
+   */
+  async markRefundFailed(refundId, response, gatewayData = {}) {
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.refund.updateMany({
+        where: { refundId, refundStatus: { not: REFUND_STATUS.FAILED } },
+        data: {
+          ...gatewayData,
+          refundStatus: REFUND_STATUS.FAILED,
+          gatewayResponse: JSON.stringify(response),
+        },
+      });
+
+      if (count === 0) return false;
+
+      const refund = await tx.refund.findUnique({ where: { refundId } });
+
+      const payment = await tx.payment.update({
+        where: { paymentId: refund.paymentId },
+        data: {
+          refundAmount: { decrement: refund.amount },
+          paymentStatus: PAYMENT_RECORD_STATUS.COMPLETED,
+        },
+      });
+
+      await tx.booking.updateMany({
+        where: {
+          bookingId: payment.bookingId,
+          paymentStatus: PAYMENT_STATUS.REFUNDED,
+          ...(Number(payment.refundAmount || 0) > 0 && {
+            bookingStatus: { not: BOOKING_STATUS.CANCELLED },
+          }),
+        },
+        data: { paymentStatus: PAYMENT_STATUS.PAID },
+      });
+
+      return true;
+    });
+  }
+
+  /**
+   * Verify and parse a gateway webhook
+   * @param {string} gatewayName - Gateway name (PAYMENT_GATEWAYS value)
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {Promise<object|null>} Normalized event, or null if not signed
+   */
+  async parseWebhook(gatewayName, rawBody, headers) {
+    return GatewayService.getGateway(gatewayName).parseWebhook(
+      rawBody,
+      headers
+    );
+  }
+
+  /**
+   * Handle a verified gateway webhook
+   * Gateways retry deliveries and may send several events for one payment
+   * (e.g. Razorpay's payment.captured and order.paid), so every handler only
+   * acts on records still in the state it expects.
+   * @param {string} gatewayName - Gateway name (PAYMENT_GATEWAYS value)
+   * @param {object} webhook - Normalized event from the gateway adapter
+   * @returns {Promise<object>} { event, handled }
+   */
+  async handleWebhook(gatewayName, webhook) {
+    let handled = false;
+
+    switch (webhook.type) {
+      case PAYMENT_WEBHOOK_EVENTS.PAYMENT_CAPTURED:
+        handled = await this.handleCapturedPayment(gatewayName, webhook);
+        break;
+      case PAYMENT_WEBHOOK_EVENTS.PAYMENT_FAILED:
+        handled = await this.handleFailedPayment(gatewayName, webhook);
+        break;
+      case PAYMENT_WEBHOOK_EVENTS.REFUND_PROCESSED:
+        handled = await this.handleProcessedRefund(webhook);
+        break;
+      case PAYMENT_WEBHOOK_EVENTS.REFUND_FAILED:
+        handled = await this.handleFailedRefund(webhook);
+        break;
+      default:
+        break;
+    }
+
+    return { event: webhook.event, handled };
+  }
+
+  /**
+   * Confirm the booking of a captured gateway payment
+   * @param {string} gatewayName - Gateway name
+   * @param {object} webhook - { orderId, paymentId }
+   * @returns {Promise<boolean>} True if the payment was recorded
+   */
+  async handleCapturedPayment(gatewayName, { orderId, paymentId }) {
+    const payment = await prisma.payment.findFirst({
+      where: {
+        transactionId: orderId,
+        paymentGateway: gatewayName,
+      },
+    });
+
+    if (!payment) return false;
+
+    const booking = await this.captureOrderPayment(payment, paymentId);
+
+    return Boolean(booking);
+  }
+
+  /**
+   * Record a failed payment attempt
+   * The booking stays pending so the player can retry until the payment
+   * window ends.
+   * @param {string} gatewayName - Gateway name
+   * @param {object} attempt - { orderId, paymentId, error }
+   * @returns {Promise<boolean>} True if the payment was marked failed
+   */
+  async handleFailedPayment(gatewayName, { orderId, paymentId, error }) {
+    const { count } = await prisma.payment.updateMany({
+      where: {
+        transactionId: orderId,
+        paymentGateway: gatewayName,
+        paymentStatus: PAYMENT_RECORD_STATUS.PENDING,
+      },
       data: {
-        paymentStatus: PAYMENT_STATUS.REFUNDED,
-        refundDate: new Date(),
-        refundAmount: payment.amount,
+        paymentStatus: PAYMENT_RECORD_STATUS.FAILED,
+        gatewayResponse: JSON.stringify({ orderId, paymentId, error }),
+      },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Mark a pending refund processed
+   * @param {object} webhook - { gatewayRefundId, refundId, response }
+   * @returns {Promise<boolean>} True if the refund was updated
+   */
+  async handleProcessedRefund(webhook) {
+    const refund = await this.findGatewayRefund(webhook);
+
+    if (!refund) return false;
+
+    const { count } = await prisma.refund.updateMany({
+      where: { refundId: refund.refundId, refundStatus: REFUND_STATUS.PENDING },
+      data: {
+        gatewayRefundId: webhook.gatewayRefundId,
+        refundStatus: REFUND_STATUS.PROCESSED,
+        gatewayResponse: JSON.stringify(webhook.response),
+      },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Mark a refund failed at the gateway
+   * @param {object} webhook - { gatewayRefundId, refundId, response }
+   * @returns {Promise<boolean>} True if the refund was updated
+   */
+  async handleFailedRefund(webhook) {
+    const refund = await this.findGatewayRefund(webhook);
+
+    if (!refund) return false;
+
+    return this.markRefundFailed(refund.refundId, webhook.response, {
+      gatewayRefundId: webhook.gatewayRefundId,
+    });
+  }
+
+  /**
+   * Find the refund record of a gateway refund
+   * Falls back to the refund ID sent with the refund, as the webhook can
+   * arrive before the gateway refund ID is stored.
+   * @param {object} webhook - { gatewayRefundId, refundId }
+   * @returns {Promise<object|null>} Refund record (null without either ID)
+   */
+  async findGatewayRefund({ gatewayRefundId, refundId }) {
+    // An undefined ID would drop its condition and match any refund
+    const conditions = [
+      ...(gatewayRefundId ? [{ gatewayRefundId }] : []),
+      ...(refundId ? [{ refundId }] : []),
+    ];
+
+    if (conditions.length === 0) {
+      return null;
+    }
+
+    return prisma.refund.findFirst({ where: { OR: conditions } });
+  }
+
+  /**
+   * Get the amount of a payment that can still be refunded
+   * @param {object} payment - Payment record
+   * @returns {number} Refundable amount
+   */
+  getRefundableAmount(payment) {
+    const paise =
+      Math.round(Number(payment.amount) * 100) -
+      Math.round(Number(payment.refundAmount || 0) * 100);
+
+    return Math.max(0, paise) / 100;
+  }
+
+  /**
+   * Get a payment an organizer or admin may refund
+   * Organizers only see payments for their own events.
+   * @param {number} paymentId - Payment ID
+   * @param {object} user - Authenticated user
+   * @returns {Promise<object>} Payment with booking and event
+   */
+  async getManagedPayment(paymentId, user) {
+    const payment = await prisma.payment.findUnique({
+      where: { paymentId },
+      include: {
+        booking: {
+          select: {
+            bookingId: true,
+            bookingReference: true,
+            event: {
+              select: { eventId: true, eventName: true, organizerId: true },
+            },
+          },
+        },
       },
     });
 
-    return { status: "refunded", amount: payment.amount };
+    if (
+      !payment ||
+      (user.userType !== USER_TYPES.ADMIN &&
+        payment.booking.event.organizerId !== user.userId)
+    ) {
+      throw new Error("Payment not found");
+    }
+
+    return payment;
+  }
+
+  /**
+   * Get the refunds of a payment
+   * @param {number} paymentId - Payment ID
+   * @param {object} user - Authenticated organizer or admin
+   * @returns {Promise<object>} Payment totals and refunds
+   */
+  async getPaymentRefunds(paymentId, user) {
+    const payment = await this.getManagedPayment(paymentId, user);
+
+    const refunds = await prisma.refund.findMany({
+      where: { paymentId },
+      include: { initiator: { select: { userId: true, fullName: true } } },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return {
+      paymentId,
+      bookingReference: payment.booking.bookingReference,
+      paymentStatus: payment.paymentStatus,
+      amount: Number(payment.amount),
+      refundedAmount: Number(payment.refundAmount || 0),
+      refundableAmount:
+        payment.paymentStatus === PAYMENT_RECORD_STATUS.COMPLETED
+          ? this.getRefundableAmount(payment)
+          : 0,
+      refunds: refunds.map((refund) => this.formatRefund(refund)),
+    };
+  }
+
+  /**
+   * Refund a payment (organizer or admin)
+   * @param {number} paymentId - Payment ID
+   * @param {object} user - Authenticated organizer or admin
+   * @param {object} refundData - { amount, reason }
+   * @returns {Promise<object>} Refund record
+   */
+  async refundPayment(paymentId, user, { amount, reason }) {
+    await this.getManagedPayment(paymentId, user);
+
+    const refund = await this.initiateRefund(paymentId, {
+      amount: amount ?? null,
+      reason,
+      initiatedBy: user.userId,
+    });
+
+    await AdminService.createAuditLog(
+      user.userId,
+      "INITIATE_REFUND",
+      ENTITY_TYPES.PAYMENT,
+      paymentId,
+      null,
+      { refundId: refund.refundId, amount: refund.amount, reason }
+    );
+
+    return refund;
+  }
+
+  /**
+   * Get refunds with filters
+   * Organizers only see refunds for their own events.
+   * @param {object} user - Authenticated organizer or admin
+   * @param {object} filters - { page, limit, eventId, refundStatus }
+   * @returns {Promise<object>} Paginated refunds
+   */
+  async getRefunds(user, filters = {}) {
+    const {
+      page = 1,
+      limit = DEFAULT_PAGE_SIZE,
+      eventId,
+      refundStatus,
+    } = filters;
+
+    const event = {};
+    if (eventId) event.eventId = eventId;
+    if (user.userType !== USER_TYPES.ADMIN) event.organizerId = user.userId;
+
+    const where = { payment: { booking: { event } } };
+    if (refundStatus) where.refundStatus = refundStatus;
+
+    const [total, refunds] = await Promise.all([
+      prisma.refund.count({ where }),
+      prisma.refund.findMany({
+        where,
+        include: {
+          initiator: { select: { userId: true, fullName: true } },
+          payment: {
+            select: {
+              paymentId: true,
+              paymentGateway: true,
+              booking: {
+                select: {
+                  bookingId: true,
+                  bookingReference: true,
+                  event: { select: { eventId: true, eventName: true } },
+                },
+              },
+            },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    return {
+      refunds: refunds.map((refund) => ({
+        ...this.formatRefund(refund),
+        paymentGateway: refund.payment.paymentGateway,
+        booking: {
+          bookingId: refund.payment.booking.bookingId,
+          bookingReference: refund.payment.booking.bookingReference,
+        },
+        event: refund.payment.booking.event,
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Format refund response
+   * @param {object} refund - Refund record
+   * @returns {object} Formatted refund
+   */
+  formatRefund(refund) {
+    const formatted = {
+      refundId: refund.refundId,
+      paymentId: refund.paymentId,
+      amount: Number(refund.amount),
+      reason: refund.reason,
+      refundStatus: refund.refundStatus,
+      gatewayRefundId: refund.gatewayRefundId,
+      initiatedBy: refund.initiatedBy,
+      createdAt: refund.createdAt,
+      updatedAt: refund.updatedAt,
+    };
+
+    if (refund.initiator) {
+      formatted.initiator = refund.initiator;
+    }
+
+    return formatted;
   }
 }
 
@@ -4,6 +4,11 @@
  */
 
 const Joi = require("joi");
+const {
+  REFUND_STATUS,
+  RECONCILIATION_OUTCOMES,
+  PAYMENT_GATEWAYS,
+} = require("../../config/constants");
 
 /**
  * Create order schema
@@ -18,18 +23,21 @@ const createOrderSchema = Joi.object({
 
 /**
  * Verify payment schema
+ * Razorpay Checkout returns the order, payment and signature; Stripe and
+ * PayPal payments are verified by order ID (payment intent / PayPal order).
  */
 const verifyPaymentSchema = Joi.object({
-  razorpayOrderId: Joi.string().required().messages({
-    "any.required": "Razorpay order ID is required",
-  }),
-  razorpayPaymentId: Joi.string().required().messages({
-    "any.required": "Razorpay payment ID is required",
-  }),
-  razorpaySignature: Joi.string().required().messages({
-    "any.required": "Razorpay signature is required",
-  }),
-});
+  orderId: Joi.string(),
+  razorpayOrderId: Joi.string(),
+  razorpayPaymentId: Joi.string(),
+  razorpaySignature: Joi.string(),
+})
+  .or("orderId", "razorpayOrderId")
+  .and("razorpayOrderId", "razorpayPaymentId", "razorpaySignature")
+  .messages({
+    "object.missing": "Order ID is required",
+    "object.and": "Razorpay order ID, payment ID and signature are required",
+  });
 
 /**
  * Offline payment schema
@@ -45,8 +53,91 @@ const offlinePaymentSchema = Joi.object({
   notes: Joi.string().optional(),
 });
 
+/**
+ * Webhook params schema
+ */
+const webhookParamsSchema = Joi.object({
+  gateway: Joi.string()
+    .valid(...Object.values(PAYMENT_GATEWAYS))
+    .required()
+    .messages({
+      "any.only": "Unknown payment gateway",
+    }),
+});
+
+/**
+ * Payment ID schema (params)
+ */
+const paymentIdSchema = Joi.object({
+  paymentId: Joi.number().integer().positive().required().messages({
+    "number.base": "Payment ID must be a number",
+    "number.positive": "Payment ID must be positive",
+    "any.required": "Payment ID is required",
+  }),
+});
+
+/**
+ * Refund payment schema
+ * Without an amount, the whole refundable amount is refunded
+ */
+const refundPaymentSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).optional().messages({
+    "number.positive": "Refund amount must be positive",
+  }),
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    "string.min": "Reason must be at least 3 characters",
+    "any.required": "Refund reason is required",
+  }),
+});
+
+/**
+ * List refunds query schema
+ */
+const listRefundsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  eventId: Joi.number().integer().positive().optional(),
+  refundStatus: Joi.string()
+    .valid(...Object.values(REFUND_STATUS))
+    .optional(),
+});
+
+/**
+ * Reconciliation ID param schema
+ */
+const reconciliationIdSchema = Joi.object({
+  reconciliationId: Joi.number().integer().positive().required().messages({
+    "number.base": "Reconciliation ID must be a number",
+    "any.required": "Reconciliation ID is required",
+  }),
+});
+
+/**
+ * List reconciliations query schema
+ */
+const listReconciliationsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+});
+
+/**
+ * Reconciliation report query schema
+ */
+const reconciliationQuerySchema = Joi.object({
+  outcome: Joi.string()
+    .valid(...Object.values(RECONCILIATION_OUTCOMES))
+    .optional(),
+});
+
 module.exports = {
   createOrderSchema,
   verifyPaymentSchema,
   offlinePaymentSchema,
+  paymentIdSchema,
+  webhookParamsSchema,
+  refundPaymentSchema,
+  listRefundsQuerySchema,
+  reconciliationIdSchema,
+  listReconciliationsQuerySchema,
+  reconciliationQuerySchema,
 };
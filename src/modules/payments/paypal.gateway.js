@@ -0,0 +1,297 @@
+/**
+ * PayPal Gateway
+ * Payment gateway adapter for PayPal (Orders v2 and Payments v2 APIs)
+ */
+
+const config = require("../../config/environment");
+const CurrencyUtil = require("../../utils/currency.util");
+const {
+  PAYMENT_GATEWAYS,
+  PAYMENT_WEBHOOK_EVENTS,
+  REFUND_STATUS,
+} = require("../../config/constants");
+
+const API_URLS = {
+  sandbox: "https://api-m.sandbox.paypal.com",
+  live: "https://api-m.paypal.com",
+};
+
+class PayPalGateway {
+  constructor() {
+    this.name = PAYMENT_GATEWAYS.PAYPAL;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Check if the gateway credentials are set
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(config.paypal.clientId && config.paypal.clientSecret);
+  }
+
+  /**
+   * Get the API base URL for the configured environment
+   * @returns {string} API URL
+   */
+  getApiUrl() {
+    return API_URLS[config.paypal.environment] || API_URLS.sandbox;
+  }
+
+  /**
+   * Get an OAuth access token (cached until shortly before it expires)
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const credentials = Buffer.from(
+      `${config.paypal.clientId}:${config.paypal.clientSecret}`
+    ).toString("base64");
+
+    const response = await fetch(`${this.getApiUrl()}/v1/oauth2/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: "grant_type=client_credentials",
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(
+        `PayPal: ${body.error_description || response.statusText}`
+      );
+    }
+
+    this.accessToken = body.access_token;
+    this.accessTokenExpiresAt = Date.now() + (body.expires_in - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Call the PayPal API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /v2/checkout/orders)
+   * @param {object} body - JSON body
+   * @param {object} headers - Extra headers
+   * @returns {Promise<object>} Response body
+   */
+  async request(method, path, body = null, headers = {}) {
+    const response = await fetch(`${this.getApiUrl()}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${await this.getAccessToken()}`,
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      const error = new Error(
+        `PayPal: ${result.details?.[0]?.description || result.message}`
+      );
+      error.issue = result.details?.[0]?.issue;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a PayPal order
+   * @param {object} orderData - { amount, currency, receipt, notes }
+   * @returns {Promise<object>} Order ID, amount and checkout details
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await this.request("POST", "/v2/checkout/orders", {
+      intent: "CAPTURE",
+      purchase_units: [
+        {
+          reference_id: receipt,
+          custom_id: String(notes.bookingId),
+          description: notes.eventName,
+          amount: {
+            currency_code: currency,
+            value: CurrencyUtil.toDecimalString(amount, currency),
+          },
+        },
+      ],
+    });
+
+    return {
+      orderId: order.id,
+      amount: CurrencyUtil.toMinorUnits(amount, currency),
+      currency,
+      checkout: {
+        paypalClientId: config.paypal.clientId,
+        paypalApproveUrl: order.links.find((link) => link.rel === "approve")
+          ?.href,
+      },
+      response: { id: order.id, status: order.status },
+    };
+  }
+
+  /**
+   * Verify that the buyer approved the order
+   * @param {object} order - { orderId, amount, currency }
+   * @returns {Promise<string|null>} PayPal order ID, or null if not approved
+   */
+  async verifyPayment(order) {
+    const paypalOrder = await this.request(
+      "GET",
+      `/v2/checkout/orders/${order.orderId}`
+    );
+
+    return ["APPROVED", "COMPLETED"].includes(paypalOrder.status)
+      ? paypalOrder.id
+      : null;
+  }
+
+  /**
+   * Capture an approved order
+   * PayPal only takes the money once the order is captured. The order ID is
+   * sent as the request ID, so retrying a capture does not charge twice.
+   * @param {object} order - { orderId, amount, currency }
+   * @returns {Promise<object>} { paymentId (capture ID), status, response }
+   */
+  async capturePayment(order) {
+    let paypalOrder;
+    try {
+      paypalOrder = await this.request(
+        "POST",
+        `/v2/checkout/orders/${order.orderId}/capture`,
+        {},
+        { "PayPal-Request-Id": `capture-${order.orderId}` }
+      );
+    } catch (error) {
+      if (error.issue !== "ORDER_ALREADY_CAPTURED") throw error;
+
+      paypalOrder = await this.request(
+        "GET",
+        `/v2/checkout/orders/${order.orderId}`
+      );
+    }
+
+    const capture = paypalOrder.purchase_units[0].payments.captures[0];
+
+    return {
+      paymentId: capture.id,
+      status:
+        capture.status === "COMPLETED"
+          ? "captured"
+          : ["DECLINED", "FAILED"].includes(capture.status)
+          ? "failed"
+          : "pending",
+      response: capture,
+    };
+  }
+
+  /**
+   * Refund a capture
+   * @param {object} refundData - { paymentId, amount, currency, refundId, reason }
+   * @returns {Promise<object>} { gatewayRefundId, status, response }
+   */
+  async refundPayment({ paymentId, amount, currency, refundId, reason }) {
+    const refund = await this.request(
+      "POST",
+      `/v2/payments/captures/${paymentId}/refund`,
+      {
+        amount: {
+          currency_code: currency,
+          value: CurrencyUtil.toDecimalString(amount, currency),
+        },
+        custom_id: String(refundId),
+        note_to_payer: reason || undefined,
+      },
+      { "PayPal-Request-Id": `refund-${refundId}` }
+    );
+
+    if (["FAILED", "CANCELLED"].includes(refund.status)) {
+      throw new Error(`PayPal: refund ${refund.status.toLowerCase()}`);
+    }
+
+    return {
+      gatewayRefundId: refund.id,
+      status:
+        refund.status === "COMPLETED"
+          ? REFUND_STATUS.PROCESSED
+          : REFUND_STATUS.PENDING,
+      response: refund,
+    };
+  }
+
+  /**
+   * Verify and parse a webhook
+   * PayPal signs webhooks with a certificate; the signature is checked
+   * through PayPal's verification API against the configured webhook ID.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {Promise<object|null>} Normalized event, or null if not signed
+   */
+  async parseWebhook(rawBody, headers) {
+    if (!config.paypal.webhookId || !rawBody) {
+      return null;
+    }
+
+    const webhookEvent = JSON.parse(rawBody);
+
+    const { verification_status: status } = await this.request(
+      "POST",
+      "/v1/notifications/verify-webhook-signature",
+      {
+        auth_algo: headers["paypal-auth-algo"],
+        cert_url: headers["paypal-cert-url"],
+        transmission_id: headers["paypal-transmission-id"],
+        transmission_sig: headers["paypal-transmission-sig"],
+        transmission_time: headers["paypal-transmission-time"],
+        webhook_id: config.paypal.webhookId,
+        webhook_event: webhookEvent,
+      }
+    );
+
+    if (status !== "SUCCESS") return null;
+
+    const { event_type: event, resource } = webhookEvent;
+
+    switch (event) {
+      case "PAYMENT.CAPTURE.COMPLETED":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_CAPTURED,
+          orderId: resource.supplementary_data?.related_ids?.order_id,
+          paymentId: resource.id,
+        };
+      case "PAYMENT.CAPTURE.DENIED":
+      case "PAYMENT.CAPTURE.DECLINED":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_FAILED,
+          orderId: resource.supplementary_data?.related_ids?.order_id,
+          paymentId: resource.id,
+          error: resource.status_details?.reason,
+        };
+      case "PAYMENT.CAPTURE.REFUNDED":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.REFUND_PROCESSED,
+          gatewayRefundId: resource.id,
+          refundId: parseInt(resource.custom_id) || null,
+          response: resource,
+        };
+      default:
+        return { event, type: null };
+    }
+  }
+}
+
+module.exports = new PayPalGateway();
@@ -0,0 +1,259 @@
+/**
+ * Razorpay Gateway
+ * Payment gateway adapter for Razorpay (Checkout, Orders and Refunds APIs)
+ */
+
+const Razorpay = require("razorpay");
+const crypto = require("crypto");
+const config = require("../../config/environment");
+const CurrencyUtil = require("../../utils/currency.util");
+const {
+  PAYMENT_GATEWAYS,
+  PAYMENT_WEBHOOK_EVENTS,
+  REFUND_STATUS,
+} = require("../../config/constants");
+
+// Largest page size the Razorpay API allows
+const PAGE_SIZE = 100;
+
+class RazorpayGateway {
+  constructor() {
+    this.name = PAYMENT_GATEWAYS.RAZORPAY;
+    this.client = null;
+  }
+
+  /**
+   * Check if the gateway credentials are set
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(config.razorpay.keyId && config.razorpay.keySecret);
+  }
+
+  /**
+   * Get the Razorpay SDK client
+   * Created on first use, so deployments without Razorpay credentials can
+   * still start (the SDK throws without a key).
+   * @returns {object} Razorpay client
+   */
+  getClient() {
+    if (!this.client) {
+      if (!this.isConfigured()) {
+        throw new Error("Razorpay is not configured");
+      }
+
+      this.client = new Razorpay({
+        key_id: config.razorpay.keyId,
+        key_secret: config.razorpay.keySecret,
+      });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Create a Razorpay order
+   * @param {object} orderData - { amount, currency, receipt, notes }
+   * @returns {Promise<object>} Order ID, amount and checkout details
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const order = await this.getClient().orders.create({
+      amount: CurrencyUtil.toMinorUnits(amount, currency),
+      currency,
+      receipt,
+      notes,
+    });
+
+    return {
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      checkout: { razorpayKeyId: config.razorpay.keyId },
+      response: order,
+    };
+  }
+
+  /**
+   * Verify the Checkout signature of a payment
+   * @param {object} order - { orderId, amount, currency }
+   * @param {object} data - { razorpayPaymentId, razorpaySignature }
+   * @returns {Promise<string|null>} Razorpay payment ID, or null if invalid
+   */
+  async verifyPayment(order, { razorpayPaymentId, razorpaySignature }) {
+    const expectedSignature = crypto
+      .createHmac("sha256", config.razorpay.keySecret)
+      .update(order.orderId + "|" + razorpayPaymentId)
+      .digest("hex");
+
+    return this.safeEqual(expectedSignature, razorpaySignature)
+      ? razorpayPaymentId
+      : null;
+  }
+
+  /**
+   * Capture a payment if it was only authorized
+   * Razorpay captures automatically unless the account is set otherwise.
+   * @param {object} order - { orderId, amount, currency }
+   * @param {string} paymentId - Razorpay payment ID
+   * @returns {Promise<object>} { paymentId, status, response }
+   */
+  async capturePayment(order, paymentId) {
+    let payment = await this.getClient().payments.fetch(paymentId);
+
+    if (payment.status === "authorized") {
+      payment = await this.getClient().payments.capture(
+        paymentId,
+        CurrencyUtil.toMinorUnits(order.amount, order.currency),
+        order.currency
+      );
+    }
+
+    return {
+      paymentId,
+      status:
+        payment.status === "captured"
+          ? "captured"
+          : payment.status === "failed"
+          ? "failed"
+          : "pending",
+      response: payment,
+    };
+  }
+
+  /**
+   * Refund a captured payment
+   * @param {object} refundData - { paymentId, amount, currency, refundId, reason }
+   * @returns {Promise<object>} { gatewayRefundId, status, response }
+   */
+  async refundPayment({ paymentId, amount, currency, refundId, reason }) {
+    const refund = await this.getClient().payments.refund(paymentId, {
+      amount: CurrencyUtil.toMinorUnits(amount, currency),
+      speed: "normal",
+      notes: {
+        refundId,
+        reason: reason || "",
+      },
+    });
+
+    return {
+      gatewayRefundId: refund.id,
+      status:
+        refund.status === "processed"
+          ? REFUND_STATUS.PROCESSED
+          : REFUND_STATUS.PENDING,
+      response: refund,
+    };
+  }
+
+  /**
+   * Verify and parse a webhook
+   * The X-Razorpay-Signature header signs the raw body with the webhook
+   * secret.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {Promise<object|null>} Normalized event, or null if not signed
+   */
+  async parseWebhook(rawBody, headers) {
+    const signature = headers["x-razorpay-signature"];
+
+    if (!config.razorpay.webhookSecret || !rawBody || !signature) {
+      return null;
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", config.razorpay.webhookSecret)
+      .update(rawBody)
+      .digest("hex");
+
+    if (!this.safeEqual(expectedSignature, signature)) {
+      return null;
+    }
+
+    const { event, payload } = JSON.parse(rawBody);
+    const payment = payload.payment?.entity;
+    const refund = payload.refund?.entity;
+
+    switch (event) {
+      case "payment.captured":
+      case "order.paid":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_CAPTURED,
+          orderId: payment.order_id,
+          paymentId: payment.id,
+        };
+      case "payment.failed":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_FAILED,
+          orderId: payment.order_id,
+          paymentId: payment.id,
+          error: payment.error_description,
+        };
+      case "refund.processed":
+      case "refund.failed":
+        return {
+          event,
+          type:
+            event === "refund.processed"
+              ? PAYMENT_WEBHOOK_EVENTS.REFUND_PROCESSED
+              : PAYMENT_WEBHOOK_EVENTS.REFUND_FAILED,
+          gatewayRefundId: refund.id,
+          refundId: parseInt(refund.notes?.refundId) || null,
+          response: refund,
+        };
+      default:
+        return { event, type: null };
+    }
+  }
+
+  /**
+   * Get the orders created in a time window
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<array>} Razorpay order entities
+   */
+  async fetchOrders(from, to) {
+    const orders = [];
+
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+      const page = await this.getClient().orders.all({
+        from: Math.floor(from.getTime() / 1000),
+        to: Math.floor(to.getTime() / 1000),
+        count: PAGE_SIZE,
+        skip,
+      });
+
+      orders.push(...page.items);
+
+      if (page.items.length < PAGE_SIZE) return orders;
+    }
+  }
+
+  /**
+   * Get the payment attempts of an order
+   * @param {string} orderId - Razorpay order ID
+   * @returns {Promise<array>} Razorpay payment entities
+   */
+  async fetchOrderPayments(orderId) {
+    const { items } = await this.getClient().orders.fetchPayments(orderId);
+
+    return items;
+  }
+
+  /**
+   * Compare two signatures in constant time
+   * @param {string} expected - Expected signature
+   * @param {string} actual - Received signature
+   * @returns {boolean} True if equal
+   */
+  safeEqual(expected, actual) {
+    return (
+      typeof actual === "string" &&
+      expected.length === actual.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))
+    );
+  }
+}
+
+module.exports = new RazorpayGateway();
@@ -0,0 +1,469 @@
+/**
+ * Reconciliation Service
+ * Match payment records against Razorpay and repair missed updates
+ */
+
+const { prisma } = require("../../config/database");
+const PaymentService = require("./payment.service");
+const RazorpayGateway = require("./razorpay.gateway");
+const CurrencyUtil = require("../../utils/currency.util");
+const {
+  PAYMENT_RECORD_STATUS,
+  PAYMENT_GATEWAYS,
+  BOOKING_STATUS,
+  RECONCILIATION_STATUS,
+  RECONCILIATION_OUTCOMES,
+  PAYMENT_RECONCILIATION_WINDOW_HOURS,
+  PAYMENT_RECONCILIATION_GRACE_MINUTES,
+  PAYMENT_RECONCILIATION_LOOKBACK_DAYS,
+  DEFAULT_CURRENCY,
+  DEFAULT_PAGE_SIZE,
+} = require("../../config/constants");
+
+class ReconciliationService {
+  constructor() {
+    this.gateway = RazorpayGateway;
+    this.running = false;
+  }
+
+  /**
+   * Replace the Razorpay client (e.g. with a local fake)
+   * @param {object} gateway - Client with fetchOrders and fetchOrderPayments
+   */
+  setGatewayClient(gateway) {
+    this.gateway = gateway;
+  }
+
+  /**
+   * Reconcile payments with the gateway
+   * Checks every pending Razorpay payment past the checkout grace period and
+   * every order paid at Razorpay in the window. Captured payments are
+   * recorded (confirming or refunding the booking), abandoned orders are
+   * closed, and anything that needs a person is reported as ambiguous.
+   * Paid orders without a payment record are reported as orphaned.
+   * @returns {Promise<object>} Reconciliation report
+   */
+  async runReconciliation() {
+    if (this.running) {
+      throw new Error("A payment reconciliation is already running");
+    }
+
+    this.running = true;
+    try {
+      const windowEnd = new Date();
+      const windowStart = new Date(
+        windowEnd.getTime() -
+          PAYMENT_RECONCILIATION_WINDOW_HOURS * 60 * 60 * 1000
+      );
+
+      const run = await prisma.paymentReconciliation.create({
+        data: { windowStart, windowEnd },
+      });
+
+      const report = { checkedCount: 0, items: [], paymentIds: new Set() };
+
+      try {
+        await this.reconcilePendingPayments(report);
+        await this.reconcilePaidOrders(windowStart, windowEnd, report);
+
+        await prisma.paymentReconciliationItem.createMany({
+          data: report.items.map((item) => ({
+            ...item,
+            reconciliationId: run.reconciliationId,
+          })),
+        });
+
+        await prisma.paymentReconciliation.update({
+          where: { reconciliationId: run.reconciliationId },
+          data: {
+            status: RECONCILIATION_STATUS.COMPLETED,
+            checkedCount: report.checkedCount,
+            fixedCount: this.countOutcome(
+              report,
+              RECONCILIATION_OUTCOMES.FIXED
+            ),
+            ambiguousCount: this.countOutcome(
+              report,
+              RECONCILIATION_OUTCOMES.AMBIGUOUS
+            ),
+            orphanedCount: this.countOutcome(
+              report,
+              RECONCILIATION_OUTCOMES.ORPHANED
+            ),
+            completedAt: new Date(),
+          },
+        });
+      } catch (error) {
+        await prisma.paymentReconciliation.update({
+          where: { reconciliationId: run.reconciliationId },
+          data: {
+            status: RECONCILIATION_STATUS.FAILED,
+            checkedCount: report.checkedCount,
+            error: error.message,
+            completedAt: new Date(),
+          },
+        });
+
+        throw error;
+      }
+
+      return this.getReconciliation(run.reconciliationId);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Reconcile pending payments past the checkout grace period
+   * Payments older than the lookback period are left out, so payments that
+   * cannot be resolved automatically are not checked again every night.
+   * @param {object} report - Report to add items to
+   */
+  async reconcilePendingPayments(report) {
+    const now = Date.now();
+    const cutoff = new Date(
+      now - PAYMENT_RECONCILIATION_GRACE_MINUTES * 60 * 1000
+    );
+    const lookbackStart = new Date(
+      now - PAYMENT_RECONCILIATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const payments = await prisma.payment.findMany({
+      where: {
+        paymentGateway: PAYMENT_GATEWAYS.RAZORPAY,
+        paymentStatus: PAYMENT_RECORD_STATUS.PENDING,
+        paymentDate: { gte: lookbackStart, lte: cutoff },
+      },
+      orderBy: { paymentDate: "asc" },
+    });
+
+    for (const payment of payments) {
+      await this.reconcilePayment(payment, report);
+    }
+  }
+
+  /**
+   * Reconcile orders paid at the gateway in a time window
+   * @param {Date} windowStart - Window start
+   * @param {Date} windowEnd - Window end
+   * @param {object} report - Report to add items to
+   */
+  async reconcilePaidOrders(windowStart, windowEnd, report) {
+    const orders = await this.gateway.fetchOrders(windowStart, windowEnd);
+
+    for (const order of orders.filter((o) => o.status === "paid")) {
+      const payment = await prisma.payment.findFirst({
+        where: { transactionId: order.id },
+      });
+
+      if (!payment) {
+        report.checkedCount++;
+        report.items.push({
+          gatewayOrderId: order.id,
+          outcome: RECONCILIATION_OUTCOMES.ORPHANED,
+          action: "NO_PAYMENT_RECORD",
+          details: `Paid order without a payment record (receipt: ${
+            order.receipt || "none"
+          }, booking ID: ${order.notes?.bookingId || "none"})`,
+          amount: CurrencyUtil.fromMinorUnits(
+            order.amount_paid,
+            order.currency
+          ),
+        });
+        continue;
+      }
+
+      if (report.paymentIds.has(payment.paymentId)) continue;
+
+      if (
+        payment.paymentStatus === PAYMENT_RECORD_STATUS.COMPLETED ||
+        payment.paymentStatus === PAYMENT_RECORD_STATUS.REFUNDED
+      ) {
+        report.checkedCount++;
+      } else {
+        await this.reconcilePayment(payment, report);
+      }
+    }
+  }
+
+  /**
+   * Reconcile a payment record with its gateway order
+   * @param {object} payment - Payment record
+   * @param {object} report - Report to add items to
+   */
+  async reconcilePayment(payment, report) {
+    report.checkedCount++;
+    report.paymentIds.add(payment.paymentId);
+
+    const item = (outcome, action, details, extra = {}) =>
+      report.items.push({
+        paymentId: payment.paymentId,
+        gatewayOrderId: payment.transactionId,
+        outcome,
+        action,
+        details,
+        amount: payment.amount,
+        ...extra,
+      });
+
+    let attempts;
+    try {
+      attempts = await this.gateway.fetchOrderPayments(payment.transactionId);
+    } catch (error) {
+      return item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "GATEWAY_ERROR",
+        `Could not fetch the order from the gateway: ${error.message}`
+      );
+    }
+
+    const captured = attempts.filter((a) => a.status === "captured");
+
+    if (captured.length > 1) {
+      return item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "MULTIPLE_CAPTURES",
+        `${captured.length} payments captured for one order: ${captured
+          .map((a) => a.id)
+          .join(", ")}`
+      );
+    }
+
+    if (captured.length === 1) {
+      return this.reconcileCapturedPayment(payment, captured[0], item);
+    }
+
+    if (attempts.some((a) => a.status === "authorized")) {
+      return item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "AUTHORIZED_NOT_CAPTURED",
+        "A payment was authorized but never captured"
+      );
+    }
+
+    if (attempts.some((a) => a.status === "refunded")) {
+      return item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "REFUNDED_AT_GATEWAY",
+        "The payment was refunded directly at the gateway"
+      );
+    }
+
+    if (attempts.length > 0) {
+      const lastAttempt = attempts[attempts.length - 1];
+      const failed = await PaymentService.handleFailedPayment(
+        PAYMENT_GATEWAYS.RAZORPAY,
+        {
+          orderId: payment.transactionId,
+          paymentId: lastAttempt.id,
+          error: lastAttempt.error_description,
+        }
+      );
+
+      if (failed) {
+        item(
+          RECONCILIATION_OUTCOMES.FIXED,
+          "MARKED_FAILED",
+          "All payment attempts failed"
+        );
+      }
+      return;
+    }
+
+    // No attempt was made; the order is dead once its booking is cancelled
+    const { count } = await prisma.payment.updateMany({
+      where: {
+        paymentId: payment.paymentId,
+        paymentStatus: PAYMENT_RECORD_STATUS.PENDING,
+        booking: { bookingStatus: BOOKING_STATUS.CANCELLED },
+      },
+      data: { paymentStatus: PAYMENT_RECORD_STATUS.EXPIRED },
+    });
+
+    if (count > 0) {
+      item(
+        RECONCILIATION_OUTCOMES.FIXED,
+        "MARKED_EXPIRED",
+        "Order was never paid and its booking is cancelled"
+      );
+    }
+  }
+
+  /**
+   * Record a payment captured at the gateway
+   * @param {object} payment - Payment record
+   * @param {object} gatewayPayment - Captured Razorpay payment entity
+   * @param {function} item - Adds a report item for the payment
+   */
+  async reconcileCapturedPayment(payment, gatewayPayment, item) {
+    const extra = { gatewayPaymentId: gatewayPayment.id };
+
+    const currency = payment.currency || DEFAULT_CURRENCY;
+
+    if (
+      gatewayPayment.amount !==
+      CurrencyUtil.toMinorUnits(payment.amount, currency)
+    ) {
+      return item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "AMOUNT_MISMATCH",
+        `Captured ${CurrencyUtil.fromMinorUnits(
+          gatewayPayment.amount,
+          currency
+        )} against ${Number(payment.amount)} expected`,
+        extra
+      );
+    }
+
+    const confirmed = await PaymentService.captureOrderPayment(
+      payment,
+      gatewayPayment.id
+    );
+
+    if (confirmed) {
+      return item(
+        RECONCILIATION_OUTCOMES.FIXED,
+        "CONFIRMED_BOOKING",
+        `Captured payment recorded for booking ${confirmed.bookingReference}`,
+        extra
+      );
+    }
+
+    // Not confirmed: captured concurrently, or the booking was cancelled
+    const current = await prisma.payment.findUnique({
+      where: { paymentId: payment.paymentId },
+      include: { booking: { select: { bookingStatus: true } } },
+    });
+
+    if (Number(current.refundAmount || 0) > 0) {
+      item(
+        RECONCILIATION_OUTCOMES.FIXED,
+        "REFUNDED",
+        "Payment captured for a cancelled booking or expired order was refunded",
+        extra
+      );
+    } else if (
+      current.booking.bookingStatus === BOOKING_STATUS.CANCELLED ||
+      payment.paymentStatus === PAYMENT_RECORD_STATUS.EXPIRED
+    ) {
+      item(
+        RECONCILIATION_OUTCOMES.AMBIGUOUS,
+        "REFUND_FAILED",
+        "Payment captured for a cancelled booking or expired order could not be refunded",
+        extra
+      );
+    }
+  }
+
+  /**
+   * Count report items with an outcome
+   * @param {object} report - Report
+   * @param {string} outcome - Reconciliation outcome
+   * @returns {number} Item count
+   */
+  countOutcome(report, outcome) {
+    return report.items.filter((item) => item.outcome === outcome).length;
+  }
+
+  /**
+   * Get reconciliation runs
+   * @param {object} filters - { page, limit }
+   * @returns {Promise<object>} Paginated reconciliation runs
+   */
+  async getReconciliations(filters = {}) {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = filters;
+
+    const [total, reconciliations] = await Promise.all([
+      prisma.paymentReconciliation.count(),
+      prisma.paymentReconciliation.findMany({
+        orderBy: { startedAt: "desc" },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+    ]);
+
+    return {
+      reconciliations,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a reconciliation report
+   * @param {number} reconciliationId - Reconciliation ID
+   * @param {object} filters - { outcome }
+   * @returns {Promise<object>} Run with fixed, ambiguous and orphaned items
+   */
+  async getReconciliation(reconciliationId, filters = {}) {
+    const reconciliation = await prisma.paymentReconciliation.findUnique({
+      where: { reconciliationId },
+      include: {
+        items: {
+          where: filters.outcome ? { outcome: filters.outcome } : {},
+          include: {
+            payment: {
+              select: {
+                bookingId: true,
+                booking: {
+                  select: {
+                    bookingReference: true,
+                    event: { select: { eventId: true, eventName: true } },
+                  },
+                },
+              },
+            },
+          },
+          orderBy: { itemId: "asc" },
+        },
+      },
+    });
+
+    if (!reconciliation) {
+      throw new Error("Reconciliation not found");
+    }
+
+    const { items, ...run } = reconciliation;
+    const byOutcome = (outcome) =>
+      items
+        .filter((item) => item.outcome === outcome)
+        .map((item) => this.formatItem(item));
+
+    return {
+      ...run,
+      fixed: byOutcome(RECONCILIATION_OUTCOMES.FIXED),
+      ambiguous: byOutcome(RECONCILIATION_OUTCOMES.AMBIGUOUS),
+      orphaned: byOutcome(RECONCILIATION_OUTCOMES.ORPHANED),
+    };
+  }
+
+  /**
+   * Format reconciliation item response
+   * @param {object} item - Reconciliation item
+   * @returns {object} Formatted item
+   */
+  formatItem(item) {
+    return {
+      itemId: item.itemId,
+      paymentId: item.paymentId,
+      gatewayOrderId: item.gatewayOrderId,
+      gatewayPaymentId: item.gatewayPaymentId,
+      action: item.action,
+      details: item.details,
+      amount: item.amount === null ? null : Number(item.amount),
+      booking: item.payment
+        ? {
+            bookingId: item.payment.bookingId,
+            bookingReference: item.payment.booking.bookingReference,
+          }
+        : null,
+      event: item.payment?.booking.event || null,
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
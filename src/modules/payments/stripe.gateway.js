@@ -0,0 +1,260 @@
+/**
+ * Stripe Gateway
+ * Payment gateway adapter for Stripe (Payment Intents and Refunds APIs)
+ */
+
+const crypto = require("crypto");
+const config = require("../../config/environment");
+const CurrencyUtil = require("../../utils/currency.util");
+const {
+  PAYMENT_GATEWAYS,
+  PAYMENT_WEBHOOK_EVENTS,
+  REFUND_STATUS,
+} = require("../../config/constants");
+
+const API_URL = "https://api.stripe.com/v1";
+
+// Webhooks signed longer ago than this are rejected (replay protection)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Encode parameters the way the Stripe API expects (metadata[key]=value)
+ * @param {object} params - Parameters
+ * @param {string} prefix - Key prefix for nested objects
+ * @returns {array} [key, value] pairs
+ */
+const toFormEntries = (params, prefix = "") =>
+  Object.entries(params).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}[${key}]` : key;
+
+    if (value === undefined || value === null) return [];
+    if (typeof value === "object") return toFormEntries(value, name);
+    return [[name, String(value)]];
+  });
+
+class StripeGateway {
+  constructor() {
+    this.name = PAYMENT_GATEWAYS.STRIPE;
+  }
+
+  /**
+   * Check if the gateway credentials are set
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    return Boolean(config.stripe.secretKey && config.stripe.publishableKey);
+  }
+
+  /**
+   * Call the Stripe API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /payment_intents)
+   * @param {object} params - Form parameters
+   * @returns {Promise<object>} Response body
+   */
+  async request(method, path, params = null) {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${config.stripe.secretKey}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: params ? new URLSearchParams(toFormEntries(params)) : undefined,
+    });
+
+    const body = await response.json();
+
+    if (!response.ok) {
+      throw new Error(`Stripe: ${body.error?.message || response.statusText}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Create a payment intent
+   * @param {object} orderData - { amount, currency, receipt, notes }
+   * @returns {Promise<object>} Order ID, amount and checkout details
+   */
+  async createOrder({ amount, currency, receipt, notes }) {
+    const intent = await this.request("POST", "/payment_intents", {
+      amount: CurrencyUtil.toMinorUnits(amount, currency),
+      currency: currency.toLowerCase(),
+      description: receipt,
+      metadata: { ...notes, receipt },
+      automatic_payment_methods: { enabled: true },
+    });
+
+    return {
+      orderId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency.toUpperCase(),
+      checkout: {
+        stripeClientSecret: intent.client_secret,
+        stripePublishableKey: config.stripe.publishableKey,
+      },
+      response: { id: intent.id, status: intent.status },
+    };
+  }
+
+  /**
+   * Verify a payment with Stripe
+   * The client only reports the intent; its status is read from Stripe.
+   * @param {object} order - { orderId, amount, currency }
+   * @returns {Promise<string|null>} Payment intent ID, or null if not paid
+   */
+  async verifyPayment(order) {
+    const intent = await this.request(
+      "GET",
+      `/payment_intents/${order.orderId}`
+    );
+
+    return ["succeeded", "requires_capture", "processing"].includes(
+      intent.status
+    )
+      ? intent.id
+      : null;
+  }
+
+  /**
+   * Capture a payment intent if it was only authorized
+   * @param {object} order - { orderId, amount, currency }
+   * @param {string} paymentId - Payment intent ID
+   * @returns {Promise<object>} { paymentId, status, response }
+   */
+  async capturePayment(order, paymentId) {
+    let intent = await this.request("GET", `/payment_intents/${paymentId}`);
+
+    if (intent.status === "requires_capture") {
+      intent = await this.request(
+        "POST",
+        `/payment_intents/${paymentId}/capture`
+      );
+    }
+
+    return {
+      paymentId,
+      status:
+        intent.status === "succeeded"
+          ? "captured"
+          : intent.status === "canceled"
+          ? "failed"
+          : "pending",
+      response: { id: intent.id, status: intent.status },
+    };
+  }
+
+  /**
+   * Refund a payment intent
+   * @param {object} refundData - { paymentId, amount, currency, refundId, reason }
+   * @returns {Promise<object>} { gatewayRefundId, status, response }
+   */
+  async refundPayment({ paymentId, amount, currency, refundId, reason }) {
+    const refund = await this.request("POST", "/refunds", {
+      payment_intent: paymentId,
+      amount: CurrencyUtil.toMinorUnits(amount, currency),
+      metadata: { refundId, reason },
+    });
+
+    if (["failed", "canceled"].includes(refund.status)) {
+      throw new Error(`Stripe: refund ${refund.status}`);
+    }
+
+    return {
+      gatewayRefundId: refund.id,
+      status:
+        refund.status === "succeeded"
+          ? REFUND_STATUS.PROCESSED
+          : REFUND_STATUS.PENDING,
+      response: refund,
+    };
+  }
+
+  /**
+   * Verify and parse a webhook
+   * The Stripe-Signature header signs "<timestamp>.<raw body>" with the
+   * endpoint secret.
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {object} headers - Request headers
+   * @returns {Promise<object|null>} Normalized event, or null if not signed
+   */
+  async parseWebhook(rawBody, headers) {
+    const header = headers["stripe-signature"];
+
+    if (!config.stripe.webhookSecret || !rawBody || !header) {
+      return null;
+    }
+
+    const parts = header.split(",").map((part) => part.split("="));
+    const timestamp = Number(parts.find(([key]) => key === "t")?.[1]);
+    const signatures = parts
+      .filter(([key]) => key === "v1")
+      .map(([, value]) => value);
+
+    if (
+      !timestamp ||
+      Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS
+    ) {
+      return null;
+    }
+
+    const expectedSignature = crypto
+      .createHmac("sha256", config.stripe.webhookSecret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest("hex");
+
+    const isValid = signatures.some(
+      (signature) =>
+        signature.length === expectedSignature.length &&
+        crypto.timingSafeEqual(
+          Buffer.from(signature),
+          Buffer.from(expectedSignature)
+        )
+    );
+
+    if (!isValid) return null;
+
+    const { type: event, data } = JSON.parse(rawBody);
+    const object = data.object;
+
+    switch (event) {
+      case "payment_intent.succeeded":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_CAPTURED,
+          orderId: object.id,
+          paymentId: object.id,
+        };
+      case "payment_intent.payment_failed":
+        return {
+          event,
+          type: PAYMENT_WEBHOOK_EVENTS.PAYMENT_FAILED,
+          orderId: object.id,
+          paymentId: object.id,
+          error: object.last_payment_error?.message,
+        };
+      case "refund.updated":
+      case "refund.failed":
+      case "charge.refund.updated": {
+        const type =
+          object.status === "succeeded"
+            ? PAYMENT_WEBHOOK_EVENTS.REFUND_PROCESSED
+            : ["failed", "canceled"].includes(object.status)
+            ? PAYMENT_WEBHOOK_EVENTS.REFUND_FAILED
+            : null;
+
+        return {
+          event,
+          type,
+          gatewayRefundId: object.id,
+          refundId: parseInt(object.metadata?.refundId) || null,
+          response: object,
+        };
+      }
+      default:
+        return { event, type: null };
+    }
+  }
+}
+
+module.exports = new StripeGateway();
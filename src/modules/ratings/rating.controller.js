@@ -0,0 +1,67 @@
+/**
+ * Rating Controller
+ * Handles HTTP requests for FIDE rating lists and lookups
+ */
+
+const RatingService = require("./rating.service");
+const ResponseUtil = require("../../utils/response.util");
+const { asyncHandler } = require("../../middleware/errorHandler.middleware");
+const { deleteFile } = require("../../middleware/upload.middleware");
+
+class RatingController {
+  /**
+   * Import FIDE rating list file (admin only)
+   * POST /api/v1/ratings/lists
+   */
+  importRatingList = asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return ResponseUtil.badRequest(res, "No file uploaded");
+    }
+
+    try {
+      const list = await RatingService.importRatingList(req.file.path, {
+        listDate: req.body.listDate,
+        ratingType: req.body.ratingType,
+        fileName: req.file.originalname,
+        importedBy: req.user.userId,
+      });
+
+      ResponseUtil.created(res, list, "Rating list imported successfully");
+    } finally {
+      // The imported snapshot lives in the database, not on disk
+      deleteFile(req.file.path);
+    }
+  });
+
+  /**
+   * Get imported rating lists (admin only)
+   * GET /api/v1/ratings/lists
+   */
+  getRatingLists = asyncHandler(async (req, res) => {
+    const lists = await RatingService.getRatingLists();
+
+    ResponseUtil.success(res, lists, "Rating lists retrieved successfully");
+  });
+
+  /**
+   * Delete rating list (admin only)
+   * DELETE /api/v1/ratings/lists/:listId
+   */
+  deleteRatingList = asyncHandler(async (req, res) => {
+    await RatingService.deleteRatingList(parseInt(req.params.listId));
+
+    ResponseUtil.success(res, null, "Rating list deleted successfully");
+  });
+
+  /**
+   * Look up a player in the latest rating list
+   * GET /api/v1/ratings/players/:fideId
+   */
+  getPlayerRating = asyncHandler(async (req, res) => {
+    const rating = await RatingService.getPlayerRating(req.params.fideId);
+
+    ResponseUtil.success(res, rating, "Player rating retrieved successfully");
+  });
+}
+
+module.exports = new RatingController();
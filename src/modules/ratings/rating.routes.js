@@ -0,0 +1,64 @@
+/**
+ * Rating Routes
+ * Define FIDE rating list routes
+ */
+
+const express = require("express");
+const router = express.Router();
+const RatingController = require("./rating.controller");
+const { validate } = require("../../middleware/validation.middleware");
+const { authenticate, isAdmin } = require("../../middleware/auth.middleware");
+const { uploadRatingList } = require("../../middleware/upload.middleware");
+const {
+  importRatingListSchema,
+  listParamsSchema,
+  fideIdParamsSchema,
+} = require("./rating.validation");
+
+/**
+ * @route   POST /api/v1/ratings/lists
+ * @desc    Import FIDE rating list file (TXT or XML download)
+ * @access  Private (Admin)
+ */
+router.post(
+  "/lists",
+  authenticate,
+  isAdmin,
+  uploadRatingList("ratingList"),
+  validate(importRatingListSchema),
+  RatingController.importRatingList
+);
+
+/**
+ * @route   GET /api/v1/ratings/lists
+ * @desc    Get imported rating lists
+ * @access  Private (Admin)
+ */
+router.get("/lists", authenticate, isAdmin, RatingController.getRatingLists);
+
+/**
+ * @route   DELETE /api/v1/ratings/lists/:listId
+ * @desc    Delete imported rating list
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/lists/:listId",
+  authenticate,
+  isAdmin,
+  validate(listParamsSchema, "params"),
+  RatingController.deleteRatingList
+);
+
+/**
+ * @route   GET /api/v1/ratings/players/:fideId
+ * @desc    Look up player in the latest rating list
+ * @access  Private
+ */
+router.get(
+  "/players/:fideId",
+  authenticate,
+  validate(fideIdParamsSchema, "params"),
+  RatingController.getPlayerRating
+);
+
+module.exports = router;
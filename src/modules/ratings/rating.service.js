@@ -0,0 +1,414 @@
+/**
+ * Rating Service
+ * FIDE rating list import and FIDE ID lookup/verification
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { prisma } = require("../../config/database");
+const { GENDER, RATING_TYPES } = require("../../config/constants");
+
+// Rows inserted per createMany batch during import
+const IMPORT_BATCH_SIZE = 1000;
+
+// Column headers of the FIDE TXT download (combined and single lists)
+const TXT_COLUMNS = {
+  fideId: "ID Number",
+  name: "Name",
+  federation: "Fed",
+  sex: "Sex",
+  title: "Tit",
+  standardRating: "SRtng",
+  rapidRating: "RRtng",
+  blitzRating: "BRtng",
+  birthYear: "B-day",
+};
+
+// Rating column of single-type lists is labelled with the list month, e.g. "SEP25"
+const LIST_MONTH_COLUMN = /^[A-Z]{3}\d{2}$/;
+
+// XML tags of the FIDE XML download
+const XML_TAGS = {
+  fideId: "fideid",
+  name: "name",
+  federation: "country",
+  sex: "sex",
+  title: "title",
+  standardRating: "rating",
+  rapidRating: "rapid_rating",
+  blitzRating: "blitz_rating",
+  birthYear: "birthday",
+};
+
+// Participant field that stores each rating type
+const RATING_FIELDS = {
+  [RATING_TYPES.STANDARD]: "standardRating",
+  [RATING_TYPES.RAPID]: "rapidRating",
+  [RATING_TYPES.BLITZ]: "blitzRating",
+};
+
+class RatingService {
+  /**
+   * Get participant field name for a rating type
+   * @param {string} ratingType - Rating type
+   * @returns {string} Field name (standardRating, rapidRating, blitzRating)
+   */
+  getRatingField(ratingType) {
+    return RATING_FIELDS[ratingType] || RATING_FIELDS[RATING_TYPES.STANDARD];
+  }
+
+  /**
+   * Normalize a parsed rating list row
+   * @param {object} row - Raw values keyed by field
+   * @param {string} ratingType - Rating type of a single-type list
+   * @returns {object|null} Rating data (null if row is not a player)
+   */
+  normalizeRow(row, ratingType) {
+    const fideId = (row.fideId || "").trim();
+    if (!/^\d+$/.test(fideId) || !row.name) return null;
+
+    const toInt = (value) => {
+      const parsed = parseInt(value, 10);
+      return Number.isNaN(parsed) || parsed <= 0 ? null : parsed;
+    };
+
+    const data = {
+      fideId,
+      name: row.name.trim().slice(0, 255),
+      federation: row.federation?.trim().slice(0, 3) || null,
+      sex: row.sex?.trim().toUpperCase().slice(0, 1) || null,
+      title: row.title?.trim().slice(0, 10) || null,
+      birthYear: toInt(row.birthYear),
+      standardRating: toInt(row.standardRating),
+      rapidRating: toInt(row.rapidRating),
+      blitzRating: toInt(row.blitzRating),
+    };
+
+    // Single-type lists only carry one rating column
+    if (row.listRating !== undefined) {
+      data[this.getRatingField(ratingType)] = toInt(row.listRating);
+    }
+
+    return data;
+  }
+
+  /**
+   * Stream rows from a FIDE TXT rating list
+   * Column positions are taken from the header line.
+   * @param {string} filePath - Path to file
+   * @param {string} ratingType - Rating type of a single-type list
+   */
+  async *readTxtRows(filePath, ratingType) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: "latin1" }),
+      crlfDelay: Infinity,
+    });
+
+    let columns = null;
+
+    for await (const line of lines) {
+      if (!columns) {
+        if (!line.startsWith(TXT_COLUMNS.fideId)) continue;
+
+        const starts = [...line.matchAll(/ID Number|\S+/g)]
+          .map((match) => ({ label: match[0], start: match.index }))
+          .sort((a, b) => a.start - b.start);
+
+        columns = starts.map((column, index) => ({
+          ...column,
+          end: starts[index + 1]?.start ?? Infinity,
+        }));
+        continue;
+      }
+
+      const row = {};
+      for (const column of columns) {
+        const value = line.slice(column.start, column.end).trim();
+        const field = Object.keys(TXT_COLUMNS).find(
+          (key) => TXT_COLUMNS[key] === column.label
+        );
+
+        if (field) row[field] = value;
+        else if (LIST_MONTH_COLUMN.test(column.label)) row.listRating = value;
+      }
+
+      const data = this.normalizeRow(row, ratingType);
+      if (data) yield data;
+    }
+
+    if (!columns) {
+      throw new Error("Invalid rating list: header row not found");
+    }
+  }
+
+  /**
+   * Stream rows from a FIDE XML rating list
+   * @param {string} filePath - Path to file
+   * @param {string} ratingType - Rating type of a single-type list
+   */
+  async *readXmlRows(filePath, ratingType) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    let block = null;
+
+    for await (const line of lines) {
+      if (line.includes("<player>")) block = "";
+      if (block === null) continue;
+
+      block += line;
+      if (!line.includes("</player>")) continue;
+
+      const read = (tag) =>
+        block.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+
+      const row = {};
+      for (const [field, tag] of Object.entries(XML_TAGS)) {
+        row[field] = read(tag);
+      }
+
+      // Single-type XML lists have no rapid/blitz tags
+      if (read(XML_TAGS.rapidRating) === undefined) {
+        row.listRating = row.standardRating;
+        delete row.standardRating;
+      }
+
+      const data = this.normalizeRow(row, ratingType);
+      if (data) yield data;
+      block = null;
+    }
+  }
+
+  /**
+   * Import a FIDE rating list file as a snapshot
+   * Re-importing a list date replaces the existing snapshot.
+   * @param {string} filePath - Path to TXT or XML file
+   * @param {object} options - { listDate, ratingType, fileName, importedBy }
+   * @returns {Promise<object>} Imported list
+   */
+  async importRatingList(filePath, options) {
+    const { listDate, ratingType, fileName, importedBy } = options;
+    const isXml = filePath.toLowerCase().endsWith(".xml");
+    const rows = isXml
+      ? this.readXmlRows(filePath, ratingType)
+      : this.readTxtRows(filePath, ratingType);
+
+    await prisma.ratingList.deleteMany({
+      where: { listDate: new Date(listDate) },
+    });
+
+    const list = await prisma.ratingList.create({
+      data: {
+        listDate: new Date(listDate),
+        fileName: fileName || null,
+        importedBy: importedBy || null,
+      },
+    });
+
+    let playerCount = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const { count } = await prisma.fideRating.createMany({
+        data: batch,
+        skipDuplicates: true,
+      });
+      playerCount += count;
+      batch = [];
+    };
+
+    try {
+      for await (const row of rows) {
+        batch.push({ ...row, listId: list.listId });
+        if (batch.length >= IMPORT_BATCH_SIZE) await flush();
+      }
+      await flush();
+    } catch (error) {
+      // Don't leave a partial snapshot behind
+      await prisma.ratingList.delete({ where: { listId: list.listId } });
+      throw error;
+    }
+
+    if (playerCount === 0) {
+      await prisma.ratingList.delete({ where: { listId: list.listId } });
+      throw new Error("No players found in rating list file");
+    }
+
+    return prisma.ratingList.update({
+      where: { listId: list.listId },
+      data: { playerCount },
+    });
+  }
+
+  /**
+   * Get imported rating lists (latest first)
+   * @returns {Promise<array>} Rating lists
+   */
+  async getRatingLists() {
+    return prisma.ratingList.findMany({
+      orderBy: { listDate: "desc" },
+    });
+  }
+
+  /**
+   * Delete an imported rating list
+   * @param {number} listId - List ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRatingList(listId) {
+    const list = await prisma.ratingList.findUnique({ where: { listId } });
+
+    if (!list) {
+      throw new Error("Rating list not found");
+    }
+
+    await prisma.ratingList.delete({ where: { listId } });
+
+    return true;
+  }
+
+  /**
+   * Look up a player in a rating list snapshot
+   * @param {string} fideId - FIDE ID
+   * @param {number|null} listId - Rating list (latest if null)
+   * @returns {Promise<object|null>} Rating entry (null if not found)
+   */
+  async findRating(fideId, listId = null) {
+    const list = listId
+      ? { listId }
+      : await prisma.ratingList.findFirst({
+          orderBy: { listDate: "desc" },
+          select: { listId: true },
+        });
+
+    if (!list) return null;
+
+    return prisma.fideRating.findUnique({
+      where: {
+        listId_fideId: { listId: list.listId, fideId: String(fideId).trim() },
+      },
+      include: { list: { select: { listDate: true } } },
+    });
+  }
+
+  /**
+   * Get a player from the latest rating list
+   * @param {string} fideId - FIDE ID
+   * @returns {Promise<object>} Rating entry
+   */
+  async getPlayerRating(fideId) {
+    const rating = await this.findRating(fideId);
+
+    if (!rating) {
+      throw new Error("FIDE ID not found in the rating list");
+    }
+
+    return this.formatRating(rating);
+  }
+
+  /**
+   * Convert FIDE "Surname, Firstname" to "Firstname Surname"
+   * @param {string} name - FIDE name
+   * @returns {string} Display name
+   */
+  toDisplayName(name) {
+    const [surname, firstName] = name.split(",").map((part) => part.trim());
+    return firstName ? `${firstName} ${surname}` : surname;
+  }
+
+  /**
+   * Compare participant details with the FIDE record
+   * @param {object} rating - Rating entry
+   * @param {object} participant - { fullName, dateOfBirth, gender }
+   * @returns {array} Mismatch messages
+   */
+  getMismatches(rating, participant) {
+    const mismatches = [];
+    const nameTokens = (name) =>
+      (name || "")
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter(Boolean)
+        .sort()
+        .join(" ");
+
+    if (
+      participant.fullName &&
+      nameTokens(participant.fullName) !== nameTokens(rating.name)
+    ) {
+      mismatches.push(`Name does not match FIDE record (${rating.name})`);
+    }
+
+    if (participant.dateOfBirth && rating.birthYear) {
+      const birthYear = new Date(participant.dateOfBirth).getFullYear();
+      if (birthYear !== rating.birthYear) {
+        mismatches.push(
+          `Birth year does not match FIDE record (${rating.birthYear})`
+        );
+      }
+    }
+
+    const fideGender = { M: GENDER.MALE, F: GENDER.FEMALE }[rating.sex];
+    if (participant.gender && fideGender && participant.gender !== fideGender) {
+      mismatches.push(`Gender does not match FIDE record (${rating.sex})`);
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Verify a FIDE ID against the latest rating list and build auto-fill data
+   * Returns null when no rating list has been imported yet.
+   * @param {string} fideId - FIDE ID
+   * @param {object} participant - { fullName, dateOfBirth, gender }
+   * @returns {Promise<object|null>} Participant fields to store
+   */
+  async verifyFideId(fideId, participant) {
+    const hasList = await prisma.ratingList.count();
+    if (!hasList) return null;
+
+    const rating = await this.findRating(fideId);
+
+    if (!rating) {
+      throw new Error("FIDE ID not found in the FIDE rating list");
+    }
+
+    const mismatches = this.getMismatches(rating, participant);
+
+    return {
+      fullName: participant.fullName || this.toDisplayName(rating.name),
+      fideTitle: rating.title,
+      standardRating: rating.standardRating,
+      rapidRating: rating.rapidRating,
+      blitzRating: rating.blitzRating,
+      fideVerified: true,
+      fideMismatches: mismatches.length ? JSON.stringify(mismatches) : null,
+    };
+  }
+
+  /**
+   * Format rating entry response
+   * @param {object} rating - Rating entry with list
+   * @returns {object} Formatted rating
+   */
+  formatRating(rating) {
+    return {
+      fideId: rating.fideId,
+      name: rating.name,
+      displayName: this.toDisplayName(rating.name),
+      federation: rating.federation,
+      sex: rating.sex,
+      title: rating.title,
+      birthYear: rating.birthYear,
+      standardRating: rating.standardRating,
+      rapidRating: rating.rapidRating,
+      blitzRating: rating.blitzRating,
+      listDate: rating.list?.listDate,
+    };
+  }
+}
+
+module.exports = new RatingService();
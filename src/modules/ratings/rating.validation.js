@@ -0,0 +1,54 @@
+/**
+ * Rating Validation Schemas
+ * Joi validation schemas for FIDE rating list endpoints
+ */
+
+const Joi = require("joi");
+const { RATING_TYPES } = require("../../config/constants");
+
+/**
+ * Import rating list schema (multipart fields)
+ */
+const importRatingListSchema = Joi.object({
+  listDate: Joi.date().required().messages({
+    "date.base": "Please provide a valid list date",
+    "any.required": "List date is required",
+  }),
+  ratingType: Joi.string()
+    .valid(...Object.values(RATING_TYPES))
+    .optional()
+    .default(RATING_TYPES.STANDARD)
+    .messages({
+      "any.only": "Rating type must be STANDARD, RAPID, or BLITZ",
+    }),
+});
+
+/**
+ * Rating list ID schema (params)
+ */
+const listParamsSchema = Joi.object({
+  listId: Joi.number().integer().positive().required().messages({
+    "number.base": "List ID must be a number",
+    "number.positive": "List ID must be positive",
+    "any.required": "List ID is required",
+  }),
+});
+
+/**
+ * FIDE ID schema (params)
+ */
+const fideIdParamsSchema = Joi.object({
+  fideId: Joi.string()
+    .pattern(/^[0-9]{4,12}$/)
+    .required()
+    .messages({
+      "string.pattern.base": "FIDE ID must contain 4 to 12 digits",
+      "any.required": "FIDE ID is required",
+    }),
+});
+
+module.exports = {
+  importRatingListSchema,
+  listParamsSchema,
+  fideIdParamsSchema,
+};
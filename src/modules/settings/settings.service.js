@@ -27,12 +27,15 @@ const DEFAULT_SETTINGS = {
   allowRefunds: { value: true, type: "BOOLEAN", category: "booking" },
   autoConfirmBookings: { value: false, type: "BOOLEAN", category: "booking" },
   requirePaymentForBooking: { value: true, type: "BOOLEAN", category: "booking" },
+  bookingPaymentHoldMinutes: { value: 30, type: "NUMBER", category: "booking" },
 
   // Payment Settings
   enableOnlinePayment: { value: true, type: "BOOLEAN", category: "payment" },
   enableOfflinePayment: { value: true, type: "BOOLEAN", category: "payment" },
   platformFeeEnabled: { value: true, type: "BOOLEAN", category: "payment" },
   platformFeeAmount: { value: 10, type: "NUMBER", category: "payment" },
+  defaultPaymentGateway: { value: "razorpay", type: "TEXT", category: "payment" },
+  paymentGatewaysByCurrency: { value: { INR: "razorpay" }, type: "JSON", category: "payment" },
 
   // Notification Settings
   enableEmailNotifications: { value: true, type: "BOOLEAN", category: "notification" },
@@ -0,0 +1,69 @@
+/**
+ * Team Controller
+ * Handles HTTP requests for team endpoints
+ */
+
+const TeamService = require("./team.service");
+const ResponseUtil = require("../../utils/response.util");
+const { asyncHandler } = require("../../middleware/errorHandler.middleware");
+
+class TeamController {
+  /**
+   * Create new team
+   * POST /api/v1/teams
+   */
+  createTeam = asyncHandler(async (req, res) => {
+    const team = await TeamService.createTeam(req.user.userId, req.body);
+
+    ResponseUtil.created(res, team, "Team created successfully");
+  });
+
+  /**
+   * Get all teams for current user
+   * GET /api/v1/teams
+   */
+  getUserTeams = asyncHandler(async (req, res) => {
+    const teams = await TeamService.getUserTeams(req.user.userId);
+
+    ResponseUtil.success(res, teams, "Teams retrieved successfully");
+  });
+
+  /**
+   * Get team by ID
+   * GET /api/v1/teams/:teamId
+   */
+  getTeamById = asyncHandler(async (req, res) => {
+    const team = await TeamService.getTeamById(
+      parseInt(req.params.teamId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, team, "Team retrieved successfully");
+  });
+
+  /**
+   * Update team
+   * PUT /api/v1/teams/:teamId
+   */
+  updateTeam = asyncHandler(async (req, res) => {
+    const team = await TeamService.updateTeam(
+      parseInt(req.params.teamId),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.success(res, team, "Team updated successfully");
+  });
+
+  /**
+   * Delete team
+   * DELETE /api/v1/teams/:teamId
+   */
+  deleteTeam = asyncHandler(async (req, res) => {
+    await TeamService.deleteTeam(parseInt(req.params.teamId), req.user.userId);
+
+    ResponseUtil.success(res, null, "Team deleted successfully");
+  });
+}
+
+module.exports = new TeamController();
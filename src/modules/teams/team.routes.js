@@ -0,0 +1,73 @@
+/**
+ * Team Routes
+ * Define all team-related routes
+ */
+
+const express = require("express");
+const router = express.Router();
+const TeamController = require("./team.controller");
+const { validate } = require("../../middleware/validation.middleware");
+const { authenticate } = require("../../middleware/auth.middleware");
+const {
+  createTeamSchema,
+  updateTeamSchema,
+  getTeamByIdSchema,
+} = require("./team.validation");
+
+/**
+ * @route   POST /api/v1/teams
+ * @desc    Create new team (members in board order)
+ * @access  Private
+ */
+router.post(
+  "/",
+  authenticate,
+  validate(createTeamSchema),
+  TeamController.createTeam
+);
+
+/**
+ * @route   GET /api/v1/teams
+ * @desc    Get all teams for current user
+ * @access  Private
+ */
+router.get("/", authenticate, TeamController.getUserTeams);
+
+/**
+ * @route   GET /api/v1/teams/:teamId
+ * @desc    Get team by ID
+ * @access  Private
+ */
+router.get(
+  "/:teamId",
+  authenticate,
+  validate(getTeamByIdSchema, "params"),
+  TeamController.getTeamById
+);
+
+/**
+ * @route   PUT /api/v1/teams/:teamId
+ * @desc    Update team details or roster
+ * @access  Private
+ */
+router.put(
+  "/:teamId",
+  authenticate,
+  validate(getTeamByIdSchema, "params"),
+  validate(updateTeamSchema),
+  TeamController.updateTeam
+);
+
+/**
+ * @route   DELETE /api/v1/teams/:teamId
+ * @desc    Delete team
+ * @access  Private
+ */
+router.delete(
+  "/:teamId",
+  authenticate,
+  validate(getTeamByIdSchema, "params"),
+  TeamController.deleteTeam
+);
+
+module.exports = router;
@@ -0,0 +1,270 @@
+/**
+ * Team Service
+ * Business logic for school and club teams (roster in board order)
+ */
+
+const { prisma } = require("../../config/database");
+const { BOOKING_STATUS } = require("../../config/constants");
+
+// Roster with participant details, board 1 first
+const TEAM_INCLUDE = {
+  members: {
+    include: {
+      participant: {
+        select: {
+          participantId: true,
+          fullName: true,
+          dateOfBirth: true,
+          gender: true,
+          fideId: true,
+          standardRating: true,
+        },
+      },
+    },
+    orderBy: { boardNumber: "asc" },
+  },
+};
+
+class TeamService {
+  /**
+   * Validate roster and captain
+   * @param {number} userId - User ID (owner of participants)
+   * @param {array} members - Participant IDs in board order
+   * @param {number|null} captainId - Captain participant ID
+   */
+  async validateRoster(userId, members, captainId) {
+    const participants = await prisma.participant.findMany({
+      where: { participantId: { in: members }, userId },
+      select: { participantId: true },
+    });
+
+    if (participants.length !== members.length) {
+      throw new Error("All team members must be your participants");
+    }
+
+    if (captainId && !members.includes(captainId)) {
+      throw new Error("Captain must be a member of the team");
+    }
+  }
+
+  /**
+   * Create new team
+   * @param {number} userId - User ID (owner of team)
+   * @param {object} teamData - { teamName, institution, captainId, members }
+   * @returns {Promise<object>} Created team
+   */
+  async createTeam(userId, teamData) {
+    const { teamName, institution, captainId, members } = teamData;
+
+    await this.validateRoster(userId, members, captainId);
+
+    const team = await prisma.team.create({
+      data: {
+        userId,
+        teamName,
+        institution: institution || null,
+        captainId: captainId || null,
+        members: {
+          create: members.map((participantId, index) => ({
+            participantId,
+            boardNumber: index + 1,
+          })),
+        },
+      },
+      include: TEAM_INCLUDE,
+    });
+
+    return this.formatTeam(team);
+  }
+
+  /**
+   * Get all teams for a user
+   * @param {number} userId - User ID
+   * @returns {Promise<array>} List of teams
+   */
+  async getUserTeams(userId) {
+    const teams = await prisma.team.findMany({
+      where: { userId },
+      include: TEAM_INCLUDE,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return teams.map((team) => this.formatTeam(team));
+  }
+
+  /**
+   * Get team by ID
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for ownership check)
+   * @returns {Promise<object>} Team details
+   */
+  async getTeamById(teamId, userId) {
+    const team = await prisma.team.findFirst({
+      where: { teamId, userId },
+      include: TEAM_INCLUDE,
+    });
+
+    if (!team) {
+      throw new Error("Team not found");
+    }
+
+    return this.formatTeam(team);
+  }
+
+  /**
+   * Update team
+   * A new roster replaces the board order; existing bookings keep the
+   * board order they were made with.
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for ownership check)
+   * @param {object} updateData - Data to update
+   * @returns {Promise<object>} Updated team
+   */
+  async updateTeam(teamId, userId, updateData) {
+    const existingTeam = await prisma.team.findFirst({
+      where: { teamId, userId },
+      include: { members: true },
+    });
+
+    if (!existingTeam) {
+      throw new Error("Team not found");
+    }
+
+    const members =
+      updateData.members ||
+      existingTeam.members
+        .sort((a, b) => a.boardNumber - b.boardNumber)
+        .map((member) => member.participantId);
+    const captainId =
+      updateData.captainId !== undefined
+        ? updateData.captainId
+        : existingTeam.captainId;
+
+    await this.validateRoster(userId, members, captainId);
+
+    // Build update object
+    const dataToUpdate = {};
+    if (updateData.teamName) dataToUpdate.teamName = updateData.teamName;
+    if (updateData.institution !== undefined)
+      dataToUpdate.institution = updateData.institution || null;
+    dataToUpdate.captainId = captainId || null;
+
+    const team = await prisma.$transaction(async (tx) => {
+      if (updateData.members) {
+        await tx.teamMember.deleteMany({ where: { teamId } });
+        await tx.teamMember.createMany({
+          data: members.map((participantId, index) => ({
+            teamId,
+            participantId,
+            boardNumber: index + 1,
+          })),
+        });
+      }
+
+      return tx.team.update({
+        where: { teamId },
+        data: dataToUpdate,
+        include: TEAM_INCLUDE,
+      });
+    });
+
+    return this.formatTeam(team);
+  }
+
+  /**
+   * Delete team
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for ownership check)
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteTeam(teamId, userId) {
+    const team = await prisma.team.findFirst({
+      where: { teamId, userId },
+    });
+
+    if (!team) {
+      throw new Error("Team not found");
+    }
+
+    const bookingCount = await prisma.booking.count({
+      where: { teamId },
+    });
+
+    if (bookingCount > 0) {
+      throw new Error("Cannot delete team with existing bookings");
+    }
+
+    await prisma.team.delete({
+      where: { teamId },
+    });
+
+    return true;
+  }
+
+  /**
+   * Get a team with its roster for booking an event
+   * @param {number} teamId - Team ID
+   * @param {number} userId - User ID (for ownership check)
+   * @param {object} event - Team event
+   * @returns {Promise<object>} Team with members in board order
+   */
+  async getTeamForBooking(teamId, userId, event) {
+    const team = await prisma.team.findFirst({
+      where: { teamId, userId },
+      include: { members: { orderBy: { boardNumber: "asc" } } },
+    });
+
+    if (!team) {
+      throw new Error("Team not found");
+    }
+
+    const boards = event.teamSize || 1;
+    const maxMembers = boards + (event.maxReserves ?? 0);
+
+    if (team.members.length < boards) {
+      throw new Error(`A team needs at least ${boards} players for this event`);
+    }
+
+    if (team.members.length > maxMembers) {
+      throw new Error(
+        `A team can have at most ${maxMembers} players (${boards} boards and ${maxMembers - boards} reserves)`
+      );
+    }
+
+    const existingBooking = await prisma.booking.findFirst({
+      where: {
+        eventId: event.eventId,
+        teamId,
+        bookingStatus: { not: BOOKING_STATUS.CANCELLED },
+      },
+    });
+
+    if (existingBooking) {
+      throw new Error(`${team.teamName} is already registered for this event`);
+    }
+
+    return team;
+  }
+
+  /**
+   * Format team response
+   * @param {object} team - Team with members
+   * @returns {object} Formatted team
+   */
+  formatTeam(team) {
+    return {
+      teamId: team.teamId,
+      teamName: team.teamName,
+      institution: team.institution,
+      captainId: team.captainId,
+      members: team.members.map((member) => ({
+        boardNumber: member.boardNumber,
+        ...member.participant,
+      })),
+      createdAt: team.createdAt,
+      updatedAt: team.updatedAt,
+    };
+  }
+}
+
+module.exports = new TeamService();
@@ -0,0 +1,61 @@
+/**
+ * Team Validation Schemas
+ * Joi validation schemas for team endpoints
+ */
+
+const Joi = require("joi");
+
+// Roster as participant IDs in board order (board 1 first)
+const membersSchema = Joi.array()
+  .items(Joi.number().integer().positive())
+  .min(1)
+  .max(20)
+  .unique()
+  .messages({
+    "array.min": "A team needs at least one member",
+    "array.max": "A team must not exceed 20 members",
+    "array.unique": "Each participant can only be listed once",
+  });
+
+/**
+ * Create team schema
+ */
+const createTeamSchema = Joi.object({
+  teamName: Joi.string().min(2).max(100).required().messages({
+    "string.min": "Team name must be at least 2 characters long",
+    "string.max": "Team name must not exceed 100 characters",
+    "any.required": "Team name is required",
+  }),
+  institution: Joi.string().max(255).optional().allow(""),
+  captainId: Joi.number().integer().positive().optional().allow(null),
+  members: membersSchema.required().messages({
+    "any.required": "Team members are required",
+  }),
+});
+
+/**
+ * Update team schema
+ */
+const updateTeamSchema = Joi.object({
+  teamName: Joi.string().min(2).max(100).optional(),
+  institution: Joi.string().max(255).optional().allow(""),
+  captainId: Joi.number().integer().positive().optional().allow(null),
+  members: membersSchema.optional(),
+}).min(1);
+
+/**
+ * Get team by ID schema (params)
+ */
+const getTeamByIdSchema = Joi.object({
+  teamId: Joi.number().integer().positive().required().messages({
+    "number.base": "Team ID must be a number",
+    "number.positive": "Team ID must be positive",
+    "any.required": "Team ID is required",
+  }),
+});
+
+module.exports = {
+  createTeamSchema,
+  updateTeamSchema,
+  getTeamByIdSchema,
+};
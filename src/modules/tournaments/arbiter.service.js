@@ -0,0 +1,150 @@
+/**
+ * Arbiter Service
+ * Business logic for assigning arbiters to an event
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const AdminService = require("../admin/admin.service");
+const {
+  USER_TYPES,
+  USER_STATUS,
+  ARBITER_ROLES,
+  ENTITY_TYPES,
+} = require("../../config/constants");
+
+const ARBITER_USER_SELECT = {
+  userId: true,
+  fullName: true,
+  email: true,
+  phone: true,
+};
+
+class ArbiterService {
+  /**
+   * Get arbiters assigned to an event
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<array>} Arbiters, chief first
+   */
+  async getArbiters(eventId, organizerId) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const arbiters = await prisma.eventArbiter.findMany({
+      where: { eventId },
+      include: { user: { select: ARBITER_USER_SELECT } },
+      orderBy: [{ arbiterRole: "asc" }, { createdAt: "asc" }],
+    });
+
+    return arbiters.map((arbiter) => this.formatArbiter(arbiter));
+  }
+
+  /**
+   * Assign an arbiter to an event, or change the role of an assigned arbiter
+   * An event has at most one chief arbiter.
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {object} arbiterData - { email, arbiterRole }
+   * @returns {Promise<object>} Assigned arbiter
+   */
+  async assignArbiter(eventId, organizerId, arbiterData) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const { email, arbiterRole = ARBITER_ROLES.DEPUTY } = arbiterData;
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    if (!user || user.userType !== USER_TYPES.ARBITER) {
+      throw new Error("No arbiter account found with this email");
+    }
+
+    if (user.userStatus !== USER_STATUS.ACTIVE) {
+      throw new Error("Arbiter account is not active");
+    }
+
+    if (arbiterRole === ARBITER_ROLES.CHIEF) {
+      const chief = await prisma.eventArbiter.findFirst({
+        where: {
+          eventId,
+          arbiterRole: ARBITER_ROLES.CHIEF,
+          userId: { not: user.userId },
+        },
+      });
+
+      if (chief) {
+        throw new Error("Event already has a chief arbiter");
+      }
+    }
+
+    const existing = await prisma.eventArbiter.findUnique({
+      where: { uq_event_arbiter: { eventId, userId: user.userId } },
+    });
+
+    const arbiter = await prisma.eventArbiter.upsert({
+      where: { uq_event_arbiter: { eventId, userId: user.userId } },
+      create: { eventId, userId: user.userId, arbiterRole },
+      update: { arbiterRole },
+      include: { user: { select: ARBITER_USER_SELECT } },
+    });
+
+    await AdminService.createAuditLog(
+      organizerId,
+      "ASSIGN_ARBITER",
+      ENTITY_TYPES.EVENT,
+      eventId,
+      existing
+        ? { userId: user.userId, arbiterRole: existing.arbiterRole }
+        : null,
+      { userId: user.userId, arbiterRole }
+    );
+
+    return this.formatArbiter(arbiter);
+  }
+
+  /**
+   * Remove an arbiter from an event
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {number} userId - Arbiter user ID
+   */
+  async removeArbiter(eventId, organizerId, userId) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+
+    const arbiter = await prisma.eventArbiter.findUnique({
+      where: { uq_event_arbiter: { eventId, userId } },
+    });
+
+    if (!arbiter) {
+      throw new Error("Arbiter is not assigned to this event");
+    }
+
+    await prisma.eventArbiter.delete({ where: { id: arbiter.id } });
+
+    await AdminService.createAuditLog(
+      organizerId,
+      "REMOVE_ARBITER",
+      ENTITY_TYPES.EVENT,
+      eventId,
+      { userId, arbiterRole: arbiter.arbiterRole },
+      null
+    );
+  }
+
+  /**
+   * Format arbiter response
+   * @param {object} arbiter - Event arbiter with user
+   * @returns {object} Formatted arbiter
+   */
+  formatArbiter(arbiter) {
+    return {
+      userId: arbiter.userId,
+      arbiterRole: arbiter.arbiterRole,
+      fullName: arbiter.user.fullName,
+      email: arbiter.user.email,
+      phone: arbiter.user.phone,
+      assignedAt: arbiter.createdAt,
+    };
+  }
+}
+
+module.exports = new ArbiterService();
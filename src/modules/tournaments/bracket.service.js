@@ -0,0 +1,99 @@
+/**
+ * Bracket Service
+ * Knockout brackets built from published rounds
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const StandingsService = require("./standings.service");
+const KnockoutPairing = require("./knockout.pairing");
+const { TOURNAMENT_FORMATS } = require("../../config/constants");
+
+class BracketService {
+  /**
+   * Get the knockout bracket of an event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Bracket with matches per round and the champion
+   */
+  async getBracket(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventId: true,
+        eventName: true,
+        tournamentFormat: true,
+        totalRounds: true,
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    if (event.tournamentFormat !== TOURNAMENT_FORMATS.KNOCKOUT) {
+      throw new Error("Brackets are only available for knockout events");
+    }
+
+    const rounds = await StandingsService.getRounds(eventId);
+    const players = await StandingsService.getPlayers(eventId, rounds);
+    const playersById = new Map(players.map((p) => [p.id, p]));
+
+    const formatPlayer = (playerId) => {
+      const player = playersById.get(playerId);
+      if (!player) return null;
+      return {
+        playerId,
+        seed: player.pairingNumber,
+        fullName: player.participant.fullName,
+        rating: player.rating,
+      };
+    };
+
+    const bracket = rounds.map((round) => {
+      const matches = RoundService.getMatches(round);
+
+      return {
+        roundNumber: round.roundNumber,
+        name: KnockoutPairing.getRoundName(matches.length),
+        matches: matches.map((match) => {
+          const [first] = match.games;
+          const { scores, winnerId } = RoundService.getMatchResult(match.games);
+
+          return {
+            matchNumber: match.matchNumber,
+            players: [first.whiteId, first.blackId].map((playerId) =>
+              playerId
+                ? { ...formatPlayer(playerId), score: scores[playerId] }
+                : null
+            ),
+            isBye: !first.blackId,
+            winner: winnerId ? formatPlayer(winnerId) : null,
+            games: match.games.map((game) => ({
+              boardNumber: game.boardNumber,
+              gameType: game.gameType,
+              whiteId: game.whiteId,
+              blackId: game.blackId,
+              result: game.result,
+            })),
+          };
+        }),
+      };
+    });
+
+    const final = bracket[bracket.length - 1];
+    const champion =
+      final?.roundNumber === event.totalRounds && final.matches.length === 1
+        ? final.matches[0].winner
+        : null;
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      totalRounds: event.totalRounds,
+      rounds: bracket,
+      champion,
+    };
+  }
+}
+
+module.exports = new BracketService();
@@ -0,0 +1,151 @@
+/**
+ * Check-in Service
+ * Tournament-day attendance from the QR passes in booking confirmations
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const TokenUtil = require("../../utils/token.util");
+const { BOOKING_STATUS, PAYMENT_STATUS } = require("../../config/constants");
+
+// Participant details shown to the arbiter
+const PARTICIPANT_SELECT = {
+  fullName: true,
+  gender: true,
+  dateOfBirth: true,
+  fideId: true,
+};
+
+class CheckInService {
+  /**
+   * Check in a player by scanned pass (or player ID for a lost pass)
+   * Scanning a pass twice returns the original check-in.
+   * @param {number} eventId - Event ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {object} checkInData - { token } or { playerId }
+   * @returns {Promise<object>} Checked-in player
+   */
+  async checkIn(eventId, userId, checkInData) {
+    await RoundService.getOfficiatedEvent(eventId, userId);
+
+    let playerId = checkInData.playerId;
+    let bookingId = null;
+
+    if (checkInData.token) {
+      const pass = TokenUtil.verifyCheckInToken(checkInData.token);
+
+      if (pass.eventId !== eventId) {
+        throw new Error("This pass is for a different event");
+      }
+
+      playerId = pass.playerId;
+      bookingId = pass.bookingId;
+    }
+
+    const player = await prisma.bookingParticipant.findFirst({
+      where: { id: playerId, eventId },
+      include: {
+        booking: {
+          select: {
+            bookingId: true,
+            bookingReference: true,
+            bookingStatus: true,
+            paymentStatus: true,
+          },
+        },
+        participant: { select: PARTICIPANT_SELECT },
+      },
+    });
+
+    if (!player || (bookingId && player.bookingId !== bookingId)) {
+      throw new Error("Player not found in this event");
+    }
+
+    const { booking } = player;
+
+    if (booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+      throw new Error(`Booking ${booking.bookingReference} is cancelled`);
+    }
+
+    if (booking.paymentStatus !== PAYMENT_STATUS.PAID) {
+      throw new Error(`Booking ${booking.bookingReference} is unpaid`);
+    }
+
+    if (booking.bookingStatus !== BOOKING_STATUS.CONFIRMED) {
+      throw new Error(`Booking ${booking.bookingReference} is not confirmed`);
+    }
+
+    if (player.checkedInAt) {
+      return { ...this.formatAttendee(player), alreadyCheckedIn: true };
+    }
+
+    const updated = await prisma.bookingParticipant.update({
+      where: { id: player.id },
+      data: { checkedInAt: new Date(), checkedInBy: userId },
+      include: {
+        booking: { select: { bookingReference: true } },
+        participant: { select: PARTICIPANT_SELECT },
+      },
+    });
+
+    return { ...this.formatAttendee(updated), alreadyCheckedIn: false };
+  }
+
+  /**
+   * Get attendance of an event
+   * Absent players are confirmed players who have not checked in; they are
+   * not paired and should be withdrawn if they do not arrive.
+   * @param {number} eventId - Event ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<object>} Checked-in and absent players
+   */
+  async getAttendance(eventId, userId) {
+    await RoundService.getOfficiatedEvent(eventId, userId);
+
+    const players = await prisma.bookingParticipant.findMany({
+      where: {
+        eventId,
+        booking: { bookingStatus: BOOKING_STATUS.CONFIRMED },
+      },
+      include: {
+        booking: { select: { bookingReference: true } },
+        participant: { select: PARTICIPANT_SELECT },
+      },
+      orderBy: [{ checkedInAt: "asc" }, { id: "asc" }],
+    });
+
+    const checkedIn = players.filter((player) => player.checkedInAt);
+    const absent = players
+      .filter((player) => !player.checkedInAt)
+      .sort((a, b) => a.participant.fullName.localeCompare(b.participant.fullName));
+
+    return {
+      eventId,
+      totalPlayers: players.length,
+      checkedInCount: checkedIn.length,
+      absentCount: absent.length,
+      checkedIn: checkedIn.map((player) => this.formatAttendee(player)),
+      absent: absent.map((player) => this.formatAttendee(player)),
+    };
+  }
+
+  /**
+   * Format attendee response
+   * @param {object} player - Booking participant with booking and participant
+   * @returns {object} Formatted attendee
+   */
+  formatAttendee(player) {
+    return {
+      playerId: player.id,
+      bookingId: player.bookingId,
+      bookingReference: player.booking.bookingReference,
+      fullName: player.participant.fullName,
+      gender: player.participant.gender,
+      dateOfBirth: player.participant.dateOfBirth,
+      fideId: player.participant.fideId,
+      checkedInAt: player.checkedInAt,
+    };
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,152 @@
+/**
+ * Elo Calculator
+ * FIDE rating changes and performance ratings (FIDE Rating Regulations B.02)
+ */
+
+const { RATING_TYPES } = require("../../config/constants");
+
+// Upper bound of the rating difference for each expected score from 0.50
+// upwards (table 8.1.2); larger differences expect a full point
+const EXPECTED_SCORE_BOUNDS = [
+  3, 10, 17, 25, 32, 39, 46, 53, 61, 68, 76, 83, 91, 98, 106, 113, 121, 129,
+  137, 145, 153, 162, 170, 179, 188, 197, 206, 215, 225, 235, 245, 256, 267,
+  278, 290, 302, 315, 328, 344, 357, 374, 391, 411, 432, 456, 484, 517, 559,
+  619, 735,
+];
+
+// Rating difference for each percentage score from 0.50 to 1.00 (table 8.1.1)
+const PERCENTAGE_DIFFERENCES = [
+  0, 7, 14, 21, 29, 36, 43, 50, 57, 65, 72, 80, 87, 95, 102, 110, 117, 125,
+  133, 141, 149, 158, 166, 175, 184, 193, 202, 211, 220, 230, 240, 251, 262,
+  273, 284, 296, 309, 322, 336, 351, 366, 383, 401, 422, 444, 470, 501, 538,
+  589, 677, 800,
+];
+
+// Larger rating differences are counted as 400 points
+const MAX_RATING_DIFFERENCE = 400;
+
+// Opponent rating of the two hypothetical draws in an initial rating
+const INITIAL_RATING_ANCHOR = 1800;
+
+// Games against rated opponents needed for an initial rating
+const INITIAL_RATING_MIN_GAMES = 5;
+
+// K x games played in a period may not exceed this
+const MAX_PERIOD_CHANGE_FACTOR = 700;
+
+class EloCalculator {
+  /**
+   * Get expected score against an opponent
+   * @param {number} rating - Player rating
+   * @param {number} opponentRating - Opponent rating
+   * @returns {number} Expected score (0 to 1)
+   */
+  getExpectedScore(rating, opponentRating) {
+    const difference = Math.min(
+      Math.abs(rating - opponentRating),
+      MAX_RATING_DIFFERENCE
+    );
+    let index = EXPECTED_SCORE_BOUNDS.findIndex((bound) => difference <= bound);
+    if (index === -1) index = EXPECTED_SCORE_BOUNDS.length;
+
+    return (rating >= opponentRating ? 50 + index : 50 - index) / 100;
+  }
+
+  /**
+   * Get rating difference for a percentage score
+   * @param {number} percentage - Score divided by games (0 to 1)
+   * @returns {number} Rating difference (negative below 50%)
+   */
+  getRatingDifference(percentage) {
+    const hundredths = Math.round(percentage * 100);
+    const difference = PERCENTAGE_DIFFERENCES[Math.abs(hundredths - 50)];
+    return hundredths >= 50 ? difference : -difference;
+  }
+
+  /**
+   * Get development coefficient (K-factor) of a player
+   * K is 40 for new players and juniors under 2300, 20 below 2400 and 10
+   * once a player has reached 2400. Rapid and blitz ratings always use 20.
+   * @param {object} player - { rating, age, ratedGames, highestRating, ratingType, gamesInPeriod }
+   * @returns {number} K-factor
+   */
+  getKFactor(player) {
+    const { rating, age, ratedGames, ratingType, gamesInPeriod } = player;
+    const highestRating = Math.max(player.highestRating || 0, rating);
+    let k;
+
+    if (ratingType && ratingType !== RATING_TYPES.STANDARD) {
+      k = 20;
+    } else if (ratedGames < 30 || (age !== null && age <= 18 && rating < 2300)) {
+      k = 40;
+    } else if (highestRating < 2400) {
+      k = 20;
+    } else {
+      k = 10;
+    }
+
+    if (gamesInPeriod && k * gamesInPeriod > MAX_PERIOD_CHANGE_FACTOR) {
+      k = Math.floor(MAX_PERIOD_CHANGE_FACTOR / gamesInPeriod);
+    }
+
+    return k;
+  }
+
+  /**
+   * Calculate rating change of a rated player
+   * @param {number} rating - Player rating
+   * @param {number} kFactor - K-factor
+   * @param {array} games - [{ opponentRating, score }] against rated opponents
+   * @returns {object} { score, expectedScore, change }
+   */
+  calculateChange(rating, kFactor, games) {
+    const score = games.reduce((sum, game) => sum + game.score, 0);
+    const expectedScore = games.reduce(
+      (sum, game) => sum + this.getExpectedScore(rating, game.opponentRating),
+      0
+    );
+
+    return {
+      score,
+      expectedScore: Math.round(expectedScore * 100) / 100,
+      change: Math.round(kFactor * (score - expectedScore) * 10) / 10,
+    };
+  }
+
+  /**
+   * Calculate performance rating (average opponent rating + dp)
+   * @param {array} games - [{ opponentRating, score }] against rated opponents
+   * @returns {number|null} Performance rating (null without games)
+   */
+  getPerformanceRating(games) {
+    if (games.length === 0) return null;
+
+    const score = games.reduce((sum, game) => sum + game.score, 0);
+    const averageRating =
+      games.reduce((sum, game) => sum + game.opponentRating, 0) / games.length;
+
+    return Math.round(
+      averageRating + this.getRatingDifference(score / games.length)
+    );
+  }
+
+  /**
+   * Estimate an initial rating for an unrated player
+   * Two hypothetical draws against 1800 are added to the games against
+   * rated opponents; an official rating needs at least five such games.
+   * @param {array} games - [{ opponentRating, score }] against rated opponents
+   * @returns {object|null} { rating, hasMinimumGames } (null without games)
+   */
+  getProvisionalRating(games) {
+    if (games.length === 0) return null;
+
+    const anchor = { opponentRating: INITIAL_RATING_ANCHOR, score: 0.5 };
+
+    return {
+      rating: this.getPerformanceRating([...games, anchor, anchor]),
+      hasMinimumGames: games.length >= INITIAL_RATING_MIN_GAMES,
+    };
+  }
+}
+
+module.exports = new EloCalculator();
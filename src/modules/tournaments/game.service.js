@@ -0,0 +1,390 @@
+/**
+ * Game Service
+ * PGN uploads per board or per round and the event game archive
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const PgnParser = require("./pgn.parser");
+const { ROUND_STATUS } = require("../../config/constants");
+
+// Points scored by white for each decisive or drawn PGN result
+const PGN_WHITE_POINTS = {
+  "1-0": 1,
+  "0-1": 0,
+  "1/2-1/2": 0.5,
+};
+
+// Player details needed to name and authorize a board
+const PLAYER_INCLUDE = {
+  participant: { select: { fullName: true } },
+  booking: { select: { userId: true } },
+};
+
+class GameService {
+  /**
+   * Get a published round with its boards, players and games
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @returns {Promise<object>} Round with pairings
+   */
+  async getPublishedRound(eventId, roundNumber) {
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+      include: {
+        pairings: {
+          include: {
+            white: { include: PLAYER_INCLUDE },
+            black: { include: PLAYER_INCLUDE },
+            game: { select: { gameId: true } },
+          },
+          orderBy: { boardNumber: "asc" },
+        },
+      },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.PUBLISHED) {
+      throw new Error("Games can only be uploaded for published rounds");
+    }
+
+    return round;
+  }
+
+  /**
+   * Normalize a player name for matching ("Carlsen, Magnus" = "magnus carlsen")
+   * @param {string} name - Player name
+   * @returns {string} Normalized name
+   */
+  normalizeName(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, " ")
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(" ");
+  }
+
+  /**
+   * Ensure a PGN result agrees with the result recorded for the board
+   * @param {object} pairing - Pairing
+   * @param {object} game - Parsed game
+   */
+  assertResultMatches(pairing, game) {
+    if (!pairing.result || !(game.result in PGN_WHITE_POINTS)) return;
+
+    const [whitePoints] = RoundService.getResultPoints(pairing.result);
+
+    if (whitePoints !== PGN_WHITE_POINTS[game.result]) {
+      throw new Error(
+        `PGN result ${game.result} does not match the recorded result ${pairing.result}`
+      );
+    }
+  }
+
+  /**
+   * Store a parsed game for a board (replaces an earlier upload)
+   * @param {object} pairing - Pairing
+   * @param {object} game - Parsed game
+   * @param {number} userId - Uploading user ID
+   * @returns {Promise<object>} Stored game
+   */
+  async saveGame(pairing, game, userId) {
+    const data = {
+      headers: JSON.stringify(game.headers),
+      movetext: game.movetext,
+      result: game.result,
+      moveCount: Math.ceil(game.moves.length / 2),
+      uploadedBy: userId,
+    };
+
+    return prisma.game.upsert({
+      where: { pairingId: pairing.pairingId },
+      create: { ...data, eventId: pairing.eventId, pairingId: pairing.pairingId },
+      update: data,
+    });
+  }
+
+  /**
+   * Upload the PGN of a single board
+   * The organizer or either player's booking owner may upload. Player names
+   * are taken from the pairing, so the PGN names need not match.
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} boardNumber - Board number
+   * @param {number} userId - Uploading user ID
+   * @param {string} text - PGN text with exactly one game
+   * @returns {Promise<object>} Stored game summary
+   */
+  async uploadGame(eventId, roundNumber, boardNumber, userId, text) {
+    const round = await this.getPublishedRound(eventId, roundNumber);
+    const pairing = round.pairings.find((p) => p.boardNumber === boardNumber);
+
+    if (!pairing) {
+      throw new Error(`Board ${boardNumber} not found in round ${roundNumber}`);
+    }
+
+    const isOfficial = await RoundService.isEventOfficial(eventId, userId);
+    const isPlayer = [pairing.white, pairing.black].some(
+      (player) => player?.booking.userId === userId
+    );
+
+    if (!isOfficial && !isPlayer) {
+      throw new Error(
+        "Only event officials or the players of this board can upload its game"
+      );
+    }
+
+    if (!pairing.blackId) {
+      throw new Error(`Board ${boardNumber} is a bye`);
+    }
+
+    const parsed = PgnParser.parse(text);
+
+    if (parsed.length !== 1) {
+      throw new Error(`Expected one game, found ${parsed.length}`);
+    }
+
+    const [{ game, error }] = parsed;
+
+    if (error) {
+      throw new Error(`Invalid PGN: ${error}`);
+    }
+
+    this.assertResultMatches(pairing, game);
+    await this.saveGame(pairing, game, userId);
+
+    return this.formatBoardGame(round, pairing, game);
+  }
+
+  /**
+   * Upload a PGN file with the games of a round
+   * Games are matched to boards by the White and Black tags; games that do
+   * not parse or match are reported and the rest are stored.
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {string} text - PGN text
+   * @returns {Promise<object>} { imported, games, errors }
+   */
+  async uploadRoundGames(eventId, roundNumber, userId, text) {
+    await RoundService.getOfficiatedEvent(eventId, userId);
+    const round = await this.getPublishedRound(eventId, roundNumber);
+    const parsed = PgnParser.parse(text);
+
+    if (parsed.length === 0) {
+      throw new Error("No games found in PGN");
+    }
+
+    const boardKey = (white, black) =>
+      `${this.normalizeName(white)}|${this.normalizeName(black)}`;
+    const boards = new Map(
+      round.pairings
+        .filter((pairing) => pairing.blackId)
+        .map((pairing) => [
+          boardKey(
+            pairing.white.participant.fullName,
+            pairing.black.participant.fullName
+          ),
+          pairing,
+        ])
+    );
+    const matched = new Set();
+    const games = [];
+    const errors = [];
+
+    for (const { index, game, error } of parsed) {
+      const reportError = (message) =>
+        errors.push({
+          game: index,
+          white: game?.headers.White ?? null,
+          black: game?.headers.Black ?? null,
+          message,
+        });
+
+      if (error) {
+        reportError(error);
+        continue;
+      }
+
+      const roundTag = parseInt(game.headers.Round);
+      if (!Number.isNaN(roundTag) && roundTag !== roundNumber) {
+        reportError(`Game is from round ${game.headers.Round}`);
+        continue;
+      }
+
+      const pairing = boards.get(boardKey(game.headers.White, game.headers.Black));
+
+      if (!pairing) {
+        reportError(
+          `No board in round ${roundNumber} pairs these players with these colours`
+        );
+        continue;
+      }
+
+      if (matched.has(pairing.pairingId)) {
+        reportError(`Board ${pairing.boardNumber} appears more than once`);
+        continue;
+      }
+
+      try {
+        this.assertResultMatches(pairing, game);
+      } catch (resultError) {
+        reportError(resultError.message);
+        continue;
+      }
+
+      matched.add(pairing.pairingId);
+      await this.saveGame(pairing, game, userId);
+      games.push(this.formatBoardGame(round, pairing, game));
+    }
+
+    return {
+      roundNumber,
+      imported: games.length,
+      games,
+      errors,
+    };
+  }
+
+  /**
+   * Delete the game of a board
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} boardNumber - Board number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteGame(eventId, roundNumber, boardNumber, userId) {
+    await RoundService.getOfficiatedEvent(eventId, userId);
+
+    const game = await prisma.game.findFirst({
+      where: { eventId, pairing: { boardNumber, round: { roundNumber } } },
+    });
+
+    if (!game) {
+      throw new Error(
+        `No game uploaded for board ${boardNumber} of round ${roundNumber}`
+      );
+    }
+
+    await prisma.game.delete({ where: { gameId: game.gameId } });
+
+    return true;
+  }
+
+  /**
+   * Build the PGN of an event's published games
+   * Event, round, board and player tags come from the tournament.
+   * @param {number} eventId - Event ID
+   * @param {number|null} playerId - Only games of this player (all if null)
+   * @returns {Promise<object>} { filename, content, count }
+   */
+  async exportPgn(eventId, playerId = null) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: { eventId: true, eventName: true, location: true },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    const playerFilter = playerId
+      ? { OR: [{ whiteId: playerId }, { blackId: playerId }] }
+      : {};
+
+    const games = await prisma.game.findMany({
+      where: {
+        eventId,
+        pairing: {
+          round: { roundStatus: ROUND_STATUS.PUBLISHED },
+          ...playerFilter,
+        },
+      },
+      include: {
+        pairing: {
+          include: {
+            round: { select: { roundNumber: true, publishedAt: true } },
+            white: { include: { participant: { select: { fullName: true } } } },
+            black: { include: { participant: { select: { fullName: true } } } },
+          },
+        },
+      },
+    });
+
+    games.sort(
+      (a, b) =>
+        a.pairing.round.roundNumber - b.pairing.round.roundNumber ||
+        a.pairing.boardNumber - b.pairing.boardNumber
+    );
+
+    const content = games
+      .map((game) => {
+        const { pairing } = game;
+        const headers = JSON.parse(game.headers);
+
+        return PgnParser.serialize(
+          {
+            ...headers,
+            Event: event.eventName,
+            Site: headers.Site || event.location,
+            Date: headers.Date || this.formatPgnDate(pairing.round.publishedAt),
+            Round: String(pairing.round.roundNumber),
+            White: pairing.white.participant.fullName,
+            Black: pairing.black?.participant.fullName ?? "?",
+            Result: game.result,
+            Board: String(pairing.boardNumber),
+            ...(pairing.white.rating && { WhiteElo: String(pairing.white.rating) }),
+            ...(pairing.black?.rating && { BlackElo: String(pairing.black.rating) }),
+          },
+          game.movetext
+        );
+      })
+      .join("\n");
+
+    const slug = event.eventName.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+    return {
+      filename: playerId ? `${slug}-player-${playerId}.pgn` : `${slug}.pgn`,
+      content,
+      count: games.length,
+    };
+  }
+
+  /**
+   * Format a date as a PGN date tag value
+   * @param {Date|null} date - Date
+   * @returns {string} "YYYY.MM.DD" or "????.??.??"
+   */
+  formatPgnDate(date) {
+    if (!date) return "????.??.??";
+    const d = new Date(date);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${d.getFullYear()}.${pad(d.getMonth() + 1)}.${pad(d.getDate())}`;
+  }
+
+  /**
+   * Format stored game summary for a board
+   * @param {object} round - Round
+   * @param {object} pairing - Pairing with players
+   * @param {object} game - Parsed game
+   * @returns {object} Game summary
+   */
+  formatBoardGame(round, pairing, game) {
+    return {
+      roundNumber: round.roundNumber,
+      boardNumber: pairing.boardNumber,
+      white: pairing.white.participant.fullName,
+      black: pairing.black?.participant.fullName ?? null,
+      result: game.result,
+      moveCount: Math.ceil(game.moves.length / 2),
+    };
+  }
+}
+
+module.exports = new GameService();
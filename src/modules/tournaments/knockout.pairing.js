@@ -0,0 +1,142 @@
+/**
+ * Knockout Pairing Engine
+ * Seeded single-elimination brackets with multi-game matches
+ */
+
+const { COLOURS, GAME_TYPES } = require("../../config/constants");
+
+class KnockoutPairing {
+  /**
+   * Get bracket size (player count rounded up to a power of two)
+   * @param {number} playerCount - Number of players
+   * @returns {number} Bracket size
+   */
+  getBracketSize(playerCount) {
+    let size = 2;
+    while (size < playerCount) size *= 2;
+    return size;
+  }
+
+  /**
+   * Get number of knockout rounds
+   * @param {number} playerCount - Number of players
+   * @returns {number} Number of rounds
+   */
+  getRoundCount(playerCount) {
+    return Math.log2(this.getBracketSize(playerCount));
+  }
+
+  /**
+   * Get seeds in bracket order so the top seeds can only meet late
+   * e.g. size 8: [1, 8, 4, 5, 2, 7, 3, 6]
+   * @param {number} size - Bracket size
+   * @returns {array} Seed numbers
+   */
+  getSeedOrder(size) {
+    let order = [1];
+
+    for (let slots = 2; slots <= size; slots *= 2) {
+      order = order.flatMap((seed) => [seed, slots + 1 - seed]);
+    }
+
+    return order;
+  }
+
+  /**
+   * Pair the first round from the seeding
+   * Top seeds receive byes when the field is not a power of two.
+   * @param {array} players - Players sorted by seed (pairingNumber)
+   * @returns {array} Matches: [{ matchNumber, players: [higherSeed, lowerSeed|null] }]
+   */
+  pairFirstRound(players) {
+    if (players.length < 2) {
+      throw new Error("At least two players are required to generate pairings");
+    }
+
+    const order = this.getSeedOrder(this.getBracketSize(players.length));
+    const matches = [];
+
+    for (let index = 0; index < order.length; index += 2) {
+      matches.push({
+        matchNumber: index / 2 + 1,
+        players: [
+          players[order[index] - 1],
+          players[order[index + 1] - 1] || null,
+        ],
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Pair the next round from the winners of the previous round
+   * Winners of matches 1 and 2 meet in match 1, 3 and 4 in match 2, ...
+   * @param {array} winners - Winning players in match order
+   * @returns {array} Matches: [{ matchNumber, players: [higherSeed, lowerSeed] }]
+   */
+  pairNextRound(winners) {
+    if (winners.length < 2) {
+      throw new Error("The knockout is complete");
+    }
+
+    const matches = [];
+
+    for (let index = 0; index < winners.length; index += 2) {
+      const pair = [winners[index], winners[index + 1] || null];
+      if (pair[1] && pair[1].pairingNumber < pair[0].pairingNumber) {
+        pair.reverse();
+      }
+
+      matches.push({ matchNumber: index / 2 + 1, players: pair });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Build the games of a match with alternating colours
+   * @param {object} match - { matchNumber, players }
+   * @param {number} gameCount - Number of games
+   * @param {object} options - Game options
+   * @param {string} options.gameType - Game type (REGULAR, TIEBREAK, ARMAGEDDON)
+   * @param {string} options.firstColour - Colour of the first listed player in the first game
+   * @returns {array} Games: [{ matchNumber, gameType, white, black }]
+   */
+  buildMatchGames(match, gameCount, options = {}) {
+    const { gameType = GAME_TYPES.REGULAR, firstColour = COLOURS.WHITE } = options;
+    const [first, second] = match.players;
+
+    // A bye is a single game without an opponent
+    if (!second) {
+      return [
+        { matchNumber: match.matchNumber, gameType, white: first, black: null },
+      ];
+    }
+
+    return Array.from({ length: gameCount }, (_, index) => {
+      const firstIsWhite = (firstColour === COLOURS.WHITE) === (index % 2 === 0);
+
+      return {
+        matchNumber: match.matchNumber,
+        gameType,
+        white: firstIsWhite ? first : second,
+        black: firstIsWhite ? second : first,
+      };
+    });
+  }
+
+  /**
+   * Get display name of a knockout round
+   * @param {number} matchCount - Number of matches in the round
+   * @returns {string} Round name
+   */
+  getRoundName(matchCount) {
+    if (matchCount === 1) return "Final";
+    if (matchCount === 2) return "Semi-finals";
+    if (matchCount === 4) return "Quarter-finals";
+    return `Round of ${matchCount * 2}`;
+  }
+}
+
+module.exports = new KnockoutPairing();
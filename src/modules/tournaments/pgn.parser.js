@@ -0,0 +1,280 @@
+/**
+ * PGN Parser
+ * Parses and validates Portable Game Notation (headers and SAN movetext)
+ */
+
+// Seven Tag Roster, written first and in this order
+const ROSTER_TAGS = ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+
+// Tags every uploaded game must have
+const REQUIRED_TAGS = ["White", "Black", "Result"];
+
+const RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+
+const SAN_PATTERN =
+  /^(?:O-O(?:-O)?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h](?:x[a-h])?[1-8](?:=?[QRBN])?)[+#]?$/;
+
+const TAG_PATTERN = /^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/;
+
+const DATE_PATTERN = /^(?:\d{4}|\?{4})\.(?:\d{2}|\?{2})\.(?:\d{2}|\?{2})$/;
+
+// Lines are wrapped below 80 characters on export
+const LINE_WIDTH = 79;
+
+class PgnParser {
+  /**
+   * Split a PGN file into the text of its games
+   * A game starts at a tag section following movetext (or the start of file).
+   * @param {string} text - PGN file content
+   * @returns {array} Raw game texts
+   */
+  split(text) {
+    const games = [];
+    let current = [];
+    let inMovetext = false;
+
+    for (const line of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+      const trimmed = line.trim();
+      const isTag = trimmed.startsWith("[");
+
+      if (isTag && inMovetext) {
+        games.push(current.join("\n"));
+        current = [];
+        inMovetext = false;
+      }
+
+      if (trimmed && !isTag && !trimmed.startsWith("%")) inMovetext = true;
+      if (!trimmed.startsWith("%")) current.push(line);
+    }
+
+    if (current.some((line) => line.trim())) {
+      games.push(current.join("\n"));
+    }
+
+    return games.filter((game) => game.trim());
+  }
+
+  /**
+   * Parse and validate a single game
+   * @param {string} text - Game text (tag pairs and movetext)
+   * @returns {object} { headers, moves, movetext, result }
+   * @throws {Error} If headers or moves are invalid
+   */
+  parseGame(text) {
+    const lines = text.split(/\r?\n/);
+    const headers = {};
+    let index = 0;
+
+    for (; index < lines.length; index++) {
+      const line = lines[index].trim();
+      if (!line) continue;
+      if (!line.startsWith("[")) break;
+
+      const match = line.match(TAG_PATTERN);
+      if (!match) {
+        throw new Error(`Invalid tag pair: ${line}`);
+      }
+
+      headers[match[1]] = match[2].replace(/\\(["\\])/g, "$1");
+    }
+
+    for (const tag of REQUIRED_TAGS) {
+      if (!headers[tag]) {
+        throw new Error(`Missing required tag: ${tag}`);
+      }
+    }
+
+    if (!RESULTS.includes(headers.Result)) {
+      throw new Error(`Invalid Result tag: ${headers.Result}`);
+    }
+
+    if (headers.Date && !DATE_PATTERN.test(headers.Date)) {
+      throw new Error(`Invalid Date tag (expected YYYY.MM.DD): ${headers.Date}`);
+    }
+
+    const { tokens, moves, result } = this.parseMovetext(
+      lines.slice(index).join("\n")
+    );
+
+    if (result && result !== headers.Result) {
+      throw new Error(
+        `Game termination ${result} does not match Result tag ${headers.Result}`
+      );
+    }
+
+    return {
+      headers,
+      moves,
+      movetext: [...tokens, headers.Result]
+        .join(" ")
+        .replace(/\( /g, "(")
+        .replace(/ \)/g, ")"),
+      result: headers.Result,
+    };
+  }
+
+  /**
+   * Tokenize and validate movetext
+   * Comments, NAGs and variations are kept but only main-line moves are
+   * checked for SAN syntax and move-number order. Move numbers are
+   * rewritten in export format.
+   * @param {string} text - Movetext
+   * @returns {object} { tokens, moves, result } (tokens exclude the result)
+   * @throws {Error} If a move or move number is invalid
+   */
+  parseMovetext(text) {
+    const state = { tokens: [], moves: [], afterMove: false };
+    let result = null;
+    let depth = 0;
+    let i = 0;
+
+    const push = (token, isMove = false) => {
+      if (result) {
+        throw new Error(`Unexpected text after game termination: ${token}`);
+      }
+      state.tokens.push(token);
+      state.afterMove = isMove;
+    };
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === "{") {
+        const end = text.indexOf("}", i);
+        if (end === -1) throw new Error("Unterminated comment");
+        push(`{${text.slice(i + 1, end).replace(/\s+/g, " ").trim()}}`);
+        i = end + 1;
+      } else if (char === ";") {
+        // Rest-of-line comments are rewritten as brace comments
+        const end = text.indexOf("\n", i);
+        const comment = text.slice(i + 1, end === -1 ? text.length : end).trim();
+        push(`{${comment}}`);
+        i = end === -1 ? text.length : end + 1;
+      } else if (char === "(") {
+        depth++;
+        push("(");
+        i++;
+      } else if (char === ")") {
+        if (depth === 0) throw new Error("Unbalanced variation parenthesis");
+        depth--;
+        push(")");
+        i++;
+      } else {
+        const token = text.slice(i).match(/^[^\s{}();]+/)[0];
+        i += token.length;
+
+        if (depth > 0) {
+          push(token);
+        } else if (RESULTS.includes(token)) {
+          if (result) throw new Error("Multiple game terminations");
+          result = token;
+        } else if (/^\$\d+$/.test(token)) {
+          // NAGs stay attached to the move they follow
+          const { afterMove } = state;
+          push(token);
+          state.afterMove = afterMove;
+        } else {
+          this.readMove(token, state, push);
+        }
+      }
+    }
+
+    if (depth > 0) {
+      throw new Error("Unterminated variation");
+    }
+
+    return { tokens: state.tokens, moves: state.moves, result };
+  }
+
+  /**
+   * Validate a main-line move, optionally prefixed by its number
+   * ("Nf3", "12.Nf3", "12...Nf3" or a bare "12." / "12...")
+   * @param {string} token - Token text
+   * @param {object} state - { tokens, moves, afterMove }
+   * @param {function} push - Adds a token to the movetext
+   */
+  readMove(token, state, push) {
+    const { moves } = state;
+    const moveNumber = Math.floor(moves.length / 2) + 1;
+    const blackToMove = moves.length % 2 === 1;
+    const numbered = token.match(/^(\d+)(\.+)(.*)$/);
+    let move = token;
+
+    if (numbered) {
+      const [, number, dots, rest] = numbered;
+
+      if (parseInt(number) !== moveNumber || (dots.length >= 3 && !blackToMove)) {
+        throw new Error(`Unexpected move number ${number}${dots}`);
+      }
+
+      if (!rest) return;
+      move = rest;
+    }
+
+    // Annotation glyphs such as "!?" are kept on the move
+    const [, san, annotation] = move.match(/^(.*?)([!?]{0,2})$/);
+    const normalized = san.replace(/^0-0-0/, "O-O-O").replace(/^0-0/, "O-O");
+
+    if (!SAN_PATTERN.test(normalized)) {
+      throw new Error(`Invalid move at ply ${moves.length + 1}: ${move}`);
+    }
+
+    // Black moves are numbered only after a comment or variation
+    if (!blackToMove) {
+      push(`${moveNumber}.`);
+    } else if (!state.afterMove) {
+      push(`${moveNumber}...`);
+    }
+
+    moves.push(normalized);
+    push(normalized + annotation, true);
+  }
+
+  /**
+   * Parse all games of a PGN file
+   * @param {string} text - PGN file content
+   * @returns {array} [{ index, game }] or [{ index, error }] per game
+   */
+  parse(text) {
+    return this.split(text).map((raw, index) => {
+      try {
+        return { index: index + 1, game: this.parseGame(raw) };
+      } catch (error) {
+        return { index: index + 1, error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Write a game as PGN (Seven Tag Roster first, movetext wrapped)
+   * @param {object} headers - Tag pairs
+   * @param {string} movetext - Movetext including the result
+   * @returns {string} PGN text
+   */
+  serialize(headers, movetext) {
+    const tags = [
+      ...ROSTER_TAGS.map((tag) => [tag, headers[tag] ?? "?"]),
+      ...Object.entries(headers).filter(([tag]) => !ROSTER_TAGS.includes(tag)),
+    ].map(
+      ([tag, value]) => `[${tag} "${String(value).replace(/(["\\])/g, "\\$1")}"]`
+    );
+
+    const lines = [];
+    let line = "";
+    for (const word of movetext.split(" ")) {
+      if (line && line.length + word.length + 1 > LINE_WIDTH) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) lines.push(line);
+
+    return `${tags.join("\n")}\n\n${lines.join("\n")}\n`;
+  }
+}
+
+module.exports = new PgnParser();
@@ -0,0 +1,204 @@
+/**
+ * Prize Distribution Engine
+ * Allocates overall and category prizes from final standings
+ */
+
+const {
+  GENDER,
+  PRIZE_CATEGORIES,
+  PRIZE_TIE_RULES,
+} = require("../../config/constants");
+
+class PrizeDistribution {
+  /**
+   * Get key of the prize group a prize belongs to ("AGE:12", "OVERALL", ...)
+   * @param {object} prize - Prize
+   * @returns {string} Group key
+   */
+  getGroupKey(prize) {
+    return prize.category === PRIZE_CATEGORIES.AGE
+      ? `${prize.category}:${prize.ageLimit}`
+      : prize.category;
+  }
+
+  /**
+   * Check if a player may win a prize
+   * @param {object} prize - Prize
+   * @param {object} player - { gender, age, rating, isGovtStudent }
+   * @returns {boolean} True if eligible
+   */
+  isEligible(prize, player) {
+    switch (prize.category) {
+      case PRIZE_CATEGORIES.FEMALE:
+        return player.gender === GENDER.FEMALE;
+      case PRIZE_CATEGORIES.AGE:
+        return player.age !== null && player.age <= prize.ageLimit;
+      case PRIZE_CATEGORIES.UNRATED:
+        return !player.rating;
+      case PRIZE_CATEGORIES.GOVT_STUDENT:
+        return Boolean(player.isGovtStudent);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Order prizes for allocation
+   * Highest amount first so a player eligible for several prizes takes the
+   * most valuable one; overall prizes win over category prizes of the same
+   * amount, and lower places come first within a group.
+   * @param {array} prizes - Prizes
+   * @returns {array} Prizes in allocation order
+   */
+  sortPrizes(prizes) {
+    const isOverall = (prize) => prize.category === PRIZE_CATEGORIES.OVERALL;
+
+    return [...prizes].sort(
+      (a, b) =>
+        b.amount - a.amount ||
+        isOverall(b) - isOverall(a) ||
+        a.place - b.place ||
+        this.getGroupKey(a).localeCompare(this.getGroupKey(b))
+    );
+  }
+
+  /**
+   * Split an amount into shares (in paise, remainder to the first shares)
+   * @param {number} total - Amount in paise
+   * @param {number} count - Number of shares
+   * @returns {array} Shares in paise
+   */
+  splitEqually(total, count) {
+    const share = Math.floor(total / count);
+    const remainder = total - share * count;
+
+    return Array.from({ length: count }, (_, index) =>
+      index < remainder ? share + 1 : share
+    );
+  }
+
+  /**
+   * Distribute prizes over final standings
+   * Each prize goes to the best-ranked eligible player; with one prize per
+   * player a winner is skipped for all further prizes. Ties on points for
+   * overall prizes are decided by the standings order (TIE_BREAK) or the
+   * tied players pool their overall prize money: EQUAL_SHARE splits the pool
+   * evenly, HORT pays half of each tie-break prize to its winner and splits
+   * the other half evenly. Trophies and category prizes stay with the
+   * tie-break winner.
+   * @param {array} prizes - [{ prizeId, category, ageLimit, place, amount, label }]
+   * @param {array} rows - Standings rows in rank order with eligibility details
+   * @param {object} options - { tieRule, onePrizePerPlayer }
+   * @returns {array} Awards [{ prize, row, amount, isShare }] (row null if unawarded)
+   */
+  distribute(prizes, rows, options) {
+    const { tieRule, onePrizePerPlayer } = options;
+    const winners = new Set();
+    const groupWinners = new Map();
+    const awards = [];
+
+    for (const prize of this.sortPrizes(prizes)) {
+      const groupKey = this.getGroupKey(prize);
+      if (!groupWinners.has(groupKey)) groupWinners.set(groupKey, new Set());
+      const group = groupWinners.get(groupKey);
+
+      const row = rows.find(
+        (candidate) =>
+          !group.has(candidate.playerId) &&
+          !(onePrizePerPlayer && winners.has(candidate.playerId)) &&
+          this.isEligible(prize, candidate)
+      );
+
+      if (row) {
+        winners.add(row.playerId);
+        group.add(row.playerId);
+      }
+
+      awards.push({
+        prize,
+        row: row || null,
+        amount: row ? prize.amount : 0,
+        isShare: false,
+      });
+    }
+
+    if (tieRule === PRIZE_TIE_RULES.TIE_BREAK) {
+      return awards;
+    }
+
+    return this.shareTiedPrizes(awards, rows, options);
+  }
+
+  /**
+   * Pool the overall prize money of players tied on points
+   * Tied players who won a category prize instead (one prize per player)
+   * are left out; tied players without a prize receive a share.
+   * @param {array} awards - Awards allocated by tie-break
+   * @param {array} rows - Standings rows in rank order
+   * @param {object} options - { tieRule, onePrizePerPlayer }
+   * @returns {array} Awards with shared amounts
+   */
+  shareTiedPrizes(awards, rows, options) {
+    const { tieRule, onePrizePerPlayer } = options;
+    const isOverall = (award) =>
+      award.row && award.prize.category === PRIZE_CATEGORIES.OVERALL;
+    const categoryWinners = new Set(
+      awards
+        .filter((award) => award.row && !isOverall(award))
+        .map((award) => award.row.playerId)
+    );
+    const sharedAwards = [];
+
+    for (const points of new Set(
+      awards.filter(isOverall).map((award) => award.row.points)
+    )) {
+      const tiedAwards = awards.filter(
+        (award) => isOverall(award) && award.row.points === points
+      );
+      const sharers = rows.filter(
+        (row) =>
+          row.points === points &&
+          !(onePrizePerPlayer && categoryWinners.has(row.playerId))
+      );
+
+      if (sharers.length < 2) continue;
+
+      const toPaise = (amount) => Math.round(amount * 100);
+      const pool = tiedAwards.reduce(
+        (sum, award) => sum + toPaise(award.prize.amount),
+        0
+      );
+      const kept = new Map();
+
+      if (tieRule === PRIZE_TIE_RULES.HORT) {
+        for (const award of tiedAwards) {
+          kept.set(award, Math.round(toPaise(award.prize.amount) / 2));
+        }
+      }
+
+      const keptTotal = [...kept.values()].reduce((sum, value) => sum + value, 0);
+      const shares = this.splitEqually(pool - keptTotal, sharers.length);
+
+      sharers.forEach((row, index) => {
+        const own = tiedAwards.filter((award) => award.row === row);
+        const ownKept = own.reduce((sum, award) => sum + (kept.get(award) || 0), 0);
+        const amount = (shares[index] + ownKept) / 100;
+
+        if (own.length === 0) {
+          sharedAwards.push({ prize: null, row, amount, isShare: true });
+          return;
+        }
+
+        // A player holding several tied prizes is paid once, on the first
+        own.forEach((award, awardIndex) => {
+          award.amount = awardIndex === 0 ? amount : 0;
+          award.isShare = true;
+        });
+      });
+    }
+
+    return [...awards, ...sharedAwards];
+  }
+}
+
+module.exports = new PrizeDistribution();
@@ -0,0 +1,341 @@
+/**
+ * Prize Service
+ * Structured prize funds and the prize list computed from final standings
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const StandingsService = require("./standings.service");
+const PrizeDistribution = require("./prize.distribution");
+const BookingService = require("../bookings/booking.service");
+const DateUtil = require("../../utils/date.util");
+const {
+  EVENT_STATUS,
+  PRIZE_CATEGORIES,
+  PRIZE_TIE_RULES,
+} = require("../../config/constants");
+
+// Order of prize groups in the prize list
+const CATEGORY_ORDER = Object.values(PRIZE_CATEGORIES);
+
+/**
+ * Compare prizes for display (by group, age limit, then place)
+ * @param {object} a - Prize
+ * @param {object} b - Prize
+ * @returns {number} Sort order
+ */
+const comparePrizes = (a, b) =>
+  CATEGORY_ORDER.indexOf(a.category) - CATEGORY_ORDER.indexOf(b.category) ||
+  (a.ageLimit || 0) - (b.ageLimit || 0) ||
+  a.place - b.place;
+
+class PrizeService {
+  /**
+   * Get prize fund of an event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Prize rules and prizes
+   */
+  async getPrizeFund(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventId: true,
+        eventName: true,
+        prizeTieRule: true,
+        onePrizePerPlayer: true,
+        prizes: true,
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    return this.formatPrizeFund(event);
+  }
+
+  /**
+   * Replace the prize fund of an event (organizer only)
+   * Places of each prize group must run 1, 2, 3... without gaps, and a
+   * lower place may not be worth more than a higher one.
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {object} fundData - { tieRule, onePrizePerPlayer, prizes }
+   * @returns {Promise<object>} Updated prize fund
+   */
+  async updatePrizeFund(eventId, organizerId, fundData) {
+    const event = await RoundService.getManagedEvent(eventId, organizerId);
+
+    if (event.isTeamEvent) {
+      throw new Error(
+        "Prize funds are for individual events; team events use board prizes"
+      );
+    }
+
+    const prizes = fundData.prizes ?? [];
+    const groups = new Map();
+    for (const prize of prizes) {
+      const key = PrizeDistribution.getGroupKey(prize);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(prize);
+    }
+
+    for (const [key, group] of groups) {
+      group.sort((a, b) => a.place - b.place);
+
+      group.forEach((prize, index) => {
+        if (prize.place !== index + 1) {
+          throw new Error(
+            `${key} prizes must be numbered 1 to ${group.length} without gaps or duplicates`
+          );
+        }
+
+        if (index > 0 && prize.amount > group[index - 1].amount) {
+          throw new Error(
+            `${key} prize ${prize.place} is worth more than prize ${prize.place - 1}`
+          );
+        }
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.eventPrize.deleteMany({ where: { eventId } }),
+      prisma.eventPrize.createMany({
+        data: prizes.map((prize) => ({
+          eventId,
+          category: prize.category,
+          ageLimit:
+            prize.category === PRIZE_CATEGORIES.AGE ? prize.ageLimit : null,
+          place: prize.place,
+          amount: prize.amount,
+          label: prize.label || null,
+        })),
+      }),
+      prisma.event.update({
+        where: { eventId },
+        data: {
+          ...(fundData.tieRule && { prizeTieRule: fundData.tieRule }),
+          ...(fundData.onePrizePerPlayer !== undefined && {
+            onePrizePerPlayer: fundData.onePrizePerPlayer,
+          }),
+        },
+      }),
+    ]);
+
+    return this.getPrizeFund(eventId);
+  }
+
+  /**
+   * Compute the prize list from the latest standings
+   * The list is final once the event is completed.
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Prizes with winners and payouts per player
+   */
+  async getPrizeList(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventId: true,
+        eventName: true,
+        eventDates: true,
+        eventStatus: true,
+        ageCutoffDate: true,
+        isTeamEvent: true,
+        prizeTieRule: true,
+        onePrizePerPlayer: true,
+        prizes: true,
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    if (event.isTeamEvent) {
+      throw new Error("Team events use board prizes instead of a prize list");
+    }
+
+    const standingsEvent = await StandingsService.getEvent(eventId);
+    StandingsService.assertScoreTable(standingsEvent);
+
+    const rounds = await StandingsService.getRounds(eventId);
+    const players = await StandingsService.getPlayers(eventId, rounds);
+    const { rows } = StandingsService.computeStandings(
+      players,
+      rounds,
+      standingsEvent.tieBreaks
+    );
+
+    const cutoffDate = BookingService.getAgeCutoffDate(event);
+    const playersById = new Map(players.map((player) => [player.id, player]));
+    const candidates = rows.map((row) => {
+      const { participant } = playersById.get(row.playerId);
+
+      return {
+        ...row,
+        gender: participant.gender,
+        age: participant.dateOfBirth
+          ? DateUtil.calculateAge(participant.dateOfBirth, cutoffDate)
+          : null,
+        isGovtStudent: participant.isGovtStudent,
+      };
+    });
+
+    const fund = this.formatPrizeFund(event);
+    const awards = PrizeDistribution.distribute(fund.prizes, candidates, {
+      tieRule: fund.tieRule,
+      onePrizePerPlayer: fund.onePrizePerPlayer,
+    });
+
+    const prizeAwards = awards
+      .filter((award) => award.prize)
+      .sort((a, b) => comparePrizes(a.prize, b.prize));
+
+    const payouts = new Map();
+    for (const award of awards) {
+      if (!award.row) continue;
+
+      if (!payouts.has(award.row.playerId)) {
+        payouts.set(award.row.playerId, {
+          playerId: award.row.playerId,
+          rank: award.row.rank,
+          fullName: award.row.fullName,
+          fideId: award.row.fideId,
+          points: award.row.points,
+          prizes: [],
+          amount: 0,
+        });
+      }
+
+      const payout = payouts.get(award.row.playerId);
+      payout.prizes.push(
+        award.prize ? this.getPrizeName(award.prize) : "Tied prize share"
+      );
+      payout.amount = Math.round((payout.amount + award.amount) * 100) / 100;
+    }
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      isFinal: event.eventStatus === EVENT_STATUS.COMPLETED,
+      tieRule: fund.tieRule,
+      onePrizePerPlayer: fund.onePrizePerPlayer,
+      prizes: prizeAwards.map((award) => ({
+        ...award.prize,
+        name: this.getPrizeName(award.prize),
+        winner: award.row
+          ? {
+              playerId: award.row.playerId,
+              rank: award.row.rank,
+              fullName: award.row.fullName,
+              points: award.row.points,
+            }
+          : null,
+        amountPaid: award.amount,
+        isShared: award.isShare,
+      })),
+      payouts: [...payouts.values()].sort((a, b) => a.rank - b.rank),
+      totalPaid: [...payouts.values()].reduce(
+        (sum, payout) => Math.round((sum + payout.amount) * 100) / 100,
+        0
+      ),
+    };
+  }
+
+  /**
+   * Export the final prize list as CSV for payout (organizer only)
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<object>} { filename, content }
+   */
+  async exportPrizeList(eventId, organizerId) {
+    await RoundService.getManagedEvent(eventId, organizerId);
+    const prizeList = await this.getPrizeList(eventId);
+
+    if (!prizeList.isFinal) {
+      throw new Error("Prize list can be exported once the event is completed");
+    }
+
+    const escape = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+      ["Rank", "Player ID", "Name", "FIDE ID", "Points", "Prizes", "Amount"],
+      ...prizeList.payouts.map((payout) => [
+        payout.rank,
+        payout.playerId,
+        payout.fullName,
+        payout.fideId,
+        payout.points,
+        payout.prizes.join("; "),
+        payout.amount.toFixed(2),
+      ]),
+      ["", "", "", "", "", "Total", prizeList.totalPaid.toFixed(2)],
+    ];
+
+    const slug = prizeList.eventName
+      .replace(/[^A-Za-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+    return {
+      filename: `${slug}-prizes.csv`,
+      content: lines.map((line) => line.map(escape).join(",")).join("\n") + "\n",
+    };
+  }
+
+  /**
+   * Get display name of a prize ("1st Overall", "2nd Best U12", ...)
+   * @param {object} prize - Prize
+   * @returns {string} Prize name
+   */
+  getPrizeName(prize) {
+    const suffixes = ["th", "st", "nd", "rd"];
+    const lastTwo = prize.place % 100;
+    const ordinal = `${prize.place}${
+      suffixes[(lastTwo - 20) % 10] || suffixes[lastTwo] || suffixes[0]
+    }`;
+    const groups = {
+      [PRIZE_CATEGORIES.OVERALL]: "Overall",
+      [PRIZE_CATEGORIES.FEMALE]: "Best Female",
+      [PRIZE_CATEGORIES.AGE]: `Best U${prize.ageLimit}`,
+      [PRIZE_CATEGORIES.UNRATED]: "Best Unrated",
+      [PRIZE_CATEGORIES.GOVT_STUDENT]: "Best Govt School Student",
+    };
+    const name = `${ordinal} ${groups[prize.category]}`;
+
+    return prize.label ? `${name} (${prize.label})` : name;
+  }
+
+  /**
+   * Format prize fund response
+   * @param {object} event - Event with prizes
+   * @returns {object} Prize fund
+   */
+  formatPrizeFund(event) {
+    const prizes = event.prizes
+      .map((prize) => ({
+        prizeId: prize.prizeId,
+        category: prize.category,
+        ageLimit: prize.ageLimit,
+        place: prize.place,
+        amount: Number(prize.amount),
+        label: prize.label,
+      }))
+      .sort(comparePrizes);
+
+    return {
+      eventId: event.eventId,
+      eventName: event.eventName,
+      tieRule: event.prizeTieRule || PRIZE_TIE_RULES.TIE_BREAK,
+      onePrizePerPlayer: event.onePrizePerPlayer ?? true,
+      totalAmount:
+        Math.round(prizes.reduce((sum, prize) => sum + prize.amount, 0) * 100) /
+        100,
+      prizes,
+    };
+  }
+}
+
+module.exports = new PrizeService();
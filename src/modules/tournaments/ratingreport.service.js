@@ -0,0 +1,266 @@
+/**
+ * Rating Report Service
+ * Expected FIDE rating changes and performance ratings of a completed event
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const StandingsService = require("./standings.service");
+const EloCalculator = require("./elo.calculator");
+const DateUtil = require("../../utils/date.util");
+const {
+  EVENT_STATUS,
+  GAME_RESULTS,
+  GAME_TYPES,
+  RATING_TYPES,
+} = require("../../config/constants");
+
+// Results that count for rating (forfeits and byes do not)
+const RATED_RESULTS = [
+  GAME_RESULTS.WHITE_WIN,
+  GAME_RESULTS.BLACK_WIN,
+  GAME_RESULTS.DRAW,
+];
+
+class RatingReportService {
+  /**
+   * Get a completed event with its rating type and last event date
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Event with ratingType and endDate
+   */
+  async getCompletedEvent(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventId: true,
+        eventName: true,
+        eventDates: true,
+        eventStatus: true,
+        categories: { select: { category: { select: { ratingType: true } } } },
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    if (event.eventStatus !== EVENT_STATUS.COMPLETED) {
+      throw new Error("Rating report is available once the event is completed");
+    }
+
+    const [endDate] = DateUtil.parseEventDates(event.eventDates)
+      .map((date) => new Date(date))
+      .filter((date) => !Number.isNaN(date.getTime()))
+      .sort((a, b) => b - a);
+
+    // Events are rated on the list of their first rated category
+    const ratingType =
+      event.categories.find((mapping) => mapping.category.ratingType)?.category
+        .ratingType || RATING_TYPES.STANDARD;
+
+    return { ...event, ratingType, endDate: endDate || new Date() };
+  }
+
+  /**
+   * Get rated games each participant played before an event
+   * Counts regular games against rated opponents in earlier completed events,
+   * used for the 30-game and 2400 K-factor thresholds.
+   * @param {array} participantIds - Participant IDs
+   * @param {number} eventId - Event ID
+   * @param {Date|null} startedAt - First round publication of the event
+   * @returns {Promise<Map>} Participant ID => { ratedGames, highestRating }
+   */
+  async getRatingHistory(participantIds, eventId, startedAt) {
+    const pairings = await prisma.pairing.findMany({
+      where: {
+        eventId: { not: eventId },
+        event: { eventStatus: EVENT_STATUS.COMPLETED },
+        gameType: GAME_TYPES.REGULAR,
+        result: { in: RATED_RESULTS },
+        ...(startedAt && { round: { publishedAt: { lt: startedAt } } }),
+        OR: [
+          { white: { participantId: { in: participantIds } } },
+          { black: { participantId: { in: participantIds } } },
+        ],
+      },
+      select: {
+        white: { select: { participantId: true, rating: true } },
+        black: { select: { participantId: true, rating: true } },
+      },
+    });
+
+    const history = new Map(
+      participantIds.map((id) => [id, { ratedGames: 0, highestRating: 0 }])
+    );
+
+    for (const { white, black } of pairings) {
+      for (const [player, opponent] of [
+        [white, black],
+        [black, white],
+      ]) {
+        const entry = history.get(player.participantId);
+        if (!entry || !opponent.rating) continue;
+
+        entry.ratedGames++;
+        entry.highestRating = Math.max(entry.highestRating, player.rating || 0);
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Get rating report of a completed event
+   * Only regular games played over the board against rated opponents
+   * count. Rated players get their rating change and performance rating;
+   * unrated players get a provisional rating estimate.
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Rating report
+   */
+  async getRatingReport(eventId) {
+    const event = await this.getCompletedEvent(eventId);
+    const rounds = await RoundService.getEventRounds(eventId, false);
+    const players = await StandingsService.getPlayers(eventId, rounds);
+    const playersById = new Map(players.map((player) => [player.id, player]));
+
+    const games = new Map(players.map((player) => [player.id, []]));
+
+    for (const round of rounds) {
+      for (const pairing of round.pairings) {
+        if (
+          !pairing.blackId ||
+          pairing.gameType !== GAME_TYPES.REGULAR ||
+          !RATED_RESULTS.includes(pairing.result)
+        ) {
+          continue;
+        }
+
+        const [whitePoints, blackPoints] = RoundService.getResultPoints(
+          pairing.result
+        );
+        const white = playersById.get(pairing.whiteId);
+        const black = playersById.get(pairing.blackId);
+
+        if (black?.rating) {
+          games.get(pairing.whiteId)?.push({
+            roundNumber: round.roundNumber,
+            opponentRating: black.rating,
+            score: whitePoints,
+          });
+        }
+
+        if (white?.rating) {
+          games.get(pairing.blackId)?.push({
+            roundNumber: round.roundNumber,
+            opponentRating: white.rating,
+            score: blackPoints,
+          });
+        }
+      }
+    }
+
+    const publishedAt = rounds
+      .map((round) => round.publishedAt)
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    const history = await this.getRatingHistory(
+      players.map((player) => player.participantId),
+      eventId,
+      publishedAt[0] || null
+    );
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      ratingType: event.ratingType,
+      players: players.map((player) =>
+        this.formatPlayerRating(
+          player,
+          games.get(player.id),
+          history.get(player.participantId),
+          event
+        )
+      ),
+    };
+  }
+
+  /**
+   * Get a player's rating result in a completed event
+   * @param {number} eventId - Event ID
+   * @param {number} playerId - Booking participant ID
+   * @returns {Promise<object|null>} Player rating result (null if not in report)
+   */
+  async getPlayerRating(eventId, playerId) {
+    const report = await this.getRatingReport(eventId);
+
+    return report.players.find((player) => player.playerId === playerId) || null;
+  }
+
+  /**
+   * Calculate and format a player's rating result
+   * @param {object} player - Booking participant with participant
+   * @param {array} games - Games against rated opponents
+   * @param {object} history - { ratedGames, highestRating } before the event
+   * @param {object} event - Event with ratingType and endDate
+   * @returns {object} Player rating result
+   */
+  formatPlayerRating(player, games, history, event) {
+    const base = {
+      playerId: player.id,
+      participantId: player.participantId,
+      fullName: player.participant.fullName,
+      fideId: player.participant.fideId,
+      rating: player.rating,
+      ratedGames: games.length,
+      score: games.reduce((sum, game) => sum + game.score, 0),
+    };
+
+    if (!player.rating) {
+      const provisional = EloCalculator.getProvisionalRating(games);
+
+      return {
+        ...base,
+        kFactor: null,
+        expectedScore: null,
+        ratingChange: null,
+        newRating: null,
+        performanceRating: provisional?.rating ?? null,
+        isProvisional: true,
+        hasMinimumGames: provisional?.hasMinimumGames ?? false,
+      };
+    }
+
+    // Age counts until the end of the year, e.g. under-18 through the year of the 18th birthday
+    const age = player.participant.dateOfBirth
+      ? event.endDate.getFullYear() -
+        new Date(player.participant.dateOfBirth).getFullYear()
+      : null;
+
+    const kFactor = EloCalculator.getKFactor({
+      rating: player.rating,
+      age,
+      ratedGames: history?.ratedGames ?? 0,
+      highestRating: history?.highestRating ?? 0,
+      ratingType: event.ratingType,
+      gamesInPeriod: games.length,
+    });
+    const { expectedScore, change } = EloCalculator.calculateChange(
+      player.rating,
+      kFactor,
+      games
+    );
+
+    return {
+      ...base,
+      kFactor,
+      expectedScore,
+      ratingChange: change,
+      newRating: Math.round(player.rating + change),
+      performanceRating: EloCalculator.getPerformanceRating(games),
+      isProvisional: false,
+      hasMinimumGames: true,
+    };
+  }
+}
+
+module.exports = new RatingReportService();
@@ -0,0 +1,1726 @@
+/**
+ * Round Service
+ * Business logic for tournament rounds and pairings
+ */
+
+const { prisma } = require("../../config/database");
+const SwissPairing = require("./swiss.pairing");
+const RoundRobinPairing = require("./roundrobin.pairing");
+const KnockoutPairing = require("./knockout.pairing");
+const FileUtil = require("../../utils/file.util");
+const {
+  ARBITER_ROLES,
+  BOOKING_STATUS,
+  EVENT_STATUS,
+  ROUND_STATUS,
+  GAME_RESULTS,
+  GAME_TYPES,
+  COLOURS,
+  TOURNAMENT_FORMATS,
+  TEAM_SCORING,
+  TEAM_MATCH_POINTS,
+} = require("../../config/constants");
+
+// Points scored by [white, black] for each result
+const RESULT_POINTS = {
+  [GAME_RESULTS.WHITE_WIN]: [1, 0],
+  [GAME_RESULTS.BLACK_WIN]: [0, 1],
+  [GAME_RESULTS.DRAW]: [0.5, 0.5],
+  [GAME_RESULTS.WHITE_FORFEIT_WIN]: [1, 0],
+  [GAME_RESULTS.BLACK_FORFEIT_WIN]: [0, 1],
+  [GAME_RESULTS.DOUBLE_FORFEIT]: [0, 0],
+  [GAME_RESULTS.BYE]: [1, 0],
+  [GAME_RESULTS.HALF_POINT_BYE]: [0.5, 0],
+};
+
+// Results where the game was actually played over the board
+const PLAYED_RESULTS = [
+  GAME_RESULTS.WHITE_WIN,
+  GAME_RESULTS.BLACK_WIN,
+  GAME_RESULTS.DRAW,
+];
+
+class RoundService {
+  /**
+   * Get event managed by organizer
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<object>} Event
+   */
+  async getManagedEvent(eventId, organizerId) {
+    const event = await prisma.event.findFirst({
+      where: { eventId, organizerId },
+    });
+
+    if (!event) {
+      throw new Error("Event not found or you do not have permission");
+    }
+
+    return event;
+  }
+
+  /**
+   * Get an event run by the user, as organizer or as an assigned arbiter
+   * Arbiters may check in players, enter results and manage pairings, but
+   * never edit the event itself. Only the chief arbiter manages pairings.
+   * @param {number} eventId - Event ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {boolean} chiefOnly - Reject deputy arbiters
+   * @returns {Promise<object>} Event
+   */
+  async getOfficiatedEvent(eventId, userId, chiefOnly = false) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      include: {
+        arbiters: { where: { userId }, select: { arbiterRole: true } },
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found or you do not have permission");
+    }
+
+    const { arbiters, ...officiated } = event;
+
+    if (event.organizerId !== userId) {
+      if (arbiters.length === 0) {
+        throw new Error("Event not found or you do not have permission");
+      }
+      if (chiefOnly && arbiters[0].arbiterRole !== ARBITER_ROLES.CHIEF) {
+        throw new Error("Only the organizer or chief arbiter can do this");
+      }
+    }
+
+    return officiated;
+  }
+
+  /**
+   * Get points scored by white and black for a result
+   * @param {string} result - Game result
+   * @returns {array} [whitePoints, blackPoints]
+   */
+  getResultPoints(result) {
+    return RESULT_POINTS[result] || [0, 0];
+  }
+
+  /**
+   * Check if a result was played over the board (counts for colour history)
+   * @param {string} result - Game result
+   * @returns {boolean} True if played
+   */
+  isPlayedResult(result) {
+    return PLAYED_RESULTS.includes(result);
+  }
+
+  /**
+   * Get players eligible for pairing (confirmed bookings)
+   * @param {number} eventId - Event ID
+   * @returns {Promise<array>} Booking participants with participant details
+   */
+  async getPairingPool(eventId) {
+    return prisma.bookingParticipant.findMany({
+      where: {
+        eventId,
+        booking: { bookingStatus: BOOKING_STATUS.CONFIRMED },
+      },
+      include: {
+        participant: {
+          select: {
+            participantId: true,
+            fullName: true,
+            gender: true,
+            dateOfBirth: true,
+            fideId: true,
+            standardRating: true,
+          },
+        },
+      },
+      orderBy: [{ pairingNumber: "asc" }, { id: "asc" }],
+    });
+  }
+
+  /**
+   * Check whether check-in has opened (any player checked in)
+   * @param {array} players - Booking participants
+   * @returns {boolean} True once the first player has checked in
+   */
+  isCheckInOpen(players) {
+    return players.some((player) => player.checkedInAt);
+  }
+
+  /**
+   * Get players to pair
+   * Once check-in has opened, only checked-in players are paired; absent
+   * players are left out until they check in or are withdrawn.
+   * @param {number} eventId - Event ID
+   * @returns {Promise<array>} Booking participants with participant details
+   */
+  async getPlayersToPair(eventId) {
+    const players = await this.getPairingPool(eventId);
+
+    return this.isCheckInOpen(players)
+      ? players.filter((player) => player.checkedInAt)
+      : players;
+  }
+
+  /**
+   * Assign pairing numbers (starting rank) by rating
+   * Before round 1 all players are re-seeded; late entries are appended.
+   * Players without a tournament rating take their FIDE standard rating.
+   * @param {number} eventId - Event ID
+   * @param {boolean} reseed - Re-seed all players instead of appending
+   * @returns {Promise<array>} Seeded players
+   */
+  async seedPlayers(eventId, reseed = false) {
+    const pool = await this.getPairingPool(eventId);
+    const players = this.isCheckInOpen(pool)
+      ? pool.filter((player) => player.checkedInAt)
+      : pool;
+    // Absent players lose any pairing number from an earlier draft
+    const absent = reseed
+      ? pool.filter((player) => player.pairingNumber && !players.includes(player))
+      : [];
+
+    const ratingOf = (player) =>
+      player.rating ?? player.participant.standardRating ?? null;
+    const byRating = (a, b) =>
+      (ratingOf(b) || 0) - (ratingOf(a) || 0) ||
+      a.participant.fullName.localeCompare(b.participant.fullName);
+
+    const toSeed = reseed
+      ? [...players].sort(byRating)
+      : players.filter((p) => !p.pairingNumber).sort(byRating);
+
+    let nextNumber = reseed
+      ? 1
+      : Math.max(0, ...players.map((p) => p.pairingNumber || 0)) + 1;
+
+    await prisma.$transaction([
+      ...absent.map((player) =>
+        prisma.bookingParticipant.update({
+          where: { id: player.id },
+          data: { pairingNumber: null },
+        })
+      ),
+      ...toSeed.map((player) =>
+        prisma.bookingParticipant.update({
+          where: { id: player.id },
+          data: { pairingNumber: nextNumber++, rating: ratingOf(player) },
+        })
+      ),
+    ]);
+
+    return this.getPlayersToPair(eventId);
+  }
+
+  /**
+   * Get seeded player list for an event
+   * @param {number} eventId - Event ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<array>} Players
+   */
+  async getPlayers(eventId, userId) {
+    await this.getOfficiatedEvent(eventId, userId);
+
+    const players = await this.getPairingPool(eventId);
+
+    return players.map((player) => this.formatPlayer(player));
+  }
+
+  /**
+   * Update a player's seeding rating
+   * @param {number} eventId - Event ID
+   * @param {number} playerId - Booking participant ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {object} updateData - { rating }
+   * @returns {Promise<object>} Updated player
+   */
+  async updatePlayer(eventId, playerId, userId, updateData) {
+    await this.getOfficiatedEvent(eventId, userId, true);
+
+    const player = await prisma.bookingParticipant.findFirst({
+      where: { id: playerId, eventId },
+    });
+
+    if (!player) {
+      throw new Error("Player not found in this event");
+    }
+
+    const updated = await prisma.bookingParticipant.update({
+      where: { id: playerId },
+      data: { rating: updateData.rating ?? null },
+      include: {
+        participant: {
+          select: {
+            participantId: true,
+            fullName: true,
+            gender: true,
+            dateOfBirth: true,
+            fideId: true,
+          },
+        },
+      },
+    });
+
+    return this.formatPlayer(updated);
+  }
+
+  /**
+   * Get a player's documents for verification (age, identity)
+   * @param {number} eventId - Event ID
+   * @param {number} playerId - Booking participant ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<object>} Player with document URLs
+   */
+  async getPlayerDocuments(eventId, playerId, userId) {
+    await this.getOfficiatedEvent(eventId, userId);
+
+    const player = await prisma.bookingParticipant.findFirst({
+      where: { id: playerId, eventId },
+      include: {
+        participant: {
+          select: {
+            participantId: true,
+            fullName: true,
+            gender: true,
+            dateOfBirth: true,
+            fideId: true,
+            passportPhoto: true,
+            birthCertificate: true,
+            aadharCard: true,
+          },
+        },
+      },
+    });
+
+    if (!player) {
+      throw new Error("Player not found in this event");
+    }
+
+    const { passportPhoto, birthCertificate, aadharCard } = player.participant;
+
+    return {
+      ...this.formatPlayer(player),
+      passportPhotoUrl: FileUtil.getFileUrl(passportPhoto),
+      birthCertificateUrl: FileUtil.getFileUrl(birthCertificate),
+      aadharCardUrl: FileUtil.getFileUrl(aadharCard),
+    };
+  }
+
+  /**
+   * Get all rounds of an event with pairings
+   * @param {number} eventId - Event ID
+   * @param {boolean} includeDrafts - Include unpublished rounds
+   * @returns {Promise<array>} Rounds
+   */
+  async getEventRounds(eventId, includeDrafts = true) {
+    return prisma.tournamentRound.findMany({
+      where: {
+        eventId,
+        ...(includeDrafts ? {} : { roundStatus: ROUND_STATUS.PUBLISHED }),
+      },
+      include: {
+        pairings: {
+          orderBy: { boardNumber: "asc" },
+        },
+        teamMatches: {
+          include: {
+            homeTeam: { select: { teamId: true, teamName: true } },
+            awayTeam: { select: { teamId: true, teamName: true } },
+            pairings: { orderBy: { boardNumber: "asc" } },
+          },
+          orderBy: { tableNumber: "asc" },
+        },
+      },
+      orderBy: { roundNumber: "asc" },
+    });
+  }
+
+  /**
+   * Build per-player pairing state from previous rounds
+   * @param {array} players - Booking participants
+   * @param {array} rounds - Previous rounds with pairings
+   * @returns {array} Player states for the pairing engine
+   */
+  buildPlayerStates(players, rounds) {
+    const states = new Map(
+      players.map((player) => [
+        player.id,
+        {
+          id: player.id,
+          pairingNumber: player.pairingNumber,
+          rating: player.rating,
+          score: 0,
+          colours: [],
+          opponents: new Set(),
+          hadBye: false,
+          lastFloat: null,
+        },
+      ])
+    );
+
+    for (const round of rounds) {
+      const scoresBefore = new Map(
+        [...states.values()].map((state) => [state.id, state.score])
+      );
+
+      for (const pairing of round.pairings) {
+        const white = states.get(pairing.whiteId);
+        const black = states.get(pairing.blackId);
+        const [whitePoints, blackPoints] = this.getResultPoints(pairing.result);
+
+        if (!pairing.blackId) {
+          // Only a pairing-allocated bye rules out another bye
+          if (white) {
+            white.score += whitePoints;
+            if (pairing.result === GAME_RESULTS.BYE) {
+              white.hadBye = true;
+              white.lastFloat = "DOWN";
+            }
+          }
+          continue;
+        }
+
+        const whiteBefore = scoresBefore.get(pairing.whiteId) || 0;
+        const blackBefore = scoresBefore.get(pairing.blackId) || 0;
+        const played = this.isPlayedResult(pairing.result);
+
+        if (white) {
+          white.score += whitePoints;
+          white.opponents.add(pairing.blackId);
+          if (played) white.colours.push(COLOURS.WHITE);
+          white.lastFloat =
+            whiteBefore > blackBefore ? "DOWN" : whiteBefore < blackBefore ? "UP" : null;
+        }
+
+        if (black) {
+          black.score += blackPoints;
+          black.opponents.add(pairing.whiteId);
+          if (played) black.colours.push(COLOURS.BLACK);
+          black.lastFloat =
+            blackBefore > whiteBefore ? "DOWN" : blackBefore < whiteBefore ? "UP" : null;
+        }
+      }
+    }
+
+    return [...states.values()];
+  }
+
+  /**
+   * Generate pairings for the next round (saved as draft)
+   * @param {number} eventId - Event ID
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<object>} Generated round
+   */
+  async generateRound(eventId, userId) {
+    const event = await this.getOfficiatedEvent(eventId, userId, true);
+
+    if (
+      event.eventStatus === EVENT_STATUS.COMPLETED ||
+      event.eventStatus === EVENT_STATUS.CANCELLED
+    ) {
+      throw new Error("Cannot generate rounds for a completed or cancelled event");
+    }
+
+    const rounds = await this.getEventRounds(eventId);
+    const lastRound = rounds[rounds.length - 1];
+
+    if (lastRound) {
+      if (lastRound.roundStatus !== ROUND_STATUS.PUBLISHED) {
+        throw new Error(
+          `Round ${lastRound.roundNumber} is still a draft. Publish or delete it first`
+        );
+      }
+
+      if (lastRound.pairings.some((pairing) => !pairing.result)) {
+        throw new Error(
+          `Results for round ${lastRound.roundNumber} are incomplete`
+        );
+      }
+    }
+
+    const roundNumber = rounds.length + 1;
+
+    if (event.totalRounds && roundNumber > event.totalRounds) {
+      throw new Error(
+        `All ${event.totalRounds} rounds have already been generated`
+      );
+    }
+
+    if (event.isTeamEvent) {
+      const teamMatches = await this.pairTeamRound(event, roundNumber, rounds);
+      await this.createTeamRound(event, roundNumber, teamMatches);
+
+      return this.getRound(eventId, roundNumber, userId);
+    }
+
+    let pairingData;
+    switch (event.tournamentFormat) {
+      case TOURNAMENT_FORMATS.ROUND_ROBIN:
+      case TOURNAMENT_FORMATS.DOUBLE_ROUND_ROBIN:
+        pairingData = await this.pairRoundRobinRound(event, roundNumber, rounds);
+        break;
+      case TOURNAMENT_FORMATS.KNOCKOUT:
+        pairingData = await this.pairKnockoutRound(event, roundNumber, rounds);
+        break;
+      default:
+        pairingData = await this.pairSwissRound(event, roundNumber, rounds);
+    }
+
+    const round = await prisma.tournamentRound.create({
+      data: {
+        eventId,
+        roundNumber,
+        roundStatus: ROUND_STATUS.DRAFT,
+        pairings: {
+          create: pairingData.map((pairing, index) => ({
+            eventId,
+            boardNumber: index + 1,
+            whiteId: pairing.whiteId,
+            blackId: pairing.blackId || null,
+            result: pairing.blackId ? null : GAME_RESULTS.BYE,
+            matchNumber: pairing.matchNumber ?? null,
+            gameType: pairing.gameType || GAME_TYPES.REGULAR,
+          })),
+        },
+      },
+    });
+
+    return this.getRound(eventId, round.roundNumber, userId);
+  }
+
+  /**
+   * Pair the next Swiss round
+   * @param {object} event - Event
+   * @param {number} roundNumber - Round being paired
+   * @param {array} rounds - Previous rounds with pairings
+   * @returns {Promise<array>} Pairings: [{ whiteId, blackId }] in board order
+   */
+  async pairSwissRound(event, roundNumber, rounds) {
+    // Seed by rating before round 1, append late entries afterwards
+    const players = await this.seedPlayers(event.eventId, roundNumber === 1);
+
+    if (players.length < 2) {
+      throw new Error("At least two confirmed players are required to pair a round");
+    }
+
+    const states = this.buildPlayerStates(players, rounds);
+    const { pairings, bye } = SwissPairing.pairRound(states, { roundNumber });
+
+    const pairingData = pairings.map((pairing) => ({
+      whiteId: pairing.white.id,
+      blackId: pairing.black.id,
+    }));
+
+    if (bye) {
+      pairingData.push({ whiteId: bye.id, blackId: null });
+    }
+
+    return pairingData;
+  }
+
+  /**
+   * Pair the next round of a (double) round-robin from the Berger tables
+   * The field is fixed by the seeding of round 1; the opponent of a player
+   * who has withdrawn since receives a bye.
+   * @param {object} event - Event
+   * @param {number} roundNumber - Round being paired
+   * @param {array} rounds - Previous rounds with pairings
+   * @returns {Promise<array>} Pairings: [{ whiteId, blackId }] in board order
+   */
+  async pairRoundRobinRound(event, roundNumber, rounds) {
+    const cycles =
+      event.tournamentFormat === TOURNAMENT_FORMATS.DOUBLE_ROUND_ROBIN ? 2 : 1;
+
+    const players =
+      roundNumber === 1
+        ? await this.seedPlayers(event.eventId, true)
+        : await this.getPairingPool(event.eventId);
+    const playerCount =
+      roundNumber === 1 ? players.length : this.getFieldSize(rounds[0]);
+
+    if (playerCount < 2) {
+      throw new Error("At least two confirmed players are required to pair a round");
+    }
+
+    if (roundNumber === 1) {
+      await prisma.event.update({
+        where: { eventId: event.eventId },
+        data: { totalRounds: RoundRobinPairing.getRoundCount(playerCount, cycles) },
+      });
+    }
+
+    const byNumber = new Map(players.map((p) => [p.pairingNumber, p]));
+    const pairingData = [];
+    const byes = [];
+
+    for (const pairing of RoundRobinPairing.pairRound(playerCount, roundNumber, cycles)) {
+      const white = byNumber.get(pairing.white);
+      const black = pairing.black ? byNumber.get(pairing.black) : null;
+
+      if (white && black) {
+        pairingData.push({ whiteId: white.id, blackId: black.id });
+      } else if (white || black) {
+        byes.push({ whiteId: (white || black).id, blackId: null });
+      }
+    }
+
+    return [...pairingData, ...byes];
+  }
+
+  /**
+   * Get number of players in the field of a round
+   * @param {object} round - Round with pairings
+   * @returns {number} Player count
+   */
+  getFieldSize(round) {
+    const ids = new Set();
+    for (const pairing of round.pairings) {
+      ids.add(pairing.whiteId);
+      if (pairing.blackId) ids.add(pairing.blackId);
+    }
+    return ids.size;
+  }
+
+  /**
+   * Pair the next knockout round
+   * Round 1 follows the seeding; later rounds pair the match winners.
+   * @param {object} event - Event
+   * @param {number} roundNumber - Round being paired
+   * @param {array} rounds - Previous rounds with pairings
+   * @returns {Promise<array>} Pairings: [{ whiteId, blackId, matchNumber, gameType }] in board order
+   */
+  async pairKnockoutRound(event, roundNumber, rounds) {
+    let matches;
+
+    if (roundNumber === 1) {
+      const players = await this.seedPlayers(event.eventId, true);
+
+      if (players.length < 2) {
+        throw new Error("At least two confirmed players are required to pair a round");
+      }
+
+      await prisma.event.update({
+        where: { eventId: event.eventId },
+        data: { totalRounds: KnockoutPairing.getRoundCount(players.length) },
+      });
+
+      matches = KnockoutPairing.pairFirstRound(players);
+    } else {
+      const players = await prisma.bookingParticipant.findMany({
+        where: { eventId: event.eventId },
+        select: { id: true, pairingNumber: true },
+      });
+      const playersById = new Map(players.map((p) => [p.id, p]));
+      const lastRound = rounds[rounds.length - 1];
+
+      const winners = this.getMatches(lastRound).map((match) => {
+        const { winnerId } = this.getMatchResult(match.games);
+
+        if (!winnerId) {
+          throw new Error(
+            `Match ${match.matchNumber} of round ${lastRound.roundNumber} is undecided. Add tiebreak games first`
+          );
+        }
+
+        return playersById.get(winnerId);
+      });
+
+      matches = KnockoutPairing.pairNextRound(winners);
+    }
+
+    return matches
+      .flatMap((match) =>
+        KnockoutPairing.buildMatchGames(match, event.matchGames || 1)
+      )
+      .map((game) => ({
+        whiteId: game.white.id,
+        blackId: game.black?.id || null,
+        matchNumber: game.matchNumber,
+        gameType: game.gameType,
+      }));
+  }
+
+  /**
+   * Group the pairings of a knockout round into matches
+   * @param {object} round - Round with pairings
+   * @returns {array} Matches: [{ matchNumber, games }] in match order
+   */
+  getMatches(round) {
+    const matches = new Map();
+
+    for (const pairing of round.pairings) {
+      if (!matches.has(pairing.matchNumber)) {
+        matches.set(pairing.matchNumber, {
+          matchNumber: pairing.matchNumber,
+          games: [],
+        });
+      }
+      matches.get(pairing.matchNumber).games.push(pairing);
+    }
+
+    return [...matches.values()]
+      .map((match) => ({
+        ...match,
+        games: match.games.sort((a, b) => a.boardNumber - b.boardNumber),
+      }))
+      .sort((a, b) => a.matchNumber - b.matchNumber);
+  }
+
+  /**
+   * Get the score and winner of a knockout match
+   * Regular and tiebreak games count towards the score; an armageddon game
+   * decides the match, with a draw going to black.
+   * @param {array} games - Pairings of the match in board order
+   * @returns {object} { scores: { [playerId]: points }, winnerId, isComplete }
+   */
+  getMatchResult(games) {
+    const [first] = games;
+
+    if (!first.blackId) {
+      return {
+        scores: { [first.whiteId]: 0 },
+        winnerId: first.whiteId,
+        isComplete: true,
+      };
+    }
+
+    const scores = { [first.whiteId]: 0, [first.blackId]: 0 };
+    let armageddon = null;
+
+    for (const game of games) {
+      if (!game.result) continue;
+
+      if (game.gameType === GAME_TYPES.ARMAGEDDON) {
+        armageddon = game;
+        continue;
+      }
+
+      const [whitePoints, blackPoints] = this.getResultPoints(game.result);
+      scores[game.whiteId] += whitePoints;
+      scores[game.blackId] += blackPoints;
+    }
+
+    const isComplete = games.every((game) => game.result);
+    if (!isComplete) {
+      return { scores, winnerId: null, isComplete };
+    }
+
+    if (armageddon) {
+      const [whitePoints, blackPoints] = this.getResultPoints(armageddon.result);
+      if (whitePoints === 0 && blackPoints === 0) {
+        return { scores, winnerId: null, isComplete };
+      }
+
+      const winnerId =
+        whitePoints > blackPoints ? armageddon.whiteId : armageddon.blackId;
+      return { scores, winnerId, isComplete };
+    }
+
+    const [playerA, playerB] = [first.whiteId, first.blackId];
+    const winnerId =
+      scores[playerA] > scores[playerB]
+        ? playerA
+        : scores[playerB] > scores[playerA]
+          ? playerB
+          : null;
+
+    return { scores, winnerId, isComplete };
+  }
+
+  /**
+   * Add tiebreak or armageddon games to a tied knockout match
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} matchNumber - Match number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {object} gameData - { gameType, games, whiteId }
+   * @returns {Promise<object>} Updated round
+   */
+  async addMatchGames(eventId, roundNumber, matchNumber, userId, gameData) {
+    const event = await this.getOfficiatedEvent(eventId, userId);
+    const { gameType, whiteId } = gameData;
+
+    if (event.tournamentFormat !== TOURNAMENT_FORMATS.KNOCKOUT) {
+      throw new Error("Tiebreak games can only be added in knockout events");
+    }
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+      include: { pairings: { orderBy: { boardNumber: "asc" } } },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.PUBLISHED) {
+      throw new Error("Tiebreak games can only be added to published rounds");
+    }
+
+    const match = this.getMatches(round).find((m) => m.matchNumber === matchNumber);
+
+    if (!match) {
+      throw new Error(`Match ${matchNumber} not found in round ${roundNumber}`);
+    }
+
+    const { winnerId, isComplete } = this.getMatchResult(match.games);
+
+    if (!isComplete) {
+      throw new Error(`Results for match ${matchNumber} are incomplete`);
+    }
+
+    if (winnerId) {
+      throw new Error(`Match ${matchNumber} is already decided`);
+    }
+
+    const lastGame = match.games[match.games.length - 1];
+    const playerIds = [lastGame.whiteId, lastGame.blackId];
+
+    if (whiteId && !playerIds.includes(whiteId)) {
+      throw new Error("White player must be one of the players of the match");
+    }
+
+    // Colours keep alternating unless white is chosen (e.g. by lot for armageddon)
+    const firstWhiteId = whiteId || lastGame.blackId;
+    const games = KnockoutPairing.buildMatchGames(
+      {
+        matchNumber,
+        players: [
+          { id: firstWhiteId },
+          { id: playerIds.find((id) => id !== firstWhiteId) },
+        ],
+      },
+      gameType === GAME_TYPES.ARMAGEDDON ? 1 : gameData.games || 2,
+      { gameType }
+    );
+
+    const lastBoard = round.pairings[round.pairings.length - 1].boardNumber;
+
+    await prisma.pairing.createMany({
+      data: games.map((game, index) => ({
+        roundId: round.roundId,
+        eventId,
+        boardNumber: lastBoard + index + 1,
+        whiteId: game.white.id,
+        blackId: game.black.id,
+        result: null,
+        matchNumber,
+        gameType,
+      })),
+    });
+
+    return this.getRound(eventId, roundNumber, userId);
+  }
+
+  /**
+   * Get confirmed team entries of a team event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<array>} Bookings with team and players in board order
+   */
+  async getTeamEntries(eventId) {
+    return prisma.booking.findMany({
+      where: {
+        eventId,
+        teamId: { not: null },
+        bookingStatus: BOOKING_STATUS.CONFIRMED,
+      },
+      include: {
+        team: { select: { teamId: true, teamName: true, institution: true } },
+        participants: {
+          include: {
+            participant: {
+              select: { fullName: true, standardRating: true },
+            },
+          },
+          orderBy: { boardNumber: "asc" },
+        },
+      },
+      orderBy: [{ pairingNumber: "asc" }, { bookingId: "asc" }],
+    });
+  }
+
+  /**
+   * Assign team pairing numbers by average rating of the top boards
+   * Before round 1 all teams are re-seeded; late entries are appended.
+   * @param {object} event - Team event
+   * @param {boolean} reseed - Re-seed all teams instead of appending
+   * @returns {Promise<array>} Seeded team entries
+   */
+  async seedTeams(event, reseed = false) {
+    const entries = await this.getTeamEntries(event.eventId);
+
+    const teamRating = (entry) => {
+      const ratings = entry.participants
+        .slice(0, event.teamSize)
+        .map((p) => p.rating ?? p.participant.standardRating ?? 0);
+      return ratings.reduce((sum, rating) => sum + rating, 0) / (ratings.length || 1);
+    };
+    const byRating = (a, b) =>
+      teamRating(b) - teamRating(a) || a.team.teamName.localeCompare(b.team.teamName);
+
+    const toSeed = reseed
+      ? [...entries].sort(byRating)
+      : entries.filter((entry) => !entry.pairingNumber).sort(byRating);
+
+    let nextNumber = reseed
+      ? 1
+      : Math.max(0, ...entries.map((entry) => entry.pairingNumber || 0)) + 1;
+
+    await prisma.$transaction(
+      toSeed.map((entry) =>
+        prisma.booking.update({
+          where: { bookingId: entry.bookingId },
+          data: { pairingNumber: nextNumber++ },
+        })
+      )
+    );
+
+    return this.getTeamEntries(event.eventId);
+  }
+
+  /**
+   * Get game points, match points and completion of a team match
+   * The home team has white on odd boards. A bye counts as a match won
+   * with every board won.
+   * @param {object} teamMatch - Team match with pairings in board order
+   * @param {number} teamSize - Boards per team
+   * @returns {object} { gamePoints, matchPoints, isComplete } keyed by team ID
+   */
+  getTeamMatchResult(teamMatch, teamSize) {
+    const { homeTeamId, awayTeamId } = teamMatch;
+
+    if (!awayTeamId) {
+      return {
+        gamePoints: { [homeTeamId]: teamSize },
+        matchPoints: { [homeTeamId]: TEAM_MATCH_POINTS.WIN },
+        isComplete: true,
+      };
+    }
+
+    const gamePoints = { [homeTeamId]: 0, [awayTeamId]: 0 };
+
+    teamMatch.pairings.forEach((pairing, index) => {
+      const [whitePoints, blackPoints] = this.getResultPoints(pairing.result);
+      const homeIsWhite = index % 2 === 0;
+
+      gamePoints[homeTeamId] += homeIsWhite ? whitePoints : blackPoints;
+      gamePoints[awayTeamId] += homeIsWhite ? blackPoints : whitePoints;
+    });
+
+    const isComplete = teamMatch.pairings.every((pairing) => pairing.result);
+    const difference = gamePoints[homeTeamId] - gamePoints[awayTeamId];
+    const pointsFor = (diff) =>
+      diff > 0
+        ? TEAM_MATCH_POINTS.WIN
+        : diff < 0
+          ? TEAM_MATCH_POINTS.LOSS
+          : TEAM_MATCH_POINTS.DRAW;
+
+    return {
+      gamePoints,
+      matchPoints: {
+        [homeTeamId]: pointsFor(difference),
+        [awayTeamId]: pointsFor(-difference),
+      },
+      isComplete,
+    };
+  }
+
+  /**
+   * Build per-team pairing state from previous rounds
+   * Teams are scored by the event's primary team score; the home team
+   * counts as having white.
+   * @param {object} event - Team event
+   * @param {array} entries - Team entries
+   * @param {array} rounds - Previous rounds with team matches
+   * @returns {array} Team states for the pairing engine
+   */
+  buildTeamStates(event, entries, rounds) {
+    const scoreKey =
+      event.teamScoring === TEAM_SCORING.GAME_POINTS ? "gamePoints" : "matchPoints";
+    const states = new Map(
+      entries.map((entry) => [
+        entry.teamId,
+        {
+          id: entry.teamId,
+          pairingNumber: entry.pairingNumber,
+          score: 0,
+          colours: [],
+          opponents: new Set(),
+          hadBye: false,
+          lastFloat: null,
+        },
+      ])
+    );
+
+    for (const round of rounds) {
+      for (const teamMatch of round.teamMatches) {
+        const result = this.getTeamMatchResult(teamMatch, event.teamSize);
+        const home = states.get(teamMatch.homeTeamId);
+        const away = states.get(teamMatch.awayTeamId);
+
+        if (home) {
+          home.score += result[scoreKey][teamMatch.homeTeamId];
+          if (!teamMatch.awayTeamId) {
+            home.hadBye = true;
+            continue;
+          }
+          home.opponents.add(teamMatch.awayTeamId);
+          home.colours.push(COLOURS.WHITE);
+        }
+
+        if (away) {
+          away.score += result[scoreKey][teamMatch.awayTeamId];
+          away.opponents.add(teamMatch.homeTeamId);
+          away.colours.push(COLOURS.BLACK);
+        }
+      }
+    }
+
+    return [...states.values()];
+  }
+
+  /**
+   * Pair the next round of a team event
+   * Teams are paired with the event's format (Swiss or round-robin); each
+   * team fields its first boards in roster order.
+   * @param {object} event - Team event
+   * @param {number} roundNumber - Round being paired
+   * @param {array} rounds - Previous rounds with team matches
+   * @returns {Promise<array>} Team matches: [{ homeTeamId, awayTeamId, boards: [{ whiteId, blackId }] }]
+   */
+  async pairTeamRound(event, roundNumber, rounds) {
+    if (event.tournamentFormat === TOURNAMENT_FORMATS.KNOCKOUT) {
+      throw new Error("Knockout pairing is not supported for team events");
+    }
+
+    const isRoundRobin = event.tournamentFormat !== TOURNAMENT_FORMATS.SWISS;
+    const entries =
+      isRoundRobin && roundNumber > 1
+        ? await this.getTeamEntries(event.eventId)
+        : await this.seedTeams(event, roundNumber === 1);
+
+    if (roundNumber === 1 && entries.length < 2) {
+      throw new Error("At least two confirmed teams are required to pair a round");
+    }
+
+    const entriesByTeam = new Map(entries.map((entry) => [entry.teamId, entry]));
+    let matches;
+
+    if (isRoundRobin) {
+      const cycles =
+        event.tournamentFormat === TOURNAMENT_FORMATS.DOUBLE_ROUND_ROBIN ? 2 : 1;
+      // The field is fixed by the teams paired in round 1
+      const teamCount =
+        roundNumber === 1
+          ? entries.length
+          : rounds[0].teamMatches.reduce(
+              (count, teamMatch) => count + (teamMatch.awayTeamId ? 2 : 1),
+              0
+            );
+
+      if (roundNumber === 1) {
+        await prisma.event.update({
+          where: { eventId: event.eventId },
+          data: { totalRounds: RoundRobinPairing.getRoundCount(teamCount, cycles) },
+        });
+      }
+
+      const byNumber = new Map(entries.map((entry) => [entry.pairingNumber, entry]));
+
+      // The opponent of a withdrawn team receives a bye
+      matches = RoundRobinPairing.pairRound(teamCount, roundNumber, cycles)
+        .map((pairing) => [byNumber.get(pairing.white), byNumber.get(pairing.black)])
+        .map(([home, away]) => (home ? [home, away || null] : [away, null]))
+        .filter(([home]) => home);
+    } else {
+      const states = this.buildTeamStates(event, entries, rounds);
+      const { pairings, bye } = SwissPairing.pairRound(states, { roundNumber });
+
+      matches = pairings.map((pairing) => [
+        entriesByTeam.get(pairing.white.id),
+        entriesByTeam.get(pairing.black.id),
+      ]);
+      if (bye) matches.push([entriesByTeam.get(bye.id), null]);
+    }
+
+    // Byes are listed last
+    matches.sort(([, awayA], [, awayB]) => !awayA - !awayB);
+
+    return matches.map(([home, away]) => ({
+      homeTeamId: home.teamId,
+      awayTeamId: away?.teamId ?? null,
+      boards: away
+        ? this.buildTeamBoards(
+            home.participants.slice(0, event.teamSize).map((p) => p.id),
+            away.participants.slice(0, event.teamSize).map((p) => p.id)
+          )
+        : [],
+    }));
+  }
+
+  /**
+   * Build board pairings of a team match (home team white on odd boards)
+   * @param {array} homeLineup - Home player IDs in board order
+   * @param {array} awayLineup - Away player IDs in board order
+   * @returns {array} Boards: [{ whiteId, blackId }]
+   */
+  buildTeamBoards(homeLineup, awayLineup) {
+    return homeLineup.map((homeId, index) =>
+      index % 2 === 0
+        ? { whiteId: homeId, blackId: awayLineup[index] }
+        : { whiteId: awayLineup[index], blackId: homeId }
+    );
+  }
+
+  /**
+   * Save a drafted team round
+   * Boards are numbered through the round (table 1 boards first).
+   * @param {object} event - Team event
+   * @param {number} roundNumber - Round number
+   * @param {array} teamMatches - Team matches with boards
+   * @returns {Promise<object>} Created round
+   */
+  async createTeamRound(event, roundNumber, teamMatches) {
+    return prisma.$transaction(async (tx) => {
+      const round = await tx.tournamentRound.create({
+        data: {
+          eventId: event.eventId,
+          roundNumber,
+          roundStatus: ROUND_STATUS.DRAFT,
+        },
+      });
+
+      let boardNumber = 0;
+      for (const [index, teamMatch] of teamMatches.entries()) {
+        await tx.teamMatch.create({
+          data: {
+            roundId: round.roundId,
+            eventId: event.eventId,
+            tableNumber: index + 1,
+            homeTeamId: teamMatch.homeTeamId,
+            awayTeamId: teamMatch.awayTeamId,
+            pairings: {
+              create: teamMatch.boards.map((board) => ({
+                roundId: round.roundId,
+                eventId: event.eventId,
+                boardNumber: ++boardNumber,
+                whiteId: board.whiteId,
+                blackId: board.blackId,
+                result: null,
+              })),
+            },
+          },
+        });
+      }
+
+      return round;
+    });
+  }
+
+  /**
+   * Change a team's lineup in a draft round (e.g. to field a reserve)
+   * Players must keep their roster board order.
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} tableNumber - Table number of the team match
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {object} lineupData - { teamId, playerIds } in board order
+   * @returns {Promise<object>} Updated round
+   */
+  async updateLineup(eventId, roundNumber, tableNumber, userId, lineupData) {
+    const event = await this.getOfficiatedEvent(eventId, userId);
+    const { teamId, playerIds } = lineupData;
+
+    if (!event.isTeamEvent) {
+      throw new Error("Lineups can only be changed in team events");
+    }
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+      include: {
+        teamMatches: {
+          where: { tableNumber },
+          include: { pairings: { orderBy: { boardNumber: "asc" } } },
+        },
+      },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.DRAFT) {
+      throw new Error("Lineups can only be changed in draft rounds");
+    }
+
+    const [teamMatch] = round.teamMatches;
+
+    if (!teamMatch || !teamMatch.awayTeamId) {
+      throw new Error(`Table ${tableNumber} has no team match in round ${roundNumber}`);
+    }
+
+    if (![teamMatch.homeTeamId, teamMatch.awayTeamId].includes(teamId)) {
+      throw new Error(`Team ${teamId} does not play at table ${tableNumber}`);
+    }
+
+    if (playerIds.length !== teamMatch.pairings.length) {
+      throw new Error(`A lineup needs exactly ${teamMatch.pairings.length} players`);
+    }
+
+    const entry = (await this.getTeamEntries(eventId)).find(
+      (e) => e.teamId === teamId
+    );
+    const rosterBoards = new Map(
+      (entry?.participants || []).map((p) => [p.id, p.boardNumber])
+    );
+
+    if (!playerIds.every((id) => rosterBoards.has(id))) {
+      throw new Error("All lineup players must be registered for this team");
+    }
+
+    const inOrder = playerIds.every(
+      (id, index) => index === 0 || rosterBoards.get(playerIds[index - 1]) < rosterBoards.get(id)
+    );
+
+    if (!inOrder) {
+      throw new Error("Lineup must follow the team's board order");
+    }
+
+    const isHome = teamMatch.homeTeamId === teamId;
+
+    await prisma.$transaction(
+      teamMatch.pairings.map((pairing, index) => {
+        const teamHasWhite = (index % 2 === 0) === isHome;
+        return prisma.pairing.update({
+          where: { pairingId: pairing.pairingId },
+          data: teamHasWhite
+            ? { whiteId: playerIds[index] }
+            : { blackId: playerIds[index] },
+        });
+      })
+    );
+
+    return this.getRound(eventId, roundNumber, userId);
+  }
+
+  /**
+   * Get rounds of an event
+   * Drafts are only visible to the organizer and arbiters of the event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - Requesting user ID
+   * @returns {Promise<array>} Rounds with pairings
+   */
+  async getRounds(eventId, userId = null) {
+    const isOfficial = await this.isEventOfficial(eventId, userId);
+    const rounds = await this.getEventRounds(eventId, isOfficial);
+    const players = await this.getPairingPool(eventId);
+
+    return rounds.map((round) => this.formatRound(round, players, rounds));
+  }
+
+  /**
+   * Get a single round
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number|null} userId - Requesting user ID
+   * @returns {Promise<object>} Round with pairings
+   */
+  async getRound(eventId, roundNumber, userId = null) {
+    const isOfficial = await this.isEventOfficial(eventId, userId);
+    const rounds = await this.getEventRounds(eventId);
+    const round = rounds.find((r) => r.roundNumber === roundNumber);
+
+    if (!round || (!isOfficial && round.roundStatus !== ROUND_STATUS.PUBLISHED)) {
+      throw new Error("Round not found");
+    }
+
+    const players = await this.getPairingPool(eventId);
+    const formatted = this.formatRound(round, players, rounds);
+
+    if (isOfficial && round.roundStatus === ROUND_STATUS.DRAFT) {
+      const { tournamentFormat, isTeamEvent } = await prisma.event.findUnique({
+        where: { eventId },
+        select: { tournamentFormat: true, isTeamEvent: true },
+      });
+      // Team pairings are checked per team match, not per board
+      formatted.warnings = isTeamEvent
+        ? []
+        : this.getPairingWarnings(round, players, rounds, tournamentFormat);
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Get the full Berger schedule of a round-robin event
+   * Available once round 1 is published, which fixes the pairing numbers.
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Schedule with all rounds
+   */
+  async getSchedule(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: { eventId: true, tournamentFormat: true },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    const cycles = {
+      [TOURNAMENT_FORMATS.ROUND_ROBIN]: 1,
+      [TOURNAMENT_FORMATS.DOUBLE_ROUND_ROBIN]: 2,
+    }[event.tournamentFormat];
+
+    if (!cycles) {
+      throw new Error("Schedules are only available for round-robin events");
+    }
+
+    const [firstRound] = await this.getEventRounds(eventId, false);
+
+    if (!firstRound) {
+      throw new Error("The schedule is available once round 1 is published");
+    }
+
+    const playerIds = firstRound.pairings.flatMap((pairing) =>
+      pairing.blackId ? [pairing.whiteId, pairing.blackId] : [pairing.whiteId]
+    );
+    const players = await prisma.bookingParticipant.findMany({
+      where: { id: { in: playerIds } },
+      include: { participant: { select: { fullName: true } } },
+    });
+    const byNumber = new Map(players.map((p) => [p.pairingNumber, p]));
+
+    const formatSide = (pairingNumber) => {
+      const player = byNumber.get(pairingNumber);
+      if (!player) return null;
+      return {
+        playerId: player.id,
+        pairingNumber,
+        fullName: player.participant.fullName,
+      };
+    };
+
+    const schedule = RoundRobinPairing.getSchedule(playerIds.length, cycles);
+
+    return {
+      eventId,
+      tournamentFormat: event.tournamentFormat,
+      totalRounds: schedule.length,
+      rounds: schedule.map((round) => ({
+        roundNumber: round.roundNumber,
+        pairings: round.pairings.map((pairing, index) => ({
+          boardNumber: index + 1,
+          white: formatSide(pairing.white),
+          black: formatSide(pairing.black),
+          isBye: !pairing.black,
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Manually adjust the pairings of a draft round
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {array} pairings - New pairings: [{ whiteId, blackId }] in board order
+   * @returns {Promise<object>} Updated round
+   */
+  async updatePairings(eventId, roundNumber, userId, pairings) {
+    const event = await this.getOfficiatedEvent(eventId, userId, true);
+
+    if (event.tournamentFormat === TOURNAMENT_FORMATS.KNOCKOUT) {
+      throw new Error("Knockout pairings follow the bracket and cannot be adjusted");
+    }
+
+    if (event.isTeamEvent) {
+      throw new Error("Team pairings cannot be adjusted. Change a team's lineup instead");
+    }
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.DRAFT) {
+      throw new Error("Only draft rounds can be adjusted");
+    }
+
+    const players = await this.getPairingPool(eventId);
+    const playerIds = new Set(players.map((p) => p.id));
+    const seen = new Set();
+
+    for (const pairing of pairings) {
+      for (const id of [pairing.whiteId, pairing.blackId]) {
+        if (id === null || id === undefined) continue;
+
+        if (!playerIds.has(id)) {
+          throw new Error(`Player ${id} is not a confirmed player in this event`);
+        }
+        if (seen.has(id)) {
+          throw new Error(`Player ${id} appears in more than one pairing`);
+        }
+        seen.add(id);
+      }
+    }
+
+    await prisma.$transaction([
+      prisma.pairing.deleteMany({ where: { roundId: round.roundId } }),
+      prisma.pairing.createMany({
+        data: pairings.map((pairing, index) => ({
+          roundId: round.roundId,
+          eventId,
+          boardNumber: index + 1,
+          whiteId: pairing.whiteId,
+          blackId: pairing.blackId || null,
+          result: pairing.blackId ? null : GAME_RESULTS.BYE,
+        })),
+      }),
+    ]);
+
+    return this.getRound(eventId, roundNumber, userId);
+  }
+
+  /**
+   * Publish a draft round
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<object>} Published round
+   */
+  async publishRound(eventId, roundNumber, userId) {
+    const event = await this.getOfficiatedEvent(eventId, userId, true);
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus === ROUND_STATUS.PUBLISHED) {
+      throw new Error("Round is already published");
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.tournamentRound.update({
+        where: { roundId: round.roundId },
+        data: {
+          roundStatus: ROUND_STATUS.PUBLISHED,
+          publishedAt: new Date(),
+        },
+      });
+
+      // Publishing the first round starts the tournament
+      if (event.eventStatus === EVENT_STATUS.UPCOMING) {
+        await tx.event.update({
+          where: { eventId },
+          data: { eventStatus: EVENT_STATUS.IN_PROGRESS },
+        });
+      }
+    });
+
+    return this.getRound(eventId, roundNumber, userId);
+  }
+
+  /**
+   * Record results for boards of a published round
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @param {array} results - [{ boardNumber, result }], null result clears a board
+   * @returns {Promise<object>} Updated round
+   */
+  async recordResults(eventId, roundNumber, userId, results) {
+    await this.getOfficiatedEvent(eventId, userId);
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+      include: { pairings: true },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.PUBLISHED) {
+      throw new Error("Results can only be entered for published rounds");
+    }
+
+    const boards = new Map(round.pairings.map((p) => [p.boardNumber, p]));
+    const updates = [];
+
+    for (const { boardNumber, result } of results) {
+      const pairing = boards.get(boardNumber);
+
+      if (!pairing) {
+        throw new Error(`Board ${boardNumber} not found in round ${roundNumber}`);
+      }
+
+      const isByeResult =
+        result === GAME_RESULTS.BYE || result === GAME_RESULTS.HALF_POINT_BYE;
+
+      if (!pairing.blackId && !isByeResult) {
+        throw new Error(`Board ${boardNumber} is a bye and needs a bye result`);
+      }
+
+      if (pairing.blackId && isByeResult) {
+        throw new Error(`Board ${boardNumber} is not a bye`);
+      }
+
+      updates.push(
+        prisma.pairing.update({
+          where: { pairingId: pairing.pairingId },
+          data: { result },
+        })
+      );
+    }
+
+    await prisma.$transaction(updates);
+
+    return this.getRound(eventId, roundNumber, userId);
+  }
+
+  /**
+   * Delete a draft round (latest round only)
+   * @param {number} eventId - Event ID
+   * @param {number} roundNumber - Round number
+   * @param {number} userId - Organizer or arbiter user ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async deleteRound(eventId, roundNumber, userId) {
+    await this.getOfficiatedEvent(eventId, userId, true);
+
+    const round = await prisma.tournamentRound.findFirst({
+      where: { eventId, roundNumber },
+    });
+
+    if (!round) {
+      throw new Error("Round not found");
+    }
+
+    if (round.roundStatus !== ROUND_STATUS.DRAFT) {
+      throw new Error("Published rounds cannot be deleted");
+    }
+
+    const laterRounds = await prisma.tournamentRound.count({
+      where: { eventId, roundNumber: { gt: roundNumber } },
+    });
+
+    if (laterRounds > 0) {
+      throw new Error("Only the latest round can be deleted");
+    }
+
+    await prisma.tournamentRound.delete({
+      where: { roundId: round.roundId },
+    });
+
+    return true;
+  }
+
+  /**
+   * Check if user is the organizer or an assigned arbiter of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} userId - User ID
+   * @returns {Promise<boolean>} True if organizer or arbiter
+   */
+  async isEventOfficial(eventId, userId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        organizerId: true,
+        arbiters: { where: { userId: userId || 0 }, select: { id: true } },
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    return !!userId && (event.organizerId === userId || event.arbiters.length > 0);
+  }
+
+  /**
+   * Review warnings for a draft round (rematches, colour problems, unpaired players)
+   * Bye, rematch and colour checks only apply to Swiss events; knockout
+   * rounds only pair the players still in the bracket.
+   * @param {object} round - Round with pairings
+   * @param {array} players - Booking participants
+   * @param {array} rounds - All rounds of the event
+   * @param {string} tournamentFormat - Tournament format of the event
+   * @returns {array} Warning messages
+   */
+  getPairingWarnings(
+    round,
+    players,
+    rounds,
+    tournamentFormat = TOURNAMENT_FORMATS.SWISS
+  ) {
+    const isSwiss = tournamentFormat === TOURNAMENT_FORMATS.SWISS;
+    const previousRounds = rounds.filter((r) => r.roundNumber < round.roundNumber);
+    const states = new Map(
+      this.buildPlayerStates(players, previousRounds).map((s) => [s.id, s])
+    );
+    const names = new Map(players.map((p) => [p.id, p.participant.fullName]));
+    const paired = new Set();
+    const warnings = [];
+
+    for (const pairing of round.pairings) {
+      paired.add(pairing.whiteId);
+      if (pairing.blackId) paired.add(pairing.blackId);
+
+      if (!isSwiss) continue;
+
+      const white = states.get(pairing.whiteId);
+      const black = states.get(pairing.blackId);
+
+      if (!pairing.blackId) {
+        if (white?.hadBye) {
+          warnings.push(`${names.get(pairing.whiteId)} already received a bye`);
+        }
+        continue;
+      }
+
+      if (!white || !black) continue;
+
+      if (white.opponents.has(black.id)) {
+        warnings.push(
+          `Board ${pairing.boardNumber}: ${names.get(white.id)} and ${names.get(black.id)} have already played`
+        );
+      }
+
+      if (SwissPairing.mustPlay(white, COLOURS.BLACK)) {
+        warnings.push(`Board ${pairing.boardNumber}: ${names.get(white.id)} must play black`);
+      }
+      if (SwissPairing.mustPlay(black, COLOURS.WHITE)) {
+        warnings.push(`Board ${pairing.boardNumber}: ${names.get(black.id)} must play white`);
+      }
+    }
+
+    // Absent players are reported once, not as unpaired
+    const checkInOpen = this.isCheckInOpen(players);
+    const present = checkInOpen
+      ? players.filter((player) => player.checkedInAt)
+      : players;
+    const unpaired =
+      tournamentFormat === TOURNAMENT_FORMATS.KNOCKOUT
+        ? []
+        : present.filter((player) => !paired.has(player.id));
+
+    for (const player of unpaired) {
+      warnings.push(`${player.participant.fullName} is not paired in this round`);
+    }
+
+    const absentCount = players.length - present.length;
+    if (absentCount > 0) {
+      warnings.push(`${absentCount} registered player(s) have not checked in`);
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Format round response with player details and scores before the round
+   * @param {object} round - Round with pairings
+   * @param {array} players - Booking participants
+   * @param {array} rounds - All rounds of the event
+   * @returns {object} Formatted round
+   */
+  formatRound(round, players, rounds) {
+    const previousRounds = rounds.filter((r) => r.roundNumber < round.roundNumber);
+    const scores = new Map(
+      this.buildPlayerStates(players, previousRounds).map((s) => [s.id, s.score])
+    );
+    const playersById = new Map(players.map((p) => [p.id, p]));
+
+    const formatSide = (playerId) => {
+      if (!playerId) return null;
+      const player = playersById.get(playerId);
+      return {
+        playerId,
+        pairingNumber: player?.pairingNumber ?? null,
+        fullName: player?.participant.fullName ?? null,
+        rating: player?.rating ?? null,
+        score: scores.get(playerId) ?? 0,
+      };
+    };
+
+    const formatted = {
+      roundId: round.roundId,
+      eventId: round.eventId,
+      roundNumber: round.roundNumber,
+      roundStatus: round.roundStatus,
+      publishedAt: round.publishedAt,
+      pairings: round.pairings.map((pairing) => ({
+        pairingId: pairing.pairingId,
+        boardNumber: pairing.boardNumber,
+        white: formatSide(pairing.whiteId),
+        black: formatSide(pairing.blackId),
+        isBye: !pairing.blackId,
+        result: pairing.result,
+        matchNumber: pairing.matchNumber,
+        gameType: pairing.gameType,
+        teamMatchId: pairing.teamMatchId,
+      })),
+    };
+
+    if (round.teamMatches?.length) {
+      const teamSize = Math.max(...round.teamMatches.map((m) => m.pairings.length));
+
+      formatted.teamMatches = round.teamMatches.map((teamMatch) => {
+        const { gamePoints, matchPoints, isComplete } = this.getTeamMatchResult(
+          teamMatch,
+          teamSize
+        );
+        const formatTeam = (team) =>
+          team && {
+            teamId: team.teamId,
+            teamName: team.teamName,
+            gamePoints: gamePoints[team.teamId],
+            matchPoints: isComplete ? matchPoints[team.teamId] : null,
+          };
+
+        return {
+          teamMatchId: teamMatch.teamMatchId,
+          tableNumber: teamMatch.tableNumber,
+          home: formatTeam(teamMatch.homeTeam),
+          away: formatTeam(teamMatch.awayTeam),
+          isBye: !teamMatch.awayTeamId,
+          isComplete,
+          boards: teamMatch.pairings.map((pairing) => pairing.boardNumber),
+        };
+      });
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format player response
+   * @param {object} player - Booking participant with participant
+   * @returns {object} Formatted player
+   */
+  formatPlayer(player) {
+    return {
+      playerId: player.id,
+      bookingId: player.bookingId,
+      participantId: player.participantId,
+      pairingNumber: player.pairingNumber,
+      rating: player.rating,
+      checkedInAt: player.checkedInAt,
+      fullName: player.participant.fullName,
+      gender: player.participant.gender,
+      dateOfBirth: player.participant.dateOfBirth,
+      fideId: player.participant.fideId,
+    };
+  }
+}
+
+module.exports = new RoundService();
@@ -0,0 +1,111 @@
+/**
+ * Round-Robin Pairing Engine
+ * Full schedules from the FIDE Berger tables (C.05 Annex 1)
+ */
+
+class RoundRobinPairing {
+  /**
+   * Get number of rounds for a round-robin
+   * An odd field gets a dummy player, so every player sits out once per cycle.
+   * @param {number} playerCount - Number of players
+   * @param {number} cycles - 1 for single, 2 for double round-robin
+   * @returns {number} Number of rounds
+   */
+  getRoundCount(playerCount, cycles = 1) {
+    return (this.getTableSize(playerCount) - 1) * cycles;
+  }
+
+  /**
+   * Get Berger table size (player count rounded up to even)
+   * @param {number} playerCount - Number of players
+   * @returns {number} Table size
+   */
+  getTableSize(playerCount) {
+    return playerCount % 2 === 0 ? playerCount : playerCount + 1;
+  }
+
+  /**
+   * Pair a round from the Berger table
+   * In the second cycle of a double round-robin the first cycle is
+   * repeated with colours reversed.
+   * @param {number} playerCount - Number of players
+   * @param {number} roundNumber - Round being paired (1-based)
+   * @param {number} cycles - 1 for single, 2 for double round-robin
+   * @returns {array} Pairings by pairing number: [{ white, black }], black null for a bye
+   */
+  pairRound(playerCount, roundNumber, cycles = 1) {
+    if (playerCount < 2) {
+      throw new Error("At least two players are required to generate pairings");
+    }
+
+    const size = this.getTableSize(playerCount);
+    const roundsPerCycle = size - 1;
+    const roundCount = this.getRoundCount(playerCount, cycles);
+
+    if (roundNumber < 1 || roundNumber > roundCount) {
+      throw new Error(
+        `A round-robin of ${playerCount} players has ${roundCount} rounds`
+      );
+    }
+
+    const cycleRound = ((roundNumber - 1) % roundsPerCycle) + 1;
+    const reversed = roundNumber > roundsPerCycle;
+
+    // Players 1..size-1 rotate; the first of the rotation meets player `size`
+    const start = ((cycleRound - 1) * (size / 2)) % roundsPerCycle;
+    const rotation = Array.from(
+      { length: roundsPerCycle },
+      (_, index) => ((start + index) % roundsPerCycle) + 1
+    );
+
+    const boards = [
+      cycleRound % 2 === 1
+        ? { white: rotation[0], black: size }
+        : { white: size, black: rotation[0] },
+    ];
+
+    for (let index = 1; index < size / 2; index++) {
+      boards.push({
+        white: rotation[index],
+        black: rotation[roundsPerCycle - index],
+      });
+    }
+
+    const pairings = [];
+    const byes = [];
+
+    for (const board of boards) {
+      const pairing = reversed
+        ? { white: board.black, black: board.white }
+        : board;
+
+      // Dummy player of an odd field means a bye
+      if (pairing.white > playerCount) {
+        byes.push({ white: pairing.black, black: null });
+      } else if (pairing.black > playerCount) {
+        byes.push({ white: pairing.white, black: null });
+      } else {
+        pairings.push(pairing);
+      }
+    }
+
+    return [...pairings, ...byes];
+  }
+
+  /**
+   * Get the complete schedule
+   * @param {number} playerCount - Number of players
+   * @param {number} cycles - 1 for single, 2 for double round-robin
+   * @returns {array} Rounds: [{ roundNumber, pairings }]
+   */
+  getSchedule(playerCount, cycles = 1) {
+    const roundCount = this.getRoundCount(playerCount, cycles);
+
+    return Array.from({ length: roundCount }, (_, index) => ({
+      roundNumber: index + 1,
+      pairings: this.pairRound(playerCount, index + 1, cycles),
+    }));
+  }
+}
+
+module.exports = new RoundRobinPairing();
@@ -0,0 +1,542 @@
+/**
+ * Standings Service
+ * Computes standings, tie-breaks and crosstables from recorded round results
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const TieBreakCalculator = require("./tiebreak.calculator");
+const {
+  BOOKING_STATUS,
+  GAME_RESULTS,
+  COLOURS,
+  TIE_BREAKS,
+  DEFAULT_TIE_BREAKS,
+  TOURNAMENT_FORMATS,
+  TEAM_SCORING,
+} = require("../../config/constants");
+
+class StandingsService {
+  /**
+   * Get event with its tie-break configuration
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Event with parsed tieBreaks
+   */
+  async getEvent(eventId) {
+    const event = await prisma.event.findUnique({
+      where: { eventId },
+      select: {
+        eventId: true,
+        eventName: true,
+        tieBreaks: true,
+        tournamentFormat: true,
+        totalRounds: true,
+        isTeamEvent: true,
+        teamSize: true,
+        teamScoring: true,
+      },
+    });
+
+    if (!event) {
+      throw new Error("Event not found");
+    }
+
+    return {
+      ...event,
+      tieBreaks: event.tieBreaks
+        ? JSON.parse(event.tieBreaks)
+        : DEFAULT_TIE_BREAKS,
+    };
+  }
+
+  /**
+   * Ensure an event is scored in a table (knockouts use a bracket instead)
+   * @param {object} event - Event
+   */
+  assertScoreTable(event) {
+    if (event.tournamentFormat === TOURNAMENT_FORMATS.KNOCKOUT) {
+      throw new Error("Knockout events have a bracket instead of standings");
+    }
+  }
+
+  /**
+   * Get players for standings
+   * Confirmed players plus anyone who appears in a pairing (e.g. withdrawn later)
+   * @param {number} eventId - Event ID
+   * @param {array} rounds - Rounds with pairings
+   * @returns {Promise<array>} Booking participants with participant details
+   */
+  async getPlayers(eventId, rounds) {
+    const pairedIds = new Set();
+    for (const round of rounds) {
+      for (const pairing of round.pairings) {
+        pairedIds.add(pairing.whiteId);
+        if (pairing.blackId) pairedIds.add(pairing.blackId);
+      }
+    }
+
+    return prisma.bookingParticipant.findMany({
+      where: {
+        eventId,
+        OR: [
+          { booking: { bookingStatus: BOOKING_STATUS.CONFIRMED } },
+          { id: { in: [...pairedIds] } },
+        ],
+      },
+      include: {
+        participant: {
+          select: {
+            participantId: true,
+            fullName: true,
+            gender: true,
+            dateOfBirth: true,
+            fideId: true,
+            isGovtStudent: true,
+          },
+        },
+      },
+      orderBy: [{ pairingNumber: "asc" }, { id: "asc" }],
+    });
+  }
+
+  /**
+   * Get published rounds up to a round number
+   * @param {number} eventId - Event ID
+   * @param {number|null} upToRound - Last round to include (all if null)
+   * @returns {Promise<array>} Rounds with pairings
+   */
+  async getRounds(eventId, upToRound = null) {
+    const rounds = await RoundService.getEventRounds(eventId, false);
+
+    return upToRound
+      ? rounds.filter((round) => round.roundNumber <= upToRound)
+      : rounds;
+  }
+
+  /**
+   * Build per-player round records
+   * Boards without a result yet are left out; a player missing from a round
+   * with results is recorded as an unplayed zero.
+   * @param {array} players - Booking participants
+   * @param {array} rounds - Rounds with pairings
+   * @returns {Map} Player ID => { player, games[] }
+   */
+  buildRecords(players, rounds) {
+    const records = new Map(
+      players.map((player) => [player.id, { player, games: [] }])
+    );
+
+    for (const round of rounds) {
+      const seen = new Set();
+
+      for (const pairing of round.pairings) {
+        seen.add(pairing.whiteId);
+        if (pairing.blackId) seen.add(pairing.blackId);
+
+        if (!pairing.result) continue;
+
+        const [whitePoints, blackPoints] = RoundService.getResultPoints(
+          pairing.result
+        );
+        const played = RoundService.isPlayedResult(pairing.result);
+
+        records.get(pairing.whiteId)?.games.push({
+          roundNumber: round.roundNumber,
+          opponentId: pairing.blackId,
+          colour: pairing.blackId ? COLOURS.WHITE : null,
+          result: pairing.result,
+          points: whitePoints,
+          played,
+        });
+
+        if (pairing.blackId) {
+          records.get(pairing.blackId)?.games.push({
+            roundNumber: round.roundNumber,
+            opponentId: pairing.whiteId,
+            colour: COLOURS.BLACK,
+            result: pairing.result,
+            points: blackPoints,
+            played,
+          });
+        }
+      }
+
+      const hasResults = round.pairings.some((pairing) => pairing.result);
+
+      for (const [id, record] of records) {
+        if (!seen.has(id) && hasResults) {
+          record.games.push({
+            roundNumber: round.roundNumber,
+            opponentId: null,
+            colour: null,
+            result: null,
+            points: 0,
+            played: false,
+          });
+        }
+      }
+    }
+
+    for (const record of records.values()) {
+      record.points = record.games.reduce((sum, game) => sum + game.points, 0);
+    }
+
+    return records;
+  }
+
+  /**
+   * Compute ranked standings
+   * @param {array} players - Booking participants
+   * @param {array} rounds - Rounds with pairings
+   * @param {array} tieBreaks - Configured tie-break order
+   * @returns {object} { records, rows }
+   */
+  computeStandings(players, rounds, tieBreaks) {
+    const records = this.buildRecords(players, rounds);
+    const roundCount = rounds.filter((round) =>
+      round.pairings.some((pairing) => pairing.result)
+    ).length;
+
+    const rows = [...records.values()].map((record) => ({
+      playerId: record.player.id,
+      pairingNumber: record.player.pairingNumber,
+      fullName: record.player.participant.fullName,
+      rating: record.player.rating,
+      fideId: record.player.participant.fideId,
+      points: record.points,
+      gamesPlayed: record.games.filter((game) => game.played).length,
+      tieBreaks: TieBreakCalculator.calculateTieBreaks(
+        record,
+        records,
+        roundCount
+      ),
+    }));
+
+    if (tieBreaks.includes(TIE_BREAKS.DIRECT_ENCOUNTER)) {
+      TieBreakCalculator.applyDirectEncounter(rows, tieBreaks, records);
+    }
+
+    const compareScores = (a, b) => {
+      if (b.points !== a.points) return b.points - a.points;
+      for (const tieBreak of tieBreaks) {
+        const diff = b.tieBreaks[tieBreak] - a.tieBreaks[tieBreak];
+        if (diff !== 0) return diff;
+      }
+      return 0;
+    };
+
+    rows.sort(
+      (a, b) =>
+        compareScores(a, b) ||
+        (a.pairingNumber || Infinity) - (b.pairingNumber || Infinity)
+    );
+
+    // Players equal on points and every tie-break share a rank
+    rows.forEach((row, index) => {
+      row.rank =
+        index > 0 && compareScores(rows[index - 1], row) === 0
+          ? rows[index - 1].rank
+          : index + 1;
+      row.tieBreaks = Object.fromEntries(
+        tieBreaks.map((tieBreak) => [tieBreak, row.tieBreaks[tieBreak]])
+      );
+    });
+
+    return { records, rows, roundCount };
+  }
+
+  /**
+   * Get standings of an event
+   * @param {number} eventId - Event ID
+   * @param {number|null} upToRound - Standings after this round (latest if null)
+   * @returns {Promise<object>} Standings
+   */
+  async getStandings(eventId, upToRound = null) {
+    const event = await this.getEvent(eventId);
+    this.assertScoreTable(event);
+    const rounds = await this.getRounds(eventId, upToRound);
+
+    if (event.isTeamEvent) {
+      return this.getTeamStandings(event, rounds);
+    }
+
+    const players = await this.getPlayers(eventId, rounds);
+    const { rows, roundCount } = this.computeStandings(
+      players,
+      rounds,
+      event.tieBreaks
+    );
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      roundsCompleted: roundCount,
+      tieBreaks: event.tieBreaks,
+      standings: rows.map(({ rank, ...row }) => ({ rank, ...row })),
+    };
+  }
+
+  /**
+   * Get team standings of a team event
+   * Teams are ranked by the event's primary score (match or game points),
+   * then the other score, then the sum of their opponents' primary scores.
+   * Only completed team matches count.
+   * @param {object} event - Team event
+   * @param {array} rounds - Published rounds with team matches
+   * @returns {Promise<object>} Team standings
+   */
+  async getTeamStandings(event, rounds) {
+    const entries = await RoundService.getTeamEntries(event.eventId);
+    const teams = new Map(
+      entries.map((entry) => [
+        entry.teamId,
+        {
+          teamId: entry.teamId,
+          teamName: entry.team.teamName,
+          pairingNumber: entry.pairingNumber,
+        },
+      ])
+    );
+    const records = new Map();
+    const recordOf = (team) => {
+      if (!records.has(team.teamId)) {
+        records.set(team.teamId, {
+          teamId: team.teamId,
+          teamName: team.teamName,
+          pairingNumber: teams.get(team.teamId)?.pairingNumber ?? null,
+          matchPoints: 0,
+          gamePoints: 0,
+          matchesPlayed: 0,
+          opponents: [],
+        });
+      }
+      return records.get(team.teamId);
+    };
+
+    teams.forEach((team) => recordOf(team));
+
+    let roundCount = 0;
+    for (const round of rounds) {
+      let hasResults = false;
+
+      for (const teamMatch of round.teamMatches) {
+        const { gamePoints, matchPoints, isComplete } =
+          RoundService.getTeamMatchResult(teamMatch, event.teamSize);
+        if (!isComplete) continue;
+        hasResults = true;
+
+        const sides = [teamMatch.homeTeam, teamMatch.awayTeam].filter(Boolean);
+        for (const team of sides) {
+          const record = recordOf(team);
+          record.matchPoints += matchPoints[team.teamId];
+          record.gamePoints += gamePoints[team.teamId];
+          if (teamMatch.awayTeamId) {
+            record.matchesPlayed += 1;
+            record.opponents.push(
+              team.teamId === teamMatch.homeTeamId
+                ? teamMatch.awayTeamId
+                : teamMatch.homeTeamId
+            );
+          }
+        }
+      }
+
+      if (hasResults) roundCount += 1;
+    }
+
+    const [primary, secondary] =
+      event.teamScoring === TEAM_SCORING.GAME_POINTS
+        ? ["gamePoints", "matchPoints"]
+        : ["matchPoints", "gamePoints"];
+
+    const rows = [...records.values()].map(({ opponents, ...record }) => ({
+      ...record,
+      buchholz: opponents.reduce(
+        (sum, opponentId) => sum + (records.get(opponentId)?.[primary] || 0),
+        0
+      ),
+    }));
+
+    const compareScores = (a, b) =>
+      b[primary] - a[primary] ||
+      b[secondary] - a[secondary] ||
+      b.buchholz - a.buchholz;
+
+    rows.sort(
+      (a, b) =>
+        compareScores(a, b) ||
+        (a.pairingNumber || Infinity) - (b.pairingNumber || Infinity)
+    );
+
+    rows.forEach((row, index) => {
+      row.rank =
+        index > 0 && compareScores(rows[index - 1], row) === 0
+          ? rows[index - 1].rank
+          : index + 1;
+    });
+
+    return {
+      eventId: event.eventId,
+      eventName: event.eventName,
+      roundsCompleted: roundCount,
+      teamScoring: event.teamScoring,
+      standings: rows.map(({ rank, ...row }) => ({ rank, ...row })),
+    };
+  }
+
+  /**
+   * Get board prizes of a team event
+   * Players are grouped by the board they played in each team match and
+   * ranked by percentage score, then points. Only games played over the
+   * board count; players below the minimum number of games are left out.
+   * @param {number} eventId - Event ID
+   * @param {number|null} minGames - Minimum games (80% of rounds if null)
+   * @returns {Promise<object>} Ranked players per board
+   */
+  async getBoardPrizes(eventId, minGames = null) {
+    const event = await this.getEvent(eventId);
+
+    if (!event.isTeamEvent) {
+      throw new Error("Board prizes are only available for team events");
+    }
+
+    const rounds = await this.getRounds(eventId);
+    const players = await this.getPlayers(eventId, rounds);
+    const playersById = new Map(players.map((p) => [p.id, p]));
+    const roundCount = event.totalRounds || rounds.length;
+    const required = minGames ?? Math.ceil(roundCount * 0.8);
+
+    // Board => player ID => { points, games }
+    const boards = new Map();
+    const addGame = (board, playerId, points) => {
+      if (!boards.has(board)) boards.set(board, new Map());
+      const record = boards.get(board).get(playerId) || { points: 0, games: 0 };
+      record.points += points;
+      record.games += 1;
+      boards.get(board).set(playerId, record);
+    };
+
+    for (const round of rounds) {
+      for (const teamMatch of round.teamMatches) {
+        teamMatch.pairings.forEach((pairing, index) => {
+          if (!RoundService.isPlayedResult(pairing.result)) return;
+          const [whitePoints, blackPoints] = RoundService.getResultPoints(
+            pairing.result
+          );
+          addGame(index + 1, pairing.whiteId, whitePoints);
+          addGame(index + 1, pairing.blackId, blackPoints);
+        });
+      }
+    }
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      minGames: required,
+      boards: [...boards.keys()]
+        .sort((a, b) => a - b)
+        .map((board) => {
+          const rows = [...boards.get(board).entries()]
+            .filter(([, record]) => record.games >= required)
+            .map(([playerId, record]) => {
+              const player = playersById.get(playerId);
+              return {
+                playerId,
+                fullName: player?.participant.fullName ?? null,
+                rating: player?.rating ?? null,
+                points: record.points,
+                games: record.games,
+                percentage: Math.round((record.points / record.games) * 1000) / 10,
+              };
+            })
+            .sort((a, b) => b.percentage - a.percentage || b.points - a.points);
+
+          rows.forEach((row, index) => {
+            const previous = rows[index - 1];
+            row.rank =
+              previous &&
+              previous.percentage === row.percentage &&
+              previous.points === row.points
+                ? previous.rank
+                : index + 1;
+          });
+
+          return {
+            boardNumber: board,
+            players: rows.map(({ rank, ...row }) => ({ rank, ...row })),
+          };
+        }),
+    };
+  }
+
+  /**
+   * Get crosstable of an event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<object>} Crosstable ordered by rank
+   */
+  async getCrosstable(eventId) {
+    const event = await this.getEvent(eventId);
+    this.assertScoreTable(event);
+    const rounds = await this.getRounds(eventId);
+    const players = await this.getPlayers(eventId, rounds);
+    const { records, rows, roundCount } = this.computeStandings(
+      players,
+      rounds,
+      event.tieBreaks
+    );
+
+    // Crosstables refer to opponents by their final position
+    const positions = new Map(rows.map((row, index) => [row.playerId, index + 1]));
+
+    return {
+      eventId,
+      eventName: event.eventName,
+      rounds: rounds.map((round) => round.roundNumber),
+      roundsCompleted: roundCount,
+      tieBreaks: event.tieBreaks,
+      players: rows.map((row) => ({
+        position: positions.get(row.playerId),
+        rank: row.rank,
+        playerId: row.playerId,
+        pairingNumber: row.pairingNumber,
+        fullName: row.fullName,
+        rating: row.rating,
+        results: records.get(row.playerId).games.map((game) => {
+          const opponent = positions.get(game.opponentId) || null;
+          return {
+            roundNumber: game.roundNumber,
+            opponent,
+            colour: game.colour,
+            points: game.points,
+            played: game.played,
+            display: this.formatCrosstableEntry(game, opponent),
+          };
+        }),
+        points: row.points,
+        tieBreaks: row.tieBreaks,
+      })),
+    };
+  }
+
+  /**
+   * Format a crosstable cell, e.g. "12w1", "7b½", "5w+" (forfeit), "+" (bye), "½" (half-point bye)
+   * @param {object} game - Game record
+   * @param {number|null} opponent - Opponent position
+   * @returns {string} Cell text
+   */
+  formatCrosstableEntry(game, opponent) {
+    const score = game.points === 1 ? "1" : game.points === 0.5 ? "½" : "0";
+
+    if (!game.opponentId) {
+      if (game.result === GAME_RESULTS.BYE) return "+";
+      return game.result === GAME_RESULTS.HALF_POINT_BYE ? "½" : "-";
+    }
+
+    const colour = game.colour === COLOURS.WHITE ? "w" : "b";
+    const outcome = game.played ? score : game.points === 1 ? "+" : "-";
+
+    return `${opponent}${colour}${outcome}`;
+  }
+}
+
+module.exports = new StandingsService();
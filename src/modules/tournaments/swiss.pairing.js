@@ -0,0 +1,463 @@
+/**
+ * Swiss Pairing Engine
+ * Round-by-round pairings following the FIDE Dutch system (C.04.3)
+ */
+
+const { COLOURS } = require("../../config/constants");
+
+// Colour preference strengths
+const PREFERENCE = {
+  NONE: 0,
+  MILD: 1,
+  STRONG: 2,
+  ABSOLUTE: 3,
+};
+
+// Search limits (keep pairing fast for large open events)
+const MAX_CANDIDATES_PER_BRACKET = 40;
+const MAX_STEPS_PER_BRACKET = 20000;
+const MAX_TOTAL_STEPS = 500000;
+
+class SwissPairing {
+  /**
+   * Pair the next round
+   * @param {array} players - Player states: { id, pairingNumber, score, colours, opponents, hadBye, lastFloat }
+   * @param {object} options - Pairing options
+   * @param {number} options.roundNumber - Round being paired (1-based)
+   * @param {string} options.initialColour - Colour of the top seed on board 1 in round 1
+   * @returns {object} { pairings: [{ white, black }], bye } (player objects)
+   */
+  pairRound(players, options = {}) {
+    const { roundNumber = 1, initialColour = COLOURS.WHITE } = options;
+
+    if (players.length < 2) {
+      throw new Error("At least two players are required to generate pairings");
+    }
+
+    const ranked = [...players].sort((a, b) => this.compareRank(a, b));
+
+    // Pairing-allocated bye for odd player counts
+    if (ranked.length % 2 === 1) {
+      for (const candidate of this.getByeCandidates(ranked)) {
+        const remaining = ranked.filter((p) => p.id !== candidate.id);
+        const pairs = this.pairPlayers(remaining);
+
+        if (pairs) {
+          return this.buildResult(pairs, candidate, roundNumber, initialColour);
+        }
+      }
+
+      throw new Error(
+        "Unable to generate pairings without repeating opponents. Please pair this round manually."
+      );
+    }
+
+    const pairs = this.pairPlayers(ranked);
+
+    if (!pairs) {
+      throw new Error(
+        "Unable to generate pairings without repeating opponents. Please pair this round manually."
+      );
+    }
+
+    return this.buildResult(pairs, null, roundNumber, initialColour);
+  }
+
+  /**
+   * Pair an even list of players bracket by bracket,
+   * falling back to a single merged bracket when score groups cannot be completed
+   * @param {array} players - Ranked players
+   * @returns {array|null} Pairs of players or null if impossible
+   */
+  pairPlayers(players) {
+    this.steps = 0;
+
+    const groups = this.buildScoreGroups(players);
+    const pairs = this.pairBrackets(groups, 0, []);
+
+    if (pairs) {
+      return pairs;
+    }
+
+    // Collapse all score groups into one bracket and retry
+    this.steps = 0;
+    return this.pairBrackets([players], 0, []);
+  }
+
+  /**
+   * Recursively pair score brackets, moving unpaired players down
+   * @param {array} groups - Score groups (highest first)
+   * @param {number} index - Current group index
+   * @param {array} movedDown - Players floating down from higher brackets
+   * @returns {array|null} Pairs for this and all lower brackets
+   */
+  pairBrackets(groups, index, movedDown) {
+    if (index === groups.length) {
+      return movedDown.length === 0 ? [] : null;
+    }
+
+    const bracket = [...movedDown, ...groups[index]].sort((a, b) =>
+      this.compareRank(a, b)
+    );
+    const isLast = index === groups.length - 1;
+
+    for (const candidate of this.getBracketCandidates(bracket, isLast)) {
+      if (this.steps > MAX_TOTAL_STEPS) {
+        return null;
+      }
+
+      const rest = this.pairBrackets(groups, index + 1, candidate.floaters);
+
+      if (rest) {
+        return [...candidate.pairs, ...rest];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate candidate pairings for a bracket in Dutch order
+   * S1 (top half) is paired against transpositions of S2, most pairs first;
+   * exchanges between S1 and S2 are only tried when no transposition is clean.
+   * @param {array} bracket - Ranked bracket players
+   * @param {boolean} isLast - Whether this is the lowest bracket (no floaters allowed)
+   * @yields {object} Candidate: { pairs, floaters }
+   */
+  *getBracketCandidates(bracket, isLast) {
+    const maxPairs = Math.floor(bracket.length / 2);
+    const minPairs = isLast ? maxPairs : 0;
+
+    for (let pairCount = maxPairs; pairCount >= minPairs; pairCount--) {
+      const found = [];
+      this.bracketSteps = 0;
+
+      for (const { s1, s2 } of this.getHalves(bracket, pairCount)) {
+        this.collectTranspositions(s1, s2, found);
+
+        const hasCleanCandidate = found.some((c) => c.penalty === 0);
+        if (
+          hasCleanCandidate ||
+          found.length >= MAX_CANDIDATES_PER_BRACKET ||
+          this.bracketSteps >= MAX_STEPS_PER_BRACKET
+        ) {
+          break;
+        }
+      }
+
+      // Stable sort keeps Dutch transposition order among equal-quality candidates
+      found.sort((a, b) => a.penalty - b.penalty);
+      yield* found;
+    }
+  }
+
+  /**
+   * Get S1/S2 splits for a bracket: the natural split followed by single exchanges
+   * @param {array} bracket - Ranked bracket players
+   * @param {number} pairCount - Number of pairs to make
+   * @yields {object} Split: { s1, s2 }
+   */
+  *getHalves(bracket, pairCount) {
+    const s1 = bracket.slice(0, pairCount);
+    const s2 = bracket.slice(pairCount);
+    yield { s1, s2 };
+
+    // Exchanges: swap one S1 player with one S2 player, smallest rank difference first
+    const exchanges = [];
+    for (let i = 0; i < s1.length; i++) {
+      for (let j = 0; j < s2.length; j++) {
+        exchanges.push({ i, j, distance: s1.length - i + j });
+      }
+    }
+    exchanges.sort((a, b) => a.distance - b.distance || b.i - a.i);
+
+    for (const { i, j } of exchanges) {
+      const newS1 = [...s1];
+      const newS2 = [...s2];
+      newS1[i] = s2[j];
+      newS2[j] = s1[i];
+      yield {
+        s1: newS1.sort((a, b) => this.compareRank(a, b)),
+        s2: newS2.sort((a, b) => this.compareRank(a, b)),
+      };
+    }
+  }
+
+  /**
+   * Walk S2 transpositions in lexicographic order and collect valid candidates
+   * Branches that break an absolute criterion are pruned early.
+   * @param {array} s1 - Upper half
+   * @param {array} s2 - Lower half (players left over float down)
+   * @param {array} found - Accumulator of candidates
+   */
+  collectTranspositions(s1, s2, found) {
+    const used = new Array(s2.length).fill(false);
+    const pairs = [];
+
+    const search = (position) => {
+      if (
+        found.length >= MAX_CANDIDATES_PER_BRACKET ||
+        this.bracketSteps >= MAX_STEPS_PER_BRACKET ||
+        this.steps >= MAX_TOTAL_STEPS
+      ) {
+        return;
+      }
+
+      if (position === s1.length) {
+        const floaters = s2.filter((_, index) => !used[index]);
+        found.push({
+          pairs: [...pairs],
+          floaters,
+          penalty: this.getPenalty(pairs, floaters),
+        });
+        return;
+      }
+
+      for (let index = 0; index < s2.length; index++) {
+        if (used[index]) continue;
+
+        this.steps++;
+        this.bracketSteps++;
+
+        if (!this.canPlay(s1[position], s2[index])) continue;
+
+        used[index] = true;
+        pairs.push([s1[position], s2[index]]);
+        search(position + 1);
+        pairs.pop();
+        used[index] = false;
+
+        if (found.length >= MAX_CANDIDATES_PER_BRACKET) return;
+      }
+    };
+
+    search(0);
+  }
+
+  /**
+   * Quality penalty for a candidate (lower is better)
+   * Unsatisfied colour preferences and repeated floats are penalised
+   * @param {array} pairs - Candidate pairs
+   * @param {array} floaters - Players floating down
+   * @returns {number} Penalty
+   */
+  getPenalty(pairs, floaters) {
+    let penalty = 0;
+
+    for (const [a, b] of pairs) {
+      const prefA = this.getColourPreference(a);
+      const prefB = this.getColourPreference(b);
+
+      if (prefA.colour && prefA.colour === prefB.colour) {
+        penalty += Math.min(prefA.strength, prefB.strength) >= PREFERENCE.STRONG ? 10 : 1;
+      }
+
+      // Upfloating a player who floated up last round
+      if (a.score !== b.score) {
+        const lower = a.score < b.score ? a : b;
+        if (lower.lastFloat === "UP") penalty += 5;
+      }
+    }
+
+    for (const player of floaters) {
+      penalty += player.lastFloat === "DOWN" ? 20 : 2;
+    }
+
+    return penalty;
+  }
+
+  /**
+   * Absolute criteria: no rematches, no conflicting absolute colour preferences
+   * @param {object} a - Player
+   * @param {object} b - Player
+   * @returns {boolean} True if the players may be paired
+   */
+  canPlay(a, b) {
+    if (a.opponents.has(b.id) || b.opponents.has(a.id)) {
+      return false;
+    }
+
+    const prefA = this.getColourPreference(a);
+    const prefB = this.getColourPreference(b);
+
+    return !(
+      prefA.strength === PREFERENCE.ABSOLUTE &&
+      prefB.strength === PREFERENCE.ABSOLUTE &&
+      prefA.colour === prefB.colour
+    );
+  }
+
+  /**
+   * Colour preference from a player's colour history
+   * @param {object} player - Player state
+   * @returns {object} { colour, strength }
+   */
+  getColourPreference(player) {
+    const colours = player.colours || [];
+
+    if (colours.length === 0) {
+      return { colour: null, strength: PREFERENCE.NONE };
+    }
+
+    const whites = colours.filter((c) => c === COLOURS.WHITE).length;
+    const difference = whites - (colours.length - whites);
+    const last = colours[colours.length - 1];
+    const secondLast = colours[colours.length - 2];
+
+    if (difference < -1 || (last === COLOURS.BLACK && secondLast === COLOURS.BLACK)) {
+      return { colour: COLOURS.WHITE, strength: PREFERENCE.ABSOLUTE };
+    }
+    if (difference > 1 || (last === COLOURS.WHITE && secondLast === COLOURS.WHITE)) {
+      return { colour: COLOURS.BLACK, strength: PREFERENCE.ABSOLUTE };
+    }
+    if (difference === -1) {
+      return { colour: COLOURS.WHITE, strength: PREFERENCE.STRONG };
+    }
+    if (difference === 1) {
+      return { colour: COLOURS.BLACK, strength: PREFERENCE.STRONG };
+    }
+
+    return {
+      colour: last === COLOURS.WHITE ? COLOURS.BLACK : COLOURS.WHITE,
+      strength: PREFERENCE.MILD,
+    };
+  }
+
+  /**
+   * Check if a player has an absolute preference for a colour
+   * @param {object} player - Player state
+   * @param {string} colour - Colour to check
+   * @returns {boolean} True if the player must receive that colour
+   */
+  mustPlay(player, colour) {
+    const preference = this.getColourPreference(player);
+    return preference.strength === PREFERENCE.ABSOLUTE && preference.colour === colour;
+  }
+
+  /**
+   * Allocate colours for a pair following the Dutch colour allocation rules
+   * @param {object} a - Higher-ranked player
+   * @param {object} b - Lower-ranked player
+   * @param {number} boardIndex - Zero-based board index (round 1 alternation)
+   * @param {string} initialColour - Initial colour of the top seed
+   * @returns {array} [white, black]
+   */
+  allocateColours(a, b, boardIndex, initialColour) {
+    const prefA = this.getColourPreference(a);
+    const prefB = this.getColourPreference(b);
+    const giveA = (colour) => (colour === COLOURS.WHITE ? [a, b] : [b, a]);
+
+    // Neither player has a history: alternate by board from the initial colour
+    if (!prefA.colour && !prefB.colour) {
+      const colour =
+        boardIndex % 2 === 0 ? initialColour : this.opposite(initialColour);
+      return giveA(colour);
+    }
+
+    // Both preferences can be granted, or only one player has a preference
+    if (!prefB.colour) return giveA(prefA.colour);
+    if (!prefA.colour) return giveA(this.opposite(prefB.colour));
+    if (prefA.colour !== prefB.colour) return giveA(prefA.colour);
+
+    // Same preference: grant the stronger one
+    if (prefA.strength !== prefB.strength) {
+      return prefA.strength > prefB.strength
+        ? giveA(prefA.colour)
+        : giveA(this.opposite(prefB.colour));
+    }
+
+    // Alternate from the most recent round in which they had different colours
+    const historyA = a.colours || [];
+    const historyB = b.colours || [];
+    for (let offset = 1; offset <= Math.min(historyA.length, historyB.length); offset++) {
+      const colourA = historyA[historyA.length - offset];
+      const colourB = historyB[historyB.length - offset];
+      if (colourA !== colourB) {
+        return giveA(this.opposite(colourA));
+      }
+    }
+
+    // Otherwise grant the higher-ranked player's preference
+    return giveA(prefA.colour);
+  }
+
+  /**
+   * Build final pairing result with colours and board order
+   * @param {array} pairs - Pairs of players
+   * @param {object|null} bye - Player receiving the bye
+   * @param {number} roundNumber - Round number
+   * @param {string} initialColour - Initial colour of the top seed
+   * @returns {object} { pairings, bye }
+   */
+  buildResult(pairs, bye, roundNumber, initialColour) {
+    const ordered = pairs
+      .map(([a, b]) => (this.compareRank(a, b) <= 0 ? [a, b] : [b, a]))
+      .sort((x, y) => {
+        const maxScore = Math.max(y[0].score, y[1].score) - Math.max(x[0].score, x[1].score);
+        if (maxScore !== 0) return maxScore;
+        const sumScore = y[0].score + y[1].score - (x[0].score + x[1].score);
+        if (sumScore !== 0) return sumScore;
+        return x[0].pairingNumber - y[0].pairingNumber;
+      });
+
+    const pairings = ordered.map(([a, b], index) => {
+      const [white, black] = this.allocateColours(
+        a,
+        b,
+        roundNumber === 1 ? index : 0,
+        initialColour
+      );
+      return { white, black };
+    });
+
+    return { pairings, bye };
+  }
+
+  /**
+   * Bye candidates: lowest score group first, lowest ranked first, no previous bye
+   * @param {array} ranked - Ranked players
+   * @returns {array} Candidates in order of preference
+   */
+  getByeCandidates(ranked) {
+    const reversed = [...ranked].reverse();
+    const eligible = reversed.filter((p) => !p.hadBye);
+    return eligible.length > 0 ? eligible : reversed;
+  }
+
+  /**
+   * Split ranked players into score groups
+   * @param {array} ranked - Players sorted by rank
+   * @returns {array} Array of score groups
+   */
+  buildScoreGroups(ranked) {
+    const groups = [];
+
+    for (const player of ranked) {
+      const current = groups[groups.length - 1];
+      if (current && current[0].score === player.score) {
+        current.push(player);
+      } else {
+        groups.push([player]);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Compare players by score (desc) then pairing number (asc)
+   */
+  compareRank(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    return a.pairingNumber - b.pairingNumber;
+  }
+
+  /**
+   * Get opposite colour
+   */
+  opposite(colour) {
+    return colour === COLOURS.WHITE ? COLOURS.BLACK : COLOURS.WHITE;
+  }
+}
+
+module.exports = new SwissPairing();
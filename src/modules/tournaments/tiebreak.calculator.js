@@ -0,0 +1,136 @@
+/**
+ * Tie-break Calculator
+ * Tie-break scores from player round records (FIDE Tie-Break Regulations C.02)
+ *
+ * A record is { games: [{ roundNumber, opponentId, result, points, played }] }
+ * as built by StandingsService.buildRecords.
+ */
+
+const { GAME_RESULTS, TIE_BREAKS } = require("../../config/constants");
+
+class TieBreakCalculator {
+  /**
+   * Score of a player for tie-break purposes
+   * Unplayed games (byes, forfeits, absences) count as draws (FIDE C.02 13.15.2)
+   * @param {object} record - Player record
+   * @returns {number} Adjusted score
+   */
+  getAdjustedScore(record) {
+    return record.games.reduce(
+      (sum, game) => sum + (game.played ? game.points : 0.5),
+      0
+    );
+  }
+
+  /**
+   * Opponent contributions used by Buchholz and Sonneborn-Berger
+   * An unplayed round is scored against a virtual opponent:
+   * score before the round + (1 - points in the round) + 0.5 per remaining round
+   * @param {object} record - Player record
+   * @param {Map} records - All player records
+   * @param {number} roundCount - Number of rounds counted
+   * @returns {array} [{ value, points }]
+   */
+  getOpponentScores(record, records, roundCount) {
+    let scoreBefore = 0;
+
+    return record.games.map((game) => {
+      const opponent = game.played ? records.get(game.opponentId) : null;
+      const value = opponent
+        ? this.getAdjustedScore(opponent)
+        : scoreBefore +
+          (1 - game.points) +
+          0.5 * (roundCount - game.roundNumber);
+
+      scoreBefore += game.points;
+
+      return { value, points: game.points };
+    });
+  }
+
+  /**
+   * Calculate tie-break values for a player (except direct encounter)
+   * @param {object} record - Player record
+   * @param {Map} records - All player records
+   * @param {number} roundCount - Number of rounds counted
+   * @returns {object} Tie-break values keyed by tie-break
+   */
+  calculateTieBreaks(record, records, roundCount) {
+    const opponentScores = this.getOpponentScores(record, records, roundCount);
+    const buchholz = opponentScores.reduce((sum, o) => sum + o.value, 0);
+    const lowest = opponentScores.length
+      ? Math.min(...opponentScores.map((o) => o.value))
+      : 0;
+
+    let runningScore = 0;
+    let progressive = 0;
+    for (const game of record.games) {
+      runningScore += game.points;
+      progressive += runningScore;
+    }
+
+    return {
+      [TIE_BREAKS.BUCHHOLZ]: buchholz,
+      [TIE_BREAKS.BUCHHOLZ_CUT_1]: buchholz - lowest,
+      [TIE_BREAKS.SONNEBORN_BERGER]: opponentScores.reduce(
+        (sum, o) => sum + o.points * o.value,
+        0
+      ),
+      [TIE_BREAKS.PROGRESSIVE]: progressive,
+      [TIE_BREAKS.DIRECT_ENCOUNTER]: 0,
+      [TIE_BREAKS.WINS]: record.games.filter(
+        (game) => game.points === 1 && game.result !== GAME_RESULTS.BYE
+      ).length,
+    };
+  }
+
+  /**
+   * Apply direct encounter within groups of players tied on points and
+   * on every tie-break listed before it. Only applied when all tied players
+   * have met each other.
+   * @param {array} rows - Standing rows with points and tieBreaks
+   * @param {array} tieBreaks - Configured tie-break order
+   * @param {Map} records - All player records
+   */
+  applyDirectEncounter(rows, tieBreaks, records) {
+    const preceding = tieBreaks.slice(
+      0,
+      tieBreaks.indexOf(TIE_BREAKS.DIRECT_ENCOUNTER)
+    );
+    const groups = new Map();
+
+    for (const row of rows) {
+      const key = [row.points, ...preceding.map((tb) => row.tieBreaks[tb])].join("|");
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      const ids = new Set(group.map((row) => row.playerId));
+      const scores = new Map();
+      const meetings = new Set();
+
+      for (const row of group) {
+        let score = 0;
+        for (const game of records.get(row.playerId).games) {
+          if (ids.has(game.opponentId)) {
+            score += game.points;
+            meetings.add([row.playerId, game.opponentId].sort().join("-"));
+          }
+        }
+        scores.set(row.playerId, score);
+      }
+
+      const allMet = meetings.size === (group.length * (group.length - 1)) / 2;
+      if (!allMet) continue;
+
+      for (const row of group) {
+        row.tieBreaks[TIE_BREAKS.DIRECT_ENCOUNTER] = scores.get(row.playerId);
+      }
+    }
+  }
+}
+
+module.exports = new TieBreakCalculator();
@@ -0,0 +1,519 @@
+/**
+ * Tournament Controller
+ * Handles HTTP requests for rounds, pairings and players of an event
+ */
+
+const RoundService = require("./round.service");
+const StandingsService = require("./standings.service");
+const BracketService = require("./bracket.service");
+const TrfService = require("./trf.service");
+const CheckInService = require("./checkin.service");
+const GameService = require("./game.service");
+const RatingReportService = require("./ratingreport.service");
+const PrizeService = require("./prize.service");
+const ArbiterService = require("./arbiter.service");
+const fs = require("fs");
+const ResponseUtil = require("../../utils/response.util");
+const { asyncHandler } = require("../../middleware/errorHandler.middleware");
+const { deleteFile } = require("../../middleware/upload.middleware");
+
+/**
+ * Read PGN from an uploaded file (removed afterwards) or the request body
+ * @param {object} req - Express request
+ * @returns {string|undefined} PGN text
+ */
+const readPgn = (req) => {
+  if (!req.file) return req.body.pgn;
+
+  try {
+    return fs.readFileSync(req.file.path, "utf8");
+  } finally {
+    // Games are stored in the database, not on disk
+    deleteFile(req.file.path);
+  }
+};
+
+class TournamentController {
+  /**
+   * Get seeded players (organizer or arbiter)
+   * GET /api/v1/events/:eventId/players
+   */
+  getPlayers = asyncHandler(async (req, res) => {
+    const players = await RoundService.getPlayers(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, players, "Players retrieved successfully");
+  });
+
+  /**
+   * Update player seeding rating (organizer or chief arbiter)
+   * PUT /api/v1/events/:eventId/players/:playerId
+   */
+  updatePlayer = asyncHandler(async (req, res) => {
+    const player = await RoundService.updatePlayer(
+      parseInt(req.params.eventId),
+      parseInt(req.params.playerId),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.success(res, player, "Player updated successfully");
+  });
+
+  /**
+   * Get a player's documents (organizer or arbiter)
+   * GET /api/v1/events/:eventId/players/:playerId/documents
+   */
+  getPlayerDocuments = asyncHandler(async (req, res) => {
+    const player = await RoundService.getPlayerDocuments(
+      parseInt(req.params.eventId),
+      parseInt(req.params.playerId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, player, "Player documents retrieved successfully");
+  });
+
+  /**
+   * Get arbiters of an event (organizer only)
+   * GET /api/v1/events/:eventId/arbiters
+   */
+  getArbiters = asyncHandler(async (req, res) => {
+    const arbiters = await ArbiterService.getArbiters(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, arbiters, "Arbiters retrieved successfully");
+  });
+
+  /**
+   * Assign an arbiter to an event (organizer only)
+   * POST /api/v1/events/:eventId/arbiters
+   */
+  assignArbiter = asyncHandler(async (req, res) => {
+    const arbiter = await ArbiterService.assignArbiter(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.success(res, arbiter, "Arbiter assigned successfully");
+  });
+
+  /**
+   * Remove an arbiter from an event (organizer only)
+   * DELETE /api/v1/events/:eventId/arbiters/:userId
+   */
+  removeArbiter = asyncHandler(async (req, res) => {
+    await ArbiterService.removeArbiter(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      parseInt(req.params.userId)
+    );
+
+    ResponseUtil.success(res, null, "Arbiter removed successfully");
+  });
+
+  /**
+   * Check in a player by scanned pass
+   * POST /api/v1/events/:eventId/check-in
+   */
+  checkIn = asyncHandler(async (req, res) => {
+    const player = await CheckInService.checkIn(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.body
+    );
+
+    const message = player.alreadyCheckedIn
+      ? "Player already checked in"
+      : "Player checked in successfully";
+
+    ResponseUtil.success(res, player, message);
+  });
+
+  /**
+   * Get attendance (checked-in and absent players)
+   * GET /api/v1/events/:eventId/check-in
+   */
+  getAttendance = asyncHandler(async (req, res) => {
+    const attendance = await CheckInService.getAttendance(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, attendance, "Attendance retrieved successfully");
+  });
+
+  /**
+   * Generate next round (organizer or chief arbiter)
+   * POST /api/v1/events/:eventId/rounds
+   */
+  generateRound = asyncHandler(async (req, res) => {
+    const round = await RoundService.generateRound(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    ResponseUtil.created(res, round, "Round generated successfully");
+  });
+
+  /**
+   * Get rounds (drafts visible to organizer and arbiters only)
+   * GET /api/v1/events/:eventId/rounds
+   */
+  getRounds = asyncHandler(async (req, res) => {
+    const rounds = await RoundService.getRounds(
+      parseInt(req.params.eventId),
+      req.user?.userId
+    );
+
+    ResponseUtil.success(res, rounds, "Rounds retrieved successfully");
+  });
+
+  /**
+   * Get round by number
+   * GET /api/v1/events/:eventId/rounds/:roundNumber
+   */
+  getRound = asyncHandler(async (req, res) => {
+    const round = await RoundService.getRound(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user?.userId
+    );
+
+    ResponseUtil.success(res, round, "Round retrieved successfully");
+  });
+
+  /**
+   * Manually adjust draft pairings (organizer or chief arbiter)
+   * PUT /api/v1/events/:eventId/rounds/:roundNumber/pairings
+   */
+  updatePairings = asyncHandler(async (req, res) => {
+    const round = await RoundService.updatePairings(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user.userId,
+      req.body.pairings
+    );
+
+    ResponseUtil.success(res, round, "Pairings updated successfully");
+  });
+
+  /**
+   * Publish round (organizer or chief arbiter)
+   * POST /api/v1/events/:eventId/rounds/:roundNumber/publish
+   */
+  publishRound = asyncHandler(async (req, res) => {
+    const round = await RoundService.publishRound(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, round, "Round published successfully");
+  });
+
+  /**
+   * Record board results of a published round (organizer or arbiter)
+   * PUT /api/v1/events/:eventId/rounds/:roundNumber/results
+   */
+  recordResults = asyncHandler(async (req, res) => {
+    const round = await RoundService.recordResults(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user.userId,
+      req.body.results
+    );
+
+    ResponseUtil.success(res, round, "Results recorded successfully");
+  });
+
+  /**
+   * Add tiebreak or armageddon games to a tied knockout match (organizer or arbiter)
+   * POST /api/v1/events/:eventId/rounds/:roundNumber/matches/:matchNumber/games
+   */
+  addMatchGames = asyncHandler(async (req, res) => {
+    const round = await RoundService.addMatchGames(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      parseInt(req.params.matchNumber),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.created(res, round, "Match games added successfully");
+  });
+
+  /**
+   * Change a team's lineup in a draft round
+   * PUT /api/v1/events/:eventId/rounds/:roundNumber/tables/:tableNumber/lineup
+   */
+  updateLineup = asyncHandler(async (req, res) => {
+    const round = await RoundService.updateLineup(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      parseInt(req.params.tableNumber),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.success(res, round, "Lineup updated successfully");
+  });
+
+  /**
+   * Get round-robin schedule
+   * GET /api/v1/events/:eventId/schedule
+   */
+  getSchedule = asyncHandler(async (req, res) => {
+    const schedule = await RoundService.getSchedule(parseInt(req.params.eventId));
+
+    ResponseUtil.success(res, schedule, "Schedule retrieved successfully");
+  });
+
+  /**
+   * Get knockout bracket
+   * GET /api/v1/events/:eventId/bracket
+   */
+  getBracket = asyncHandler(async (req, res) => {
+    const bracket = await BracketService.getBracket(parseInt(req.params.eventId));
+
+    ResponseUtil.success(res, bracket, "Bracket retrieved successfully");
+  });
+
+  /**
+   * Get standings with tie-breaks
+   * GET /api/v1/events/:eventId/standings
+   */
+  getStandings = asyncHandler(async (req, res) => {
+    const standings = await StandingsService.getStandings(
+      parseInt(req.params.eventId),
+      req.query.round ? parseInt(req.query.round) : null
+    );
+
+    ResponseUtil.success(res, standings, "Standings retrieved successfully");
+  });
+
+  /**
+   * Get board prizes of a team event
+   * GET /api/v1/events/:eventId/board-prizes
+   */
+  getBoardPrizes = asyncHandler(async (req, res) => {
+    const boardPrizes = await StandingsService.getBoardPrizes(
+      parseInt(req.params.eventId),
+      req.query.minGames ? parseInt(req.query.minGames) : null
+    );
+
+    ResponseUtil.success(res, boardPrizes, "Board prizes retrieved successfully");
+  });
+
+  /**
+   * Get prize fund
+   * GET /api/v1/events/:eventId/prizes
+   */
+  getPrizeFund = asyncHandler(async (req, res) => {
+    const fund = await PrizeService.getPrizeFund(parseInt(req.params.eventId));
+
+    ResponseUtil.success(res, fund, "Prize fund retrieved successfully");
+  });
+
+  /**
+   * Replace prize fund (organizer only)
+   * PUT /api/v1/events/:eventId/prizes
+   */
+  updatePrizeFund = asyncHandler(async (req, res) => {
+    const fund = await PrizeService.updatePrizeFund(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.body
+    );
+
+    ResponseUtil.success(res, fund, "Prize fund updated successfully");
+  });
+
+  /**
+   * Get prize list computed from the standings
+   * GET /api/v1/events/:eventId/prize-list
+   */
+  getPrizeList = asyncHandler(async (req, res) => {
+    const prizeList = await PrizeService.getPrizeList(
+      parseInt(req.params.eventId)
+    );
+
+    ResponseUtil.success(res, prizeList, "Prize list retrieved successfully");
+  });
+
+  /**
+   * Export final prize list as CSV (organizer only)
+   * GET /api/v1/events/:eventId/prize-list/export
+   */
+  exportPrizeList = asyncHandler(async (req, res) => {
+    const { filename, content } = await PrizeService.exportPrizeList(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  /**
+   * Get crosstable
+   * GET /api/v1/events/:eventId/crosstable
+   */
+  getCrosstable = asyncHandler(async (req, res) => {
+    const crosstable = await StandingsService.getCrosstable(
+      parseInt(req.params.eventId)
+    );
+
+    ResponseUtil.success(res, crosstable, "Crosstable retrieved successfully");
+  });
+
+  /**
+   * Get rating report of a completed event
+   * GET /api/v1/events/:eventId/rating-report
+   */
+  getRatingReport = asyncHandler(async (req, res) => {
+    const report = await RatingReportService.getRatingReport(
+      parseInt(req.params.eventId)
+    );
+
+    ResponseUtil.success(res, report, "Rating report retrieved successfully");
+  });
+
+  /**
+   * Upload the PGN of a board
+   * POST /api/v1/events/:eventId/rounds/:roundNumber/boards/:boardNumber/pgn
+   */
+  uploadGame = asyncHandler(async (req, res) => {
+    const pgn = readPgn(req);
+
+    if (!pgn) {
+      return ResponseUtil.badRequest(res, "No PGN uploaded");
+    }
+
+    const game = await GameService.uploadGame(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      parseInt(req.params.boardNumber),
+      req.user.userId,
+      pgn
+    );
+
+    ResponseUtil.created(res, game, "Game uploaded successfully");
+  });
+
+  /**
+   * Upload the PGN of a round (organizer or arbiter)
+   * POST /api/v1/events/:eventId/rounds/:roundNumber/pgn
+   */
+  uploadRoundGames = asyncHandler(async (req, res) => {
+    const pgn = readPgn(req);
+
+    if (!pgn) {
+      return ResponseUtil.badRequest(res, "No PGN uploaded");
+    }
+
+    const result = await GameService.uploadRoundGames(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user.userId,
+      pgn
+    );
+
+    ResponseUtil.created(res, result, `${result.imported} game(s) uploaded`);
+  });
+
+  /**
+   * Delete the game of a board (organizer or arbiter)
+   * DELETE /api/v1/events/:eventId/rounds/:roundNumber/boards/:boardNumber/pgn
+   */
+  deleteGame = asyncHandler(async (req, res) => {
+    await GameService.deleteGame(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      parseInt(req.params.boardNumber),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, null, "Game deleted successfully");
+  });
+
+  /**
+   * Download all published games of the event
+   * GET /api/v1/events/:eventId/pgn
+   */
+  exportPgn = asyncHandler(async (req, res) => {
+    const { filename, content } = await GameService.exportPgn(
+      parseInt(req.params.eventId)
+    );
+
+    res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  /**
+   * Download the published games of a player
+   * GET /api/v1/events/:eventId/players/:playerId/pgn
+   */
+  exportPlayerPgn = asyncHandler(async (req, res) => {
+    const { filename, content } = await GameService.exportPgn(
+      parseInt(req.params.eventId),
+      parseInt(req.params.playerId)
+    );
+
+    res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  /**
+   * Export FIDE TRF16 report (organizer only)
+   * GET /api/v1/events/:eventId/trf
+   */
+  exportTrf = asyncHandler(async (req, res) => {
+    const { filename, content } = await TrfService.exportTrf(
+      parseInt(req.params.eventId),
+      req.user.userId
+    );
+
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(content);
+  });
+
+  /**
+   * Import rounds and results from a TRF16 report (organizer only)
+   * POST /api/v1/events/:eventId/trf
+   */
+  importTrf = asyncHandler(async (req, res) => {
+    const result = await TrfService.importTrf(
+      parseInt(req.params.eventId),
+      req.user.userId,
+      req.body.trf
+    );
+
+    ResponseUtil.success(res, result, "TRF imported successfully");
+  });
+
+  /**
+   * Delete draft round (organizer or chief arbiter)
+   * DELETE /api/v1/events/:eventId/rounds/:roundNumber
+   */
+  deleteRound = asyncHandler(async (req, res) => {
+    await RoundService.deleteRound(
+      parseInt(req.params.eventId),
+      parseInt(req.params.roundNumber),
+      req.user.userId
+    );
+
+    ResponseUtil.success(res, null, "Round deleted successfully");
+  });
+}
+
+module.exports = new TournamentController();
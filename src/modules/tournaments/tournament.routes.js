@@ -0,0 +1,487 @@
+/**
+ * Tournament Routes
+ * Rounds, pairings and players of an event (mounted under /events/:eventId)
+ */
+
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const TournamentController = require("./tournament.controller");
+const { validate } = require("../../middleware/validation.middleware");
+const {
+  authenticate,
+  isOrganizer,
+  isOrganizerOrArbiter,
+  optionalAuth,
+} = require("../../middleware/auth.middleware");
+const { auditArbiterAction } = require("../../middleware/audit.middleware");
+const { uploadPgn } = require("../../middleware/upload.middleware");
+const {
+  eventParamsSchema,
+  roundParamsSchema,
+  matchParamsSchema,
+  boardParamsSchema,
+  tableParamsSchema,
+  playerParamsSchema,
+  arbiterParamsSchema,
+  updatePlayerSchema,
+  checkInSchema,
+  updatePairingsSchema,
+  recordResultsSchema,
+  addMatchGamesSchema,
+  updateLineupSchema,
+  standingsQuerySchema,
+  boardPrizesQuerySchema,
+  updatePrizesSchema,
+  uploadPgnSchema,
+  importTrfSchema,
+  assignArbiterSchema,
+} = require("./tournament.validation");
+
+/**
+ * @route   GET /api/v1/events/:eventId/players
+ * @desc    Get seeded players of an event
+ * @access  Private (Organizer or arbiter)
+ */
+router.get(
+  "/players",
+  authenticate,
+  isOrganizerOrArbiter,
+  validate(eventParamsSchema, "params"),
+  TournamentController.getPlayers
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/players/:playerId
+ * @desc    Update player seeding rating
+ * @access  Private (Organizer or chief arbiter)
+ */
+router.put(
+  "/players/:playerId",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("UPDATE_PLAYER_RATING"),
+  validate(playerParamsSchema, "params"),
+  validate(updatePlayerSchema),
+  TournamentController.updatePlayer
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/players/:playerId/documents
+ * @desc    Get a player's documents (photo, birth certificate, Aadhar card)
+ * @access  Private (Organizer or arbiter)
+ */
+router.get(
+  "/players/:playerId/documents",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("VIEW_PLAYER_DOCUMENTS"),
+  validate(playerParamsSchema, "params"),
+  TournamentController.getPlayerDocuments
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/arbiters
+ * @desc    Get arbiters assigned to the event
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/arbiters",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  TournamentController.getArbiters
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/arbiters
+ * @desc    Assign an arbiter (chief or deputy) to the event
+ * @access  Private (Organizer)
+ */
+router.post(
+  "/arbiters",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  validate(assignArbiterSchema),
+  TournamentController.assignArbiter
+);
+
+/**
+ * @route   DELETE /api/v1/events/:eventId/arbiters/:userId
+ * @desc    Remove an arbiter from the event
+ * @access  Private (Organizer)
+ */
+router.delete(
+  "/arbiters/:userId",
+  authenticate,
+  isOrganizer,
+  validate(arbiterParamsSchema, "params"),
+  TournamentController.removeArbiter
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/check-in
+ * @desc    Check in a player by scanned QR pass (or player ID)
+ * @access  Private (Organizer or arbiter)
+ */
+router.post(
+  "/check-in",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("CHECK_IN_PLAYER"),
+  validate(eventParamsSchema, "params"),
+  validate(checkInSchema),
+  TournamentController.checkIn
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/check-in
+ * @desc    Get checked-in and absent players
+ * @access  Private (Organizer or arbiter)
+ */
+router.get(
+  "/check-in",
+  authenticate,
+  isOrganizerOrArbiter,
+  validate(eventParamsSchema, "params"),
+  TournamentController.getAttendance
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/rounds
+ * @desc    Generate pairings for the next round (saved as draft)
+ * @access  Private (Organizer or chief arbiter)
+ */
+router.post(
+  "/rounds",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("GENERATE_ROUND"),
+  validate(eventParamsSchema, "params"),
+  TournamentController.generateRound
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/rounds
+ * @desc    Get rounds with pairings (drafts visible to organizer only)
+ * @access  Public
+ */
+router.get(
+  "/rounds",
+  optionalAuth,
+  validate(eventParamsSchema, "params"),
+  TournamentController.getRounds
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/rounds/:roundNumber
+ * @desc    Get round pairings (drafts include review warnings for organizer)
+ * @access  Public
+ */
+router.get(
+  "/rounds/:roundNumber",
+  optionalAuth,
+  validate(roundParamsSchema, "params"),
+  TournamentController.getRound
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/rounds/:roundNumber/pairings
+ * @desc    Manually adjust pairings of a draft round
+ * @access  Private (Organizer or chief arbiter)
+ */
+router.put(
+  "/rounds/:roundNumber/pairings",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("UPDATE_PAIRINGS"),
+  validate(roundParamsSchema, "params"),
+  validate(updatePairingsSchema),
+  TournamentController.updatePairings
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/rounds/:roundNumber/publish
+ * @desc    Publish a draft round
+ * @access  Private (Organizer or chief arbiter)
+ */
+router.post(
+  "/rounds/:roundNumber/publish",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("PUBLISH_ROUND"),
+  validate(roundParamsSchema, "params"),
+  TournamentController.publishRound
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/rounds/:roundNumber/results
+ * @desc    Record board results of a published round
+ * @access  Private (Organizer or arbiter)
+ */
+router.put(
+  "/rounds/:roundNumber/results",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("RECORD_RESULTS"),
+  validate(roundParamsSchema, "params"),
+  validate(recordResultsSchema),
+  TournamentController.recordResults
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/rounds/:roundNumber/matches/:matchNumber/games
+ * @desc    Add tiebreak or armageddon games to a tied knockout match
+ * @access  Private (Organizer or arbiter)
+ */
+router.post(
+  "/rounds/:roundNumber/matches/:matchNumber/games",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("ADD_MATCH_GAMES"),
+  validate(matchParamsSchema, "params"),
+  validate(addMatchGamesSchema),
+  TournamentController.addMatchGames
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/rounds/:roundNumber/tables/:tableNumber/lineup
+ * @desc    Change a team's lineup in a draft round of a team event
+ * @access  Private (Organizer or arbiter)
+ */
+router.put(
+  "/rounds/:roundNumber/tables/:tableNumber/lineup",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("UPDATE_LINEUP"),
+  validate(tableParamsSchema, "params"),
+  validate(updateLineupSchema),
+  TournamentController.updateLineup
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/rounds/:roundNumber/boards/:boardNumber/pgn
+ * @desc    Upload the PGN of a board (.pgn file field "pgn" or PGN text)
+ * @access  Private (Organizer, arbiter or players of the board)
+ */
+router.post(
+  "/rounds/:roundNumber/boards/:boardNumber/pgn",
+  authenticate,
+  auditArbiterAction("UPLOAD_GAME"),
+  uploadPgn("pgn"),
+  validate(boardParamsSchema, "params"),
+  validate(uploadPgnSchema),
+  TournamentController.uploadGame
+);
+
+/**
+ * @route   DELETE /api/v1/events/:eventId/rounds/:roundNumber/boards/:boardNumber/pgn
+ * @desc    Delete the uploaded game of a board
+ * @access  Private (Organizer or arbiter)
+ */
+router.delete(
+  "/rounds/:roundNumber/boards/:boardNumber/pgn",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("DELETE_GAME"),
+  validate(boardParamsSchema, "params"),
+  TournamentController.deleteGame
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/rounds/:roundNumber/pgn
+ * @desc    Upload the games of a round (matched to boards by player names)
+ * @access  Private (Organizer or arbiter)
+ */
+router.post(
+  "/rounds/:roundNumber/pgn",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("UPLOAD_ROUND_GAMES"),
+  uploadPgn("pgn"),
+  validate(roundParamsSchema, "params"),
+  validate(uploadPgnSchema),
+  TournamentController.uploadRoundGames
+);
+
+/**
+ * @route   DELETE /api/v1/events/:eventId/rounds/:roundNumber
+ * @desc    Delete the latest draft round
+ * @access  Private (Organizer or chief arbiter)
+ */
+router.delete(
+  "/rounds/:roundNumber",
+  authenticate,
+  isOrganizerOrArbiter,
+  auditArbiterAction("DELETE_ROUND"),
+  validate(roundParamsSchema, "params"),
+  TournamentController.deleteRound
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/standings
+ * @desc    Get standings with tie-breaks (optionally after a given round)
+ * @access  Public
+ */
+router.get(
+  "/standings",
+  validate(eventParamsSchema, "params"),
+  validate(standingsQuerySchema, "query"),
+  TournamentController.getStandings
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/crosstable
+ * @desc    Get crosstable of published rounds
+ * @access  Public
+ */
+router.get(
+  "/crosstable",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getCrosstable
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/rating-report
+ * @desc    Get expected rating changes and performance ratings of a completed event
+ * @access  Public
+ */
+router.get(
+  "/rating-report",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getRatingReport
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/board-prizes
+ * @desc    Get board prizes of a team event ranked by percentage
+ * @access  Public
+ */
+router.get(
+  "/board-prizes",
+  validate(eventParamsSchema, "params"),
+  validate(boardPrizesQuerySchema, "query"),
+  TournamentController.getBoardPrizes
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/prizes
+ * @desc    Get prize fund (overall and category prizes, tie rule)
+ * @access  Public
+ */
+router.get(
+  "/prizes",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getPrizeFund
+);
+
+/**
+ * @route   PUT /api/v1/events/:eventId/prizes
+ * @desc    Replace prize fund
+ * @access  Private (Organizer)
+ */
+router.put(
+  "/prizes",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  validate(updatePrizesSchema),
+  TournamentController.updatePrizeFund
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/prize-list
+ * @desc    Get prize winners computed from the standings
+ * @access  Public
+ */
+router.get(
+  "/prize-list",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getPrizeList
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/prize-list/export
+ * @desc    Export final prize list as CSV for payout
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/prize-list/export",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  TournamentController.exportPrizeList
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/schedule
+ * @desc    Get full Berger schedule of a round-robin event
+ * @access  Public
+ */
+router.get(
+  "/schedule",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getSchedule
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/bracket
+ * @desc    Get knockout bracket with match scores and winners
+ * @access  Public
+ */
+router.get(
+  "/bracket",
+  validate(eventParamsSchema, "params"),
+  TournamentController.getBracket
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/pgn
+ * @desc    Download all published games of the event
+ * @access  Public
+ */
+router.get(
+  "/pgn",
+  validate(eventParamsSchema, "params"),
+  TournamentController.exportPgn
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/players/:playerId/pgn
+ * @desc    Download the published games of a player
+ * @access  Public
+ */
+router.get(
+  "/players/:playerId/pgn",
+  validate(playerParamsSchema, "params"),
+  TournamentController.exportPlayerPgn
+);
+
+/**
+ * @route   GET /api/v1/events/:eventId/trf
+ * @desc    Export FIDE TRF16 tournament report
+ * @access  Private (Organizer)
+ */
+router.get(
+  "/trf",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  TournamentController.exportTrf
+);
+
+/**
+ * @route   POST /api/v1/events/:eventId/trf
+ * @desc    Import rounds and results from a TRF16 report (replaces existing rounds)
+ * @access  Private (Organizer)
+ */
+router.post(
+  "/trf",
+  authenticate,
+  isOrganizer,
+  validate(eventParamsSchema, "params"),
+  validate(importTrfSchema),
+  TournamentController.importTrf
+);
+
+module.exports = router;
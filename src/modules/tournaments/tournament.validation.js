@@ -0,0 +1,338 @@
+/**
+ * Tournament Validation Schemas
+ * Joi validation schemas for round, pairing and player endpoints
+ */
+
+const Joi = require("joi");
+const {
+  ARBITER_ROLES,
+  GAME_RESULTS,
+  GAME_TYPES,
+  PRIZE_CATEGORIES,
+  PRIZE_TIE_RULES,
+} = require("../../config/constants");
+
+/**
+ * Event ID schema (params)
+ */
+const eventParamsSchema = Joi.object({
+  eventId: Joi.number().integer().positive().required().messages({
+    "number.base": "Event ID must be a number",
+    "number.positive": "Event ID must be positive",
+    "any.required": "Event ID is required",
+  }),
+});
+
+/**
+ * Round params schema
+ */
+const roundParamsSchema = eventParamsSchema.keys({
+  roundNumber: Joi.number().integer().positive().required().messages({
+    "number.base": "Round number must be a number",
+    "number.positive": "Round number must be positive",
+    "any.required": "Round number is required",
+  }),
+});
+
+/**
+ * Match params schema
+ */
+const matchParamsSchema = roundParamsSchema.keys({
+  matchNumber: Joi.number().integer().positive().required().messages({
+    "number.base": "Match number must be a number",
+    "number.positive": "Match number must be positive",
+    "any.required": "Match number is required",
+  }),
+});
+
+/**
+ * Board params schema
+ */
+const boardParamsSchema = roundParamsSchema.keys({
+  boardNumber: Joi.number().integer().positive().required().messages({
+    "number.base": "Board number must be a number",
+    "number.positive": "Board number must be positive",
+    "any.required": "Board number is required",
+  }),
+});
+
+/**
+ * Table params schema (team match)
+ */
+const tableParamsSchema = roundParamsSchema.keys({
+  tableNumber: Joi.number().integer().positive().required().messages({
+    "number.base": "Table number must be a number",
+    "number.positive": "Table number must be positive",
+    "any.required": "Table number is required",
+  }),
+});
+
+/**
+ * Player params schema
+ */
+const playerParamsSchema = eventParamsSchema.keys({
+  playerId: Joi.number().integer().positive().required().messages({
+    "number.base": "Player ID must be a number",
+    "number.positive": "Player ID must be positive",
+    "any.required": "Player ID is required",
+  }),
+});
+
+/**
+ * Arbiter params schema
+ */
+const arbiterParamsSchema = eventParamsSchema.keys({
+  userId: Joi.number().integer().positive().required().messages({
+    "number.base": "User ID must be a number",
+    "number.positive": "User ID must be positive",
+    "any.required": "User ID is required",
+  }),
+});
+
+/**
+ * Update player schema
+ */
+const updatePlayerSchema = Joi.object({
+  rating: Joi.number().integer().min(0).max(3500).allow(null).required().messages({
+    "number.min": "Rating cannot be negative",
+    "number.max": "Rating must not exceed 3500",
+    "any.required": "Rating is required",
+  }),
+});
+
+/**
+ * Check-in schema
+ * A scanned pass token, or a player ID when the pass is lost
+ */
+const checkInSchema = Joi.object({
+  token: Joi.string().max(1000).optional(),
+  playerId: Joi.number().integer().positive().optional(),
+})
+  .xor("token", "playerId")
+  .messages({
+    "object.missing": "A check-in pass token or player ID is required",
+    "object.xor": "Provide either a check-in pass token or a player ID",
+  });
+
+/**
+ * Update pairings schema
+ * Pairings are given in board order; a missing blackId is a bye
+ */
+const updatePairingsSchema = Joi.object({
+  pairings: Joi.array()
+    .items(
+      Joi.object({
+        whiteId: Joi.number().integer().positive().required().messages({
+          "any.required": "White player ID is required",
+        }),
+        blackId: Joi.number().integer().positive().allow(null).optional(),
+      })
+    )
+    .min(1)
+    .required()
+    .messages({
+      "array.min": "At least one pairing is required",
+      "any.required": "Pairings are required",
+    }),
+});
+
+/**
+ * Record results schema
+ * A null result clears the board (game still in progress)
+ */
+const recordResultsSchema = Joi.object({
+  results: Joi.array()
+    .items(
+      Joi.object({
+        boardNumber: Joi.number().integer().positive().required().messages({
+          "any.required": "Board number is required",
+        }),
+        result: Joi.string()
+          .valid(...Object.values(GAME_RESULTS))
+          .allow(null)
+          .required()
+          .messages({
+            "any.only": "Invalid game result",
+            "any.required": "Result is required",
+          }),
+      })
+    )
+    .min(1)
+    .unique("boardNumber")
+    .required()
+    .messages({
+      "array.min": "At least one result is required",
+      "array.unique": "Each board can only appear once",
+      "any.required": "Results are required",
+    }),
+});
+
+/**
+ * Add match games schema
+ * Tiebreak games are added in pairs by default; armageddon is a single game
+ */
+const addMatchGamesSchema = Joi.object({
+  gameType: Joi.string()
+    .valid(GAME_TYPES.TIEBREAK, GAME_TYPES.ARMAGEDDON)
+    .required()
+    .messages({
+      "any.only": "Game type must be TIEBREAK or ARMAGEDDON",
+      "any.required": "Game type is required",
+    }),
+  games: Joi.number().integer().min(1).max(4).optional().messages({
+    "number.min": "At least one game is required",
+    "number.max": "At most 4 games can be added at once",
+  }),
+  whiteId: Joi.number().integer().positive().optional(),
+});
+
+/**
+ * Update lineup schema
+ * Players are given in board order
+ */
+const updateLineupSchema = Joi.object({
+  teamId: Joi.number().integer().positive().required().messages({
+    "any.required": "Team ID is required",
+  }),
+  playerIds: Joi.array()
+    .items(Joi.number().integer().positive())
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "array.min": "At least one player is required",
+      "array.unique": "Each player can only appear once",
+      "any.required": "Player IDs are required",
+    }),
+});
+
+/**
+ * Standings query schema
+ */
+const standingsQuerySchema = Joi.object({
+  round: Joi.number().integer().positive().optional().messages({
+    "number.base": "Round must be a number",
+    "number.positive": "Round must be positive",
+  }),
+});
+
+/**
+ * Board prizes query schema
+ */
+const boardPrizesQuerySchema = Joi.object({
+  minGames: Joi.number().integer().min(1).optional().messages({
+    "number.base": "Minimum games must be a number",
+    "number.min": "Minimum games must be at least 1",
+  }),
+});
+
+/**
+ * Update prize fund schema
+ * Replaces all prizes; age prizes need the age limit (e.g. 12 for Best U12)
+ */
+const updatePrizesSchema = Joi.object({
+  tieRule: Joi.string()
+    .valid(...Object.values(PRIZE_TIE_RULES))
+    .optional()
+    .messages({
+      "any.only": "Tie rule must be TIE_BREAK, EQUAL_SHARE or HORT",
+    }),
+  onePrizePerPlayer: Joi.boolean().optional(),
+  prizes: Joi.array()
+    .items(
+      Joi.object({
+        category: Joi.string()
+          .valid(...Object.values(PRIZE_CATEGORIES))
+          .optional()
+          .default(PRIZE_CATEGORIES.OVERALL)
+          .messages({
+            "any.only": "Invalid prize category",
+          }),
+        ageLimit: Joi.number()
+          .integer()
+          .min(5)
+          .max(25)
+          .when("category", {
+            is: PRIZE_CATEGORIES.AGE,
+            then: Joi.required(),
+            otherwise: Joi.optional().allow(null),
+          })
+          .messages({
+            "any.required": "Age limit is required for age prizes",
+          }),
+        place: Joi.number().integer().min(1).required().messages({
+          "number.min": "Place must be at least 1",
+          "any.required": "Place is required",
+        }),
+        amount: Joi.number().min(0).precision(2).required().messages({
+          "number.min": "Amount cannot be negative",
+          "any.required": "Amount is required",
+        }),
+        label: Joi.string().max(100).allow("").optional(),
+      })
+    )
+    .max(200)
+    .required()
+    .messages({
+      "array.max": "A prize fund must not exceed 200 prizes",
+      "any.required": "Prizes are required",
+    }),
+});
+
+/**
+ * PGN upload schema
+ * PGN text in the body is an alternative to uploading a .pgn file
+ */
+const uploadPgnSchema = Joi.object({
+  pgn: Joi.string().optional().messages({
+    "string.empty": "PGN content cannot be empty",
+  }),
+});
+
+/**
+ * TRF import schema
+ */
+const importTrfSchema = Joi.object({
+  trf: Joi.string().required().messages({
+    "string.empty": "TRF content is required",
+    "any.required": "TRF content is required",
+  }),
+});
+
+/**
+ * Assign arbiter schema
+ */
+const assignArbiterSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    "string.email": "Please provide a valid email address",
+    "any.required": "Arbiter email is required",
+  }),
+  arbiterRole: Joi.string()
+    .valid(...Object.values(ARBITER_ROLES))
+    .optional()
+    .messages({
+      "any.only": "Arbiter role must be CHIEF or DEPUTY",
+    }),
+});
+
+module.exports = {
+  eventParamsSchema,
+  roundParamsSchema,
+  matchParamsSchema,
+  boardParamsSchema,
+  tableParamsSchema,
+  playerParamsSchema,
+  arbiterParamsSchema,
+  updatePlayerSchema,
+  checkInSchema,
+  updatePairingsSchema,
+  recordResultsSchema,
+  addMatchGamesSchema,
+  updateLineupSchema,
+  standingsQuerySchema,
+  boardPrizesQuerySchema,
+  updatePrizesSchema,
+  uploadPgnSchema,
+  importTrfSchema,
+  assignArbiterSchema,
+};
@@ -0,0 +1,477 @@
+/**
+ * TRF Service
+ * FIDE Tournament Report File (TRF16) export and import
+ */
+
+const { prisma } = require("../../config/database");
+const RoundService = require("./round.service");
+const StandingsService = require("./standings.service");
+const DateUtil = require("../../utils/date.util");
+const {
+  EVENT_STATUS,
+  ROUND_STATUS,
+  GAME_RESULTS,
+  GENDER,
+  TOURNAMENT_FORMATS,
+} = require("../../config/constants");
+
+// Player record ("001") field positions (1-based column, width)
+const FIELDS = {
+  startRank: [5, 4],
+  sex: [10, 1],
+  title: [11, 3],
+  name: [15, 33],
+  rating: [49, 4],
+  federation: [54, 3],
+  fideId: [58, 11],
+  birthDate: [70, 10],
+  points: [81, 4],
+  rank: [86, 4],
+};
+
+// Round entries start at column 92, 10 columns each:
+// opponent (4), colour (1), result (1)
+const ROUND_START = 92;
+const ROUND_WIDTH = 10;
+
+// TRF result codes for the player whose line is written
+const RESULT_CODES = {
+  WIN: "1",
+  LOSS: "0",
+  DRAW: "=",
+  FORFEIT_WIN: "+",
+  FORFEIT_LOSS: "-",
+  FULL_BYE: "F",
+  HALF_BYE: "H",
+  PAIRING_BYE: "U",
+  ZERO_BYE: "Z",
+};
+
+// Tournament type ("092") written for each format
+const TOURNAMENT_TYPES = {
+  [TOURNAMENT_FORMATS.SWISS]: "Swiss System",
+  [TOURNAMENT_FORMATS.ROUND_ROBIN]: "Round Robin",
+  [TOURNAMENT_FORMATS.DOUBLE_ROUND_ROBIN]: "Double Round Robin",
+  [TOURNAMENT_FORMATS.KNOCKOUT]: "Knockout",
+};
+
+class TrfService {
+  /**
+   * Write a value into a fixed-width line
+   * @param {array} line - Line characters
+   * @param {number} column - 1-based start column
+   * @param {number} width - Field width
+   * @param {string|number} value - Value to write
+   * @param {boolean} alignRight - Right-align the value
+   */
+  writeField(line, column, width, value, alignRight = false) {
+    const text = String(value ?? "").slice(0, width);
+    const padded = alignRight ? text.padStart(width) : text.padEnd(width);
+
+    for (let i = 0; i < width; i++) {
+      line[column - 1 + i] = padded[i];
+    }
+  }
+
+  /**
+   * Read a value from a fixed-width line
+   * @param {string} line - Line text
+   * @param {number} column - 1-based start column
+   * @param {number} width - Field width
+   * @returns {string} Trimmed value
+   */
+  readField(line, column, width) {
+    return line.substring(column - 1, column - 1 + width).trim();
+  }
+
+  /**
+   * Format a date as YYYY/MM/DD (or YY/MM/DD for round dates)
+   * Read in UTC: date-only values such as event dates parse as UTC midnight,
+   * which is the previous day in timezones behind UTC
+   * @param {Date|string} date - Date value
+   * @param {boolean} short - Two-digit year
+   * @returns {string} Formatted date
+   */
+  formatDate(date, short = false) {
+    if (!date) return "";
+
+    const d = new Date(date);
+    const year = String(d.getUTCFullYear());
+    const month = String(d.getUTCMonth() + 1).padStart(2, "0");
+    const day = String(d.getUTCDate()).padStart(2, "0");
+
+    return `${short ? year.slice(2) : year}/${month}/${day}`;
+  }
+
+  /**
+   * Format points with one decimal, e.g. "3.5"
+   * @param {number} points - Points
+   * @returns {string} Formatted points
+   */
+  formatPoints(points) {
+    return points.toFixed(1);
+  }
+
+  /**
+   * TRF round entry for a player
+   * @param {object} pairing - Pairing the player appears in (or undefined)
+   * @param {number} playerId - Booking participant ID
+   * @param {Map} startRanks - Player ID => starting rank
+   * @returns {object} { opponent, colour, code }
+   */
+  getRoundEntry(pairing, playerId, startRanks) {
+    if (!pairing) {
+      return { opponent: 0, colour: "-", code: RESULT_CODES.ZERO_BYE };
+    }
+
+    if (!pairing.blackId) {
+      return {
+        opponent: 0,
+        colour: "-",
+        code:
+          pairing.result === GAME_RESULTS.HALF_POINT_BYE
+            ? RESULT_CODES.HALF_BYE
+            : RESULT_CODES.PAIRING_BYE,
+      };
+    }
+
+    const isWhite = pairing.whiteId === playerId;
+    const opponentId = isWhite ? pairing.blackId : pairing.whiteId;
+    const entry = {
+      opponent: startRanks.get(opponentId) || 0,
+      colour: isWhite ? "w" : "b",
+      code: " ",
+    };
+
+    if (!pairing.result) return entry;
+
+    const [whitePoints, blackPoints] = RoundService.getResultPoints(pairing.result);
+    const points = isWhite ? whitePoints : blackPoints;
+
+    if (RoundService.isPlayedResult(pairing.result)) {
+      entry.code =
+        points === 1
+          ? RESULT_CODES.WIN
+          : points === 0.5
+          ? RESULT_CODES.DRAW
+          : RESULT_CODES.LOSS;
+    } else {
+      entry.code = points === 1 ? RESULT_CODES.FORFEIT_WIN : RESULT_CODES.FORFEIT_LOSS;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Export event as a TRF16 document
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @returns {Promise<object>} { filename, content }
+   */
+  async exportTrf(eventId, organizerId) {
+    const event = await RoundService.getManagedEvent(eventId, organizerId);
+    StandingsService.assertScoreTable(event);
+    const tieBreaks = (await StandingsService.getEvent(eventId)).tieBreaks;
+    const rounds = await StandingsService.getRounds(eventId);
+    const players = await StandingsService.getPlayers(eventId, rounds);
+    const { rows } = StandingsService.computeStandings(players, rounds, tieBreaks);
+
+    // Starting rank is the pairing number; unseeded players follow in entry order
+    const ordered = [...players].sort(
+      (a, b) =>
+        (a.pairingNumber || Infinity) - (b.pairingNumber || Infinity) ||
+        a.id - b.id
+    );
+    const startRanks = new Map(ordered.map((player, index) => [player.id, index + 1]));
+    const standings = new Map(rows.map((row) => [row.playerId, row]));
+    const eventDates = DateUtil.parseEventDates(event.eventDates)
+      .map((date) => new Date(date))
+      .sort((a, b) => a - b);
+
+    const lines = [
+      `012 ${event.eventName}`,
+      `022 ${event.location}`,
+      `042 ${this.formatDate(eventDates[0])}`,
+      `052 ${this.formatDate(eventDates[eventDates.length - 1])}`,
+      `062 ${players.length}`,
+      `072 ${players.filter((player) => player.rating).length}`,
+      `092 ${
+        TOURNAMENT_TYPES[event.tournamentFormat] ||
+        TOURNAMENT_TYPES[TOURNAMENT_FORMATS.SWISS]
+      }`,
+    ];
+
+    // Round dates line: dates start at the first round column
+    const roundDates = Array(ROUND_START - 1 + rounds.length * ROUND_WIDTH).fill(" ");
+    this.writeField(roundDates, 1, 3, "132");
+    rounds.forEach((round, index) => {
+      this.writeField(
+        roundDates,
+        ROUND_START + index * ROUND_WIDTH,
+        8,
+        this.formatDate(round.publishedAt || round.createdAt, true)
+      );
+    });
+    lines.push(roundDates.join("").trimEnd());
+
+    for (const player of ordered) {
+      const row = standings.get(player.id);
+      const line = Array(ROUND_START - 1 + rounds.length * ROUND_WIDTH).fill(" ");
+
+      this.writeField(line, 1, 3, "001");
+      this.writeField(line, ...FIELDS.startRank, startRanks.get(player.id), true);
+      this.writeField(
+        line,
+        ...FIELDS.sex,
+        player.participant.gender === GENDER.FEMALE ? "w" : "m"
+      );
+      this.writeField(line, ...FIELDS.name, player.participant.fullName);
+      this.writeField(line, ...FIELDS.rating, player.rating || "", true);
+      this.writeField(line, ...FIELDS.fideId, player.participant.fideId || "", true);
+      this.writeField(line, ...FIELDS.birthDate, this.formatDate(player.participant.dateOfBirth));
+      this.writeField(line, ...FIELDS.points, this.formatPoints(row.points), true);
+      this.writeField(line, ...FIELDS.rank, row.rank, true);
+
+      rounds.forEach((round, index) => {
+        const pairing = round.pairings.find(
+          (p) => p.whiteId === player.id || p.blackId === player.id
+        );
+        const { opponent, colour, code } = this.getRoundEntry(
+          pairing,
+          player.id,
+          startRanks
+        );
+        const column = ROUND_START + index * ROUND_WIDTH;
+
+        this.writeField(line, column, 4, String(opponent).padStart(4, "0"), true);
+        this.writeField(line, column + 5, 1, colour);
+        this.writeField(line, column + 7, 1, code);
+      });
+
+      lines.push(line.join("").trimEnd());
+    }
+
+    return {
+      filename: `event_${eventId}.trf`,
+      content: lines.join("\n") + "\n",
+    };
+  }
+
+  /**
+   * Parse player records of a TRF document
+   * @param {string} content - TRF text
+   * @returns {array} Parsed players with round entries
+   */
+  parseTrf(content) {
+    const players = content
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith("001"))
+      .map((line) => {
+        const rounds = [];
+        for (let column = ROUND_START; column <= line.length; column += ROUND_WIDTH) {
+          const opponent = parseInt(this.readField(line, column, 4)) || 0;
+          const colour = this.readField(line, column + 5, 1).toLowerCase() || "-";
+          const code = this.readField(line, column + 7, 1).toUpperCase();
+          rounds.push({ opponent, colour, code });
+        }
+
+        return {
+          startRank: parseInt(this.readField(line, ...FIELDS.startRank)),
+          name: this.readField(line, ...FIELDS.name),
+          rating: parseInt(this.readField(line, ...FIELDS.rating)) || null,
+          fideId: this.readField(line, ...FIELDS.fideId) || null,
+          rounds,
+        };
+      });
+
+    if (players.length === 0) {
+      throw new Error("No player records (001) found in TRF file");
+    }
+
+    const startRanks = new Set();
+    for (const player of players) {
+      if (!player.startRank || startRanks.has(player.startRank)) {
+        throw new Error(`Invalid or duplicate starting rank for ${player.name}`);
+      }
+      startRanks.add(player.startRank);
+    }
+
+    return players;
+  }
+
+  /**
+   * Convert the two TRF entries of a game into a game result
+   * @param {string} whiteCode - Result code on white's line
+   * @param {string} blackCode - Result code on black's line
+   * @returns {string|null} Game result (null if not yet played)
+   */
+  getGameResult(whiteCode, blackCode) {
+    switch (whiteCode) {
+      case "1":
+      case "W":
+        return GAME_RESULTS.WHITE_WIN;
+      case "0":
+      case "L":
+        return GAME_RESULTS.BLACK_WIN;
+      case "=":
+      case "D":
+        return GAME_RESULTS.DRAW;
+      case "+":
+        return GAME_RESULTS.WHITE_FORFEIT_WIN;
+      case "-":
+        return blackCode === "+"
+          ? GAME_RESULTS.BLACK_FORFEIT_WIN
+          : GAME_RESULTS.DOUBLE_FORFEIT;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Import rounds and results from a TRF document
+   * Players are matched by FIDE ID, then by name. Existing rounds are replaced.
+   * @param {number} eventId - Event ID
+   * @param {number} organizerId - Organizer user ID
+   * @param {string} content - TRF text
+   * @returns {Promise<object>} Import summary
+   */
+  async importTrf(eventId, organizerId, content) {
+    const event = await RoundService.getManagedEvent(eventId, organizerId);
+    StandingsService.assertScoreTable(event);
+    const trfPlayers = this.parseTrf(content);
+    const players = await RoundService.getPairingPool(eventId);
+
+    const byFideId = new Map(
+      players
+        .filter((p) => p.participant.fideId)
+        .map((p) => [p.participant.fideId.trim(), p])
+    );
+    const byName = new Map(
+      players.map((p) => [p.participant.fullName.trim().toLowerCase(), p])
+    );
+
+    const matched = new Map();
+    const unmatched = [];
+    const used = new Set();
+
+    for (const trfPlayer of trfPlayers) {
+      const player =
+        (trfPlayer.fideId && byFideId.get(trfPlayer.fideId)) ||
+        byName.get(trfPlayer.name.toLowerCase());
+
+      if (!player || used.has(player.id)) {
+        unmatched.push(trfPlayer.name);
+        continue;
+      }
+
+      used.add(player.id);
+      matched.set(trfPlayer.startRank, { trfPlayer, player });
+    }
+
+    if (unmatched.length > 0) {
+      throw new Error(
+        `Players not found among confirmed participants: ${unmatched.join(", ")}`
+      );
+    }
+
+    const roundCount = Math.max(...trfPlayers.map((p) => p.rounds.length));
+    const rounds = [];
+
+    for (let index = 0; index < roundCount; index++) {
+      const pairings = [];
+      const byes = [];
+
+      for (const { trfPlayer, player } of matched.values()) {
+        const entry = trfPlayer.rounds[index];
+        if (!entry) continue;
+
+        if (!entry.opponent) {
+          if (["U", "F"].includes(entry.code)) {
+            byes.push({ whiteId: player.id, blackId: null, result: GAME_RESULTS.BYE });
+          } else if (entry.code === "H") {
+            byes.push({
+              whiteId: player.id,
+              blackId: null,
+              result: GAME_RESULTS.HALF_POINT_BYE,
+            });
+          }
+          continue;
+        }
+
+        const opponent = matched.get(entry.opponent);
+        if (!opponent) {
+          throw new Error(
+            `Round ${index + 1}: ${trfPlayer.name} has unknown opponent ${entry.opponent}`
+          );
+        }
+
+        // Each game is written from white's line (lower starting rank if no colour)
+        const isWhite =
+          entry.colour === "w" ||
+          (entry.colour !== "b" && trfPlayer.startRank < entry.opponent);
+        if (!isWhite) continue;
+
+        const opponentEntry = opponent.trfPlayer.rounds[index] || {};
+
+        pairings.push({
+          whiteId: player.id,
+          blackId: opponent.player.id,
+          result: this.getGameResult(entry.code, opponentEntry.code),
+          startRank: Math.min(trfPlayer.startRank, entry.opponent),
+        });
+      }
+
+      // Board order: strongest starting rank first, byes last
+      pairings.sort((a, b) => a.startRank - b.startRank);
+
+      rounds.push(
+        [...pairings, ...byes].map(({ startRank, ...pairing }, board) => ({
+          ...pairing,
+          eventId,
+          boardNumber: board + 1,
+        }))
+      );
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.tournamentRound.deleteMany({ where: { eventId } });
+
+      for (const { trfPlayer, player } of matched.values()) {
+        await tx.bookingParticipant.update({
+          where: { id: player.id },
+          data: {
+            pairingNumber: trfPlayer.startRank,
+            rating: trfPlayer.rating ?? player.rating,
+          },
+        });
+      }
+
+      for (const [index, pairings] of rounds.entries()) {
+        await tx.tournamentRound.create({
+          data: {
+            eventId,
+            roundNumber: index + 1,
+            roundStatus: ROUND_STATUS.PUBLISHED,
+            publishedAt: new Date(),
+            pairings: { create: pairings },
+          },
+        });
+      }
+
+      if (rounds.length > 0 && event.eventStatus === EVENT_STATUS.UPCOMING) {
+        await tx.event.update({
+          where: { eventId },
+          data: { eventStatus: EVENT_STATUS.IN_PROGRESS },
+        });
+      }
+    }, { timeout: 30000 });
+
+    return {
+      eventId,
+      playersImported: matched.size,
+      roundsImported: rounds.length,
+    };
+  }
+}
+
+module.exports = new TrfService();
@@ -7,6 +7,9 @@ const app = require("./app");
 const config = require("./config/environment");
 const { connectDatabase } = require("./config/database");
 const SettingsService = require("./modules/settings/settings.service");
+const BookingExpiryJob = require("./jobs/bookingExpiry.job");
+const PaymentReconciliationJob = require("./jobs/paymentReconciliation.job");
+const IdempotencyKeyCleanupJob = require("./jobs/idempotencyKeyCleanup.job");
 
 // Start server
 const startServer = async () => {
@@ -17,6 +20,11 @@ const startServer = async () => {
     // Initialize settings (seed defaults if needed, warm up cache)
     await SettingsService.initializeSettings();
 
+    // Start background jobs
+    BookingExpiryJob.start();
+    PaymentReconciliationJob.start();
+    IdempotencyKeyCleanupJob.start();
+
     // Start Express server
     const server = app.listen(config.port, () => {
       console.log("");
@@ -52,6 +60,9 @@ const startServer = async () => {
     // Graceful shutdown
     const gracefulShutdown = () => {
       console.log("\n⏳ Shutting down gracefully...");
+      BookingExpiryJob.stop();
+      PaymentReconciliationJob.stop();
+      IdempotencyKeyCleanupJob.stop();
       server.close(async () => {
         console.log("✅ HTTP server closed");
         process.exit(0);
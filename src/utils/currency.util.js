@@ -0,0 +1,69 @@
+/**
+ * Currency Utility
+ * Conversion between amounts and the minor units gateways charge in
+ */
+
+// ISO 4217 currencies without a minor unit (e.g. ¥500 is charged as 500)
+const ZERO_DECIMAL_CURRENCIES = [
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "JPY",
+  "KMF",
+  "KRW",
+  "MGA",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF",
+];
+
+class CurrencyUtil {
+  /**
+   * Get the number of decimal places of a currency
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {number} Decimal places
+   */
+  static getDecimals(currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+      ? 0
+      : 2;
+  }
+
+  /**
+   * Convert an amount to minor units (e.g. rupees to paise)
+   * @param {number|string} amount - Amount
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {number} Amount in minor units
+   */
+  static toMinorUnits(amount, currency) {
+    return Math.round(Number(amount) * 10 ** this.getDecimals(currency));
+  }
+
+  /**
+   * Convert minor units back to an amount
+   * @param {number} minorUnits - Amount in minor units
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {number} Amount
+   */
+  static fromMinorUnits(minorUnits, currency) {
+    return Number(minorUnits) / 10 ** this.getDecimals(currency);
+  }
+
+  /**
+   * Format an amount as a decimal string (e.g. "500.00")
+   * @param {number|string} amount - Amount
+   * @param {string} currency - ISO 4217 currency code
+   * @returns {string} Amount with the currency's decimal places
+   */
+  static toDecimalString(amount, currency) {
+    return Number(amount).toFixed(this.getDecimals(currency));
+  }
+}
+
+module.exports = CurrencyUtil;
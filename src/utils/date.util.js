@@ -70,10 +70,11 @@ class DateUtil {
   /**
    * Calculate age from date of birth
    * @param {Date} dateOfBirth - Date of birth
+   * @param {Date} onDate - Date to calculate the age on (defaults to today)
    * @returns {number} Age in years
    */
-  static calculateAge(dateOfBirth) {
-    const today = new Date();
+  static calculateAge(dateOfBirth, onDate = new Date()) {
+    const today = new Date(onDate);
     const birthDate = new Date(dateOfBirth);
     let age = today.getFullYear() - birthDate.getFullYear();
     const monthDiff = today.getMonth() - birthDate.getMonth();
@@ -156,6 +157,33 @@ class DateUtil {
     }
   }
 
+  /**
+   * Get the start of an event: its first date at the start time
+   * @param {string} jsonDates - JSON string of event dates
+   * @param {Date|string} startTime - Event start time
+   * @returns {Date|null} Event start in server time, null if no valid date
+   */
+  static getEventStart(jsonDates, startTime) {
+    const [firstDate] = this.parseEventDates(jsonDates)
+      .map((date) => new Date(date))
+      .filter((date) => !Number.isNaN(date.getTime()))
+      .sort((a, b) => a - b);
+
+    if (!firstDate) return null;
+
+    const [hours, minutes] = (this.formatTime(startTime) || "00:00")
+      .split(":")
+      .map(Number);
+
+    return new Date(
+      firstDate.getUTCFullYear(),
+      firstDate.getUTCMonth(),
+      firstDate.getUTCDate(),
+      hours,
+      minutes
+    );
+  }
+
   /**
    * Format time to HH:mm
    * @param {Date|string} time - Time value (Date object or string)
@@ -0,0 +1,119 @@
+/**
+ * Reference Utility
+ * Booking references in Crockford base32 with a check symbol
+ */
+
+const crypto = require("crypto");
+const {
+  BOOKING_REFERENCE_PREFIX,
+  BOOKING_REFERENCE_LENGTH,
+} = require("../config/constants");
+
+// Crockford base32 symbols; the last five are only used as check symbols
+const SYMBOLS = "0123456789ABCDEFGHJKMNPQRSTVWXYZ*~$=U";
+const BASE = 32;
+
+// Letters commonly mistyped for digits
+const ALIASES = { I: "1", L: "1", O: "0" };
+
+// References issued before check symbols: CC-YYYYMMDD-NNNN (separators removed)
+const LEGACY_REFERENCE = /^(\d{8})(\d{4})$/;
+
+class ReferenceUtil {
+  /**
+   * Generate a random booking reference
+   * Format: CC-XXXX-XXXX-C, where C is the check symbol (e.g. CC-7K3M-Q9TZ-4)
+   * @returns {string} Booking reference
+   */
+  static generateBookingReference() {
+    let value = 0;
+    for (let i = 0; i < BOOKING_REFERENCE_LENGTH; i++) {
+      value = value * BASE + crypto.randomInt(BASE);
+    }
+
+    return this.formatBookingReference(value);
+  }
+
+  /**
+   * Format a value as a booking reference
+   * @param {number} value - Reference value
+   * @returns {string} Booking reference
+   */
+  static formatBookingReference(value) {
+    let body = "";
+    for (let rest = value, i = 0; i < BOOKING_REFERENCE_LENGTH; i++) {
+      body = SYMBOLS[rest % BASE] + body;
+      rest = Math.floor(rest / BASE);
+    }
+
+    const half = BOOKING_REFERENCE_LENGTH / 2;
+    return [
+      BOOKING_REFERENCE_PREFIX,
+      body.slice(0, half),
+      body.slice(half),
+      SYMBOLS[value % SYMBOLS.length],
+    ].join("-");
+  }
+
+  /**
+   * Normalize a booking reference typed by a user
+   * Case, separators and I/L/O for 1/0 are forgiven; any other typo fails
+   * the check symbol. Legacy CC-YYYYMMDD-NNNN references have no check
+   * symbol and are only checked for their format.
+   * @param {string} reference - Booking reference
+   * @returns {string|null} Canonical reference, or null if invalid
+   */
+  static normalizeBookingReference(reference) {
+    const compact = String(reference).toUpperCase().replace(/[\s-]/g, "");
+
+    if (!compact.startsWith(BOOKING_REFERENCE_PREFIX)) {
+      return null;
+    }
+
+    const legacy = compact
+      .slice(BOOKING_REFERENCE_PREFIX.length)
+      .match(LEGACY_REFERENCE);
+    if (legacy) {
+      return [BOOKING_REFERENCE_PREFIX, legacy[1], legacy[2]].join("-");
+    }
+
+    if (
+      compact.length !==
+        BOOKING_REFERENCE_PREFIX.length + BOOKING_REFERENCE_LENGTH + 1
+    ) {
+      return null;
+    }
+
+    const symbols = [...compact.slice(BOOKING_REFERENCE_PREFIX.length)].map(
+      (symbol) => ALIASES[symbol] || symbol
+    );
+    const check = symbols.pop();
+
+    let value = 0;
+    for (const symbol of symbols) {
+      const digit = SYMBOLS.indexOf(symbol);
+      if (digit < 0 || digit >= BASE) return null;
+      value = value * BASE + digit;
+    }
+
+    if (SYMBOLS[value % SYMBOLS.length] !== check) return null;
+
+    return this.formatBookingReference(value);
+  }
+
+  /**
+   * Check if a database error is a booking reference collision
+   * @param {Error} error - Prisma error
+   * @returns {boolean} True for a duplicate booking reference
+   */
+  static isBookingReferenceCollision(error) {
+    return (
+      error.code === "P2002" &&
+      [].concat(error.meta?.target).some((target) =>
+        /booking_?reference/i.test(target)
+      )
+    );
+  }
+}
+
+module.exports = ReferenceUtil;
@@ -70,6 +70,45 @@ class TokenUtil {
     }
   }
 
+  /**
+   * Generate signed check-in pass token for a registered player
+   * Encoded in the QR code of the booking confirmation; it does not expire.
+   * @param {object} player - Booking participant { id, bookingId, eventId }
+   * @returns {string} Check-in token
+   */
+  static generateCheckInToken(player) {
+    return jwt.sign(
+      {
+        purpose: "check-in",
+        playerId: player.id,
+        bookingId: player.bookingId,
+        eventId: player.eventId,
+      },
+      config.checkIn.secret
+    );
+  }
+
+  /**
+   * Verify check-in pass token
+   * @param {string} token - Check-in token from a scanned QR code
+   * @returns {object} Decoded payload { playerId, bookingId, eventId }
+   * @throws {Error} If token is invalid
+   */
+  static verifyCheckInToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, config.checkIn.secret);
+    } catch (error) {
+      throw new Error("Invalid check-in pass");
+    }
+
+    if (payload.purpose !== "check-in") {
+      throw new Error("Invalid check-in pass");
+    }
+
+    return payload;
+  }
+
   /**
    * Generate random token for email verification or password reset
    * @param {number} length - Token length (default: 32)
@@ -79,6 +118,20 @@ class TokenUtil {
     return crypto.randomBytes(length).toString("hex");
   }
 
+  /**
+   * Generate certificate verification code
+   * Letters and digits that are easy to tell apart (no 0/O, 1/I/L)
+   * @returns {string} Code in the format XXXX-XXXX-XXXX
+   */
+  static generateVerificationCode() {
+    const alphabet = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+    const code = [...crypto.randomBytes(12)]
+      .map((byte) => alphabet[byte % alphabet.length])
+      .join("");
+
+    return code.match(/.{4}/g).join("-");
+  }
+
   /**
    * Hash token for secure storage
    * @param {string} token - Token to hash
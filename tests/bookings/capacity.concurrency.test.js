@@ -0,0 +1,205 @@
+/**
+ * Booking Capacity Concurrency Tests
+ * Fire parallel bookings at the last slots of an event and of a category
+ * against a real MySQL database, and check that slots are never oversold
+ *
+ * Needs TEST_DATABASE_URL pointing at a migrated, disposable database
+ * (`DATABASE_URL=$TEST_DATABASE_URL npx prisma migrate deploy`). Skipped when
+ * it is not set. Run with `npm run test:concurrency`.
+ */
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Bookings fired at once, and slots left for them
+const PARALLEL_BOOKINGS = 12;
+const FREE_SLOTS = 3;
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe("booking capacity under concurrency", { skip: !databaseUrl }, () => {
+  let prisma;
+  let BookingService;
+  const suffix = Date.now().toString(36).slice(-6);
+  const userIds = [];
+  const participantIds = [];
+  const categoryIds = [];
+
+  before(async () => {
+    // One connection per booking, so none waits for the pool
+    const url = new URL(databaseUrl);
+    if (!url.searchParams.has("connection_limit")) {
+      url.searchParams.set("connection_limit", String(PARALLEL_BOOKINGS + 1));
+    }
+    process.env.DATABASE_URL = url.toString();
+
+    ({ prisma } = require("../../src/config/database"));
+    BookingService = require("../../src/modules/bookings/booking.service");
+
+    // One player per user, so each booking is independent
+    for (let i = 0; i < PARALLEL_BOOKINGS + 1; i++) {
+      const user = await prisma.user.create({
+        data: {
+          email: `concurrency-${suffix}-${i}@test.local`,
+          passwordHash: "x",
+          fullName: `Concurrency ${i}`,
+        },
+      });
+      userIds.push(user.userId);
+
+      if (i === 0) continue; // organizer
+
+      const participant = await prisma.participant.create({
+        data: {
+          userId: user.userId,
+          fullName: `Player ${i}`,
+          dateOfBirth: new Date("2000-01-01"),
+          gender: "MALE",
+        },
+      });
+      participantIds.push(participant.participantId);
+    }
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    // Events, participants and bookings go with their users
+    await prisma.user.deleteMany({ where: { userId: { in: userIds } } });
+    await prisma.eventCategory.deleteMany({
+      where: { categoryId: { in: categoryIds } },
+    });
+    await prisma.$disconnect();
+  });
+
+  /**
+   * Create an upcoming free event with one category
+   * @param {string} code - Category code suffix
+   * @param {object} capacity - { event, category, taken }: max capacities
+   *   (null if unlimited) and slots already taken
+   * @returns {Promise<object>} { eventId, categoryId, categoryCode }
+   */
+  const createEvent = async (code, { event, category, taken }) => {
+    const categoryCode = `C${suffix}${code}`;
+    const { categoryId } = await prisma.eventCategory.create({
+      data: { categoryName: `Concurrency ${code}`, categoryCode },
+    });
+    categoryIds.push(categoryId);
+
+    const { eventId } = await prisma.event.create({
+      data: {
+        organizerId: userIds[0],
+        eventName: `Concurrency ${suffix} ${code}`,
+        eventDates: JSON.stringify([
+          new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+            .toISOString()
+            .slice(0, 10),
+        ]),
+        eventStartTime: new Date("1970-01-01T09:00:00Z"),
+        location: "Test",
+        maxCapacity: event,
+        currentBookings: taken,
+        categories: {
+          create: {
+            categoryId,
+            maxCapacity: category,
+            currentBookings: category === null ? 0 : taken,
+          },
+        },
+      },
+    });
+
+    return { eventId, categoryId, categoryCode };
+  };
+
+  /**
+   * Book one player per user in parallel
+   * @param {number} eventId - Event ID
+   * @param {string} categoryCode - Category code
+   * @returns {Promise<object>} { booked, waitlisted, rejected }
+   */
+  const bookInParallel = async (eventId, categoryCode) => {
+    const results = await Promise.allSettled(
+      participantIds.map((participantId, i) =>
+        BookingService.createBooking(userIds[i + 1], {
+          eventId,
+          participants: [{ participantId, categoryCode }],
+        })
+      )
+    );
+
+    const fulfilled = results
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value);
+
+    return {
+      booked: fulfilled.filter((r) => r.bookingId),
+      waitlisted: fulfilled.filter((r) => r.entryId),
+      rejected: results.filter((r) => r.status === "rejected"),
+    };
+  };
+
+  /**
+   * Count the active bookings of an event
+   * @param {number} eventId - Event ID
+   * @returns {Promise<number>} Pending and confirmed bookings
+   */
+  const countBookings = (eventId) =>
+    prisma.booking.count({
+      where: { eventId, bookingStatus: { in: ["PENDING", "CONFIRMED"] } },
+    });
+
+  test("the last event slots go to exactly that many bookings", async () => {
+    const { eventId, categoryCode } = await createEvent("E", {
+      event: 10,
+      category: null,
+      taken: 10 - FREE_SLOTS,
+    });
+
+    const { booked, waitlisted, rejected } = await bookInParallel(
+      eventId,
+      categoryCode
+    );
+
+    assert.equal(booked.length, FREE_SLOTS);
+    assert.equal(await countBookings(eventId), FREE_SLOTS);
+    assert.equal(
+      waitlisted.length + rejected.length,
+      PARALLEL_BOOKINGS - FREE_SLOTS
+    );
+
+    const event = await prisma.event.findUnique({ where: { eventId } });
+    assert.ok(event.currentBookings <= event.maxCapacity);
+    assert.equal(event.currentBookings, event.maxCapacity);
+  });
+
+  test("the last category slots go to exactly that many bookings", async () => {
+    const { eventId, categoryId, categoryCode } = await createEvent("K", {
+      event: null,
+      category: FREE_SLOTS,
+      taken: 0,
+    });
+
+    const { booked, waitlisted, rejected } = await bookInParallel(
+      eventId,
+      categoryCode
+    );
+
+    assert.equal(booked.length, FREE_SLOTS);
+    assert.equal(await countBookings(eventId), FREE_SLOTS);
+    assert.equal(
+      waitlisted.length + rejected.length,
+      PARALLEL_BOOKINGS - FREE_SLOTS
+    );
+
+    const mapping = await prisma.eventCategoryMapping.findUnique({
+      where: { unique_event_category: { eventId, categoryId } },
+    });
+    assert.ok(mapping.currentBookings <= mapping.maxCapacity);
+    assert.equal(mapping.currentBookings, mapping.maxCapacity);
+
+    // A failed category reservation must not leak its event slot
+    const event = await prisma.event.findUnique({ where: { eventId } });
+    assert.equal(event.currentBookings, FREE_SLOTS);
+  });
+});
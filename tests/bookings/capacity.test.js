@@ -0,0 +1,190 @@
+/**
+ * Booking Capacity Tests
+ * Run parallel slot reservations against a fake database, and check that
+ * slots are never oversold and a waitlist offer is taken only once
+ *
+ * Needs no database; the same races run against MySQL in
+ * capacity.concurrency.test.js.
+ */
+
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeCapacityDb = require("../fakes/capacity.fake");
+const CapacityService = require("../../src/modules/bookings/capacity.service");
+
+// Bookings fired at once, and slots left for them
+const PARALLEL_BOOKINGS = 12;
+const FREE_SLOTS = 3;
+
+const EVENT_ID = 1;
+const CATEGORY = { categoryId: 7, categoryName: "Under 12" };
+
+describe("booking capacity", () => {
+  let db;
+
+  beforeEach(() => {
+    db = new FakeCapacityDb();
+  });
+
+  /**
+   * Reserve the slots of bookings in parallel
+   * @param {array} bookings - { categories, offer } of each booking
+   * @returns {Promise<object>} { reserved, waitlisted, rejected, results }
+   */
+  const reserveInParallel = async (bookings) => {
+    const results = await Promise.allSettled(
+      bookings.map(({ categories, offer = null }) =>
+        db.$transaction((tx) =>
+          CapacityService.reserveBookingSlots(tx, EVENT_ID, categories, offer)
+        )
+      )
+    );
+
+    const fulfilled = results.filter((r) => r.status === "fulfilled");
+
+    return {
+      reserved: fulfilled.filter((r) => r.value.reserved),
+      waitlisted: fulfilled.filter((r) => !r.value.reserved),
+      rejected: results.filter((r) => r.status === "rejected"),
+      results,
+    };
+  };
+
+  /**
+   * One single-player booking per user
+   * @param {number} count - Number of bookings
+   * @param {object|null} category - Category of each player
+   * @returns {array} Bookings
+   */
+  const singlePlayerBookings = (count, category = null) =>
+    Array.from({ length: count }, () => ({ categories: [category] }));
+
+  /**
+   * Add an unexpired offer of held slots
+   * @param {number} participantCount - Slots held by the offer
+   * @returns {object} Offered entry
+   */
+  const addOffer = (participantCount) =>
+    db.addWaitlistEntry({
+      entryId: 50,
+      participantCount,
+      waitlistStatus: "OFFERED",
+      holdExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+  test("the last event slots go to exactly that many bookings", async () => {
+    db.addEvent(EVENT_ID, {
+      maxCapacity: 10,
+      currentBookings: 10 - FREE_SLOTS,
+    });
+
+    const { reserved, waitlisted, rejected } = await reserveInParallel(
+      singlePlayerBookings(PARALLEL_BOOKINGS)
+    );
+
+    assert.equal(reserved.length, FREE_SLOTS);
+    assert.equal(waitlisted.length, PARALLEL_BOOKINGS - FREE_SLOTS);
+    assert.equal(rejected.length, 0);
+    assert.equal(db.events.get(EVENT_ID).currentBookings, 10);
+  });
+
+  test("an event without a capacity takes every booking", async () => {
+    db.addEvent(EVENT_ID);
+
+    const { reserved } = await reserveInParallel(
+      singlePlayerBookings(PARALLEL_BOOKINGS)
+    );
+
+    assert.equal(reserved.length, PARALLEL_BOOKINGS);
+    assert.equal(db.events.get(EVENT_ID).currentBookings, PARALLEL_BOOKINGS);
+  });
+
+  test("the last category slots go to exactly that many bookings", async () => {
+    db.addEvent(EVENT_ID);
+    db.addMapping(EVENT_ID, CATEGORY.categoryId, { maxCapacity: FREE_SLOTS });
+
+    const { reserved, rejected } = await reserveInParallel(
+      singlePlayerBookings(PARALLEL_BOOKINGS, CATEGORY)
+    );
+
+    assert.equal(reserved.length, FREE_SLOTS);
+    assert.equal(rejected.length, PARALLEL_BOOKINGS - FREE_SLOTS);
+    assert.match(rejected[0].reason.message, /slots left in Under 12/);
+
+    const mapping = db.mappings.get(`${EVENT_ID}:${CATEGORY.categoryId}`);
+    assert.equal(mapping.currentBookings, FREE_SLOTS);
+
+    // A failed category reservation must not leak its event slot
+    assert.equal(db.events.get(EVENT_ID).currentBookings, FREE_SLOTS);
+  });
+
+  test("an offered user booking in parallel takes the offer once", async () => {
+    // Full, with one slot held for the offered user
+    db.addEvent(EVENT_ID, { maxCapacity: 10, currentBookings: 10 });
+    const offer = addOffer(1);
+
+    const { results } = await reserveInParallel([
+      { categories: [null], offer },
+      ...singlePlayerBookings(PARALLEL_BOOKINGS),
+      { categories: [null], offer },
+    ]);
+
+    // Only the first offered attempt gets the held slot
+    const [first, ...others] = results.map((r) => r.value);
+    assert.deepEqual(first, { reserved: true, heldSlots: 1 });
+    for (const other of others) {
+      assert.deepEqual(other, { reserved: false, heldSlots: 0 });
+    }
+
+    assert.equal(db.waitlist.get(offer.entryId).waitlistStatus, "BOOKED");
+    assert.equal(db.events.get(EVENT_ID).currentBookings, 10);
+  });
+
+  test("a lapsed offer competes for the free slots", async () => {
+    db.addEvent(EVENT_ID, {
+      maxCapacity: 10,
+      currentBookings: 10 - FREE_SLOTS,
+    });
+    const offer = addOffer(1);
+    db.waitlist.get(offer.entryId).holdExpiresAt = new Date(Date.now() - 1000);
+
+    const { reserved, results } = await reserveInParallel([
+      { categories: [null], offer },
+      ...singlePlayerBookings(PARALLEL_BOOKINGS),
+    ]);
+
+    assert.equal(results[0].value.heldSlots, 0);
+    assert.equal(reserved.length, FREE_SLOTS);
+    assert.equal(db.waitlist.get(offer.entryId).waitlistStatus, "OFFERED");
+    assert.equal(db.events.get(EVENT_ID).currentBookings, 10);
+  });
+
+  test("booking fewer players than offered frees the rest", async () => {
+    db.addEvent(EVENT_ID, { maxCapacity: 10, currentBookings: 10 });
+    const offer = addOffer(3);
+
+    const { results } = await reserveInParallel([
+      { categories: [null], offer },
+    ]);
+
+    assert.deepEqual(results[0].value, { reserved: true, heldSlots: 3 });
+    assert.equal(db.events.get(EVENT_ID).currentBookings, 8);
+  });
+
+  test("a full category gives the offer back", async () => {
+    db.addEvent(EVENT_ID, { maxCapacity: 10, currentBookings: 10 });
+    db.addMapping(EVENT_ID, CATEGORY.categoryId, {
+      maxCapacity: 2,
+      currentBookings: 2,
+    });
+    const offer = addOffer(1);
+
+    const { rejected } = await reserveInParallel([
+      { categories: [CATEGORY], offer },
+    ]);
+
+    assert.equal(rejected.length, 1);
+    assert.equal(db.waitlist.get(offer.entryId).waitlistStatus, "OFFERED");
+    assert.equal(db.events.get(EVENT_ID).currentBookings, 10);
+  });
+});
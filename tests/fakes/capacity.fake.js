@@ -0,0 +1,145 @@
+/**
+ * Fake Capacity Database
+ * In-memory stand-in for the event, category mapping and waitlist rows the
+ * capacity service reads and writes, so slot reservation can be tested
+ * without MySQL. Each statement yields before it runs, so parallel
+ * transactions interleave, and is applied atomically like a guarded UPDATE.
+ * A transaction that throws has its writes undone.
+ */
+
+const { setImmediate: tick } = require("node:timers/promises");
+
+class FakeCapacityDb {
+  constructor() {
+    this.events = new Map();
+    this.mappings = new Map();
+    this.waitlist = new Map();
+  }
+
+  /**
+   * Add an event
+   * @param {number} eventId - Event ID
+   * @param {object} row - { maxCapacity, currentBookings }
+   */
+  addEvent(eventId, { maxCapacity = null, currentBookings = 0 } = {}) {
+    this.events.set(eventId, { maxCapacity, currentBookings });
+  }
+
+  /**
+   * Add a category of an event
+   * @param {number} eventId - Event ID
+   * @param {number} categoryId - Category ID
+   * @param {object} row - { maxCapacity, currentBookings }
+   */
+  addMapping(
+    eventId,
+    categoryId,
+    { maxCapacity = null, currentBookings = 0 } = {}
+  ) {
+    this.mappings.set(`${eventId}:${categoryId}`, {
+      maxCapacity,
+      currentBookings,
+    });
+  }
+
+  /**
+   * Add a waitlist entry
+   * @param {object} entry - Entry fields (entryId is required)
+   * @returns {object} Entry
+   */
+  addWaitlistEntry(entry) {
+    this.waitlist.set(entry.entryId, { ...entry });
+    return entry;
+  }
+
+  /**
+   * Run a function in a transaction
+   * @param {function} fn - Receives the transaction client
+   * @returns {Promise<*>} Result of fn
+   */
+  async $transaction(fn) {
+    // Counters are undone by their change, since parallel transactions
+    // write the same rows
+    const undo = [];
+    const write = {
+      add: (row, field, delta) => {
+        undo.push(() => (row[field] -= delta));
+        row[field] += delta;
+      },
+      set: (row, field, value) => {
+        const old = row[field];
+        undo.push(() => (row[field] = old));
+        row[field] = value;
+      },
+    };
+
+    try {
+      return await fn(this.client(write));
+    } catch (error) {
+      undo.reverse().forEach((restore) => restore());
+      throw error;
+    }
+  }
+
+  /**
+   * Transaction client
+   * @param {object} write - Records and applies field writes ({ add, set })
+   * @returns {object} Client with the statements the capacity service uses
+   */
+  client(write) {
+    const reserve = (row, count) => {
+      if (!row) return 0;
+      const current = row.currentBookings || 0;
+      if (row.maxCapacity !== null && current + count > row.maxCapacity) {
+        return 0;
+      }
+      write.add(row, "currentBookings", count);
+      return 1;
+    };
+
+    return {
+      // Guarded UPDATEs of events and event_category_mapping
+      $executeRaw: async (strings, ...values) => {
+        await tick();
+        const sql = strings.join("?");
+
+        if (/UPDATE events\b/.test(sql)) {
+          const [count, eventId] = values;
+          return reserve(this.events.get(eventId), count);
+        }
+        if (/UPDATE event_category_mapping\b/.test(sql)) {
+          const [count, eventId, categoryId] = values;
+          return reserve(this.mappings.get(`${eventId}:${categoryId}`), count);
+        }
+        throw new Error(`Unexpected statement: ${sql}`);
+      },
+
+      event: {
+        update: async ({ where, data }) => {
+          await tick();
+          const row = this.events.get(where.eventId);
+          write.add(row, "currentBookings", -data.currentBookings.decrement);
+          return row;
+        },
+      },
+
+      waitlistEntry: {
+        updateMany: async ({ where, data }) => {
+          await tick();
+          const entry = this.waitlist.get(where.entryId);
+          if (
+            !entry ||
+            entry.waitlistStatus !== where.waitlistStatus ||
+            !(entry.holdExpiresAt > where.holdExpiresAt.gt)
+          ) {
+            return { count: 0 };
+          }
+          write.set(entry, "waitlistStatus", data.waitlistStatus);
+          return { count: 1 };
+        },
+      },
+    };
+  }
+}
+
+module.exports = FakeCapacityDb;
@@ -0,0 +1,82 @@
+/**
+ * Fake Razorpay Client
+ * In-memory stand-in for the parts of the Razorpay SDK the gateway adapter
+ * uses (orders, their payments and refunds), so payment code can be tested
+ * without calling Razorpay. Install it with `RazorpayGateway.client = fake`.
+ */
+
+class FakeRazorpay {
+  constructor() {
+    this.orderList = [];
+    this.orderPayments = new Map();
+    this.refunds = [];
+
+    this.orders = {
+      all: async ({ from, to, count = 10, skip = 0 }) => ({
+        items: this.orderList
+          .filter((o) => o.created_at >= from && o.created_at <= to)
+          .slice(skip, skip + count),
+      }),
+      fetchPayments: async (orderId) => ({
+        items: this.orderPayments.get(orderId) || [],
+      }),
+    };
+
+    this.payments = {
+      refund: async (paymentId, { amount, notes }) => {
+        const refund = {
+          id: `rfnd_fake${this.refunds.length + 1}`,
+          entity: "refund",
+          payment_id: paymentId,
+          amount,
+          notes,
+          status: "processed",
+        };
+        this.refunds.push(refund);
+        return refund;
+      },
+    };
+  }
+
+  /**
+   * Add an order
+   * @param {object} order - Order fields (id is required)
+   * @returns {object} Order entity
+   */
+  addOrder(order) {
+    const entity = {
+      entity: "order",
+      amount: 0,
+      amount_paid: 0,
+      currency: "INR",
+      status: "created",
+      notes: {},
+      created_at: Math.floor(Date.now() / 1000),
+      ...order,
+    };
+    this.orderList.push(entity);
+    return entity;
+  }
+
+  /**
+   * Add a payment attempt to an order
+   * @param {string} orderId - Order ID
+   * @param {object} payment - Payment fields (id and status are required)
+   * @returns {object} Payment entity
+   */
+  addPayment(orderId, payment) {
+    const entity = {
+      entity: "payment",
+      order_id: orderId,
+      currency: "INR",
+      ...payment,
+    };
+    this.orderPayments.set(orderId, [
+      ...(this.orderPayments.get(orderId) || []),
+      entity,
+    ]);
+    return entity;
+  }
+}
+
+module.exports = FakeRazorpay;
@@ -0,0 +1,252 @@
+/**
+ * Payment Reconciliation Tests
+ * Run a reconciliation against a fake Razorpay client and a real MySQL
+ * database, and check that each case lands in the right report bucket
+ *
+ * Needs TEST_DATABASE_URL pointing at a migrated, disposable database
+ * (`DATABASE_URL=$TEST_DATABASE_URL npx prisma migrate deploy`). Skipped when
+ * it is not set. Run with `npm test`.
+ */
+
+const { test, describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const FakeRazorpay = require("../fakes/razorpay.fake");
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe("payment reconciliation", { skip: !databaseUrl }, () => {
+  let prisma;
+  const razorpay = new FakeRazorpay();
+  const suffix = Date.now().toString(36).slice(-6);
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  const payments = {};
+  let organizerId;
+  let eventId;
+  let report;
+
+  /**
+   * Create a booking with a pending Razorpay payment
+   * @param {string} name - Case name (used in the order ID)
+   * @param {object} options - { bookingStatus, paymentDate }
+   * @returns {Promise<object>} Payment record
+   */
+  const createPayment = async (
+    name,
+    { bookingStatus = "PENDING", paymentDate = hoursAgo(1) } = {}
+  ) => {
+    const booking = await prisma.booking.create({
+      data: {
+        eventId,
+        userId: organizerId,
+        bookingReference: `T${suffix}${Object.keys(payments).length}`,
+        bookingStatus,
+        paymentStatus: "PENDING",
+        amountPaid: 500,
+      },
+    });
+
+    payments[name] = await prisma.payment.create({
+      data: {
+        bookingId: booking.bookingId,
+        transactionId: `order_${suffix}_${name}`,
+        paymentGateway: "razorpay",
+        amount: 500,
+        paymentDate,
+      },
+    });
+
+    return payments[name];
+  };
+
+  /**
+   * Find the report item of a case
+   * @param {string} bucket - fixed, ambiguous or orphaned
+   * @param {string} name - Case name
+   * @returns {object|undefined} Report item
+   */
+  const findItem = (bucket, name) =>
+    report[bucket].find(
+      (item) => item.gatewayOrderId === `order_${suffix}_${name}`
+    );
+
+  before(async () => {
+    process.env.DATABASE_URL = databaseUrl;
+    // Confirmation emails fail fast instead of reaching a mail server
+    process.env.EMAIL_HOST = "127.0.0.1";
+    process.env.EMAIL_PORT = "9";
+
+    ({ prisma } = require("../../src/config/database"));
+    require("../../src/modules/payments/razorpay.gateway").client = razorpay;
+    const ReconciliationService = require("../../src/modules/payments/reconciliation.service");
+
+    ({ userId: organizerId } = await prisma.user.create({
+      data: {
+        email: `reconciliation-${suffix}@test.local`,
+        passwordHash: "x",
+        fullName: "Reconciliation",
+      },
+    }));
+    ({ eventId } = await prisma.event.create({
+      data: {
+        organizerId,
+        eventName: `Reconciliation ${suffix}`,
+        eventDates: JSON.stringify(["2099-01-01"]),
+        eventStartTime: new Date("1970-01-01T09:00:00Z"),
+        location: "Test",
+        entryFee: 500,
+      },
+    }));
+
+    // Fixed: captured but never recorded
+    const captured = await createPayment("captured");
+    razorpay.addOrder({ id: captured.transactionId, status: "paid" });
+    razorpay.addPayment(captured.transactionId, {
+      id: `pay_${suffix}_captured`,
+      status: "captured",
+      amount: 50000,
+    });
+
+    // Fixed: captured after the booking was cancelled
+    const late = await createPayment("late", { bookingStatus: "CANCELLED" });
+    razorpay.addPayment(late.transactionId, {
+      id: `pay_${suffix}_late`,
+      status: "captured",
+      amount: 50000,
+    });
+
+    // Fixed: every attempt failed
+    const failed = await createPayment("failed");
+    razorpay.addPayment(failed.transactionId, {
+      id: `pay_${suffix}_failed`,
+      status: "failed",
+      error_description: "Card declined",
+    });
+
+    // Fixed: never paid, booking cancelled
+    await createPayment("abandoned", { bookingStatus: "CANCELLED" });
+
+    // Ambiguous: captured a different amount
+    const mismatch = await createPayment("mismatch");
+    razorpay.addPayment(mismatch.transactionId, {
+      id: `pay_${suffix}_mismatch`,
+      status: "captured",
+      amount: 40000,
+    });
+
+    // Ambiguous: captured twice
+    const twice = await createPayment("twice");
+    for (const n of [1, 2]) {
+      razorpay.addPayment(twice.transactionId, {
+        id: `pay_${suffix}_twice${n}`,
+        status: "captured",
+        amount: 50000,
+      });
+    }
+
+    // Orphaned: paid at the gateway with no payment record
+    razorpay.addOrder({
+      id: `order_${suffix}_orphan`,
+      status: "paid",
+      amount_paid: 70000,
+      receipt: `T${suffix}X`,
+    });
+
+    // Out of scope: older than the lookback period
+    const stale = await createPayment("stale", {
+      paymentDate: hoursAgo(30 * 24),
+    });
+    razorpay.addPayment(stale.transactionId, {
+      id: `pay_${suffix}_stale`,
+      status: "captured",
+      amount: 50000,
+    });
+
+    report = await ReconciliationService.runReconciliation();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    if (report) {
+      await prisma.paymentReconciliation.delete({
+        where: { reconciliationId: report.reconciliationId },
+      });
+    }
+    // The event, bookings and payments go with the user
+    await prisma.user.deleteMany({ where: { userId: organizerId } });
+    await prisma.$disconnect();
+  });
+
+  test("records a captured payment and confirms its booking", async () => {
+    assert.equal(findItem("fixed", "captured")?.action, "CONFIRMED_BOOKING");
+
+    const payment = await prisma.payment.findUnique({
+      where: { paymentId: payments.captured.paymentId },
+      include: { booking: true },
+    });
+    assert.equal(payment.paymentStatus, "completed");
+    assert.equal(payment.booking.bookingStatus, "CONFIRMED");
+    assert.equal(payment.booking.paymentStatus, "PAID");
+  });
+
+  test("refunds a payment captured after its booking was cancelled", async () => {
+    assert.equal(findItem("fixed", "late")?.action, "REFUNDED");
+    assert.deepEqual(
+      razorpay.refunds.map((r) => [r.payment_id, r.amount]),
+      [[`pay_${suffix}_late`, 50000]]
+    );
+  });
+
+  test("closes orders whose attempts failed or that were abandoned", async () => {
+    assert.equal(findItem("fixed", "failed")?.action, "MARKED_FAILED");
+    assert.equal(findItem("fixed", "abandoned")?.action, "MARKED_EXPIRED");
+
+    const abandoned = await prisma.payment.findUnique({
+      where: { paymentId: payments.abandoned.paymentId },
+    });
+    assert.equal(abandoned.paymentStatus, "expired");
+  });
+
+  test("reports cases that need a person as ambiguous", async () => {
+    assert.equal(findItem("ambiguous", "mismatch")?.action, "AMOUNT_MISMATCH");
+    assert.equal(findItem("ambiguous", "twice")?.action, "MULTIPLE_CAPTURES");
+
+    const untouched = await prisma.payment.findMany({
+      where: {
+        paymentId: {
+          in: [payments.mismatch.paymentId, payments.twice.paymentId],
+        },
+      },
+    });
+    assert.deepEqual(
+      untouched.map((p) => p.paymentStatus),
+      ["pending", "pending"]
+    );
+  });
+
+  test("reports paid orders without a payment record as orphaned", () => {
+    const item = findItem("orphaned", "orphan");
+
+    assert.equal(item?.action, "NO_PAYMENT_RECORD");
+    assert.equal(item.amount, 700);
+    assert.equal(item.booking, null);
+  });
+
+  test("leaves pending payments older than the lookback period", async () => {
+    for (const bucket of ["fixed", "ambiguous", "orphaned"]) {
+      assert.equal(findItem(bucket, "stale"), undefined);
+    }
+
+    const stale = await prisma.payment.findUnique({
+      where: { paymentId: payments.stale.paymentId },
+    });
+    assert.equal(stale.paymentStatus, "pending");
+  });
+
+  test("counts each bucket on the run", () => {
+    assert.equal(report.status, "COMPLETED");
+    assert.equal(report.fixedCount, report.fixed.length);
+    assert.equal(report.ambiguousCount, report.ambiguous.length);
+    assert.equal(report.orphanedCount, report.orphaned.length);
+  });
+});
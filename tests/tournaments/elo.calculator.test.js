@@ -0,0 +1,185 @@
+/**
+ * Elo Calculator Tests
+ * Check expected scores, K-factors and performance ratings against the
+ * tables and rules of the FIDE Rating Regulations (B.02)
+ */
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const EloCalculator = require("../../src/modules/tournaments/elo.calculator");
+const { RATING_TYPES } = require("../../src/config/constants");
+
+describe("elo calculator", () => {
+  describe("expected score (table 8.1.2)", () => {
+    test("reads the score for a rating difference from the table", () => {
+      // [difference, expected score of the higher rated player]
+      const rows = [
+        [0, 0.5],
+        [3, 0.5],
+        [4, 0.51],
+        [10, 0.51],
+        [11, 0.52],
+        [100, 0.64],
+        [106, 0.64],
+        [107, 0.65],
+        [200, 0.76],
+        [391, 0.91],
+        [392, 0.92],
+      ];
+
+      for (const [difference, expected] of rows) {
+        assert.equal(
+          EloCalculator.getExpectedScore(2000 + difference, 2000),
+          expected,
+          `difference ${difference}`
+        );
+      }
+    });
+
+    test("gives the lower rated player the complement", () => {
+      assert.equal(EloCalculator.getExpectedScore(2000, 2100), 0.36);
+      assert.equal(EloCalculator.getExpectedScore(1800, 2000), 0.24);
+    });
+
+    test("counts a difference over 400 as 400", () => {
+      assert.equal(EloCalculator.getExpectedScore(2500, 2000), 0.92);
+      assert.equal(EloCalculator.getExpectedScore(1400, 2200), 0.08);
+    });
+  });
+
+  describe("K-factor (8.3.3)", () => {
+    const player = (fields) => ({
+      rating: 2000,
+      age: 30,
+      ratedGames: 100,
+      highestRating: null,
+      ratingType: RATING_TYPES.STANDARD,
+      gamesInPeriod: null,
+      ...fields,
+    });
+
+    test("is 40 until a player has 30 rated games", () => {
+      assert.equal(EloCalculator.getKFactor(player({ ratedGames: 29 })), 40);
+      assert.equal(EloCalculator.getKFactor(player({ ratedGames: 30 })), 20);
+    });
+
+    test("is 40 for juniors rated under 2300", () => {
+      assert.equal(
+        EloCalculator.getKFactor(player({ age: 16, rating: 2290 })),
+        40
+      );
+      assert.equal(
+        EloCalculator.getKFactor(player({ age: 16, rating: 2300 })),
+        20
+      );
+    });
+
+    test("is 20 under 2400 and 10 once 2400 was reached", () => {
+      assert.equal(EloCalculator.getKFactor(player({ rating: 2399 })), 20);
+      assert.equal(EloCalculator.getKFactor(player({ rating: 2400 })), 10);
+      assert.equal(
+        EloCalculator.getKFactor(player({ rating: 2380, highestRating: 2410 })),
+        10
+      );
+    });
+
+    test("is 20 for rapid and blitz", () => {
+      for (const ratingType of [RATING_TYPES.RAPID, RATING_TYPES.BLITZ]) {
+        assert.equal(
+          EloCalculator.getKFactor(player({ rating: 2600, ratingType })),
+          20
+        );
+      }
+    });
+
+    test("keeps K times games in the period within 700", () => {
+      // 40 x 18 = 720, so K drops to 38 (38 x 18 = 684)
+      assert.equal(
+        EloCalculator.getKFactor(player({ ratedGames: 10, gamesInPeriod: 18 })),
+        38
+      );
+      assert.equal(
+        EloCalculator.getKFactor(player({ ratedGames: 10, gamesInPeriod: 17 })),
+        40
+      );
+    });
+  });
+
+  describe("rating change (8.3.1)", () => {
+    test("scoring the expected score changes nothing", () => {
+      const result = EloCalculator.calculateChange(2000, 20, [
+        { opponentRating: 2100, score: 1 },
+        { opponentRating: 1900, score: 0.5 },
+        { opponentRating: 2000, score: 0 },
+      ]);
+
+      assert.deepEqual(result, { score: 1.5, expectedScore: 1.5, change: 0 });
+    });
+
+    test("multiplies the difference to the expected score by K", () => {
+      // Expected 0.36 + 0.24 = 0.60
+      const result = EloCalculator.calculateChange(1800, 40, [
+        { opponentRating: 1900, score: 1 },
+        { opponentRating: 2000, score: 0.5 },
+      ]);
+
+      assert.deepEqual(result, { score: 1.5, expectedScore: 0.6, change: 36 });
+    });
+  });
+
+  describe("performance rating (table 8.1.1)", () => {
+    test("reads dp for a percentage score from the table", () => {
+      // [percentage, dp]
+      const rows = [
+        [1, 800],
+        [0.99, 677],
+        [0.9, 366],
+        [0.8, 240],
+        [0.75, 193],
+        [0.6, 72],
+        [0.5, 0],
+        [0.25, -193],
+        [0, -800],
+      ];
+
+      for (const [percentage, dp] of rows) {
+        assert.equal(
+          EloCalculator.getRatingDifference(percentage),
+          dp,
+          `p = ${percentage}`
+        );
+      }
+    });
+
+    test("adds dp to the average opponent rating", () => {
+      // 3 / 4 = 75% against an average of 2000
+      const games = [
+        { opponentRating: 1900, score: 1 },
+        { opponentRating: 2100, score: 1 },
+        { opponentRating: 1950, score: 0.5 },
+        { opponentRating: 2050, score: 0.5 },
+      ];
+
+      assert.equal(EloCalculator.getPerformanceRating(games), 2193);
+      assert.equal(EloCalculator.getPerformanceRating([]), null);
+    });
+
+    test("anchors an initial rating with two draws against 1800", () => {
+      const games = (count) =>
+        Array.from({ length: count }, () => ({
+          opponentRating: 2000,
+          score: 0.5,
+        }));
+
+      // Five draws plus two is 50% against (5 x 2000 + 2 x 1800) / 7
+      assert.deepEqual(EloCalculator.getProvisionalRating(games(5)), {
+        rating: 1943,
+        hasMinimumGames: true,
+      });
+      assert.equal(
+        EloCalculator.getProvisionalRating(games(4)).hasMinimumGames,
+        false
+      );
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Prize Distribution Tests
+ * Distribute a fixed prize list over fixed standings and check one prize per
+ * player, equal sharing of tied prizes and the Hort system
+ */
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const PrizeDistribution = require("../../src/modules/tournaments/prize.distribution");
+const { PRIZE_TIE_RULES } = require("../../src/config/constants");
+
+const prizes = [
+  { prizeId: 1, category: "OVERALL", place: 1, amount: 1000 },
+  { prizeId: 2, category: "OVERALL", place: 2, amount: 600 },
+  { prizeId: 3, category: "OVERALL", place: 3, amount: 300 },
+  { prizeId: 4, category: "FEMALE", place: 1, amount: 400 },
+];
+
+// P2, P3 and P4 are tied on 5.5 and ranked in that order by tie-break
+const rows = [
+  { playerId: "P1", points: 6, gender: "MALE" },
+  { playerId: "P2", points: 5.5, gender: "MALE" },
+  { playerId: "P3", points: 5.5, gender: "FEMALE" },
+  { playerId: "P4", points: 5.5, gender: "MALE" },
+  { playerId: "P5", points: 4, gender: "FEMALE" },
+].map((row) => ({ age: null, rating: 2000, isGovtStudent: false, ...row }));
+
+/**
+ * Amount paid to each player
+ * @param {array} awards - Awards
+ * @returns {object} Player ID => total amount
+ */
+const payouts = (awards) => {
+  const totals = {};
+  for (const { row, amount } of awards) {
+    if (row) totals[row.playerId] = (totals[row.playerId] || 0) + amount;
+  }
+  return totals;
+};
+
+/**
+ * Prize IDs won by each player
+ * @param {array} awards - Awards
+ * @returns {object} Player ID => prize IDs
+ */
+const prizesWon = (awards) => {
+  const won = {};
+  for (const { prize, row } of awards) {
+    if (prize && row) {
+      won[row.playerId] = [...(won[row.playerId] || []), prize.prizeId];
+    }
+  }
+  return won;
+};
+
+describe("prize distribution", () => {
+  describe("one prize per player", () => {
+    test("a category winner is skipped for lower overall prizes", () => {
+      const awards = PrizeDistribution.distribute(prizes, rows, {
+        tieRule: PRIZE_TIE_RULES.TIE_BREAK,
+        onePrizePerPlayer: true,
+      });
+
+      // The 400 female prize beats the 300 third place for P3
+      assert.deepEqual(prizesWon(awards), {
+        P1: [1],
+        P2: [2],
+        P3: [4],
+        P4: [3],
+      });
+      assert.deepEqual(payouts(awards), {
+        P1: 1000,
+        P2: 600,
+        P3: 400,
+        P4: 300,
+      });
+    });
+
+    test("without the rule a player can win several prizes", () => {
+      const awards = PrizeDistribution.distribute(prizes, rows, {
+        tieRule: PRIZE_TIE_RULES.TIE_BREAK,
+        onePrizePerPlayer: false,
+      });
+
+      assert.deepEqual(prizesWon(awards), { P1: [1], P2: [2], P3: [4, 3] });
+    });
+
+    test("a prize without an eligible player stays unawarded", () => {
+      const awards = PrizeDistribution.distribute(
+        [{ prizeId: 5, category: "UNRATED", place: 1, amount: 200 }],
+        rows,
+        { tieRule: PRIZE_TIE_RULES.TIE_BREAK, onePrizePerPlayer: true }
+      );
+
+      assert.deepEqual(awards, [
+        { prize: awards[0].prize, row: null, amount: 0, isShare: false },
+      ]);
+    });
+  });
+
+  describe("equal share", () => {
+    test("tied players split their overall prizes evenly", () => {
+      const awards = PrizeDistribution.distribute(prizes, rows, {
+        tieRule: PRIZE_TIE_RULES.EQUAL_SHARE,
+        onePrizePerPlayer: true,
+      });
+
+      // P3 keeps the female prize and stays out of the pool of 600 + 300
+      assert.deepEqual(payouts(awards), {
+        P1: 1000,
+        P2: 450,
+        P3: 400,
+        P4: 450,
+      });
+      assert.ok(
+        awards
+          .filter((award) => ["P2", "P4"].includes(award.row?.playerId))
+          .every((award) => award.isShare)
+      );
+    });
+
+    test("a tied player without a prize gets a share", () => {
+      const awards = PrizeDistribution.distribute(
+        prizes.filter((prize) => prize.category === "OVERALL"),
+        rows,
+        { tieRule: PRIZE_TIE_RULES.EQUAL_SHARE, onePrizePerPlayer: true }
+      );
+
+      assert.deepEqual(payouts(awards), {
+        P1: 1000,
+        P2: 300,
+        P3: 300,
+        P4: 300,
+      });
+      assert.deepEqual(
+        awards
+          .filter((award) => award.prize === null)
+          .map((award) => award.row.playerId),
+        ["P4"]
+      );
+    });
+
+    test("an uneven split gives the odd paise to the best ranked", () => {
+      assert.deepEqual(
+        PrizeDistribution.splitEqually(100000, 3),
+        [33334, 33333, 33333]
+      );
+    });
+  });
+
+  describe("Hort system", () => {
+    test("each prize winner keeps half and the rest is shared", () => {
+      const awards = PrizeDistribution.distribute(prizes, rows, {
+        tieRule: PRIZE_TIE_RULES.HORT,
+        onePrizePerPlayer: true,
+      });
+
+      // Half of 600 and 300 is kept; 450 is split between P2 and P4
+      assert.deepEqual(payouts(awards), {
+        P1: 1000,
+        P2: 525,
+        P3: 400,
+        P4: 375,
+      });
+    });
+
+    test("a tied player without a prize gets a share of the halves", () => {
+      const awards = PrizeDistribution.distribute(
+        prizes.filter((prize) => prize.category === "OVERALL"),
+        rows,
+        { tieRule: PRIZE_TIE_RULES.HORT, onePrizePerPlayer: true }
+      );
+
+      // 450 is split three ways on top of the kept 300 and 150
+      assert.deepEqual(payouts(awards), {
+        P1: 1000,
+        P2: 450,
+        P3: 300,
+        P4: 150,
+      });
+    });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Swiss Pairing Tests
+ * Pair fixed player lists with the Dutch system engine and check colour
+ * allocation, floats, byes and that no two players meet twice
+ */
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const SwissPairing = require("../../src/modules/tournaments/swiss.pairing");
+
+const W = "WHITE";
+const B = "BLACK";
+
+/**
+ * Player state as built by RoundService.buildPlayerStates
+ * @param {number} pairingNumber - Pairing number (also the player ID)
+ * @param {object} state - Overrides: { score, colours, opponents, hadBye,
+ *   lastFloat }
+ * @returns {object} Player state
+ */
+const player = (pairingNumber, state = {}) => ({
+  id: pairingNumber,
+  pairingNumber,
+  score: 0,
+  colours: [],
+  hadBye: false,
+  lastFloat: null,
+  ...state,
+  opponents: new Set(state.opponents || []),
+});
+
+/**
+ * Players with pairing numbers 1..count
+ * @param {number} count - Number of players
+ * @returns {array} Player states
+ */
+const field = (count) =>
+  Array.from({ length: count }, (_, i) => player(i + 1));
+
+/**
+ * Boards as [white, black] pairing numbers
+ * @param {object} result - Pairing result
+ * @returns {array} Boards in order
+ */
+const boards = ({ pairings }) =>
+  pairings.map(({ white, black }) => [white.id, black.id]);
+
+/**
+ * Pairs as sorted pairing numbers, ignoring colours
+ * @param {object} result - Pairing result
+ * @returns {array} Pairs in board order
+ */
+const pairs = ({ pairings }) =>
+  pairings.map(({ white, black }) =>
+    [white.id, black.id].sort((a, b) => a - b)
+  );
+
+describe("swiss pairing", () => {
+  describe("round 1", () => {
+    test("pairs the top half against the bottom half", () => {
+      const result = SwissPairing.pairRound(field(8), { roundNumber: 1 });
+
+      assert.deepEqual(boards(result), [
+        [1, 5],
+        [6, 2],
+        [3, 7],
+        [8, 4],
+      ]);
+      assert.equal(result.bye, null);
+    });
+
+    test("alternates colours from the initial colour", () => {
+      const result = SwissPairing.pairRound(field(4), {
+        roundNumber: 1,
+        initialColour: B,
+      });
+
+      assert.deepEqual(boards(result), [
+        [3, 1],
+        [2, 4],
+      ]);
+    });
+
+    test("gives the bye to the lowest ranked player", () => {
+      const result = SwissPairing.pairRound(field(5), { roundNumber: 1 });
+
+      assert.equal(result.bye.id, 5);
+      assert.deepEqual(pairs(result), [
+        [1, 3],
+        [2, 4],
+      ]);
+    });
+
+    test("needs at least two players", () => {
+      assert.throws(
+        () => SwissPairing.pairRound(field(1)),
+        /At least two players/
+      );
+    });
+  });
+
+  describe("colour allocation", () => {
+    test("grants both preferences when they differ", () => {
+      const [white, black] = SwissPairing.allocateColours(
+        player(1, { colours: [W] }),
+        player(2, { colours: [B] }),
+        0,
+        W
+      );
+
+      assert.deepEqual([white.id, black.id], [2, 1]);
+    });
+
+    test("grants the stronger of two equal preferences", () => {
+      // Two whites in a row make black absolute for player 2
+      const [white, black] = SwissPairing.allocateColours(
+        player(1, { colours: [B, W] }),
+        player(2, { colours: [W, W] }),
+        0,
+        W
+      );
+
+      assert.deepEqual([white.id, black.id], [1, 2]);
+    });
+
+    test("alternates from the last round the colours differed", () => {
+      // Both prefer white mildly; in round 2 player 1 had black
+      const [white, black] = SwissPairing.allocateColours(
+        player(1, { colours: [W, B, W, B] }),
+        player(2, { colours: [B, W, W, B] }),
+        0,
+        W
+      );
+
+      assert.deepEqual([white.id, black.id], [1, 2]);
+    });
+
+    test("grants the higher seed's preference on equal histories", () => {
+      const [white, black] = SwissPairing.allocateColours(
+        player(1, { colours: [W] }),
+        player(2, { colours: [W] }),
+        0,
+        W
+      );
+
+      assert.deepEqual([white.id, black.id], [2, 1]);
+    });
+
+    test("never pairs two players who must have the same colour", () => {
+      assert.equal(
+        SwissPairing.canPlay(
+          player(1, { colours: [B, B] }),
+          player(2, { colours: [W, B, B] })
+        ),
+        false
+      );
+    });
+  });
+
+  describe("later rounds", () => {
+    test("does not repeat a pairing", () => {
+      // All drew in round 1, so the natural 1-3 and 2-4 are rematches
+      const result = SwissPairing.pairRound(
+        [
+          player(1, { score: 0.5, colours: [W], opponents: [3] }),
+          player(2, { score: 0.5, colours: [W], opponents: [4] }),
+          player(3, { score: 0.5, colours: [B], opponents: [1] }),
+          player(4, { score: 0.5, colours: [B], opponents: [2] }),
+        ],
+        { roundNumber: 2 }
+      );
+
+      assert.deepEqual(pairs(result), [
+        [1, 4],
+        [2, 3],
+      ]);
+    });
+
+    test("floats the lowest player of an odd score group down", () => {
+      const result = SwissPairing.pairRound(
+        [
+          player(1, { score: 1 }),
+          player(2, { score: 1 }),
+          player(3, { score: 1 }),
+          player(4),
+          player(5),
+          player(6),
+        ],
+        { roundNumber: 2 }
+      );
+
+      assert.deepEqual(pairs(result), [
+        [1, 2],
+        [3, 5],
+        [4, 6],
+      ]);
+    });
+
+    test("does not float the same player down twice in a row", () => {
+      const result = SwissPairing.pairRound(
+        [
+          player(1, { score: 1 }),
+          player(2, { score: 1 }),
+          player(3, { score: 1, lastFloat: "DOWN" }),
+          player(4),
+          player(5),
+          player(6),
+        ],
+        { roundNumber: 2 }
+      );
+
+      assert.deepEqual(pairs(result), [
+        [1, 3],
+        [2, 5],
+        [4, 6],
+      ]);
+    });
+
+    test("gives the bye to the lowest score group first", () => {
+      const result = SwissPairing.pairRound(
+        [
+          player(1, { score: 1 }),
+          player(2),
+          player(3, { score: 1 }),
+          player(4, { score: 1 }),
+          player(5, { score: 1 }),
+        ],
+        { roundNumber: 2 }
+      );
+
+      assert.equal(result.bye.id, 2);
+    });
+
+    test("gives no player a second bye", () => {
+      const result = SwissPairing.pairRound(
+        [
+          player(1, { score: 1 }),
+          player(2, { score: 1 }),
+          player(3),
+          player(4),
+          player(5, { score: 1, hadBye: true }),
+        ],
+        { roundNumber: 2 }
+      );
+
+      assert.equal(result.bye.id, 4);
+    });
+  });
+
+  test("a full event never repeats pairings, byes or three colours", () => {
+    const players = field(7);
+    const byId = new Map(players.map((p) => [p.id, p]));
+    const met = new Set();
+    const byes = [];
+
+    for (let roundNumber = 1; roundNumber <= 6; roundNumber++) {
+      const result = SwissPairing.pairRound(players, { roundNumber });
+      const before = new Map(players.map((p) => [p.id, p.score]));
+
+      for (const { white, black } of result.pairings) {
+        const key = [white.id, black.id].sort((a, b) => a - b).join("-");
+        assert.ok(!met.has(key), `${key} met twice`);
+        met.add(key);
+
+        // The higher seed wins; pairs whose numbers add up to a multiple
+        // of three draw
+        const w = byId.get(white.id);
+        const b = byId.get(black.id);
+        if ((w.id + b.id) % 3 === 0) {
+          w.score += 0.5;
+          b.score += 0.5;
+        } else {
+          (w.id < b.id ? w : b).score += 1;
+        }
+
+        w.colours.push(W);
+        b.colours.push(B);
+        w.opponents.add(b.id);
+        b.opponents.add(w.id);
+        for (const [self, other] of [
+          [w, b],
+          [b, w],
+        ]) {
+          const diff = before.get(self.id) - before.get(other.id);
+          self.lastFloat = diff > 0 ? "DOWN" : diff < 0 ? "UP" : null;
+        }
+      }
+
+      const bye = byId.get(result.bye.id);
+      bye.score += 1;
+      bye.hadBye = true;
+      bye.lastFloat = "DOWN";
+      byes.push(bye.id);
+    }
+
+    assert.equal(new Set(byes).size, byes.length);
+
+    for (const { colours } of players) {
+      const whites = colours.filter((c) => c === W).length;
+      const history = colours.join();
+      assert.ok(Math.abs(2 * whites - colours.length) <= 2, history);
+      assert.ok(!/(WHITE,){2}WHITE|(BLACK,){2}BLACK/.test(history), history);
+    }
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tie-break Calculator Tests
+ * Score a small crosstable worked out by hand and check Buchholz,
+ * Buchholz Cut-1, Sonneborn-Berger and direct encounter
+ */
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const TieBreakCalculator = require("../../src/modules/tournaments/tiebreak.calculator");
+const { TIE_BREAKS } = require("../../src/config/constants");
+
+/**
+ * Records of a crosstable of played games
+ * @param {array} rounds - Per round: [white, black, white points]
+ * @returns {Map} Player => { games[] }
+ */
+const buildRecords = (rounds) => {
+  const records = new Map();
+  const recordOf = (id) => {
+    if (!records.has(id)) records.set(id, { games: [] });
+    return records.get(id);
+  };
+
+  rounds.forEach((games, index) => {
+    for (const [white, black, points] of games) {
+      const game = { roundNumber: index + 1, result: "PLAYED", played: true };
+      recordOf(white).games.push({ ...game, opponentId: black, points });
+      recordOf(black).games.push({
+        ...game,
+        opponentId: white,
+        points: 1 - points,
+      });
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Tie-breaks of every player
+ * @param {Map} records - Player records
+ * @returns {object} Player => tie-break values
+ */
+const tieBreaksOf = (records) =>
+  Object.fromEntries(
+    [...records].map(([id, record]) => [
+      id,
+      TieBreakCalculator.calculateTieBreaks(record, records, 3),
+    ])
+  );
+
+describe("tie-break calculator", () => {
+  //      A   B   C   D   Pts  Buchholz  Cut-1  SB
+  //  A   -   1   1   0    2       4       3     3
+  //  B   0   -   1   1    2       4       3     2
+  //  C   0   0   -   1    1       5       4     1
+  //  D   1   0   0   -    1       5       4     2
+  const records = buildRecords([
+    [
+      ["A", "D", 0],
+      ["B", "C", 1],
+    ],
+    [
+      ["A", "C", 1],
+      ["D", "B", 0],
+    ],
+    [
+      ["A", "B", 1],
+      ["C", "D", 1],
+    ],
+  ]);
+  const tieBreaks = tieBreaksOf(records);
+
+  test("Buchholz sums the opponents' scores", () => {
+    assert.deepEqual(
+      ["A", "B", "C", "D"].map((id) => tieBreaks[id][TIE_BREAKS.BUCHHOLZ]),
+      [4, 4, 5, 5]
+    );
+  });
+
+  test("Buchholz Cut-1 drops the weakest opponent", () => {
+    assert.deepEqual(
+      ["A", "B", "C", "D"].map(
+        (id) => tieBreaks[id][TIE_BREAKS.BUCHHOLZ_CUT_1]
+      ),
+      [3, 3, 4, 4]
+    );
+  });
+
+  test("Sonneborn-Berger weights opponents' scores by the result", () => {
+    assert.deepEqual(
+      ["A", "B", "C", "D"].map(
+        (id) => tieBreaks[id][TIE_BREAKS.SONNEBORN_BERGER]
+      ),
+      [3, 2, 1, 2]
+    );
+  });
+
+  test("a draw counts half the opponent's score", () => {
+    const drawn = buildRecords([[["A", "B", 0.5]], [["A", "C", 1]]]);
+    const { [TIE_BREAKS.SONNEBORN_BERGER]: sonnebornBerger } =
+      TieBreakCalculator.calculateTieBreaks(drawn.get("A"), drawn, 2);
+
+    // B scored 0.5, C scored 0
+    assert.equal(sonnebornBerger, 0.25);
+  });
+
+  test("direct encounter separates players tied on earlier tie-breaks", () => {
+    const rows = ["A", "B", "C", "D"].map((id) => ({
+      playerId: id,
+      points: records.get(id).games.reduce((sum, g) => sum + g.points, 0),
+      tieBreaks: { ...tieBreaks[id] },
+    }));
+
+    TieBreakCalculator.applyDirectEncounter(
+      rows,
+      [TIE_BREAKS.BUCHHOLZ_CUT_1, TIE_BREAKS.DIRECT_ENCOUNTER],
+      records
+    );
+
+    // A beat B and C beat D; each pair is tied on points and Cut-1
+    assert.deepEqual(
+      rows.map((row) => row.tieBreaks[TIE_BREAKS.DIRECT_ENCOUNTER]),
+      [1, 0, 1, 0]
+    );
+  });
+
+  test("direct encounter is skipped unless all tied players met", () => {
+    // A, B and C finish on 1 point, but C met neither of the others
+    const partial = buildRecords([
+      [
+        ["A", "B", 1],
+        ["C", "D", 1],
+      ],
+      [
+        ["E", "A", 1],
+        ["B", "F", 1],
+        ["G", "C", 1],
+      ],
+    ]);
+    const rows = ["A", "B", "C"].map((id) => ({
+      playerId: id,
+      points: 1,
+      tieBreaks: { [TIE_BREAKS.DIRECT_ENCOUNTER]: 0 },
+    }));
+
+    TieBreakCalculator.applyDirectEncounter(
+      rows,
+      [TIE_BREAKS.DIRECT_ENCOUNTER],
+      partial
+    );
+
+    assert.deepEqual(
+      rows.map((row) => row.tieBreaks[TIE_BREAKS.DIRECT_ENCOUNTER]),
+      [0, 0, 0]
+    );
+  });
+
+  test("unplayed rounds count against a virtual opponent", () => {
+    const playedGame = (roundNumber, opponentId, points) => ({
+      roundNumber,
+      opponentId,
+      result: "PLAYED",
+      points,
+      played: true,
+    });
+    const unplayedGame = (roundNumber, result, points) => ({
+      roundNumber,
+      opponentId: null,
+      result,
+      points,
+      played: false,
+    });
+
+    // E: bye in round 1, lost to O in round 2, absent in round 3
+    const unplayed = new Map([
+      [
+        "E",
+        {
+          games: [
+            unplayedGame(1, "BYE", 1),
+            playedGame(2, "O", 0),
+            unplayedGame(3, null, 0),
+          ],
+        },
+      ],
+      [
+        "O",
+        {
+          games: [
+            playedGame(1, "X", 1),
+            playedGame(2, "E", 1),
+            unplayedGame(3, "BYE", 1),
+          ],
+        },
+      ],
+    ]);
+
+    // O's bye counts as a draw: 1 + 1 + 0.5
+    assert.equal(TieBreakCalculator.getAdjustedScore(unplayed.get("O")), 2.5);
+
+    // Round 1: 0 + (1 - 1) + 0.5 * 2; round 3: 1 + (1 - 0) + 0
+    assert.deepEqual(
+      TieBreakCalculator.getOpponentScores(unplayed.get("E"), unplayed, 3).map(
+        (o) => o.value
+      ),
+      [1, 2.5, 2]
+    );
+
+    const tieBreaks = TieBreakCalculator.calculateTieBreaks(
+      unplayed.get("E"),
+      unplayed,
+      3
+    );
+    assert.equal(tieBreaks[TIE_BREAKS.BUCHHOLZ], 5.5);
+    assert.equal(tieBreaks[TIE_BREAKS.BUCHHOLZ_CUT_1], 4.5);
+    assert.equal(tieBreaks[TIE_BREAKS.WINS], 0);
+  });
+});
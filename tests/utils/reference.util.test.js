@@ -0,0 +1,118 @@
+/**
+ * Reference Utility Tests
+ * Check that generated booking references validate, that a single mistyped
+ * symbol fails the check symbol, and that legacy references still look up
+ */
+
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const ReferenceUtil = require("../../src/utils/reference.util");
+const { bookingReferenceSchema } = require("../../src/modules/bookings/booking.validation");
+
+// Symbols a reference body can hold (Crockford base32)
+const BODY_SYMBOLS = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+// Symbols a check symbol can be
+const CHECK_SYMBOLS = `${BODY_SYMBOLS}*~$=U`;
+
+describe("booking references", () => {
+  const references = Array.from({ length: 200 }, () =>
+    ReferenceUtil.generateBookingReference()
+  );
+
+  test("generated references have the CC-XXXX-XXXX-C format", () => {
+    for (const reference of references) {
+      assert.match(reference, /^CC-[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z*~$=]$/);
+    }
+  });
+
+  test("generated references validate", () => {
+    for (const reference of references) {
+      assert.equal(
+        ReferenceUtil.normalizeBookingReference(reference),
+        reference
+      );
+    }
+  });
+
+  test("case, separators and I/L/O typed for 1/0 are forgiven", () => {
+    const reference = ReferenceUtil.formatBookingReference(32 ** 7 + 32);
+
+    assert.equal(reference, "CC-1000-0010-E");
+    for (const typed of ["cc 1000 0010 e", "CC-I0O0-OOL0-E"]) {
+      assert.equal(ReferenceUtil.normalizeBookingReference(typed), reference);
+    }
+  });
+
+  test("any single changed symbol fails the check symbol", () => {
+    for (const reference of references.slice(0, 20)) {
+      const compact = reference.replace(/-/g, "");
+
+      for (let position = 2; position < compact.length; position++) {
+        const symbols =
+          position === compact.length - 1 ? CHECK_SYMBOLS : BODY_SYMBOLS;
+
+        for (const symbol of symbols) {
+          if (symbol === compact[position]) continue;
+
+          const typo =
+            compact.slice(0, position) + symbol + compact.slice(position + 1);
+          assert.equal(
+            ReferenceUtil.normalizeBookingReference(typo),
+            null,
+            `${reference} -> ${typo}`
+          );
+        }
+      }
+    }
+  });
+
+  test("references with the wrong prefix or length are rejected", () => {
+    for (const reference of [
+      "XX-1000-0010-E",
+      "CC-1000-001-E",
+      "CC-1000-0010",
+    ]) {
+      assert.equal(ReferenceUtil.normalizeBookingReference(reference), null);
+    }
+  });
+
+  describe("legacy CC-YYYYMMDD-NNNN references", () => {
+    test("normalize to their canonical form", () => {
+      for (const reference of [
+        "CC-20250314-0042",
+        "cc-20250314-0042",
+        "CC 20250314 0042",
+        "CC202503140042",
+      ]) {
+        assert.equal(
+          ReferenceUtil.normalizeBookingReference(reference),
+          "CC-20250314-0042"
+        );
+      }
+    });
+
+    test("pass the reference lookup validation", () => {
+      const { value, error } = bookingReferenceSchema.validate({
+        bookingReference: "cc-20250314-0042",
+      });
+
+      assert.equal(error, undefined);
+      assert.equal(value.bookingReference, "CC-20250314-0042");
+    });
+
+    test("must keep their digit groups", () => {
+      for (const reference of ["CC-2025031-0042", "CC-20250314-042"]) {
+        assert.equal(ReferenceUtil.normalizeBookingReference(reference), null);
+      }
+    });
+  });
+
+  test("the lookup validation rejects a mistyped reference", () => {
+    const { error } = bookingReferenceSchema.validate({
+      bookingReference: "CC-1000-0010-X",
+    });
+
+    assert.match(error.message, /not valid/);
+  });
+});